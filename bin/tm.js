@@ -4,16 +4,35 @@ import { Command } from "commander";
 import chalk from "chalk";
 import open from "open";
 import readline from "readline";
-import { readFileSync } from "fs";
+import { readFileSync, existsSync } from "fs";
 import { fileURLToPath } from "url";
-import { dirname, join } from "path";
-
-import { apiGet, apiPost, apiDelete, apiPatch, fetchCsrfToken } from "../src/api.js";
-import { getApiBase, setApiBase, getUser, setUser, clearUser, clearSession, clearCsrfToken, isFirstRun, markFirstRunComplete, setLocation, getLocation } from "../src/config.js";
+import { dirname, join, resolve as resolvePath } from "path";
+import { homedir } from "os";
+
+import { addRequestHook } from "../src/api.js";
+import { TerminalMarketClient, summarizeCheckout } from "../src/client.js";
+import { OUTPUT_FORMATS, setOutputFormat, setColumns, parseColumns, setTemplate, setQuery, getOutputFormat, isStructuredOutput, printData, createListOutput } from "../src/output.js";
+import { isStdoutPiped, readRecords, sortRecords, filterRecords, uniqueRecords, pickFields } from "../src/pipe.js";
+import { setTraceLevel, setTraceFile, traceExchange } from "../src/trace.js";
+import { setCacheMode, getStaleHits, clearCache, getCacheStats, profileCacheDir } from "../src/cache.js";
+import { ApiError, handleError, EXIT_CODES } from "../src/errors.js";
+import {
+  getApiBase, setApiBase, getHttpSettings, setHttpSetting, getNetworkSettings, setNetworkSetting, clearNetworkSetting, getUser, setUser, clearUser, clearSession, clearCsrfToken,
+  isFirstRun, markFirstRunComplete, setLocation, getLocation, setApiToken, clearApiToken, getApiTokenSource,
+  DEFAULT_PROFILE, setProfileOverride, getActiveProfileName, setCurrentProfile, listProfiles, profileExists,
+  isValidProfileName, createProfile, deleteProfile, getVaultStatus, unlockVault, enableVault, disableVault, requireUnlockedVault,
+  getDefaultColumns, setDefaultColumns, clearDefaultColumns,
+  getThemeName, setThemeName, clearThemeName, getCustomThemes, setCustomThemeColor, clearCustomThemeColor,
+  getMoneySettings, setMoneySetting, clearMoneySetting, getImageSettings, setImageSetting, clearImageSetting,
+  getPager, setPager, clearPager, getLang, setLang, clearLang,
+  getApiToken, getCookies, setCookies, getCsrfToken, setCsrfToken, getSessionExpiry
+} from "../src/config.js";
+import { createKeyFile } from "../src/vault.js";
 import { 
-  printTable, pickProductFields, pickSellerFields, pickOfferFields, containsQuery, formatStars,
+  printTable, createTableStream, setWideTables, formatDuration, createOrdersStream, createSellersStream, pickProductFields, pickSellerFields, pickOfferFields, containsQuery, formatStars,
   printHeader, printDivider, printSuccess, printError, printWarning, printInfo, printField, printEmpty,
-  printProductCard, printCart, printOrders, printStoreCard, printSellers, printReviews, printAIModels, printCredits
+  printProductCard, printCart, printOrders, printStoreCard, printSellers, printReviews, printAIModels, printCredits,
+  printCheckoutSummary, printReceipt, formatAddress
 } from "../src/format.js";
 import { 
   theme, icons, showWelcome, showBox, showError, showSuccess, showWarning, showInfo,
@@ -21,12 +40,51 @@ import {
   showSection, showDivider, showBanner, showInfoBox, showSuccessBox, showErrorBox,
   showProgress, createLink
 } from "../src/ui.js";
+import { THEMES, THEME_ROLES, isColorSpec, setTheme, disableColor, setPlainMode } from "../src/theme.js";
+import { setRawMarkdown, printMarkdown } from "../src/markdown.js";
+import { detectImageProtocol, fetchImage, renderImage } from "../src/image.js";
+import { startPager, endPager } from "../src/pager.js";
+import { t, setLanguage, getLanguageTag, languageFromEnv, formatDate, formatDateTime, weekdayName } from "../src/i18n.js";
+import {
+  DEFAULT_RATES_URL, CREDIT_CURRENCY, localeFromEnv, setLocale, setDisplayCurrency, loadRates, formatPrice, formatTotals, formatCredits,
+  comparableAmount, lineTotal, toMoney, subtractMoney, moneyToNumber, currencyOf, getDisplayCurrency
+} from "../src/money.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const pkg = JSON.parse(readFileSync(join(__dirname, "../package.json"), "utf-8"));
 const VERSION = pkg.version;
 
+// The SDK client for the active profile, created in preAction once
+// --profile is known and the credential vault is unlocked. The session is
+// kept in the profile's config and catalog responses in its cache directory.
+let client;
+
+function createClient() {
+  return new TerminalMarketClient({
+    baseUrl: getApiBase(),
+    token: getApiToken(),
+    http: getHttpSettings(),
+    network: getNetworkSettings(),
+    storage: { getCookies, setCookies, getCsrfToken, setCsrfToken },
+    cache: { dir: profileCacheDir(getActiveProfileName()) },
+  });
+}
+
+// Colors, theme, plain mode and language are set before anything is
+// printed, --help included, so they are read from argv here rather than in
+// preAction
+if (process.env.NO_COLOR || process.argv.includes("--no-color")) disableColor();
+if (process.env.TM_PLAIN === "1" || process.argv.includes("--plain")) {
+  setPlainMode({ keepRaw: () => getOutputFormat() !== "table" });
+}
+try {
+  setTheme(process.env.TM_THEME || getThemeName(), getCustomThemes());
+} catch (e) {
+  console.error(theme.warning(`⚠ ${e.message}`));
+}
+setLanguage(process.env.TM_LANG || getLang() || languageFromEnv());
+
 function getPublicBaseUrl() {
   const apiBase = getApiBase();
   if (!apiBase) {
@@ -48,6 +106,33 @@ function resolveProductUrl(p) {
   return p?.buyUrl || p?.externalUrl || `${getPublicBaseUrl()}/product/${p.slug || p.id}`;
 }
 
+// Image paths may be relative to the web app
+function resolveImageUrl(p) {
+  const url = p?.imageUrl || p?.image;
+  return url ? new URL(url, getPublicBaseUrl()).href : null;
+}
+
+const THUMBNAIL_WIDTH = 24;
+
+// Inline image for `tm view --preview` and thumbnails
+async function printProductImage(p, { width = null } = {}) {
+  const url = resolveImageUrl(p);
+  if (!url) throw new Error("No image available for this product.");
+  const { protocol } = getImageSettings();
+  const image = await fetchImage(url, { network: getNetworkSettings() });
+  console.log();
+  console.log(renderImage(image, { protocol: protocol === "auto" ? detectImageProtocol() : protocol, width }));
+}
+
+// --page / --all / --page-size for listing commands. Without --page or
+// --all, pages are followed until --limit items have been shown.
+function pageOptions(opts, defaultLimit) {
+  const page = opts.page ? Math.max(1, Number.parseInt(opts.page, 10) || 1) : null;
+  const limit = opts.all || page ? Infinity : Math.max(1, Number.parseInt(opts.limit, 10) || defaultLimit);
+  const pageSize = Math.max(1, Math.min(200, Number.parseInt(opts.pageSize, 10) || Math.min(limit, 50)));
+  return { page, limit, pageSize };
+}
+
 function shouldOpenExternal() {
   return process.env.TM_NO_OPEN !== "1";
 }
@@ -57,7 +142,7 @@ function shouldPrompt() {
 }
 
 // Helper for hidden password input
-function askPassword(prompt = "Password: ") {
+function askPassword(prompt = t("auth.passwordPrompt")) {
   return new Promise((resolve) => {
     const rl = readline.createInterface({
       input: process.stdin,
@@ -101,6 +186,27 @@ function askPassword(prompt = "Password: ") {
   });
 }
 
+// Decrypt stored credentials for this run. Key file first, then
+// TM_PASSPHRASE, then an interactive prompt. Returns false when the vault
+// stays locked.
+async function ensureVaultUnlocked({ interactive = true } = {}) {
+  const vault = getVaultStatus();
+  if (!vault.enabled || vault.unlocked) return true;
+
+  if (vault.mode === "keyfile") {
+    unlockVault({ keyFile: process.env.TM_KEY_FILE || vault.keyFile });
+    return true;
+  }
+  if (process.env.TM_PASSPHRASE) {
+    unlockVault({ passphrase: process.env.TM_PASSPHRASE });
+    return true;
+  }
+  // Never prompt into a pipe
+  if (!interactive || !process.stdin.isTTY || !process.stdout.isTTY) return false;
+  unlockVault({ passphrase: await askPassword(t("vault.passphrasePrompt")) });
+  return true;
+}
+
 const program = new Command();
 
 program
@@ -108,8 +214,150 @@ program
   .description("TerminalMarket CLI — marketplace for developers")
   .version(VERSION)
   .helpOption('-h, --help', 'Show help')
+  .option("--profile <name>", "Use a named profile (overrides TM_PROFILE)")
+  .option("--verbose", "Log each HTTP request to stderr")
+  .option("--debug", "Log HTTP requests with headers (secrets redacted) and error details")
+  .option("--trace-file <path>", "Write a HAR archive of all HTTP requests")
+  .option("--no-cache", "Bypass the response cache")
+  .option("--offline", "Serve catalog data from the cache without network access")
+  .option("-o, --output <format>", `Output format: ${OUTPUT_FORMATS.join(", ")} (overrides TM_OUTPUT)`)
+  .option("--columns <list>", "Fields to show for listings, e.g. name,price,serviceCity")
+  .option("--format <template>", "Print one line per record, e.g. '{{.name}}\\t{{.price}}'")
+  .option("--no-color", "Disable colors (same as NO_COLOR=1)")
+  .option("--plain", "Plain text: no colors, emoji or box drawing (same as TM_PLAIN=1)")
+  .option("--wide", "Show full values in tables instead of cutting them to the terminal width")
+  .option("--raw", "Print AI results and descriptions as received instead of rendering markdown")
+  .option("--no-pager", "Never pipe long output through a pager")
+  .option("--query <expr>", "Reshape the result with JMESPath, e.g. \"[?status=='paid'].total\"")
   .addHelpCommand(false);
 
+// --verbose / --debug / TM_DEBUG=1 / --trace-file
+function setupTracing(opts) {
+  const level = opts.debug || process.env.TM_DEBUG === "1" ? "debug" : opts.verbose ? "verbose" : null;
+  if (!level && !opts.traceFile) return;
+  setTraceLevel(level);
+  if (opts.traceFile) setTraceFile(resolvePath(opts.traceFile), VERSION);
+  addRequestHook(traceExchange);
+}
+
+// "watch list" for `tm watch list`; keys the saved column defaults
+function commandPath(command) {
+  const names = [];
+  for (let c = command; c && c.parent; c = c.parent) names.unshift(c.name());
+  return names.join(" ");
+}
+
+// Bad --columns/--query values are usage errors
+function usageOrExit(parse) {
+  try {
+    return parse();
+  } catch (e) {
+    console.error(theme.error(`✗ ${e.message}`));
+    process.exit(EXIT_CODES.usage);
+  }
+}
+
+// Read-only listings and documents that can run longer than a screen. Commands
+// that prompt or stream live output are never paged.
+const PAGED_COMMANDS = new Set([
+  "products", "search", "category", "categories", "offers", "sellers", "seller", "featured", "deals",
+  "orders", "reviews", "store", "cart list", "wishlist list", "wish", "subscribe list", "subscriptions",
+  "ai list", "ai history", "alias list", "aliases", "reward list", "rewards", "token list", "context list",
+  "watch list", "watch logs", "webhook list", "webhook history", "webhook events", "library list",
+  "jobs", "job", "applications", "request list", "request view",
+  "about", "faq", "policy", "privacy", "help",
+  "sort", "filter", "head", "uniq", "pick",
+]);
+
+// Resolve the active profile and unlock the credential vault before any
+// command touches config
+program.hook("preAction", async (thisCommand, actionCommand) => {
+  setupTracing(program.opts());
+  const { cache, offline } = program.opts();
+  setCacheMode(offline || process.env.TM_OFFLINE === "1" ? "offline" : cache === false ? "no-cache" : "default");
+  // Piped into another command (tm search coffee | tm sort price): NDJSON
+  const output = String(program.opts().output || process.env.TM_OUTPUT || (isStdoutPiped() ? "ndjson" : "table")).toLowerCase();
+  if (!OUTPUT_FORMATS.includes(output)) {
+    console.error(theme.error(`✗ ${t("output.unknownFormat", { format: output })}`));
+    console.error(chalk.dim(`  💡 ${t("output.formatsHint", { formats: OUTPUT_FORMATS.join(", ") })}`));
+    process.exit(EXIT_CODES.usage);
+  }
+  setOutputFormat(output);
+  setWideTables(program.opts().wide);
+  setRawMarkdown(program.opts().raw);
+  const { columns, format, query } = program.opts();
+  setTemplate(format);
+  setColumns(columns !== undefined ? usageOrExit(() => parseColumns(columns)) : null, getDefaultColumns(commandPath(actionCommand)));
+  usageOrExit(() => setQuery(query));
+  setProfileOverride(program.opts().profile);
+  const name = getActiveProfileName();
+  const inContextCmd = actionCommand.parent?.name() === "context";
+  if (!inContextCmd && !profileExists(name)) {
+    console.error(theme.error(`✗ ${t("profile.unknown", { name })}`));
+    console.error(chalk.dim(`  💡 ${t("profile.createHint", { name })}`));
+    process.exit(EXIT_CODES.usage);
+  }
+
+  // `tm auth lock/unlock/status` manage the vault themselves
+  if (actionCommand.parent?.name() === "auth") return;
+  try {
+    if (!(await ensureVaultUnlocked())) {
+      console.error(theme.warning(`⚠ ${t("vault.continuingLocked")}`));
+      console.error(chalk.dim(`  💡 ${t("vault.continuingLockedHint")}`));
+    }
+  } catch (e) {
+    handleError(e);
+    process.exit(process.exitCode);
+  }
+  client = createClient();
+
+  // Prices follow the user's locale: the locale setting, LC_ALL or
+  // LC_MONETARY, then the language messages are shown in, then LANG. With a
+  // display currency they are also converted, which needs exchange rates.
+  // Structured output keeps raw amounts.
+  const money = getMoneySettings();
+  const { LC_ALL, LC_MONETARY } = process.env;
+  setLocale(money.locale || localeFromEnv({ LC_ALL, LC_MONETARY }) || getLanguageTag() || localeFromEnv());
+  setDisplayCurrency(money.currency);
+  const inConfigCmd = ["config", "context"].includes(actionCommand.parent?.name());
+  if (money.currency && !inConfigCmd && !isStructuredOutput()) {
+    try {
+      await loadRates(money.ratesUrl || DEFAULT_RATES_URL, { network: getNetworkSettings() });
+    } catch (e) {
+      console.error(theme.warning(`⚠ ${t("rates.failed", { error: e.message })}`));
+      console.error(chalk.dim(`  💡 ${t("rates.failedHint")}`));
+    }
+  }
+
+  if (program.opts().pager !== false && PAGED_COMMANDS.has(commandPath(actionCommand))) startPager(getPager());
+});
+
+// "expires in 3 days" for whoami/doctor, from the session cookie in the jar
+function describeSessionExpiry() {
+  const expiry = getSessionExpiry();
+  if (expiry === undefined) return t("session.none");
+  if (expiry === null) return t("session.noExpiry");
+  return t("session.expiresIn", { duration: formatDuration(expiry - Date.now()) });
+}
+
+// A reader that stops early (tm head, Unix head) closes the pipe; not an error
+process.stdout.on("error", (e) => {
+  if (e.code === "EPIPE") process.exit(0);
+  throw e;
+});
+
+// Label output that --offline served from an expired cache entry
+program.hook("postAction", () => {
+  const stale = getStaleHits();
+  if (!stale.length) return;
+  const oldest = Math.min(...stale.map((hit) => hit.storedAt));
+  console.error(theme.warning(`⚠ ${t("cache.stale", { age: formatDuration(Date.now() - oldest) })}`));
+});
+
+// Show collected output, through the pager when it doesn't fit the screen
+program.hook("postAction", () => endPager());
+
+
 // Override --help to show our custom help instead of Commander's default
 program.helpInformation = () => '';
 program.on('--help', () => {
@@ -123,31 +371,376 @@ const config = program
   .command("config")
   .description("Get/set CLI config");
 
+// Keys accepted by `tm config get/set` besides "api"
+const HTTP_CONFIG_KEYS = {
+  "timeout": "timeout",
+  "retries": "retries",
+  "retry-delay": "retryDelay",
+  "retry-max-delay": "retryMaxDelay",
+};
+
+const NETWORK_CONFIG_KEYS = {
+  "proxy": "proxy",
+  "no-proxy": "noProxy",
+  "ca-file": "caFile",
+  "insecure": "insecure",
+};
+
+const MONEY_CONFIG_KEYS = {
+  "locale": "locale",
+  "currency": "currency",
+  "rates-url": "ratesUrl",
+};
+
+const IMAGE_CONFIG_KEYS = {
+  "image-protocol": "protocol",
+  "thumbnails": "thumbnails",
+};
+
+// "columns.search" or "columns.watch.list": default --columns of a command
+function columnsConfigCommand(key) {
+  let command = program;
+  for (const name of key.slice("columns.".length).split(".")) {
+    command = command.commands.find((c) => c.name() === name || c.aliases().includes(name));
+    if (!command) throw new Error(`Unknown command in ${key}`);
+  }
+  return commandPath(command);
+}
+
+// "themes.<name>.<role>": one color of a custom theme; `base` names the
+// built-in theme it starts from
+function themeConfigKey(key, { roleRequired = true } = {}) {
+  const [, name, role, ...extra] = key.split(".");
+  const roles = [...THEME_ROLES, "base"];
+  if (!name || extra.length || (roleRequired && !role) || (role && !roles.includes(role))) {
+    throw new Error(`Expected themes.<name>.<role>, where role is one of: ${roles.join(", ")}`);
+  }
+  return { name, role };
+}
+
 config
   .command("get <key>")
-  .description("Get a config value (e.g. api)")
+  .description("Get a config value (api, timeout, retries, retry-delay, retry-max-delay, proxy, no-proxy, ca-file, insecure, lang, locale, currency, rates-url, image-protocol, thumbnails, pager, columns.<command>, theme, themes.<name>.<role>)")
   .action((key) => {
     if (key === "api") {
       console.log(getApiBase());
       return;
     }
-    console.error(chalk.red(`Unknown key: ${key}`));
+    if (key.startsWith("columns.")) {
+      try {
+        console.log((getDefaultColumns(columnsConfigCommand(key)) || []).join(","));
+      } catch (e) {
+        handleError(e);
+      }
+      return;
+    }
+    if (key === "theme") {
+      console.log(getThemeName());
+      return;
+    }
+    if (key === "lang") {
+      console.log(getLang() ?? "");
+      return;
+    }
+    if (key === "pager") {
+      console.log(getPager() ?? "");
+      return;
+    }
+    if (key.startsWith("themes.")) {
+      try {
+        const { name, role } = themeConfigKey(key);
+        console.log(getCustomThemes()[name]?.[role] ?? "");
+      } catch (e) {
+        handleError(e);
+      }
+      return;
+    }
+    if (HTTP_CONFIG_KEYS[key]) {
+      console.log(getHttpSettings()[HTTP_CONFIG_KEYS[key]]);
+      return;
+    }
+    if (NETWORK_CONFIG_KEYS[key]) {
+      console.log(getNetworkSettings()[NETWORK_CONFIG_KEYS[key]] ?? "");
+      return;
+    }
+    if (MONEY_CONFIG_KEYS[key]) {
+      const value = getMoneySettings()[MONEY_CONFIG_KEYS[key]];
+      console.log(value ?? (key === "rates-url" ? DEFAULT_RATES_URL : ""));
+      return;
+    }
+    if (IMAGE_CONFIG_KEYS[key]) {
+      console.log(getImageSettings()[IMAGE_CONFIG_KEYS[key]]);
+      return;
+    }
+    console.error(theme.error(`Unknown key: ${key}`));
     process.exitCode = 1;
   });
 
 config
   .command("set <key> <value>")
-  .description("Set a config value (e.g. api)")
+  .description("Set a config value (api, timeout, retries, retry-delay, retry-max-delay, proxy, no-proxy, ca-file, insecure, lang, locale, currency, rates-url, image-protocol, thumbnails, pager, columns.<command>, theme, themes.<name>.<role>)")
   .action((key, value) => {
     if (key === "api") {
       setApiBase(value);
-      console.log(chalk.green(`api = ${getApiBase()}`));
+      console.log(theme.primary(`api = ${getApiBase()}`));
       return;
     }
-    console.error(chalk.red(`Unknown key: ${key}`));
+    if (key.startsWith("columns.")) {
+      try {
+        const columns = parseColumns(value);
+        setDefaultColumns(columnsConfigCommand(key), columns);
+        console.log(theme.primary(`${key} = ${columns.join(",")}`));
+      } catch (e) {
+        handleError(e);
+      }
+      return;
+    }
+    if (key === "lang") {
+      try {
+        console.log(theme.primary(`lang = ${setLang(value)}`));
+      } catch (e) {
+        handleError(e);
+      }
+      return;
+    }
+    if (key === "pager") {
+      setPager(value);
+      console.log(theme.primary(`pager = ${value}`));
+      return;
+    }
+    if (key === "theme") {
+      try {
+        setTheme(value, getCustomThemes());
+        setThemeName(value);
+        console.log(theme.primary(`theme = ${value}`));
+      } catch (e) {
+        handleError(e);
+      }
+      return;
+    }
+    if (key.startsWith("themes.")) {
+      try {
+        const { name, role } = themeConfigKey(key);
+        if (role === "base" ? !THEMES[value] : !isColorSpec(value)) {
+          throw new Error(role === "base"
+            ? `Unknown base theme: ${value}. Use one of: ${Object.keys(THEMES).join(", ")}`
+            : `Invalid color: ${value}. Use #rrggbb, a color name such as greenBright, or default`);
+        }
+        setCustomThemeColor(name, role, value);
+        console.log(theme.primary(`${key} = ${value}`));
+      } catch (e) {
+        handleError(e);
+      }
+      return;
+    }
+    if (HTTP_CONFIG_KEYS[key]) {
+      try {
+        setHttpSetting(HTTP_CONFIG_KEYS[key], value);
+        console.log(theme.primary(`${key} = ${value}`));
+      } catch (e) {
+        handleError(e);
+      }
+      return;
+    }
+    if (NETWORK_CONFIG_KEYS[key]) {
+      try {
+        if (key === "ca-file") {
+          value = resolvePath(value);
+          if (!existsSync(value)) throw new Error(`CA file not found: ${value}`);
+        }
+        setNetworkSetting(NETWORK_CONFIG_KEYS[key], value);
+        console.log(theme.primary(`${key} = ${value}`));
+        if (key === "insecure" && value === "true") {
+          console.log(theme.warning("⚠ TLS certificate verification is disabled. Only use this for local test servers."));
+        }
+      } catch (e) {
+        handleError(e);
+      }
+      return;
+    }
+    if (MONEY_CONFIG_KEYS[key]) {
+      try {
+        // A rates source is a URL or a JSON file in the same shape
+        if (key === "rates-url" && !/^https?:\/\//.test(value)) {
+          value = resolvePath(value);
+          if (!existsSync(value)) throw new Error(`Rates file not found: ${value}`);
+        }
+        value = setMoneySetting(MONEY_CONFIG_KEYS[key], value);
+        console.log(theme.primary(`${key} = ${value}`));
+      } catch (e) {
+        handleError(e);
+      }
+      return;
+    }
+    if (IMAGE_CONFIG_KEYS[key]) {
+      try {
+        setImageSetting(IMAGE_CONFIG_KEYS[key], value);
+        console.log(theme.primary(`${key} = ${value}`));
+      } catch (e) {
+        handleError(e);
+      }
+      return;
+    }
+    console.error(theme.error(`Unknown key: ${key}`));
     process.exitCode = 1;
   });
 
+config
+  .command("unset <key>")
+  .description("Remove a network setting (proxy, no-proxy, ca-file, insecure), lang, locale, currency, rates-url, image-protocol, thumbnails, pager, columns.<command>, theme or themes.<name>[.<role>]")
+  .action((key) => {
+    if (key.startsWith("columns.")) {
+      try {
+        clearDefaultColumns(columnsConfigCommand(key));
+        console.log(theme.primary(`${key} unset`));
+      } catch (e) {
+        handleError(e);
+      }
+      return;
+    }
+    if (key === "lang") {
+      clearLang();
+      console.log(theme.primary("lang unset"));
+      return;
+    }
+    if (key === "pager") {
+      clearPager();
+      console.log(theme.primary("pager unset"));
+      return;
+    }
+    if (key === "theme") {
+      clearThemeName();
+      console.log(theme.primary("theme unset"));
+      return;
+    }
+    if (key.startsWith("themes.")) {
+      try {
+        const { name, role } = themeConfigKey(key, { roleRequired: false });
+        clearCustomThemeColor(name, role);
+        console.log(theme.primary(`${key} unset`));
+      } catch (e) {
+        handleError(e);
+      }
+      return;
+    }
+    if (MONEY_CONFIG_KEYS[key]) {
+      clearMoneySetting(MONEY_CONFIG_KEYS[key]);
+      console.log(theme.primary(`${key} unset`));
+      return;
+    }
+    if (IMAGE_CONFIG_KEYS[key]) {
+      clearImageSetting(IMAGE_CONFIG_KEYS[key]);
+      console.log(theme.primary(`${key} unset`));
+      return;
+    }
+    if (!NETWORK_CONFIG_KEYS[key]) {
+      console.error(theme.error(`Unknown key: ${key}`));
+      process.exitCode = 1;
+      return;
+    }
+    clearNetworkSetting(NETWORK_CONFIG_KEYS[key]);
+    console.log(theme.primary(`${key} unset`));
+  });
+
+// -----------------
+// context (named profiles)
+// -----------------
+const context = program
+  .command("context")
+  .alias("ctx")
+  .description("Manage named profiles (accounts + API endpoints)");
+
+context
+  .command("list")
+  .alias("ls")
+  .description("List profiles")
+  .action(() => {
+    const active = getActiveProfileName();
+    if (isStructuredOutput()) return printData(listProfiles().map((p) => ({ ...p, active: p.name === active })));
+    console.log();
+    for (const p of listProfiles()) {
+      const marker = p.name === active ? theme.primary("●") : chalk.dim("○");
+      const who = p.user ? theme.text(p.user.email || p.user.name) : chalk.dim(t("profile.notLoggedIn"));
+      console.log(`  ${marker} ${theme.secondary(p.name.padEnd(16))} ${chalk.dim(p.apiBase)}  ${who}`);
+    }
+    console.log();
+    console.log(chalk.dim(`  ${t("profile.switchHint")}`));
+    console.log();
+  });
+
+context
+  .command("current")
+  .description("Show the active profile")
+  .action(() => {
+    console.log(getActiveProfileName());
+  });
+
+context
+  .command("create <name>")
+  .description("Create a profile")
+  .option("--api <url>", "API endpoint for this profile")
+  .option("--use", "Switch to the new profile")
+  .action((name, opts) => {
+    if (!isValidProfileName(name)) {
+      console.error(theme.error(`✗ ${t("profile.invalidName")}`));
+      process.exitCode = EXIT_CODES.usage;
+      return;
+    }
+    if (profileExists(name)) {
+      console.error(theme.error(`✗ ${t("profile.exists", { name })}`));
+      process.exitCode = EXIT_CODES.usage;
+      return;
+    }
+    createProfile(name, { apiBase: opts.api });
+    if (opts.use) setCurrentProfile(name);
+    console.log(theme.primary(`✓ ${t(opts.use ? "profile.createdAndSelected" : "profile.created", { name })}`));
+    if (!opts.use) console.log(chalk.dim(`  ${t("profile.useHint", { name })}`));
+  });
+
+context
+  .command("use <name>")
+  .description("Switch the default profile")
+  .action((name) => {
+    if (!profileExists(name)) {
+      console.error(theme.error(`✗ ${t("profile.unknown", { name })}`));
+      process.exitCode = EXIT_CODES.usage;
+      return;
+    }
+    setCurrentProfile(name);
+    console.log(theme.primary(`✓ ${t("profile.switched", { name })}`));
+    if (process.env.TM_PROFILE && process.env.TM_PROFILE !== name) {
+      console.log(theme.warning(`  ⚠ ${t("profile.envOverride", { name: process.env.TM_PROFILE })}`));
+    }
+  });
+
+context
+  .command("delete <name>")
+  .alias("rm")
+  .description("Delete a profile and its stored session")
+  .action((name) => {
+    if (name === DEFAULT_PROFILE) {
+      console.error(theme.error(`✗ ${t("profile.defaultUndeletable")}`));
+      process.exitCode = EXIT_CODES.usage;
+      return;
+    }
+    if (!profileExists(name)) {
+      console.error(theme.error(`✗ ${t("profile.unknown", { name })}`));
+      process.exitCode = EXIT_CODES.usage;
+      return;
+    }
+    try {
+      deleteProfile(name);
+      clearCache(name);
+      console.log(theme.primary(`✓ ${t("profile.deleted", { name })}`));
+    } catch (e) {
+      handleError(e);
+    }
+  });
+
+context.action(() => {
+  context.outputHelp();
+});
+
 // -----------------
 // auth commands
 // -----------------
@@ -160,7 +753,7 @@ program
     try {
       const password = passwordArg || await askPassword();
       const username = opts.username || email.split("@")[0];
-      const result = await apiPost("/auth/register", {
+      const result = await client.auth.register({
         email,
         password,
         username,
@@ -169,15 +762,15 @@ program
       
       if (result.user) {
         setUser(result.user);
-        console.log(chalk.green(`Welcome, ${result.user.name || result.user.email}!`));
-        console.log(chalk.dim("You are now logged in."));
-        await fetchCsrfToken();
+        clearCache(getActiveProfileName());
+        console.log(theme.primary(t("auth.welcome", { name: result.user.name || result.user.email })));
+        console.log(chalk.dim(t("auth.loggedIn")));
+        await client.auth.csrfToken();
       } else {
-        console.log(chalk.green("Registration successful! Please login."));
+        console.log(theme.primary(t("auth.registered")));
       }
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -187,18 +780,19 @@ program
   .action(async (email, passwordArg) => {
     try {
       const password = passwordArg || await askPassword();
-      const result = await apiPost("/auth/login", { email, password });
+      const result = await client.auth.login(email, password);
+      // Cached responses belong to whoever was logged in before
+      clearCache(getActiveProfileName());
       
       if (result.user) {
         setUser(result.user);
-        console.log(chalk.green(`Welcome back, ${result.user.name || result.user.email}!`));
+        console.log(theme.primary(t("auth.welcomeBack", { name: result.user.name || result.user.email })));
       } else {
-        console.log(chalk.green("Login successful!"));
+        console.log(theme.primary(t("auth.loginSuccess")));
       }
-      await fetchCsrfToken();
+      await client.auth.csrfToken();
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -206,22 +800,32 @@ program
   .command("logout")
   .description("Logout from your account")
   .action(async () => {
+    // Locked credentials can't be removed; fail before ending the server
+    // session so the stored one isn't left behind unnoticed
     try {
-      await apiPost("/auth/logout", {});
+      requireUnlockedVault();
+    } catch (e) {
+      handleError(e);
+      return;
+    }
+    try {
+      await client.auth.logout();
       clearUser();
       clearSession();
       clearCsrfToken();
-      console.log(chalk.green("Logged out successfully."));
+      clearCache(getActiveProfileName());
+      console.log(theme.primary(t("auth.logoutSuccess")));
     } catch (e) {
       clearUser();
       clearSession();
       clearCsrfToken();
-      console.log(chalk.green("Logged out."));
+      clearCache(getActiveProfileName());
+      console.log(theme.primary(t("auth.loggedOut")));
     }
   });
 
 // GitHub auth - opens browser
-program
+const auth = program
   .command("auth")
   .description("Authenticate with GitHub (opens browser)")
   .argument("[provider]", "Auth provider (github)")
@@ -229,42 +833,123 @@ program
     if (!provider || provider === "github") {
       const apiBase = getApiBase();
       const authUrl = `${apiBase}/auth/github`;
-      console.log(chalk.green("Opening GitHub authentication..."));
+      console.log(theme.primary(t("auth.openingGithub")));
       console.log(chalk.dim(authUrl));
       try {
         if (shouldOpenExternal()) {
           await open(authUrl);
-          console.log(chalk.dim("Complete login in browser, then run 'tm whoami' to verify."));
+          console.log(chalk.dim(t("auth.completeInBrowser")));
         } else {
-          console.log(chalk.yellow("Browser opening disabled. Visit manually:"));
+          console.log(theme.warning(t("auth.browserDisabled")));
           console.log(authUrl);
         }
       } catch {
-        console.log(chalk.yellow("Could not open browser. Visit manually:"));
+        console.log(theme.warning(t("auth.browserFailed")));
         console.log(authUrl);
       }
     } else {
-      console.error(chalk.red(`Unknown provider: ${provider}. Use 'github'.`));
+      console.error(theme.error(t("auth.unknownProvider", { provider })));
+    }
+  });
+
+// -----------------
+// credential vault
+// -----------------
+const DEFAULT_KEY_FILE = join(homedir(), ".config", "terminalmarket", "vault.key");
+
+auth
+  .command("lock")
+  .description("Encrypt stored credentials with a passphrase or key file")
+  .option("--key-file [path]", `Use a key file instead of a passphrase (default: ${DEFAULT_KEY_FILE})`)
+  .action(async (opts) => {
+    try {
+      if (getVaultStatus().enabled) {
+        console.log(theme.warning(t("vault.alreadyEncrypted")));
+        return;
+      }
+      if (opts.keyFile) {
+        // Stored absolute so later runs from another directory still find it
+        const keyFile = opts.keyFile === true ? DEFAULT_KEY_FILE : resolvePath(opts.keyFile);
+        if (!existsSync(keyFile)) {
+          createKeyFile(keyFile);
+          console.log(chalk.dim(t("vault.keyFileCreated", { path: keyFile })));
+        }
+        enableVault({ keyFile });
+      } else {
+        const passphrase = process.env.TM_PASSPHRASE || await askPassword(t("vault.newPassphrase"));
+        if (!passphrase) {
+          console.error(theme.error(`✗ ${t("vault.emptyPassphrase")}`));
+          process.exitCode = EXIT_CODES.usage;
+          return;
+        }
+        if (!process.env.TM_PASSPHRASE && passphrase !== await askPassword(t("vault.repeatPassphrase"))) {
+          console.error(theme.error(`✗ ${t("vault.passphraseMismatch")}`));
+          process.exitCode = EXIT_CODES.usage;
+          return;
+        }
+        enableVault({ passphrase });
+      }
+      console.log(theme.primary(`✓ ${t("vault.encrypted")}`));
+      console.log(chalk.dim(t("vault.encryptedText")));
+    } catch (e) {
+      handleError(e, { fallback: t("vault.encryptFailed") });
     }
   });
 
+auth
+  .command("unlock")
+  .description("Decrypt stored credentials back to plain text")
+  .action(async () => {
+    try {
+      if (!getVaultStatus().enabled) {
+        console.log(theme.warning(t("vault.notEncrypted")));
+        return;
+      }
+      if (!(await ensureVaultUnlocked())) {
+        console.error(theme.error(`✗ ${t("vault.locked")}`));
+        console.error(chalk.dim(`  💡 ${t("vault.lockedHint")}`));
+        process.exitCode = EXIT_CODES.usage;
+        return;
+      }
+      disableVault();
+      console.log(theme.primary(`✓ ${t("vault.decrypted")}`));
+    } catch (e) {
+      handleError(e, { fallback: t("vault.decryptFailed") });
+    }
+  });
+
+auth
+  .command("status")
+  .description("Show how credentials are stored")
+  .action(() => {
+    const vault = getVaultStatus();
+    console.log(`${chalk.dim(`${t("vault.config")}:`)} ${vault.path}`);
+    if (!vault.enabled) {
+      console.log(`${chalk.dim(`${t("vault.credentials")}:`)} ${t("vault.plainText")}`);
+      console.log(chalk.dim(t("vault.lockHint")));
+      return;
+    }
+    const via = vault.mode === "keyfile" ? t("vault.viaKeyFile", { path: vault.keyFile }) : t("vault.viaPassphrase");
+    console.log(`${chalk.dim(`${t("vault.credentials")}:`)} ${t("vault.encryptedVia", { via })}`);
+  });
+
 program
   .command("github")
   .description("Login with GitHub (opens browser)")
   .action(async () => {
     const apiBase = getApiBase();
     const authUrl = `${apiBase}/auth/github`;
-    console.log(chalk.green("Opening GitHub authentication..."));
+    console.log(theme.primary(t("auth.openingGithub")));
     try {
       if (shouldOpenExternal()) {
         await open(authUrl);
-        console.log(chalk.dim("Complete login in browser, then run 'tm whoami' to verify."));
+        console.log(chalk.dim(t("auth.completeInBrowser")));
       } else {
-        console.log(chalk.yellow("Browser opening disabled. Visit:"));
+        console.log(theme.warning(t("auth.browserDisabled")));
         console.log(authUrl);
       }
     } catch {
-      console.log(chalk.yellow("Could not open browser. Visit:"));
+      console.log(theme.warning(t("auth.browserFailed")));
       console.log(authUrl);
     }
   });
@@ -278,24 +963,23 @@ program
   .action(async (opts) => {
     try {
       if (opts.link) {
-        const result = await apiGet("/invite/link");
-        console.log(result?.link || "Invite link unavailable");
+        const result = await client.invites.link();
+        console.log(result?.link || t("invite.linkUnavailable"));
         return;
       }
 
       const email = opts.email;
       if (!email) {
-        console.log(chalk.yellow("Usage: tm invite --email colleague@company.com"));
-        console.log(chalk.dim("Or share your link: tm invite --link"));
+        console.log(theme.warning(t("invite.usage")));
+        console.log(chalk.dim(t("invite.linkHint")));
         return;
       }
 
-      await apiPost("/invite", { email });
-      console.log(chalk.green("✓ Invite sent!"));
-      console.log("Share your link: tm invite --link");
+      await client.invites.send(email);
+      console.log(theme.primary(`✓ ${t("invite.sent")}`));
+      console.log(t("invite.shareHint"));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -305,22 +989,162 @@ program
   .description("Show current user info")
   .action(async () => {
     try {
-      const result = await apiGet("/auth/status");
+      const result = await client.auth.status();
+      if (isStructuredOutput()) return printData(result);
       
       if (result.isAuthenticated && result.user) {
         console.log(chalk.bold(result.user.name || result.user.email));
-        console.log(`${chalk.dim("email:")} ${result.user.email}`);
-        if (result.user.name) console.log(`${chalk.dim("name:")} ${result.user.name}`);
-        if (result.user.role) console.log(`${chalk.dim("role:")} ${result.user.role}`);
+        const label = (key) => chalk.dim(`${t(key)}:`);
+        console.log(`${label("whoami.email")} ${result.user.email}`);
+        if (result.user.name) console.log(`${label("whoami.name")} ${result.user.name}`);
+        if (result.user.role) console.log(`${label("whoami.role")} ${result.user.role}`);
+        console.log(`${label("whoami.profile")} ${getActiveProfileName()}`);
+        const tokenSource = getApiTokenSource();
+        const source = tokenSource === "env" ? "TM_TOKEN" : t("whoami.storedToken");
+        console.log(`${label("whoami.auth")} ${tokenSource ? t("whoami.apiToken", { source }) : t("whoami.session")}`);
+        if (!tokenSource) console.log(`${label("whoami.session")} ${describeSessionExpiry()}`);
       } else {
-        console.log(chalk.yellow("Not logged in. Use 'tm login <email> <password>' to login."));
+        console.log(theme.warning(t("whoami.notLoggedIn")));
       }
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
+    }
+  });
+
+// -----------------
+// token commands (personal API tokens)
+// -----------------
+const TOKEN_SCOPES = {
+  read: t("token.scopeRead"),
+  cart: t("token.scopeCart"),
+  merchant: t("token.scopeMerchant"),
+};
+
+const token = program
+  .command("token")
+  .description("Manage personal API tokens for CI and automation");
+
+token
+  .command("create [name]")
+  .description("Create a personal API token")
+  .option("-s, --scopes <scopes>", "Comma-separated scopes: read, cart, merchant", "read")
+  .option("-e, --expires <days>", "Expire after N days")
+  .option("--save", "Store the token in the active profile")
+  .action(async (name, opts) => {
+    try {
+      const scopes = String(opts.scopes).split(",").map((s) => s.trim()).filter(Boolean);
+      const unknown = scopes.filter((s) => !TOKEN_SCOPES[s]);
+      if (unknown.length) {
+        console.error(theme.error(`✗ ${t("token.unknownScope", { scopes: unknown.join(", "), valid: Object.keys(TOKEN_SCOPES).join(", ") })}`));
+        process.exitCode = EXIT_CODES.usage;
+        return;
+      }
+
+      const payload = { name: name || `cli-${new Date().toISOString().slice(0, 10)}`, scopes };
+      if (opts.expires) payload.expiresInDays = parseInt(opts.expires, 10);
+      const result = await client.tokens.create(payload);
+
+      console.log(theme.primary(`✓ ${t("token.created")}`));
+      console.log();
+      console.log(`${chalk.dim(`${t("field.id")}:`)} ${result.id}`);
+      console.log(`${chalk.dim(`${t("field.name")}:`)} ${result.name}`);
+      console.log(`${chalk.dim(`${t("token.scopes")}:`)} ${(result.scopes || scopes).join(", ")}`);
+      if (result.expiresAt) console.log(`${chalk.dim(`${t("token.expires")}:`)} ${formatDate(result.expiresAt)}`);
+      console.log();
+      if (opts.save) {
+        setApiToken(result.token);
+        console.log(chalk.dim(t("token.saved", { name: getActiveProfileName() })));
+      } else {
+        console.log(theme.warning(t("token.showOnce")));
+        console.log(chalk.bold(result.token));
+        console.log();
+        console.log(chalk.dim(t("token.useHint")));
+      }
+    } catch (e) {
+      handleError(e);
+    }
+  });
+
+token
+  .command("list")
+  .alias("ls")
+  .description("List your API tokens")
+  .action(async () => {
+    try {
+      const tokens = await client.tokens.list();
+      if (isStructuredOutput()) return printData(tokens);
+      if (!tokens || tokens.length === 0) {
+        console.log(theme.warning(t("token.none")));
+        console.log(chalk.dim(t("token.createHint")));
+        return;
+      }
+      console.log(chalk.bold(`\n${t("token.listTitle")}\n`));
+      tokens.forEach((apiToken) => {
+        const expired = apiToken.expiresAt && new Date(apiToken.expiresAt).getTime() < Date.now();
+        const status = apiToken.revoked || expired ? chalk.dim("○") : theme.primary("✓");
+        console.log(`${status} #${apiToken.id} ${chalk.bold(apiToken.name)} ${chalk.dim(apiToken.prefix ? `(${apiToken.prefix}…)` : "")}`);
+        console.log(`   ${chalk.dim(`${t("token.scopes")}:`)} ${(apiToken.scopes || []).join(", ")}`);
+        const lastUsed = apiToken.lastUsedAt ? formatDate(apiToken.lastUsedAt) : t("token.never");
+        const expires = apiToken.expiresAt ? formatDate(apiToken.expiresAt) : t("token.never");
+        console.log(`   ${chalk.dim(`${t("token.lastUsed")}:`)} ${lastUsed}  ${chalk.dim(`${t("token.expires")}:`)} ${expires}`);
+        console.log();
+      });
+    } catch (e) {
+      handleError(e);
+    }
+  });
+
+token
+  .command("revoke <id>")
+  .description("Revoke an API token")
+  .action(async (id) => {
+    try {
+      await client.tokens.revoke(id);
+      console.log(theme.primary(t("token.revoked", { id })));
+    } catch (e) {
+      handleError(e);
+    }
+  });
+
+token
+  .command("set <token>")
+  .description("Store an existing token in the active profile")
+  .action((value) => {
+    try {
+      setApiToken(value);
+      console.log(theme.primary(`✓ ${t("token.stored", { name: getActiveProfileName() })}`));
+    } catch (e) {
+      handleError(e);
+    }
+  });
+
+token
+  .command("clear")
+  .description("Remove the stored token from the active profile")
+  .action(() => {
+    try {
+      clearApiToken();
+      console.log(theme.primary(t("token.cleared")));
+    } catch (e) {
+      handleError(e);
     }
   });
 
+token
+  .command("scopes")
+  .description("Show available token scopes")
+  .action(() => {
+    console.log(chalk.bold(`\n${t("token.scopesTitle")}\n`));
+    Object.entries(TOKEN_SCOPES).forEach(([scope, desc]) => {
+      console.log(`  ${theme.secondary(scope.padEnd(10))} ${chalk.dim(desc)}`);
+    });
+    console.log();
+  });
+
+token.action(() => {
+  token.outputHelp();
+});
+
 // -----------------
 // profile command
 // -----------------
@@ -329,36 +1153,37 @@ const profile = program
   .description("View or edit your profile");
 
 async function showProfile() {
-  const result = await apiGet("/auth/status");
+  const result = await client.auth.status();
   if (!result.isAuthenticated) {
-    console.log(chalk.yellow("Not logged in. Use 'tm login' first."));
+    console.log(theme.warning("Not logged in. Use 'tm login' first."));
     return;
   }
   const user = result.user;
+  if (isStructuredOutput()) return printData(user);
   
   // Availability status
   const availStatus = user.availableForHire 
-    ? chalk.green('🟢 Available for hire')
+    ? theme.primary('🟢 Available for hire')
     : chalk.dim('⚫ Not looking');
   
   console.log();
-  console.log(chalk.green.bold('┌─────────────────────────────────────┐'));
-  console.log(chalk.green.bold('│') + chalk.white.bold('  Developer Profile') + ' '.repeat(17) + chalk.green.bold('│'));
-  console.log(chalk.green.bold('└─────────────────────────────────────┘'));
+  console.log(theme.primary.bold('┌─────────────────────────────────────┐'));
+  console.log(theme.primary.bold('│') + theme.text.bold('  Developer Profile') + ' '.repeat(17) + theme.primary.bold('│'));
+  console.log(theme.primary.bold('└─────────────────────────────────────┘'));
   console.log(`  ${availStatus}`);
   console.log();
   
   // Basic info
-  console.log(chalk.cyan.bold('  Basic Info'));
-  console.log(`  ${chalk.dim('Username:')}  ${chalk.white(user.username || user.email?.split('@')[0] || '-')}`);
-  console.log(`  ${chalk.dim('Email:')}     ${chalk.cyan(user.email || '-')}`);
+  console.log(theme.secondary.bold('  Basic Info'));
+  console.log(`  ${chalk.dim('Username:')}  ${theme.text(user.username || user.email?.split('@')[0] || '-')}`);
+  console.log(`  ${chalk.dim('Email:')}     ${theme.secondary(user.email || '-')}`);
   console.log(`  ${chalk.dim('Name:')}      ${user.name || chalk.dim('(not set)')}`);
   console.log(`  ${chalk.dim('Phone:')}     ${user.phone || chalk.dim('(not set)')}`);
   console.log(`  ${chalk.dim('Location:')}  ${[user.city, user.country].filter(Boolean).join(', ') || chalk.dim('(not set)')}`);
   console.log();
   
   // Developer info
-  console.log(chalk.cyan.bold('  Developer Profile'));
+  console.log(theme.secondary.bold('  Developer Profile'));
   console.log(`  ${chalk.dim('GitHub:')}    ${user.githubUsername ? '@' + user.githubUsername : chalk.dim('(not set)')}`);
   console.log(`  ${chalk.dim('LinkedIn:')}  ${user.linkedinUrl || chalk.dim('(not set)')}`);
   console.log(`  ${chalk.dim('Skills:')}    ${user.skills?.length ? user.skills.join(', ') : chalk.dim('(not set)')}`);
@@ -366,15 +1191,15 @@ async function showProfile() {
     console.log(`  ${chalk.dim('Bio:')}       ${user.bio}`);
   }
   console.log();
-  console.log(chalk.dim('  Use: tm profile set <field> <value>'));
-  console.log(chalk.dim('  Fields: name, phone, city, country, github, linkedin, skills, bio, available'));
+  console.log(chalk.dim(`  ${t("profile.setHint")}`));
+  console.log(chalk.dim(`  ${t("profile.fields", { fields: "name, phone, city, country, github, linkedin, skills, bio, available" })}`));
   console.log();
 }
 
 async function setProfileField(field, value) {
-  const result = await apiGet("/auth/status");
+  const result = await client.auth.status();
   if (!result.isAuthenticated) {
-    console.log(chalk.yellow("Not logged in. Use 'tm login' first."));
+    console.log(theme.warning("Not logged in. Use 'tm login' first."));
     return;
   }
   
@@ -394,13 +1219,13 @@ async function setProfileField(field, value) {
   
   const apiField = fieldMapping[field];
   if (!apiField) {
-    console.error(chalk.red(`✗ Invalid field. Valid fields: ${Object.keys(fieldMapping).join(", ")}`));
+    console.error(theme.error(`✗ Invalid field. Valid fields: ${Object.keys(fieldMapping).join(", ")}`));
     return;
   }
   
   let newValue = value.join(" ");
   if (!newValue) {
-    console.error(chalk.red("✗ Value is required."));
+    console.error(theme.error("✗ Value is required."));
     return;
   }
   
@@ -413,8 +1238,8 @@ async function setProfileField(field, value) {
     newValue = processedValue ? "Available for hire ✓" : "Not looking";
   }
   
-  await apiPatch("/profile", { [apiField]: processedValue });
-  console.log(chalk.green(`✓ Updated ${field} to "${newValue}"`));
+  await client.profile.update({ [apiField]: processedValue });
+  console.log(theme.primary(`✓ Updated ${field} to "${newValue}"`));
 }
 
 profile
@@ -424,8 +1249,7 @@ profile
     try {
       await showProfile();
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -436,8 +1260,7 @@ profile
     try {
       await setProfileField(field, value);
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -445,8 +1268,7 @@ profile.action(async () => {
   try {
     await showProfile();
   } catch (e) {
-    console.error(chalk.red(e?.message || String(e)));
-    process.exitCode = 1;
+    handleError(e);
   }
 });
 
@@ -463,24 +1285,11 @@ cart
   .description("View cart contents")
   .action(async () => {
     try {
-      const cartData = await apiGet("/cart");
-      
-      // Normalize: API returns item.product.price, flatten for display
-      const items = (cartData.items || []).map((item) => ({
-        ...item,
-        name: item.name || item.product?.name || `Product #${item.productId}`,
-        price: item.price ?? item.product?.price ?? 0,
-      }));
-      
-      let total = 0;
-      items.forEach((item) => {
-        total += (parseFloat(item.price) || 0) * (item.quantity || 1);
-      });
-      
-      printCart(items, total);
+      const cartData = await client.cart.get();
+      if (isStructuredOutput()) return printData(cartData, { rows: cartData.items });
+      printCart(cartData);
     } catch (e) {
-      printError(e?.message || String(e));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -491,12 +1300,10 @@ cart
   .action(async (productId, opts) => {
     try {
       const quantity = parseInt(opts.quantity) || 1;
-      const pid = /^\d+$/.test(productId) ? parseInt(productId) : productId;
-      await apiPost("/cart/add", { productId: pid, quantity });
+      await client.cart.add(productId, quantity);
       printSuccess(`Added to cart (qty: ${quantity})`);
     } catch (e) {
-      printError(e?.message || String(e));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -505,12 +1312,10 @@ cart
   .description("Remove product from cart")
   .action(async (productId) => {
     try {
-      const pid = /^\d+$/.test(productId) ? parseInt(productId) : productId;
-      await apiPost("/cart/remove", { productId: pid });
+      await client.cart.remove(productId);
       printSuccess("Removed from cart");
     } catch (e) {
-      printError(e?.message || String(e));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -519,11 +1324,10 @@ cart
   .description("Clear all items from cart")
   .action(async () => {
     try {
-      await apiPost("/cart/clear", {});
+      await client.cart.clear();
       printSuccess("Cart cleared");
     } catch (e) {
-      printError(e?.message || String(e));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -535,51 +1339,231 @@ program
   .action(async (productId, opts) => {
     try {
       const quantity = parseInt(opts.quantity) || 1;
-      const pid = /^\d+$/.test(productId) ? parseInt(productId) : productId;
-      await apiPost("/cart/add", { productId: pid, quantity });
-      console.log(chalk.green(`Added to cart (qty: ${quantity})`));
+      await client.cart.add(productId, quantity);
+      console.log(theme.primary(`Added to cart (qty: ${quantity})`));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
 // -----------------
 // checkout command
 // -----------------
+
+// Payment session statuses once the payment is settled
+const PAID_STATUSES = ["paid", "completed", "succeeded"];
+const FAILED_STATUSES = ["failed", "expired", "canceled", "cancelled"];
+
+// Digital goods and services are delivered without an address
+function needsShipping(items) {
+  return items.some((item) => {
+    const delivery = item.deliveryMethod ?? item.product?.deliveryMethod;
+    const kind = item.productKind ?? item.product?.productKind;
+    return delivery !== "digital" && kind !== "service";
+  });
+}
+
+// Lines that cannot be ordered, caught before anything is placed
+function cartProblems(items) {
+  return items.flatMap((item) => {
+    const stock = item.stock ?? item.product?.stock;
+    // The API may send quantities and stock as numeric strings
+    const quantity = Number(item.quantity);
+    let message = null;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      message = t("checkout.badQuantity", { name: item.name });
+    } else if (item.available === false || item.product?.available === false) {
+      message = t("checkout.unavailable", { name: item.name });
+    } else if (stock != null && quantity > Number(stock)) {
+      message = t("checkout.lowStock", { name: item.name, count: stock });
+    }
+    return message ? [{ productId: item.productId, message }] : [];
+  });
+}
+
+// Saved addresses, or the one set with `tm profile set address`
+function profileAddresses(user) {
+  if (Array.isArray(user?.addresses) && user.addresses.length) return user.addresses;
+  return user?.address ? [{ name: user.name, address: user.address, city: user.city, country: user.country }] : [];
+}
+
+// --address picks by ID or position in the list. Otherwise the default
+// address, or a prompt when there are several and someone is at the terminal.
+async function pickShippingAddress(user, choice) {
+  const addresses = profileAddresses(user);
+  if (choice !== undefined) {
+    return usageOrExit(() => {
+      const found = addresses.find((a) => a.id != null && String(a.id) === choice) ||
+        (/^\d+$/.test(choice) ? addresses[Number(choice) - 1] : null);
+      if (!found) throw new Error(t("checkout.unknownAddress", { choice, count: addresses.length }));
+      return found;
+    });
+  }
+  if (addresses.length > 1 && shouldPrompt() && process.stdin.isTTY && process.stdout.isTTY) {
+    const inquirer = await import("inquirer").then(m => m.default);
+    const { address } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "address",
+        message: t("checkout.chooseAddress"),
+        choices: addresses.map((a) => ({ name: a.label ? `${a.label}: ${formatAddress(a)}` : formatAddress(a), value: a })),
+        default: Math.max(0, addresses.findIndex((a) => a.isDefault)),
+      }
+    ]);
+    return address;
+  }
+  return addresses.find((a) => a.isDefault) || addresses[0] || null;
+}
+
+// Servers without the quote endpoint leave shipping and tax to the payment page
+async function quoteCheckout(request) {
+  try {
+    return await client.checkout.quote(request);
+  } catch (e) {
+    if (e instanceof ApiError && e.isNotFound) return null;
+    throw e;
+  }
+}
+
+// Polls the payment session until it is settled or `timeout` ms have
+// passed. Ctrl+C only stops the waiting; the order stays open for payment.
+async function waitForPayment(session, { timeout, interval = 3000 }) {
+  const deadline = Date.now() + timeout;
+  let interrupted = false;
+  let wake = () => {};
+  const onInterrupt = () => {
+    interrupted = true;
+    wake();
+  };
+  process.on("SIGINT", onInterrupt);
+  const spinner = isStructuredOutput() ? null : createSpinner(t("checkout.waiting"));
+  try {
+    let current = session;
+    while (![...PAID_STATUSES, ...FAILED_STATUSES].includes(current.status)) {
+      if (interrupted || Date.now() >= deadline) break;
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, Math.min(interval, deadline - Date.now()));
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      if (!interrupted) current = { ...current, ...(await client.checkout.status(session.id)) };
+    }
+    return { session: current, interrupted };
+  } finally {
+    process.off("SIGINT", onInterrupt);
+    spinner?.stop();
+  }
+}
+
 program
   .command("checkout")
-  .description("Proceed to checkout")
-  .action(async () => {
+  .description("Review the cart with shipping and tax, then place the order and pay with --confirm")
+  .option("--confirm", "Place the order and open the payment page")
+  .option("--address <id|n>", "Shipping address from your profile, by ID or position")
+  .option("--no-wait", "Don't wait for the payment to complete")
+  .option("--timeout <minutes>", "How long to wait for the payment", "15")
+  .action(async (opts) => {
+    const timeout = usageOrExit(() => {
+      const minutes = Number(opts.timeout);
+      if (!(minutes > 0)) throw new Error(`--timeout must be a positive number of minutes, got "${opts.timeout}"`);
+      return minutes * 60 * 1000;
+    });
     try {
-      const cartData = await apiGet("/cart");
+      // An expired session reads as logged out, and is reported as such
+      // before the cart or the profile's addresses are looked at
+      const { isAuthenticated, user } = await client.auth.status();
+      if (!isAuthenticated) throw new ApiError(t("error.unauthorized"), { status: 401 });
+      const cartData = await client.cart.get();
+      
+      if (cartData.items.length === 0) {
+        console.error(theme.warning(t("checkout.emptyCart")));
+        process.exitCode = EXIT_CODES.general;
+        return;
+      }
+      
+      const shipping = needsShipping(cartData.items);
+      const address = shipping ? await pickShippingAddress(user, opts.address) : null;
+      // The review works without an address; placing the order does not
+      const missingAddress = shipping && !address;
+      if (missingAddress && opts.confirm) {
+        console.error(theme.error(`✗ ${t("checkout.noAddress")}`));
+        console.error(chalk.dim(`  💡 ${t("checkout.noAddressHint")}`));
+        process.exitCode = EXIT_CODES.general;
+        return;
+      }
+      
+      const request = address?.id != null ? { addressId: address.id } : { address: address ?? undefined };
+      const quote = await quoteCheckout(request);
+      const summary = { address, ...summarizeCheckout(cartData, quote) };
+      const problems = [...cartProblems(cartData.items), ...(quote?.problems || [])];
+      const structured = isStructuredOutput();
+      
+      if (structured && (problems.length || !opts.confirm)) printData({ ...summary, problems });
+      if (!structured) printCheckoutSummary(summary);
+      if (problems.length) {
+        if (!structured) {
+          problems.forEach((p) => console.error(theme.error(`✗ ${p.message}`)));
+          console.error(chalk.dim(`  💡 ${t("checkout.problemsHint")}`));
+        }
+        process.exitCode = EXIT_CODES.general;
+        return;
+      }
+      if (!opts.confirm) {
+        if (!structured) {
+          if (missingAddress) {
+            console.log(theme.warning(`  ⚠ ${t("checkout.noAddress")}`));
+            console.log(chalk.dim(`  💡 ${t("checkout.noAddressHint")}`));
+          }
+          console.log(chalk.dim(`  💡 ${t("checkout.confirmHint")}`));
+          console.log();
+        }
+        return;
+      }
+      
+      let session = await client.checkout.create(request);
+      let interrupted = false;
+      if (!PAID_STATUSES.includes(session.status)) {
+        if (session.paymentUrl && !structured) {
+          console.log(theme.primary(`  ${t("checkout.payAt")}`));
+          console.log(theme.secondary(`  ${session.paymentUrl}`));
+          console.log();
+        }
+        if (session.paymentUrl && shouldOpenExternal()) {
+          try {
+            await open(session.paymentUrl);
+          } catch {}
+        }
+        if (opts.wait === false) {
+          if (structured) return printData(session);
+          console.log(chalk.dim(`  💡 ${t("checkout.noWait")}`));
+          return;
+        }
+        ({ session, interrupted } = await waitForPayment(session, { timeout }));
+      }
       
-      if (!cartData.items || cartData.items.length === 0) {
-        console.log(chalk.yellow("Your cart is empty. Add items first."));
+      if (PAID_STATUSES.includes(session.status)) {
+        const order = session.order ??
+          (session.orderId != null ? await client.orders.get(session.orderId) : { orderNumber: session.orderNumber, status: "paid" });
+        if (structured) return printData(order);
+        printReceipt(order, summary);
         return;
       }
       
-      console.log(chalk.bold("Checkout"));
-      console.log("");
-      console.log("Your items:");
-      
-      let total = 0;
-      cartData.items.forEach((item, i) => {
-        const name = item.name || item.product?.name || `Product #${item.productId}`;
-        const price = parseFloat(item.price ?? item.product?.price ?? 0);
-        const subtotal = price * (item.quantity || 1);
-        total += subtotal;
-        console.log(`  ${i + 1}. ${name} x${item.quantity} = $${subtotal.toFixed(2)}`);
-      });
-      
-      console.log("");
-      console.log(chalk.bold(`Total: $${total.toFixed(2)}`));
-      console.log("");
-      console.log(chalk.dim("To complete checkout, visit the web terminal or use:"));
-      console.log(chalk.dim("  tm checkout --confirm"));
+      if (structured) printData(session);
+      if (FAILED_STATUSES.includes(session.status)) {
+        console.error(theme.error(`✗ ${t("checkout.paymentFailed", { status: session.status })}`));
+        console.error(chalk.dim(`  💡 ${t("checkout.retryHint")}`));
+        process.exitCode = EXIT_CODES.payment_required;
+        return;
+      }
+      console.error(theme.warning(`⚠ ${t(interrupted ? "checkout.stoppedWaiting" : "checkout.waitTimeout")}`));
+      if (session.paymentUrl) console.error(chalk.dim(`  ${session.paymentUrl}`));
+      console.error(chalk.dim(`  💡 ${t("checkout.ordersHint")}`));
+      process.exitCode = EXIT_CODES.general;
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -591,14 +1575,18 @@ program
   .alias("history")
   .description("View your order history")
   .option("-l, --limit <n>", "Limit results", "10")
+  .option("--page <n>", "Show a single page")
+  .option("--all", "Show your whole order history")
+  .option("--page-size <n>", "Orders per request (max 200)")
   .action(async (opts) => {
     try {
-      const orders = await apiGet("/orders");
-      const limit = parseInt(opts.limit) || 10;
-      printOrders((orders || []).slice(0, limit));
+      const list = createListOutput(createOrdersStream);
+      for await (const orders of client.orders.pages(pageOptions(opts, 10))) {
+        list.write(orders);
+      }
+      list.end();
     } catch (e) {
-      printError(e?.message || String(e));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -613,24 +1601,23 @@ program
     try {
       const ratingNum = parseInt(rating);
       if (ratingNum < 1 || ratingNum > 5) {
-        console.error(chalk.red("Rating must be between 1 and 5."));
+        console.error(theme.error("Rating must be between 1 and 5."));
         return;
       }
       
       const commentText = comment.join(" ") || undefined;
       
-      await apiPost(`/stores/${storeId}/reviews`, {
+      await client.stores.review(storeId, {
         rating: ratingNum,
         comment: commentText
       });
       
-      console.log(chalk.green(`Review submitted! ${formatStars(ratingNum)}`));
+      console.log(theme.primary(`Review submitted! ${formatStars(ratingNum)}`));
       if (commentText) {
         console.log(chalk.dim(`Comment: "${commentText}"`));
       }
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -640,11 +1627,11 @@ program
   .description("View reviews for a store")
   .action(async (storeId) => {
     try {
-      const data = await apiGet(`/stores/${storeId}/reviews`);
+      const data = await client.stores.reviews(storeId);
+      if (isStructuredOutput()) return printData(data, { rows: data.reviews || [] });
       printReviews(data.reviews || [], data.averageRating);
     } catch (e) {
-      printError(e?.message || String(e));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -656,7 +1643,7 @@ program
   .description("View store details")
   .action(async (storeId) => {
     try {
-      const store = await apiGet(`/stores/${storeId}`);
+      const store = await client.stores.get(storeId);
       
       if (!store) {
         printError("Store not found");
@@ -665,16 +1652,16 @@ program
       
       // Get rating
       try {
-        const rating = await apiGet(`/stores/${storeId}/rating`);
+        const rating = await client.stores.rating(storeId);
         if (rating.count > 0) {
           store.rating = rating.average;
         }
       } catch {}
       
+      if (isStructuredOutput()) return printData(store);
       printStoreCard(store);
     } catch (e) {
-      printError(e?.message || String(e));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -691,7 +1678,8 @@ ai
   .description("List available AI models")
   .action(async () => {
     try {
-      const data = await apiGet("/ai/models");
+      const data = await client.ai.models();
+      if (isStructuredOutput()) return printData(data.models || []);
       const { models, categories } = data;
       
       // Add category names to models
@@ -699,13 +1687,12 @@ ai
       const modelsWithCat = (models || []).map(m => ({
         ...m,
         categoryName: catMap.get(m.categoryId)?.name || 'Other',
-        creditsPerRun: '$' + parseFloat(m.pricePerRun).toFixed(4)
+        creditsPerRun: formatCredits(m.pricePerRun)
       }));
       
       printAIModels(modelsWithCat, categories);
     } catch (e) {
-      printError(e?.message || String(e));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -716,14 +1703,14 @@ ai
     try {
       const inputText = input.join(" ");
       if (!inputText) {
-        console.error(chalk.red("Input is required. Usage: tm ai run <model> <input>"));
+        console.error(theme.error(t("ai.inputRequired")));
         return;
       }
       
       // Check if agent supports chat (has workflowId) — use Responses API for better results
       let hasChatKit = false;
       try {
-        const agentInfo = await apiGet(`/ai/agents/${model}`);
+        const agentInfo = await client.ai.agent(model);
         hasChatKit = !!agentInfo?.hasChatKit;
       } catch {
         // Not found or no info — proceed with regular run
@@ -732,9 +1719,9 @@ ai
       let result;
       if (hasChatKit) {
         // Use chat endpoint (Responses API) for workflow agents
-        result = await apiPost(`/ai/chat/${model}`, { message: inputText });
+        result = await client.ai.chat(model, inputText);
         
-        console.log(chalk.bold.cyan(`🧠 ${result.model || model}`));
+        console.log(theme.secondary.bold(`🧠 ${result.model || model}`));
         console.log("");
         
         if (result.text) {
@@ -742,18 +1729,16 @@ ai
             const parsed = JSON.parse(result.text);
             printStructured(parsed, 0);
           } catch {
-            console.log(chalk.white(result.text));
+            printMarkdown(result.text);
           }
         }
         
         console.log("");
-        const creditsUsed = Number(result.creditsUsed ?? 0);
-        const newBalance = result.newBalance ?? "0.0000";
-        console.log(`${chalk.dim("credits used:")} $${creditsUsed.toFixed(4)}`);
-        console.log(`${chalk.dim("new balance:")} $${newBalance}`);
+        console.log(`${chalk.dim("credits used:")} ${formatCredits(result.creditsUsed)}`);
+        console.log(`${chalk.dim("new balance:")} ${formatCredits(result.newBalance)}`);
       } else {
         // Regular model — use run endpoint
-        result = await apiPost(`/ai/run/${model}`, { input: inputText });
+        result = await client.ai.run(model, inputText);
         
         console.log(chalk.bold("AI Result"));
         console.log("");
@@ -767,7 +1752,7 @@ ai
               const parsed = JSON.parse(content);
               printStructured(parsed, 0);
             } catch {
-              console.log(chalk.white(content));
+              printMarkdown(content);
             }
           } else if (content && typeof content === 'object') {
             printStructured(content, 0);
@@ -776,7 +1761,7 @@ ai
               const parsed = JSON.parse(agentOutput.resultText);
               printStructured(parsed, 0);
             } catch {
-              console.log(chalk.white(agentOutput.resultText));
+              printMarkdown(agentOutput.resultText);
             }
           }
           if (agentOutput.runTimeMs) {
@@ -790,18 +1775,11 @@ ai
         }
         
         console.log("");
-        const creditsUsed = Number(result.creditsUsed ?? 0);
-        const newBalance = result.newBalance ?? "0.0000";
-        console.log(`${chalk.dim("credits used:")} $${creditsUsed.toFixed(4)}`);
-        console.log(`${chalk.dim("new balance:")} $${newBalance}`);
+        console.log(`${chalk.dim("credits used:")} ${formatCredits(result.creditsUsed)}`);
+        console.log(`${chalk.dim("new balance:")} ${formatCredits(result.newBalance)}`);
       }
     } catch (e) {
-      if (e?.message?.includes("402") || e?.message?.includes("Insufficient")) {
-        console.error(chalk.red("Insufficient credits. Use 'tm ai topup <amount>' to add credits."));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-      }
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -813,16 +1791,16 @@ ai
       // Check if agent exists and supports chat
       let agentInfo;
       try {
-        agentInfo = await apiGet(`/ai/agents/${agent}`);
+        agentInfo = await client.ai.agent(agent);
       } catch {
-        console.error(chalk.red(`Agent "${agent}" not found. Use 'tm ai list' to see available agents.`));
+        console.error(theme.error(`Agent "${agent}" not found. Use 'tm ai list' to see available agents.`));
         process.exitCode = 1;
         return;
       }
 
-      console.log(chalk.bold.cyan(`🧠 ${agentInfo.name}`));
+      console.log(theme.secondary.bold(`🧠 ${agentInfo.name}`));
       if (agentInfo.description) console.log(chalk.dim(agentInfo.description));
-      console.log(chalk.dim(`Price per message: $${parseFloat(agentInfo.pricePerRun).toFixed(4)}`));
+      console.log(chalk.dim(`Price per message: ${formatCredits(agentInfo.pricePerRun)}`));
       console.log(chalk.dim('Type "exit" or "quit" to end chat.\n'));
 
       // If initial message provided, send it first
@@ -833,10 +1811,7 @@ ai
 
       const sendMessage = async (text) => {
         try {
-          const result = await apiPost(`/ai/chat/${agent}`, { 
-            message: text,
-            ...(previousResponseId ? { previousResponseId } : {})
-          });
+          const result = await client.ai.chat(agent, text, { previousResponseId });
 
           // Store response ID for conversation continuity
           if (result.responseId) {
@@ -850,28 +1825,23 @@ ai
               const parsed = JSON.parse(result.text);
               printStructured(parsed, 0);
             } catch {
-              // Plain text — print as markdown-like
-              console.log(chalk.white(result.text));
+              // Plain text, usually markdown
+              printMarkdown(result.text);
             }
           } else {
             console.log(chalk.dim("(no response)"));
           }
 
-          const creditsUsed = Number(result.creditsUsed ?? 0);
-          console.log(chalk.dim(`\n  [$${creditsUsed.toFixed(4)} credits | balance: $${result.newBalance}]`));
+          console.log(chalk.dim(`\n  [${formatCredits(result.creditsUsed)} credits | balance: ${formatCredits(result.newBalance)}]`));
           console.log();
         } catch (e) {
-          if (e?.message?.includes("402") || e?.message?.includes("Insufficient")) {
-            console.error(chalk.red("Insufficient credits. Use 'tm ai topup <amount>' to add."));
-          } else {
-            console.error(chalk.red(e?.message || "Failed to get response"));
-          }
+          handleError(e);
         }
       };
 
       // Send initial message if provided
       if (initialMessage) {
-        console.log(chalk.green(`you: ${initialMessage}`));
+        console.log(theme.primary(`you: ${initialMessage}`));
         await sendMessage(initialMessage);
       }
 
@@ -883,7 +1853,7 @@ ai
       });
 
       const prompt = () => {
-        rl.question(chalk.green('you: '), async (line) => {
+        rl.question(theme.primary('you: '), async (line) => {
           const trimmed = line.trim();
           if (!trimmed || trimmed === 'exit' || trimmed === 'quit' || trimmed === '/exit') {
             console.log(chalk.dim('Chat ended.'));
@@ -897,28 +1867,27 @@ ai
 
       prompt();
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
 // Helper: pretty-print structured JSON in terminal
 function printStructured(obj, depth) {
   if (!obj || typeof obj !== 'object') {
-    console.log(chalk.white(String(obj)));
+    console.log(theme.text(String(obj)));
     return;
   }
   const indent = '  '.repeat(depth);
   for (const [key, value] of Object.entries(obj)) {
     const label = key.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
     if (Array.isArray(value)) {
-      console.log(`${indent}${chalk.cyan(label)}:`);
+      console.log(`${indent}${theme.secondary(label)}:`);
       for (const item of value) {
         if (typeof item === 'object' && item !== null) {
           console.log(`${indent}  ${chalk.dim('─')}`);
           printStructured(item, depth + 2);
         } else {
-          console.log(`${indent}  ${chalk.dim('•')} ${chalk.white(String(item))}`);
+          console.log(`${indent}  ${chalk.dim('•')} ${theme.text(String(item))}`);
         }
       }
     } else if (typeof value === 'object' && value !== null) {
@@ -926,15 +1895,15 @@ function printStructured(obj, depth) {
       const keys = Object.keys(value);
       if (keys.length <= 3 && keys.every(k => typeof value[k] !== 'object')) {
         const parts = Object.entries(value).map(([k, v]) => `${v}`).join(' ');
-        console.log(`${indent}${chalk.cyan(label)}: ${chalk.white(parts)}`);
+        console.log(`${indent}${theme.secondary(label)}: ${theme.text(parts)}`);
       } else {
-        console.log(`${indent}${chalk.cyan(label)}:`);
+        console.log(`${indent}${theme.secondary(label)}:`);
         printStructured(value, depth + 1);
       }
     } else if (typeof value === 'boolean') {
-      console.log(`${indent}${chalk.cyan(label)}: ${value ? chalk.green('✓ Yes') : chalk.red('✗ No')}`);
+      console.log(`${indent}${theme.secondary(label)}: ${value ? theme.primary('✓ Yes') : theme.error('✗ No')}`);
     } else {
-      console.log(`${indent}${chalk.cyan(label)}: ${chalk.white(String(value))}`);
+      console.log(`${indent}${theme.secondary(label)}: ${theme.text(String(value))}`);
     }
   }
 }
@@ -945,24 +1914,20 @@ ai
   .description("Check your AI credit balance")
   .action(async () => {
     try {
-      const credits = await apiGet("/credits");
+      const credits = await client.credits.balance();
+      if (isStructuredOutput()) return printData(credits);
       
       console.log();
-      console.log(chalk.cyan.bold('  💳 AI Credits'));
+      console.log(theme.secondary.bold('  💳 AI Credits'));
       console.log();
-      console.log(`  ${chalk.white('Balance:')}     ${chalk.green.bold('$' + parseFloat(credits.balance).toFixed(4))}`);
-      console.log(`  ${chalk.dim('Purchased:')}   $${parseFloat(credits.totalPurchased).toFixed(2)}`);
-      console.log(`  ${chalk.dim('Spent:')}       $${parseFloat(credits.totalSpent).toFixed(4)}`);
+      console.log(`  ${theme.text('Balance:')}     ${theme.primary.bold(formatCredits(credits.balance))}`);
+      console.log(`  ${chalk.dim('Purchased:')}   ${formatCredits(credits.totalPurchased, 2)}`);
+      console.log(`  ${chalk.dim('Spent:')}       ${formatCredits(credits.totalSpent)}`);
       console.log();
-      console.log(chalk.dim('  💡 tm ai topup <amount> — add more credits'));
+      console.log(chalk.dim(`  💡 tm ai topup <amount> — ${t("ai.topupHint")}`));
       console.log();
     } catch (e) {
-      if (e?.message?.includes("401") || e?.message?.includes("Login")) {
-        printWarning("Please login first: tm login <email>");
-      } else {
-        printError(e?.message || String(e));
-        process.exitCode = 1;
-      }
+      handleError(e);
     }
   });
 
@@ -972,18 +1937,18 @@ ai
   .description("Add credits to your account ($5 minimum)")
   .action(async (amount) => {
     try {
-      const amountNum = parseFloat(amount);
-      if (isNaN(amountNum) || amountNum < 5) {
-        console.error(chalk.red("Minimum top-up is $5"));
+      const topup = toMoney(amount, CREDIT_CURRENCY);
+      if (!topup || moneyToNumber(topup) < 5) {
+        console.error(theme.error("Minimum top-up is $5"));
         return;
       }
       
-      const result = await apiPost("/credits/topup", { amount: amountNum });
+      const result = await client.credits.topup(moneyToNumber(topup));
       
-      console.log(chalk.green("Payment link created!"));
+      console.log(theme.primary("Payment link created!"));
       console.log("");
       console.log("Open this link to complete payment:");
-      console.log(chalk.cyan(result.url));
+      console.log(theme.secondary(result.url));
       console.log("");
       console.log(chalk.dim("Credits will be added after payment."));
       
@@ -995,12 +1960,7 @@ ai
         } catch {}
       }
     } catch (e) {
-      if (e?.message?.includes("401") || e?.message?.includes("Login")) {
-        console.log(chalk.yellow("Please login first: tm login <email> <password>"));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-        process.exitCode = 1;
-      }
+      handleError(e);
     }
   });
 
@@ -1010,33 +1970,29 @@ ai
   .option("-l, --limit <n>", "Limit results", "20")
   .action(async (opts) => {
     try {
-      const logs = await apiGet("/ai/history");
+      const logs = await client.ai.history();
       const limit = parseInt(opts.limit) || 20;
+      if (isStructuredOutput()) return printData((logs || []).slice(0, limit));
       
       if (!logs || logs.length === 0) {
-        console.log(chalk.yellow("No AI usage history yet."));
-        console.log(chalk.dim("Try: tm ai run <model> <input>"));
+        console.log(theme.warning(t("ai.noHistory")));
+        console.log(chalk.dim(t("ai.noHistoryHint")));
         return;
       }
       
-      console.log(chalk.bold("AI Usage History"));
+      console.log(chalk.bold(t("ai.history")));
       console.log("");
       
       logs.slice(0, limit).forEach(log => {
-        const date = new Date(log.createdAt).toLocaleDateString();
-        const credits = parseFloat(log.creditsCharged).toFixed(4);
-        const statusColor = log.status === "completed" ? chalk.green : 
-                           log.status === "failed" ? chalk.red : chalk.yellow;
+        const date = formatDate(log.createdAt);
+        const credits = formatCredits(log.creditsCharged);
+        const statusColor = log.status === "completed" ? theme.primary : 
+                           log.status === "failed" ? theme.error : theme.warning;
         
-        console.log(`${date}  Model #${log.modelId}  $${credits}  ${statusColor(log.status)}`);
+        console.log(`${date}  ${t("ai.model", { id: log.modelId })}  ${credits}  ${statusColor(log.status)}`);
       });
     } catch (e) {
-      if (e?.message?.includes("401") || e?.message?.includes("Login")) {
-        console.log(chalk.yellow("Please login first: tm login <email> <password>"));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-        process.exitCode = 1;
-      }
+      handleError(e);
     }
   });
 
@@ -1046,16 +2002,13 @@ program
   .description("Check AI credits (shortcut)")
   .action(async () => {
     try {
-      const credits = await apiGet("/credits");
+      const credits = await client.credits.balance();
+      if (isStructuredOutput()) return printData(credits);
       console.log(chalk.bold("AI Credits"));
-      console.log(`${chalk.dim("balance:")} $${parseFloat(credits.balance).toFixed(4)}`);
+      console.log(`${chalk.dim("balance:")} ${formatCredits(credits.balance)}`);
       console.log(chalk.dim("Top up: tm ai topup <amount>"));
     } catch (e) {
-      if (e?.message?.includes("401")) {
-        console.log(chalk.yellow("Please login first."));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-      }
+      handleError(e);
     }
   });
 
@@ -1063,19 +2016,19 @@ program
   .command("topup <amount>")
   .description("Add AI credits (shortcut)")
   .action(async (amount) => {
-    const amountNum = parseFloat(amount);
-    if (isNaN(amountNum) || amountNum < 5) {
-      console.error(chalk.red("Minimum top-up is $5"));
+    const topup = toMoney(amount, CREDIT_CURRENCY);
+    if (!topup || moneyToNumber(topup) < 5) {
+      console.error(theme.error("Minimum top-up is $5"));
       return;
     }
     try {
-      const result = await apiPost("/credits/topup", { amount: amountNum });
-      console.log(chalk.green("Payment link: ") + chalk.cyan(result.url));
+      const result = await client.credits.topup(moneyToNumber(topup));
+      console.log(theme.primary("Payment link: ") + theme.secondary(result.url));
       if (shouldOpenExternal()) {
         try { await open(result.url); } catch {}
       }
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
+      handleError(e);
     }
   });
 
@@ -1092,10 +2045,11 @@ alias
   .description("List your aliases")
   .action(async () => {
     try {
-      const aliases = await apiGet("/aliases");
+      const aliases = await client.aliases.list();
+      if (isStructuredOutput()) return printData(aliases);
       
       if (!aliases || aliases.length === 0) {
-        console.log(chalk.yellow("No aliases defined."));
+        console.log(theme.warning("No aliases defined."));
         console.log(chalk.dim("Create one: tm alias add <name> <command>"));
         return;
       }
@@ -1103,14 +2057,10 @@ alias
       console.log(chalk.bold("Your Aliases"));
       console.log("");
       aliases.forEach(a => {
-        console.log(`  ${chalk.cyan(a.name)} → ${a.command}`);
+        console.log(`  ${theme.secondary(a.name)} → ${a.command}`);
       });
     } catch (e) {
-      if (e?.message?.includes("401")) {
-        console.log(chalk.yellow("Please login first."));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-      }
+      handleError(e);
     }
   });
 
@@ -1120,10 +2070,10 @@ alias
   .action(async (name, command) => {
     try {
       const commandStr = command.join(" ");
-      await apiPost("/aliases", { name, command: commandStr });
-      console.log(chalk.green(`Alias created: ${name} → ${commandStr}`));
+      await client.aliases.create(name, commandStr);
+      console.log(theme.primary(`Alias created: ${name} → ${commandStr}`));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
+      handleError(e);
     }
   });
 
@@ -1133,10 +2083,10 @@ alias
   .description("Remove an alias")
   .action(async (name) => {
     try {
-      await apiDelete(`/aliases/${encodeURIComponent(name)}`);
-      console.log(chalk.green(`Alias '${name}' removed.`));
+      await client.aliases.remove(name);
+      console.log(theme.primary(`Alias '${name}' removed.`));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
+      handleError(e);
     }
   });
 
@@ -1145,20 +2095,17 @@ program
   .description("List your aliases (shortcut)")
   .action(async () => {
     try {
-      const aliases = await apiGet("/aliases");
+      const aliases = await client.aliases.list();
+      if (isStructuredOutput()) return printData(aliases);
       if (!aliases || aliases.length === 0) {
-        console.log(chalk.yellow("No aliases. Create: tm alias add <name> <command>"));
+        console.log(theme.warning("No aliases. Create: tm alias add <name> <command>"));
         return;
       }
       aliases.forEach(a => {
-        console.log(`${chalk.cyan(a.name)} → ${a.command}`);
+        console.log(`${theme.secondary(a.name)} → ${a.command}`);
       });
     } catch (e) {
-      if (e?.message?.includes("401")) {
-        console.log(chalk.yellow("Please login first."));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-      }
+      handleError(e);
     }
   });
 
@@ -1175,10 +2122,11 @@ reward
   .description("List your reward rules")
   .action(async () => {
     try {
-      const rules = await apiGet("/rewards");
+      const rules = await client.rewards.list();
+      if (isStructuredOutput()) return printData(rules);
       
       if (!rules || rules.length === 0) {
-        console.log(chalk.yellow("No reward rules defined."));
+        console.log(theme.warning("No reward rules defined."));
         console.log(chalk.dim("Create one: tm reward add <productId> <pushCount>"));
         return;
       }
@@ -1186,16 +2134,12 @@ reward
       console.log(chalk.bold("Your Reward Rules"));
       console.log("");
       rules.forEach(r => {
-        const status = r.active ? chalk.green("active") : chalk.dim("paused");
+        const status = r.active ? theme.primary("active") : chalk.dim("paused");
         console.log(`  Product #${r.productId}: every ${r.pushCount} pushes [${status}]`);
         console.log(`    ${chalk.dim(`progress: ${r.currentPushes || 0}/${r.pushCount}`)}`);
       });
     } catch (e) {
-      if (e?.message?.includes("401")) {
-        console.log(chalk.yellow("Please login first."));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-      }
+      handleError(e);
     }
   });
 
@@ -1204,14 +2148,11 @@ reward
   .description("Create a reward rule (auto-order after N pushes)")
   .action(async (productId, pushCount) => {
     try {
-      await apiPost("/rewards", {
-        productId: /^\d+$/.test(productId) ? parseInt(productId) : productId,
-        pushCount: parseInt(pushCount)
-      });
-      console.log(chalk.green(`Reward rule created! Product #${productId} every ${pushCount} pushes.`));
+      await client.rewards.create(productId, parseInt(pushCount));
+      console.log(theme.primary(`Reward rule created! Product #${productId} every ${pushCount} pushes.`));
       console.log(chalk.dim("Connect GitHub webhook to start tracking pushes."));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
+      handleError(e);
     }
   });
 
@@ -1221,10 +2162,10 @@ reward
   .description("Remove a reward rule")
   .action(async (productId) => {
     try {
-      await apiDelete(`/rewards/${productId}`);
-      console.log(chalk.green(`Reward rule for product #${productId} removed.`));
+      await client.rewards.remove(productId);
+      console.log(theme.primary(`Reward rule for product #${productId} removed.`));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
+      handleError(e);
     }
   });
 
@@ -1233,21 +2174,18 @@ program
   .description("List reward rules (shortcut)")
   .action(async () => {
     try {
-      const rules = await apiGet("/rewards");
+      const rules = await client.rewards.list();
+      if (isStructuredOutput()) return printData(rules);
       if (!rules || rules.length === 0) {
-        console.log(chalk.yellow("No reward rules. Create: tm reward add <productId> <pushCount>"));
+        console.log(theme.warning("No reward rules. Create: tm reward add <productId> <pushCount>"));
         return;
       }
       rules.forEach(r => {
-        const status = r.active ? chalk.green("✓") : chalk.dim("○");
+        const status = r.active ? theme.primary("✓") : chalk.dim("○");
         console.log(`${status} Product #${r.productId}: every ${r.pushCount} pushes (${r.currentPushes || 0}/${r.pushCount})`);
       });
     } catch (e) {
-      if (e?.message?.includes("401")) {
-        console.log(chalk.yellow("Please login first."));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-      }
+      handleError(e);
     }
   });
 
@@ -1255,7 +2193,6 @@ program
 // subscriptions (recurring orders)
 // -----------------
 const DAYS_SHORT = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
-const DAYS_FULL = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
 const subscribe = program
   .command("subscribe")
@@ -1266,43 +2203,41 @@ subscribe
   .description("List your subscriptions")
   .action(async () => {
     try {
-      const subs = await apiGet("/subscriptions");
+      const subs = await client.subscriptions.list();
+      if (isStructuredOutput()) return printData(subs);
       if (!subs || subs.length === 0) {
-        console.log(chalk.yellow("No subscriptions yet."));
+        console.log(theme.warning("No subscriptions yet."));
         console.log(chalk.dim("Create one: tm subscribe add <productId> <frequency> [options]"));
         return;
       }
-      console.log(chalk.bold("\nYour Subscriptions\n"));
+      console.log(chalk.bold(`\n${t("subscriptions.title")}\n`));
       subs.forEach(s => {
-        const status = s.status === 'active' ? chalk.green("✓") : 
-                       s.status === 'paused' ? chalk.yellow("⏸") : chalk.dim("✗");
+        const status = s.status === 'active' ? theme.primary("✓") : 
+                       s.status === 'paused' ? theme.warning("⏸") : chalk.dim("✗");
         const schedule = formatSchedule(s.frequency, s.dayOfWeek, s.dayOfMonth, s.timeOfDay);
-        const next = s.nextOrderAt ? new Date(s.nextOrderAt).toLocaleDateString() : '-';
-        console.log(`${status} #${s.id} ${chalk.cyan(s.name || 'Subscription')}`);
-        console.log(`   ${chalk.dim('Product:')} ${s.product?.name || `ID #${s.productId}`}`);
-        console.log(`   ${chalk.dim('Schedule:')} ${schedule}`);
-        console.log(`   ${chalk.dim('Next:')} ${next}  ${chalk.dim('Orders:')} ${s.totalOrders}`);
+        const next = formatDate(s.nextOrderAt);
+        console.log(`${status} #${s.id} ${theme.secondary(s.name || t("subscriptions.unnamed"))}`);
+        console.log(`   ${chalk.dim(t("field.product") + ':')} ${s.product?.name || `ID #${s.productId}`}`);
+        console.log(`   ${chalk.dim(t("subscriptions.schedule") + ':')} ${schedule}`);
+        console.log(`   ${chalk.dim(t("subscriptions.next") + ':')} ${next}  ${chalk.dim(t("subscriptions.orders") + ':')} ${s.totalOrders}`);
         console.log();
       });
     } catch (e) {
-      if (e?.message?.includes("401")) {
-        console.log(chalk.yellow("Please login first: tm login"));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-      }
+      handleError(e);
     }
   });
 
+// 1 → "1st" in English, "1." in German and Czech
+function ordinal(n) {
+  return t("schedule.ordinal", { count: n });
+}
+
 function formatSchedule(frequency, dayOfWeek, dayOfMonth, timeOfDay) {
   const time = timeOfDay || '09:00';
-  if (frequency === 'daily') return `Daily at ${time}`;
-  if (frequency === 'weekly' && dayOfWeek != null) return `${DAYS_FULL[dayOfWeek]} at ${time}`;
+  if (frequency === 'daily') return t("schedule.daily", { time });
+  if (frequency === 'weekly' && dayOfWeek != null) return t("schedule.weekly", { day: weekdayName(dayOfWeek), time });
   if (frequency === 'monthly' && dayOfMonth != null) {
-    const suffix = dayOfMonth > 3 && dayOfMonth < 21 ? 'th' : 
-                   dayOfMonth % 10 === 1 ? 'st' : 
-                   dayOfMonth % 10 === 2 ? 'nd' : 
-                   dayOfMonth % 10 === 3 ? 'rd' : 'th';
-    return `${dayOfMonth}${suffix} of month at ${time}`;
+    return t("schedule.monthly", { day: ordinal(dayOfMonth), time });
   }
   return frequency;
 }
@@ -1317,7 +2252,7 @@ subscribe
     try {
       const validFreq = ['daily', 'weekly', 'monthly'];
       if (!validFreq.includes(frequency)) {
-        console.log(chalk.red(`Invalid frequency. Use: ${validFreq.join(', ')}`));
+        console.log(theme.error(`Invalid frequency. Use: ${validFreq.join(', ')}`));
         return;
       }
       
@@ -1331,7 +2266,7 @@ subscribe
       if (frequency === 'weekly') {
         const dayIndex = DAYS_SHORT.indexOf(options.day?.toLowerCase());
         if (dayIndex === -1) {
-          console.log(chalk.red("Weekly requires --day (mon, tue, wed, thu, fri, sat, sun)"));
+          console.log(theme.error("Weekly requires --day (mon, tue, wed, thu, fri, sat, sun)"));
           return;
         }
         payload.dayOfWeek = dayIndex;
@@ -1340,24 +2275,20 @@ subscribe
       if (frequency === 'monthly') {
         const dayNum = parseInt(options.day);
         if (isNaN(dayNum) || dayNum < 1 || dayNum > 31) {
-          console.log(chalk.red("Monthly requires --day (1-31)"));
+          console.log(theme.error("Monthly requires --day (1-31)"));
           return;
         }
         payload.dayOfMonth = dayNum;
       }
       
-      const sub = await apiPost("/subscriptions", payload);
-      console.log(chalk.green(`\n✓ Subscription created!`));
-      console.log(`  ${chalk.dim('Name:')} ${sub.name}`);
-      console.log(`  ${chalk.dim('Product:')} ${sub.product?.name || productId}`);
-      console.log(`  ${chalk.dim('Schedule:')} ${formatSchedule(sub.frequency, sub.dayOfWeek, sub.dayOfMonth, sub.timeOfDay)}`);
-      console.log(`  ${chalk.dim('Next order:')} ${new Date(sub.nextOrderAt).toLocaleString()}`);
+      const sub = await client.subscriptions.create(payload);
+      console.log(theme.primary(`\n✓ ${t("subscriptions.created")}`));
+      console.log(`  ${chalk.dim(t("field.name") + ':')} ${sub.name}`);
+      console.log(`  ${chalk.dim(t("field.product") + ':')} ${sub.product?.name || productId}`);
+      console.log(`  ${chalk.dim(t("subscriptions.schedule") + ':')} ${formatSchedule(sub.frequency, sub.dayOfWeek, sub.dayOfMonth, sub.timeOfDay)}`);
+      console.log(`  ${chalk.dim(t("subscriptions.nextOrder") + ':')} ${formatDateTime(sub.nextOrderAt)}`);
     } catch (e) {
-      if (e?.message?.includes("401")) {
-        console.log(chalk.yellow("Please login first: tm login"));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-      }
+      handleError(e);
     }
   });
 
@@ -1366,10 +2297,10 @@ subscribe
   .description("Pause a subscription")
   .action(async (id) => {
     try {
-      await apiPatch(`/subscriptions/${id}`, { status: 'paused' });
-      console.log(chalk.green(`Subscription #${id} paused.`));
+      await client.subscriptions.pause(id);
+      console.log(theme.primary(`Subscription #${id} paused.`));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
+      handleError(e);
     }
   });
 
@@ -1378,10 +2309,10 @@ subscribe
   .description("Resume a paused subscription")
   .action(async (id) => {
     try {
-      await apiPatch(`/subscriptions/${id}`, { status: 'active' });
-      console.log(chalk.green(`Subscription #${id} resumed.`));
+      await client.subscriptions.resume(id);
+      console.log(theme.primary(`Subscription #${id} resumed.`));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
+      handleError(e);
     }
   });
 
@@ -1390,10 +2321,10 @@ subscribe
   .description("Cancel a subscription")
   .action(async (id) => {
     try {
-      await apiDelete(`/subscriptions/${id}`);
-      console.log(chalk.green(`Subscription #${id} cancelled.`));
+      await client.subscriptions.cancel(id);
+      console.log(theme.primary(`Subscription #${id} cancelled.`));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
+      handleError(e);
     }
   });
 
@@ -1402,22 +2333,19 @@ program
   .description("List subscriptions (shortcut)")
   .action(async () => {
     try {
-      const subs = await apiGet("/subscriptions");
+      const subs = await client.subscriptions.list();
+      if (isStructuredOutput()) return printData(subs);
       if (!subs || subs.length === 0) {
-        console.log(chalk.yellow("No subscriptions. Create: tm subscribe add <productId> <frequency>"));
+        console.log(theme.warning("No subscriptions. Create: tm subscribe add <productId> <frequency>"));
         return;
       }
       subs.forEach(s => {
-        const status = s.status === 'active' ? chalk.green("✓") : chalk.yellow("⏸");
+        const status = s.status === 'active' ? theme.primary("✓") : theme.warning("⏸");
         const schedule = formatSchedule(s.frequency, s.dayOfWeek, s.dayOfMonth, s.timeOfDay);
         console.log(`${status} #${s.id} ${s.name || 'Subscription'} - ${schedule}`);
       });
     } catch (e) {
-      if (e?.message?.includes("401")) {
-        console.log(chalk.yellow("Please login first: tm login"));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-      }
+      handleError(e);
     }
   });
 
@@ -1433,38 +2361,36 @@ wishlist
   .description("Show your wishlist")
   .action(async () => {
     try {
-      const items = await apiGet("/wishlist");
+      const items = await client.wishlist.list();
+      if (isStructuredOutput()) return printData(items);
       if (!items || items.length === 0) {
-        console.log(chalk.yellow("Your wishlist is empty."));
-        console.log(chalk.dim("Add products: tm wishlist add <productId>"));
+        console.log(theme.warning(t("wishlist.empty")));
+        console.log(chalk.dim(t("wishlist.emptyHint")));
         return;
       }
       console.log(chalk.bold("\nYour Wishlist\n"));
       items.forEach((item, idx) => {
-        const priceChange = getPriceChangeStr(item.priceAtAdd, item.product?.price);
-        console.log(`${chalk.cyan(idx + 1 + ')')} ${item.product?.name || `Product #${item.productId}`}`);
-        console.log(`   ${chalk.dim('Price:')} ${item.product?.price || '?'}${priceChange}`);
+        const priceChange = getPriceChangeStr(item.priceAtAdd, item.product?.price, item.product?.currency);
+        console.log(`${theme.secondary(idx + 1 + ')')} ${item.product?.name || `Product #${item.productId}`}`);
+        const price = item.product?.price ? formatPrice(item.product.price, item.product.currency) : '?';
+        console.log(`   ${chalk.dim('Price:')} ${price}${priceChange}`);
         if (item.note) console.log(`   ${chalk.dim('Note:')} ${item.note}`);
-        if (item.priceAlert) console.log(`   ${chalk.yellow('Alert:')} ${item.targetPrice}`);
+        if (item.priceAlert) console.log(`   ${theme.warning('Alert:')} ${formatPrice(item.targetPrice, item.product?.currency)}`);
         console.log();
       });
     } catch (e) {
-      if (e?.message?.includes("401")) {
-        console.log(chalk.yellow("Please login first: tm login"));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-      }
+      handleError(e);
     }
   });
 
-function getPriceChangeStr(oldPrice, newPrice) {
-  if (!oldPrice || !newPrice) return '';
-  const old = parseFloat(oldPrice);
-  const curr = parseFloat(newPrice);
-  if (old === curr) return '';
-  const diff = curr - old;
-  if (diff < 0) return chalk.green(` ↓${Math.abs(diff).toFixed(2)}`);
-  return chalk.red(` ↑${diff.toFixed(2)}`);
+function getPriceChangeStr(oldPrice, newPrice, currency) {
+  const old = oldPrice ? toMoney(oldPrice, currency) : null;
+  const curr = newPrice ? toMoney(newPrice, currency) : null;
+  if (!old || !curr) return '';
+  const diff = subtractMoney(curr, old);
+  if (diff.minor === 0) return '';
+  if (diff.minor < 0) return theme.primary(` ↓${formatPrice({ ...diff, minor: -diff.minor })}`);
+  return theme.error(` ↑${formatPrice(diff)}`);
 }
 
 wishlist
@@ -1473,18 +2399,11 @@ wishlist
   .option("-n, --note <note>", "Add a note")
   .action(async (productId, options) => {
     try {
-      const item = await apiPost("/wishlist", {
-        productId: /^\d+$/.test(productId) ? parseInt(productId) : productId,
-        note: options.note,
-      });
-      console.log(chalk.green(`✓ Added to wishlist: ${item.product?.name || productId}`));
+      const item = await client.wishlist.add(productId, { note: options.note });
+      console.log(theme.primary(`✓ Added to wishlist: ${item.product?.name || productId}`));
       if (options.note) console.log(chalk.dim(`  Note: ${options.note}`));
     } catch (e) {
-      if (e?.message?.includes("401")) {
-        console.log(chalk.yellow("Please login first: tm login"));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-      }
+      handleError(e);
     }
   });
 
@@ -1493,10 +2412,10 @@ wishlist
   .description("Remove from wishlist")
   .action(async (productId) => {
     try {
-      await apiDelete(`/wishlist/${productId}`);
-      console.log(chalk.green(`Removed from wishlist.`));
+      await client.wishlist.remove(productId);
+      console.log(theme.primary(`Removed from wishlist.`));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
+      handleError(e);
     }
   });
 
@@ -1505,10 +2424,10 @@ wishlist
   .description("Add/update note on wishlist item")
   .action(async (productId, note) => {
     try {
-      await apiPatch(`/wishlist/${productId}`, { note: note.join(' ') });
-      console.log(chalk.green(`Note updated.`));
+      await client.wishlist.update(productId, { note: note.join(' ') });
+      console.log(theme.primary(`Note updated.`));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
+      handleError(e);
     }
   });
 
@@ -1517,13 +2436,13 @@ wishlist
   .description("Set price drop alert")
   .action(async (productId, price) => {
     try {
-      await apiPatch(`/wishlist/${productId}`, { 
+      await client.wishlist.update(productId, { 
         priceAlert: true,
         targetPrice: price,
       });
-      console.log(chalk.green(`Price alert set for ${price}`));
+      console.log(theme.primary(`Price alert set for ${price}`));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
+      handleError(e);
     }
   });
 
@@ -1532,20 +2451,17 @@ program
   .description("Show wishlist (shortcut)")
   .action(async () => {
     try {
-      const items = await apiGet("/wishlist");
+      const items = await client.wishlist.list();
+      if (isStructuredOutput()) return printData(items);
       if (!items || items.length === 0) {
-        console.log(chalk.yellow("Wishlist empty. Add: tm wishlist add <productId>"));
+        console.log(theme.warning("Wishlist empty. Add: tm wishlist add <productId>"));
         return;
       }
       items.forEach((item, idx) => {
-        console.log(`${idx + 1}) ${item.product?.name || item.productId} - ${item.product?.price || '?'}`);
+        console.log(`${idx + 1}) ${item.product?.name || item.productId} - ${item.product?.price ? formatPrice(item.product.price, item.product.currency) : '?'}`);
       });
     } catch (e) {
-      if (e?.message?.includes("401")) {
-        console.log(chalk.yellow("Please login first: tm login"));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-      }
+      handleError(e);
     }
   });
 
@@ -1561,15 +2477,16 @@ webhook
   .description("Show your webhooks")
   .action(async () => {
     try {
-      const webhooks = await apiGet("/user/webhooks");
+      const webhooks = await client.webhooks.list();
+      if (isStructuredOutput()) return printData(webhooks);
       if (!webhooks || webhooks.length === 0) {
-        console.log(chalk.yellow("No webhooks configured."));
+        console.log(theme.warning("No webhooks configured."));
         console.log(chalk.dim("Create one: tm webhook add <name> <url> [events]"));
         return;
       }
       console.log(chalk.bold("\nYour Webhooks\n"));
       webhooks.forEach((w) => {
-        const status = w.active ? chalk.green("✓") : chalk.dim("○");
+        const status = w.active ? theme.primary("✓") : chalk.dim("○");
         console.log(`${status} #${w.id} ${chalk.bold(w.name)}`);
         console.log(`   ${chalk.dim("URL:")} ${w.url.substring(0, 60)}${w.url.length > 60 ? "..." : ""}`);
         console.log(`   ${chalk.dim("Events:")} ${w.events.join(", ")}`);
@@ -1577,11 +2494,7 @@ webhook
         console.log();
       });
     } catch (e) {
-      if (e?.message?.includes("401")) {
-        console.log(chalk.yellow("Please login first: tm login"));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-      }
+      handleError(e);
     }
   });
 
@@ -1594,25 +2507,21 @@ webhook
         ? events.split(",").map(e => e.trim())
         : ["order.created", "order.completed", "price.alert", "subscription.processed", "reward.triggered", "wishlist.price_drop"];
       
-      const result = await apiPost("/user/webhooks", { name, url, events: eventsList });
+      const result = await client.webhooks.create({ name, url, events: eventsList });
       
-      console.log(chalk.green(`✓ Webhook created!`));
+      console.log(theme.primary(`✓ Webhook created!`));
       console.log();
       console.log(`${chalk.dim("ID:")} ${result.id}`);
       console.log(`${chalk.dim("Name:")} ${result.name}`);
       console.log(`${chalk.dim("URL:")} ${result.url}`);
       console.log(`${chalk.dim("Events:")} ${result.events.join(", ")}`);
       console.log();
-      console.log(chalk.yellow("SECRET (save this - won't be shown again):"));
+      console.log(theme.warning("SECRET (save this - won't be shown again):"));
       console.log(chalk.bold(result.secret));
       console.log();
       console.log(chalk.dim("Test with: tm webhook test " + result.id));
     } catch (e) {
-      if (e?.message?.includes("401")) {
-        console.log(chalk.yellow("Please login first: tm login"));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-      }
+      handleError(e);
     }
   });
 
@@ -1621,16 +2530,16 @@ webhook
   .description("Send a test event to webhook")
   .action(async (id) => {
     try {
-      const result = await apiPost(`/user/webhooks/${id}/test`);
+      const result = await client.webhooks.test(id);
       if (result.success) {
-        console.log(chalk.green(`✓ Test webhook sent successfully!`));
+        console.log(theme.primary(`✓ Test webhook sent successfully!`));
         console.log(chalk.dim(`HTTP Status: ${result.httpStatus}`));
       } else {
-        console.log(chalk.red(`✗ Test webhook failed`));
+        console.log(theme.error(`✗ Test webhook failed`));
         console.log(chalk.dim(`Error: ${result.error}`));
       }
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
+      handleError(e);
     }
   });
 
@@ -1640,17 +2549,17 @@ webhook
   .action(async (id) => {
     try {
       // Get current state
-      const webhooks = await apiGet("/user/webhooks");
+      const webhooks = await client.webhooks.list();
       const hook = webhooks.find(w => w.id === parseInt(id));
       if (!hook) {
-        console.log(chalk.red(`Webhook #${id} not found`));
+        console.log(theme.error(`Webhook #${id} not found`));
         return;
       }
       
-      await apiPatch(`/user/webhooks/${id}`, { active: !hook.active });
-      console.log(chalk.green(`Webhook #${id} ${!hook.active ? "enabled" : "disabled"}`));
+      await client.webhooks.update(id, { active: !hook.active });
+      console.log(theme.primary(`Webhook #${id} ${!hook.active ? "enabled" : "disabled"}`));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
+      handleError(e);
     }
   });
 
@@ -1659,10 +2568,10 @@ webhook
   .description("Delete a webhook")
   .action(async (id) => {
     try {
-      await apiDelete(`/user/webhooks/${id}`);
-      console.log(chalk.green(`Webhook #${id} deleted`));
+      await client.webhooks.remove(id);
+      console.log(theme.primary(`Webhook #${id} deleted`));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
+      handleError(e);
     }
   });
 
@@ -1671,20 +2580,21 @@ webhook
   .description("Show delivery history for a webhook")
   .action(async (id) => {
     try {
-      const deliveries = await apiGet(`/user/webhooks/${id}/deliveries?limit=10`);
+      const deliveries = await client.webhooks.deliveries(id);
+      if (isStructuredOutput()) return printData(deliveries);
       if (!deliveries || deliveries.length === 0) {
-        console.log(chalk.yellow(`No delivery history for webhook #${id}`));
+        console.log(theme.warning(t("webhooks.noDeliveries", { id })));
         return;
       }
-      console.log(chalk.bold(`\nDelivery History (last 10)\n`));
+      console.log(chalk.bold(`\n${t("webhooks.deliveries", { count: 10 })}\n`));
       deliveries.forEach((d) => {
-        const status = d.status === "delivered" ? chalk.green("✓") : chalk.red("✗");
-        const time = new Date(d.createdAt).toLocaleString();
+        const status = d.status === "delivered" ? theme.primary("✓") : theme.error("✗");
+        const time = formatDateTime(d.createdAt);
         console.log(`${status} ${d.eventType} | ${d.httpStatus || "-"} | ${time}`);
-        if (d.errorMessage) console.log(chalk.dim(`   Error: ${d.errorMessage}`));
+        if (d.errorMessage) console.log(chalk.dim(`   ${t("field.error")}: ${d.errorMessage}`));
       });
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
+      handleError(e);
     }
   });
 
@@ -1702,11 +2612,11 @@ webhook
       "wishlist.price_drop": "When any wishlist item price drops",
     };
     Object.entries(events).forEach(([event, desc]) => {
-      console.log(`  ${chalk.cyan(event)}`);
+      console.log(`  ${theme.secondary(event)}`);
       console.log(`    ${chalk.dim(desc)}`);
     });
     console.log();
-    console.log(chalk.dim("Usage: tm webhook add <name> <url> order.created,price.alert"));
+    console.log(chalk.dim(t("webhook.usage")));
   });
 
 program
@@ -1714,9 +2624,10 @@ program
   .description("Show webhooks (shortcut)")
   .action(async () => {
     try {
-      const webhooks = await apiGet("/user/webhooks");
+      const webhooks = await client.webhooks.list();
+      if (isStructuredOutput()) return printData(webhooks);
       if (!webhooks || webhooks.length === 0) {
-        console.log(chalk.yellow("No webhooks. Add: tm webhook add <name> <url>"));
+        console.log(theme.warning("No webhooks. Add: tm webhook add <name> <url>"));
         return;
       }
       webhooks.forEach((w) => {
@@ -1724,11 +2635,7 @@ program
         console.log(`${status} #${w.id} ${w.name} - ${w.events.length} events`);
       });
     } catch (e) {
-      if (e?.message?.includes("401")) {
-        console.log(chalk.yellow("Please login first: tm login"));
-      } else {
-        console.error(chalk.red(e?.message || String(e)));
-      }
+      handleError(e);
     }
   });
 
@@ -1749,11 +2656,10 @@ merchant
       const payload = {};
       if (opts.name) payload.storeName = opts.name;
       if (opts.description) payload.description = opts.description;
-      await apiPost("/merchant/init", payload);
-      console.log(chalk.green("✓ Merchant store ready"));
+      await client.merchant.init(payload);
+      console.log(theme.primary("✓ Merchant store ready"));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -1783,11 +2689,10 @@ merchantProduct
         accessUrl: opts.accessUrl || undefined,
         checkoutUrl: opts.checkoutUrl || undefined,
       };
-      const result = await apiPost("/store/products", payload);
-      console.log(chalk.green(`✓ Product created (#${result.id || "?"})`));
+      const result = await client.merchant.createProduct(payload);
+      console.log(theme.primary(`✓ Product created (#${result.id || "?"})`));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -1812,11 +2717,10 @@ merchant
         digitalDeliveryType: "url",
         accessUrl: opts.url,
       };
-      const result = await apiPost("/store/products", payload);
-      console.log(chalk.green(`✓ Book created (#${result.id || "?"})`));
+      const result = await client.merchant.createProduct(payload);
+      console.log(theme.primary(`✓ Book created (#${result.id || "?"})`));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -1847,11 +2751,10 @@ merchant
         accessUrl: opts.accessUrl || undefined,
         checkoutUrl: opts.checkoutUrl || undefined,
       };
-      const result = await apiPost("/store/products", payload);
-      console.log(chalk.green(`✓ Subscription created (#${result.id || "?"})`));
+      const result = await client.merchant.createProduct(payload);
+      console.log(theme.primary(`✓ Subscription created (#${result.id || "?"})`));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -1870,15 +2773,14 @@ merchant
         keys = readFileSync(opts.file, "utf-8");
       }
       if (!keys) {
-        console.error(chalk.red("Provide --keys or --file"));
+        console.error(theme.error("Provide --keys or --file"));
         process.exitCode = 1;
         return;
       }
-      const result = await apiPost(`/merchant/products/${opts.product}/keys`, { keys });
-      console.log(chalk.green(`✓ Keys added (${result.added || 0})`));
+      const result = await client.merchant.addKeys(opts.product, keys);
+      console.log(theme.primary(`✓ Keys added (${result.added || 0})`));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -1898,18 +2800,17 @@ merchantWebhook
         .split(",")
         .map((e) => e.trim())
         .filter(Boolean);
-      const result = await apiPost("/user/webhooks", {
+      const result = await client.webhooks.create({
         name: opts.name,
         url: opts.url,
         events,
       });
-      console.log(chalk.green("✓ Webhook created!"));
+      console.log(theme.primary("✓ Webhook created!"));
       if (result?.id) {
         console.log(`ID: ${result.id}`);
       }
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -1918,17 +2819,18 @@ merchantWebhook
   .description("List your webhooks")
   .action(async () => {
     try {
-      const hooks = await apiGet("/user/webhooks");
+      const hooks = await client.webhooks.list();
+      if (isStructuredOutput()) return printData(hooks);
       if (!hooks || hooks.length === 0) {
-        console.log(chalk.yellow("No webhooks configured."));
+        console.log(theme.warning("No webhooks configured."));
         return;
       }
-      console.log(chalk.cyan(`🔗 Webhooks (${hooks.length})`));
+      console.log(theme.secondary(`🔗 Webhooks (${hooks.length})`));
       console.log();
       hooks.forEach((w, i) => {
         if (i > 0) console.log(chalk.dim("  ─────────────────────────────"));
-        const status = w.active === false ? chalk.red("[disabled]") : chalk.green("[active]");
-        console.log(`  ${chalk.cyan("#" + w.id)} ${chalk.bold(w.name || "Unnamed")} ${status}`);
+        const status = w.active === false ? theme.error("[disabled]") : theme.primary("[active]");
+        console.log(`  ${theme.secondary("#" + w.id)} ${chalk.bold(w.name || "Unnamed")} ${status}`);
         console.log(chalk.dim(`  URL: ${w.url}`));
         const events = Array.isArray(w.events) ? w.events.join(", ") : w.events;
         console.log(chalk.dim(`  Events: ${events}`));
@@ -1936,8 +2838,7 @@ merchantWebhook
       console.log();
       console.log(chalk.dim("  Test: tm merchant webhook test <id>"));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -1946,11 +2847,10 @@ merchantWebhook
   .description("Send a test event to webhook")
   .action(async (id) => {
     try {
-      await apiPost(`/user/webhooks/${id}/test`);
-      console.log(chalk.green("✓ Test webhook sent"));
+      await client.webhooks.test(id);
+      console.log(theme.primary("✓ Test webhook sent"));
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -1962,26 +2862,44 @@ program
   .description("List categories")
   .action(async () => {
     try {
-      const cats = await apiGet("/categories");
+      const cats = await client.categories.list();
+      if (isStructuredOutput()) return printData(cats);
       const rows = (cats || []).map((c) => ({ 
         slug: c.slug || c,
         name: c.name || c,
         description: c.description || ""
       }));
       printTable(rows, [
-        { key: "slug", title: "slug" },
-        { key: "name", title: "name" },
-        { key: "description", title: "description" }
+        { key: "slug", title: t("column.slug") },
+        { key: "name", title: t("column.name") },
+        { key: "description", title: t("column.description"), wrap: true }
       ]);
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
 // -----------------
 // products
 // -----------------
+const PRODUCT_COLUMNS = [
+  { key: "id", title: t("column.id") },
+  { key: "slug", title: t("column.slug") },
+  { key: "name", title: t("column.name") },
+  { key: "price", title: t("column.price") },
+  { key: "category", title: t("column.category") },
+  { key: "serviceType", title: t("column.type") },
+  { key: "serviceCity", title: t("column.city") },
+];
+
+const OFFER_COLUMNS = [
+  { key: "id", title: t("column.id") },
+  { key: "price", title: t("column.price") },
+  { key: "serviceType", title: t("column.type") },
+  { key: "availability", title: t("column.status") },
+  { key: "sellerId", title: t("column.seller") },
+];
+
 program
   .command("products")
   .description("List products")
@@ -1990,64 +2908,43 @@ program
   .option("-s, --store <storeId>", "Filter by store ID")
   .option("--city <city>", "Filter by city (for local services)")
   .option("--country <country>", "Filter by country")
+  .option("--page <n>", "Show a single page")
+  .option("--all", "Show every product (all pages)")
+  .option("--page-size <n>", "Products per request (max 200)")
   .action(async (opts) => {
-    const spinner = createSpinner("Fetching products...");
+    const spinner = createSpinner(t("products.loading"));
     try {
-      const limit = Math.max(1, Math.min(200, Number.parseInt(opts.limit, 10) || 20));
-      
-      let url = "/products";
-      const params = new URLSearchParams();
-      
-      if (opts.city) params.set("city", opts.city);
-      if (opts.country) params.set("country", opts.country);
-      if (opts.store) params.set("storeId", opts.store);
-      
-      if (opts.category) {
-        url = `/products/category/${encodeURIComponent(opts.category)}`;
-      }
-      
-      const queryString = params.toString();
-      if (queryString) {
-        url = `${url}?${queryString}`;
-      }
-      
-      let products = await apiGet(url);
-      stopSpinner(true, `Found ${products.length} products`);
-      
-      // Sort: featured first
-      products = (products || []).sort((a, b) => {
-        if (a.featured && !b.featured) return -1;
-        if (!a.featured && b.featured) return 1;
-        return 0;
-      });
-      
-      const rows = products.slice(0, limit).map(p => {
+      const filters = { category: opts.category, city: opts.city, country: opts.country, storeId: opts.store };
+      const table = createListOutput(() => createTableStream(PRODUCT_COLUMNS), (p) => {
         const row = pickProductFields(p);
         if (p.featured) {
-          row.name = chalk.yellow("⭐") + " " + row.name;
-          row.badge = chalk.yellow("Early partner");
+          row.name = theme.warning("⭐") + " " + row.name;
+          row.badge = theme.warning(t("products.earlyPartner"));
         }
         return row;
       });
-      
-      printTable(rows, [
-        { key: "id", title: "id" },
-        { key: "slug", title: "slug" },
-        { key: "name", title: "name" },
-        { key: "price", title: "price" },
-        { key: "category", title: "category" },
-        { key: "serviceType", title: "type" },
-        { key: "serviceCity", title: "city" },
-      ]);
+      for await (let products of client.products.pages(filters, pageOptions(opts, 20))) {
+        stopSpinner(true, t("products.loaded"));
+        
+        // Sort: featured first (within each page, so output can stream)
+        products = products.sort((a, b) => {
+          if (a.featured && !b.featured) return -1;
+          if (!a.featured && b.featured) return 1;
+          return 0;
+        });
+        
+        table.write(products);
+      }
+      stopSpinner(true, t("products.loaded"));
+      table.end();
       
       showNextSteps([
-        { cmd: "tm view <id>", desc: "view product details" },
-        { cmd: "tm buy <id>", desc: "buy product" }
+        { cmd: "tm view <id>", desc: t("products.viewHint") },
+        { cmd: "tm buy <id>", desc: t("products.buyHint") }
       ]);
     } catch (e) {
-      stopSpinner(false, "Failed to load products");
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      stopSpinner(false, t("products.loadFailed"));
+      handleError(e);
     }
   });
 
@@ -2057,34 +2954,19 @@ program
   .option("-l, --limit <n>", "Limit results", "20")
   .option("--city <city>", "Filter by city (for local services)")
   .option("--country <country>", "Filter by country")
+  .option("--page <n>", "Show a single page")
+  .option("--all", "Show every product (all pages)")
+  .option("--page-size <n>", "Products per request (max 200)")
   .action(async (category, opts) => {
     try {
-      const limit = Math.max(1, Math.min(200, Number.parseInt(opts.limit, 10) || 20));
-      
-      const params = new URLSearchParams();
-      if (opts.city) params.set("city", opts.city);
-      if (opts.country) params.set("country", opts.country);
-      
-      const queryString = params.toString();
-      let url = `/products/category/${encodeURIComponent(category)}`;
-      if (queryString) {
-        url = `${url}?${queryString}`;
+      const filters = { category, city: opts.city, country: opts.country };
+      const table = createListOutput(() => createTableStream(PRODUCT_COLUMNS), pickProductFields);
+      for await (const products of client.products.pages(filters, pageOptions(opts, 20))) {
+        table.write(products);
       }
-      
-      const products = await apiGet(url);
-      const rows = (products || []).slice(0, limit).map(pickProductFields);
-      printTable(rows, [
-        { key: "id", title: "id" },
-        { key: "slug", title: "slug" },
-        { key: "name", title: "name" },
-        { key: "price", title: "price" },
-        { key: "category", title: "category" },
-        { key: "serviceType", title: "type" },
-        { key: "serviceCity", title: "city" },
-      ]);
+      table.end();
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -2101,34 +2983,43 @@ program
   .option("--sort <field>", "Sort by field: price, name, category (prefix with - for desc, e.g. -price)")
   .option("--head <n>", "Show only first N results")
   .option("--count", "Show only result count")
+  .option("--page <n>", "Show a single page")
+  .option("--all", "Show every result (all pages)")
+  .option("--page-size <n>", "Results per request (max 200)")
   .action(async (query, opts) => {
+    const paging = pageOptions(opts, 20);
+    const table = createListOutput(() => createTableStream(PRODUCT_COLUMNS), pickProductFields);
     try {
-      const limit = Math.max(1, Math.min(200, Number.parseInt(opts.limit, 10) || 20));
+      const filters = {
+        category: opts.category,
+        city: opts.city,
+        country: opts.country,
+        priceMin: opts.priceMin,
+        priceMax: opts.priceMax,
+      };
       
-      const params = new URLSearchParams();
-      params.set("q", query);
-      params.set("limit", String(opts.sort || opts.head || opts.count ? 200 : limit));
-      if (opts.category) params.set("category", opts.category);
-      if (opts.city) params.set("city", opts.city);
-      if (opts.country) params.set("country", opts.country);
-      if (opts.priceMin) params.set("price_min", opts.priceMin);
-      if (opts.priceMax) params.set("price_max", opts.priceMax);
+      // Sorting and counting need every result, so those modes buffer
+      if (!(opts.sort || opts.head || opts.count)) {
+        for await (const products of client.products.searchPages(query, filters, paging)) {
+          table.write(products);
+        }
+        table.end();
+        if (table.count >= paging.limit && !isStructuredOutput()) {
+          console.log(chalk.dim(t("results.more", { count: paging.limit })));
+        }
+        return;
+      }
       
-      const result = await apiGet(`/products/search?${params.toString()}`);
-      let products = result.products || result || [];
+      let products = [];
+      const pageSize = opts.pageSize ? paging.pageSize : 200;
+      for await (const page of client.products.searchPages(query, filters, { ...paging, limit: Infinity, pageSize })) {
+        products.push(...page);
+      }
       
-      // Client-side sort (pipe replacement)
+      // Client-side sort, same rules as `tm sort`
       if (opts.sort) {
-        const desc = opts.sort.startsWith("-");
-        const field = desc ? opts.sort.slice(1) : opts.sort;
-        products = [...products].sort((a, b) => {
-          let va = a[field], vb = b[field];
-          if (field === "price") { va = parseFloat(va) || 0; vb = parseFloat(vb) || 0; }
-          if (typeof va === "string") { va = va.toLowerCase(); vb = (vb || "").toLowerCase(); }
-          if (va < vb) return desc ? 1 : -1;
-          if (va > vb) return desc ? -1 : 1;
-          return 0;
-        });
+        await loadRatesFor(products);
+        products = sortRecords(products, opts.sort);
       }
       
       // Client-side head
@@ -2138,54 +3029,43 @@ program
       
       // Count mode
       if (opts.count) {
-        console.log(chalk.green.bold(products.length) + chalk.dim(" result(s)"));
+        if (isStructuredOutput()) return printData({ count: products.length });
+        console.log(t("results.count", { count: products.length }));
         return;
       }
       
-      const rows = products.slice(0, limit).map(pickProductFields);
+      if (isStructuredOutput()) return printData(products.slice(0, paging.limit));
+      printTable(products.slice(0, paging.limit).map(pickProductFields), PRODUCT_COLUMNS);
       
-      printTable(rows, [
-        { key: "id", title: "id" },
-        { key: "slug", title: "slug" },
-        { key: "name", title: "name" },
-        { key: "price", title: "price" },
-        { key: "category", title: "category" },
-        { key: "serviceType", title: "type" },
-        { key: "serviceCity", title: "city" },
-      ]);
-      
-      if (products.length >= limit && !opts.head) {
-        console.log(chalk.dim(`Showing ${limit} results. Use --limit to show more.`));
+      if (products.length > paging.limit && !opts.head) {
+        console.log(chalk.dim(t("results.partial", { shown: paging.limit, count: products.length })));
       }
     } catch (e) {
+      // Rows already on screen can't be taken back; only fall back before output
+      if (table.count) {
+        handleError(e);
+        return;
+      }
       try {
-        const products = await apiGet("/products");
         const q = String(query || "").trim();
-        let matched = (products || []).filter((p) => containsQuery(p, q));
-        
-        if (opts.category) {
-          matched = matched.filter(p => p.category === opts.category);
+        const fallback = createListOutput(() => createTableStream(PRODUCT_COLUMNS), pickProductFields);
+        let matched = 0;
+        for await (const products of client.products.pages({}, { pageSize: 200 })) {
+          const rows = products
+            .filter((p) => containsQuery(p, q))
+            .filter((p) => !opts.category || p.category === opts.category)
+            .slice(0, paging.limit - matched);
+          fallback.write(rows);
+          matched += rows.length;
+          if (matched >= paging.limit) break;
         }
+        fallback.end();
         
-        const limit = Math.max(1, Math.min(200, Number.parseInt(opts.limit, 10) || 20));
-        const rows = matched.slice(0, limit).map(pickProductFields);
-        
-        printTable(rows, [
-          { key: "id", title: "id" },
-          { key: "slug", title: "slug" },
-          { key: "name", title: "name" },
-          { key: "price", title: "price" },
-          { key: "category", title: "category" },
-          { key: "serviceType", title: "type" },
-          { key: "serviceCity", title: "city" },
-        ]);
-        
-        if (matched.length > limit) {
-          console.log(chalk.dim(`Showing ${limit} of ${matched.length}. Use --limit to show more.`));
+        if (matched >= paging.limit && !isStructuredOutput()) {
+          console.log(chalk.dim(t("results.more", { count: paging.limit })));
         }
       } catch (e2) {
-        console.error(chalk.red(e2?.message || String(e2)));
-        process.exitCode = 1;
+        handleError(e2);
       }
     }
   });
@@ -2194,38 +3074,54 @@ program
   .command("view <productIdOrSlug>")
   .description("View a product by ID or slug")
   .option("-i, --image", "Open product image in browser")
+  .option("-p, --preview", "Show the product image in the terminal")
+  .option("--width <cols>", "Image width in terminal columns (default: fits the terminal)")
   .action(async (productIdOrSlug, opts) => {
+    const width = opts.width === undefined ? null : usageOrExit(() => {
+      const cols = Number.parseInt(opts.width, 10);
+      if (!(cols > 0)) throw new Error("--width must be a positive number of columns");
+      return cols;
+    });
     try {
-      let p = await apiGet(`/products/${encodeURIComponent(productIdOrSlug)}`).catch(() => null);
+      const p = await client.products.find(productIdOrSlug);
       
       if (!p) {
-        p = await apiGet(`/products/slug/${encodeURIComponent(productIdOrSlug)}`).catch(() => null);
-      }
-      
-      if (!p) {
-        console.error(chalk.red("Product not found"));
+        console.error(theme.error("Product not found"));
         process.exitCode = 1;
         return;
       }
+      if (isStructuredOutput()) return printData(p);
+      
+      // --preview, or a thumbnail above every card with `thumbnails` on
+      if (opts.preview) {
+        try {
+          await printProductImage(p, { width });
+        } catch (e) {
+          console.error(theme.warning(`⚠ ${t("image.previewFailed", { error: e.message })}`));
+          if (resolveImageUrl(p)) console.error(chalk.dim(`  💡 ${t("image.openHint", { id: productIdOrSlug })}`));
+        }
+      } else if (!opts.image && getImageSettings().thumbnails && resolveImageUrl(p)) {
+        await printProductImage(p, { width: width ?? THUMBNAIL_WIDTH }).catch(() => {});
+      }
       
       // If --image flag, open image and exit
       if (opts.image) {
-        const imageUrl = p.imageUrl || p.image;
+        const imageUrl = resolveImageUrl(p);
         if (imageUrl) {
-          console.log(chalk.green("Opening image..."));
+          console.log(theme.primary("Opening image..."));
           if (shouldOpenExternal()) {
             try {
               await open(imageUrl);
             } catch {
-              console.log(chalk.yellow("Could not open browser. Image URL:"));
+              console.log(theme.warning("Could not open browser. Image URL:"));
               console.log(imageUrl);
             }
           } else {
-            console.log(chalk.yellow("Browser opening disabled. Image URL:"));
+            console.log(theme.warning("Browser opening disabled. Image URL:"));
             console.log(imageUrl);
           }
         } else {
-          console.log(chalk.yellow("No image available for this product."));
+          console.log(theme.warning("No image available for this product."));
         }
         return;
       }
@@ -2234,21 +3130,20 @@ program
       printProductCard(p);
       
       try {
-        const offers = await apiGet(`/products/${encodeURIComponent(p.productId || p.id)}/offers`);
+        const offers = await client.products.offers(p.productId || p.id);
         if (offers && offers.length > 0) {
           console.log("");
           console.log(chalk.bold("Available Offers:"));
           offers.forEach((offer, i) => {
             const offerType = offer.serviceType === "local" ? "📍" : 
                              offer.serviceType === "national" ? "🏳️" : "🌍";
-            console.log(`  ${i + 1}. ${offerType} ${offer.priceDisplay || `$${offer.price}`} (${offer.availability}) - ${offer.buyUrl}`);
+            console.log(`  ${i + 1}. ${offerType} ${offer.price ? formatPrice(offer.price, offer.currency) : offer.priceDisplay} (${offer.availability}) - ${offer.buyUrl}`);
           });
         }
       } catch {
       }
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -2259,23 +3154,19 @@ program
   .option("-i, --image", "Open product image instead of page")
   .action(async (productIdOrSlug, opts) => {
     try {
-      let p = await apiGet(`/products/${encodeURIComponent(productIdOrSlug)}`).catch(() => null);
-      
-      if (!p) {
-        p = await apiGet(`/products/slug/${encodeURIComponent(productIdOrSlug)}`).catch(() => null);
-      }
+      const p = await client.products.find(productIdOrSlug);
       
       if (!p) {
-        console.error(chalk.red("Product not found"));
+        console.error(theme.error("Product not found"));
         process.exitCode = 1;
         return;
       }
       
       let url;
       if (opts.image) {
-        url = p.imageUrl || p.image;
+        url = resolveImageUrl(p);
         if (!url) {
-          console.log(chalk.yellow("No image available for this product."));
+          console.log(theme.warning("No image available for this product."));
           return;
         }
       } else {
@@ -2283,21 +3174,24 @@ program
         url = resolveProductUrl(p);
       }
       
-      console.log(chalk.green("Opening:"), url);
+      console.log(theme.primary("Opening:"), url);
+      // Over SSH there is no browser; images can be shown in the terminal
+      const previewTip = () => opts.image && console.log(chalk.dim(`💡 ${t("image.previewHint", { id: productIdOrSlug })}`));
       if (shouldOpenExternal()) {
         try {
           await open(url);
         } catch {
-          console.log(chalk.yellow("Could not open browser. URL:"));
+          console.log(theme.warning("Could not open browser. URL:"));
           console.log(url);
+          previewTip();
         }
       } else {
-        console.log(chalk.yellow("Browser opening disabled. URL:"));
+        console.log(theme.warning("Browser opening disabled. URL:"));
         console.log(url);
+        previewTip();
       }
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -2308,14 +3202,10 @@ program
   .option("--offer <offerId>", "Buy specific offer")
   .action(async (productIdOrSlug, opts) => {
     try {
-      let p = await apiGet(`/products/${encodeURIComponent(productIdOrSlug)}`).catch(() => null);
-      
-      if (!p) {
-        p = await apiGet(`/products/slug/${encodeURIComponent(productIdOrSlug)}`).catch(() => null);
-      }
+      const p = await client.products.find(productIdOrSlug);
       
       if (!p) {
-        console.error(chalk.red("Product not found"));
+        console.error(theme.error("Product not found"));
         process.exitCode = 1;
         return;
       }
@@ -2325,19 +3215,18 @@ program
       
       if (offerId) {
         try {
-          const offer = await apiGet(`/offers/${offerId}`);
+          const offer = await client.offers.get(offerId);
           if (offer) {
             buyUrl = offer.buyUrl;
           }
         } catch {
-          console.error(chalk.yellow("Offer not found, using product buyUrl"));
+          console.error(theme.warning("Offer not found, using product buyUrl"));
         }
       }
 
       let intentId = null;
       try {
-        const intentResponse = await apiPost("/intents", {
-          source: "cli",
+        const intentResponse = await client.intents.create({
           productId: p.id,
           sellerId: p.storeId ?? null,
           offerId: offerId,
@@ -2352,8 +3241,7 @@ program
       }
 
       try {
-        await apiPost("/clicks", {
-          source: "cli",
+        await client.clicks.track({
           productId: p.productId,
           storeId: p.storeId ?? null,
           offerId: offerId,
@@ -2363,25 +3251,24 @@ program
       }
 
       if (!buyUrl) {
-        console.log(chalk.yellow("This product has no checkout link yet."));
+        console.log(theme.warning("This product has no checkout link yet."));
         console.log(chalk.dim("This is a pilot marketplace — contact the seller directly."));
         process.exitCode = 1;
         return;
       }
 
       console.log();
-      console.log(chalk.green.bold("  Opening checkout..."));
+      console.log(theme.primary.bold("  Opening checkout..."));
       console.log(chalk.dim(`  ${buyUrl}`));
       console.log();
-      console.log(chalk.yellow("  ℹ Early access — real checkout, real purchase"));
+      console.log(theme.warning("  ℹ Early access — real checkout, real purchase"));
       console.log();
       
       if (opts.open !== false && shouldOpenExternal()) {
         await open(buyUrl);
       }
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -2397,35 +3284,30 @@ program
   .action(async (serviceIdOrSlug, opts) => {
     try {
       // Fetch product
-      let p = await apiGet(`/products/${encodeURIComponent(serviceIdOrSlug)}`).catch(() => null);
-      
-      if (!p) {
-        p = await apiGet(`/products/slug/${encodeURIComponent(serviceIdOrSlug)}`).catch(() => null);
-      }
+      const p = await client.products.find(serviceIdOrSlug);
       
       if (!p) {
-        console.error(chalk.red("Service not found"));
+        console.error(theme.error("Service not found"));
         process.exitCode = 1;
         return;
       }
       
       // Verify this is a service
       if (p.productKind !== 'service') {
-        console.error(chalk.red("This is not a service. Use 'tm buy' for products."));
+        console.error(theme.error("This is not a service. Use 'tm buy' for products."));
         process.exitCode = 1;
         return;
       }
       
       const buyUrl = p.checkoutUrl || p.buyUrl;
       if (!buyUrl) {
-        console.log(chalk.yellow("This service has no checkout link yet."));
+        console.log(theme.warning("This service has no checkout link yet."));
         process.exitCode = 1;
         return;
       }
       
       // Create booking intent
-      const intentResponse = await apiPost("/intents", {
-        source: "cli",
+      const intentResponse = await client.intents.create({
         productId: p.id,
         sellerId: p.storeId ?? null,
         checkoutUrl: buyUrl,
@@ -2446,7 +3328,7 @@ program
       }
       
       console.log();
-      console.log(chalk.green.bold("  Opening booking..."));
+      console.log(theme.primary.bold("  Opening booking..."));
       console.log(chalk.dim(`  ${p.name}`));
       if (opts.date) console.log(chalk.dim(`  Date: ${opts.date}`));
       if (opts.time) console.log(chalk.dim(`  Time: ${opts.time}`));
@@ -2457,8 +3339,7 @@ program
         await open(redirectUrl);
       }
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -2470,32 +3351,39 @@ program
   .alias("stores")
   .description("List verified sellers/stores")
   .option("-l, --limit <n>", "Limit results", "20")
-  .option("--all", "Show all sellers (not just verified)")
+  .option("--all", "Show all sellers, verified or not (all pages)")
   .option("--city <city>", "Filter by city (local sellers)")
   .option("--country <country>", "Filter by country")
+  .option("--page <n>", "Show a single page")
+  .option("--page-size <n>", "Sellers per request (max 200)")
   .action(async (opts) => {
     try {
-      const limit = Math.max(1, Math.min(200, Number.parseInt(opts.limit, 10) || 20));
-      const endpoint = opts.all ? "/sellers" : "/sellers/verified";
-      let sellers = await apiGet(endpoint);
-      
-      if (opts.city) {
-        sellers = sellers.filter(s => 
-          s.serviceType === "local" && 
-          s.baseCity?.toLowerCase() === opts.city.toLowerCase()
-        );
-      }
-      if (opts.country) {
-        sellers = sellers.filter(s => 
-          (s.serviceType === "national" || s.serviceType === "local") && 
-          s.baseCountry?.toLowerCase() === opts.country.toLowerCase()
-        );
+      const { limit, ...paging } = pageOptions(opts, 20);
+      const list = createListOutput(createSellersStream);
+      let shown = 0;
+      
+      // City/country are filtered client-side, so count what is shown
+      for await (let sellers of client.sellers.pages({ all: opts.all }, paging)) {
+        if (opts.city) {
+          sellers = sellers.filter(s => 
+            s.serviceType === "local" && 
+            s.baseCity?.toLowerCase() === opts.city.toLowerCase()
+          );
+        }
+        if (opts.country) {
+          sellers = sellers.filter(s => 
+            (s.serviceType === "national" || s.serviceType === "local") && 
+            s.baseCountry?.toLowerCase() === opts.country.toLowerCase()
+          );
+        }
+        sellers = sellers.slice(0, limit - shown);
+        list.write(sellers);
+        shown += sellers.length;
+        if (shown >= limit) break;
       }
-      
-      printSellers((sellers || []).slice(0, limit));
+      list.end();
     } catch (e) {
-      printError(e?.message || String(e));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -2504,7 +3392,7 @@ program
   .description("View seller details")
   .action(async (slug) => {
     try {
-      const seller = await apiGet(`/sellers/${encodeURIComponent(slug)}`);
+      const seller = await client.sellers.get(slug);
       
       if (!seller) {
         printError("Seller not found");
@@ -2512,10 +3400,10 @@ program
         return;
       }
       
+      if (isStructuredOutput()) return printData(seller);
       printStoreCard(seller);
     } catch (e) {
-      printError(e?.message || String(e));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -2528,31 +3416,137 @@ program
   .option("-p, --product <productId>", "Filter by product ID")
   .option("-s, --seller <sellerId>", "Filter by seller ID")
   .option("-l, --limit <n>", "Limit results", "20")
+  .option("--page <n>", "Show a single page")
+  .option("--all", "Show every offer (all pages)")
+  .option("--page-size <n>", "Offers per request (max 200)")
   .action(async (opts) => {
     try {
-      const limit = Math.max(1, Math.min(200, Number.parseInt(opts.limit, 10) || 20));
-      const params = new URLSearchParams();
-      if (opts.product) params.set("product_id", opts.product);
-      if (opts.seller) params.set("seller_id", opts.seller);
-      
-      const queryString = params.toString();
-      const endpoint = queryString ? `/offers?${queryString}` : "/offers";
-      
-      const offers = await apiGet(endpoint);
-      const rows = (offers || []).slice(0, limit).map(pickOfferFields);
-      printTable(rows, [
-        { key: "id", title: "id" },
-        { key: "price", title: "price" },
-        { key: "serviceType", title: "type" },
-        { key: "availability", title: "status" },
-        { key: "sellerId", title: "seller" },
-      ]);
+      const table = createListOutput(() => createTableStream(OFFER_COLUMNS), pickOfferFields);
+      for await (const offers of client.offers.pages({ productId: opts.product, sellerId: opts.seller }, pageOptions(opts, 20))) {
+        table.write(offers);
+      }
+      table.end();
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
+// -----------------
+// pipe commands
+// -----------------
+
+// Render records at the end of a pipe, or pass them on as NDJSON when piped
+// again. Products and offers get their usual tables; `fields` (from tm pick)
+// shows exactly those columns.
+function printRecords(records, fields = null) {
+  if (isStructuredOutput()) return printData(records);
+  if (!records.length) return printEmpty(t("results.none"));
+  if (fields) {
+    const rows = records.map((r) => Object.fromEntries(fields.map((f) => {
+      const value = r[f];
+      return [f, value && typeof value === "object" ? JSON.stringify(value) : String(value ?? "")];
+    })));
+    return printTable(rows, fields.map((f) => ({ key: f, title: f })));
+  }
+  if (records.every((r) => r.name || r.title)) {
+    return printTable(records.map(pickProductFields), PRODUCT_COLUMNS);
+  }
+  printTable(records.map(pickOfferFields), OFFER_COLUMNS);
+}
+
+// Sorting or filtering prices in several currencies compares converted
+// amounts, so rates are loaded here too when preAction skipped them (NDJSON
+// output between pipe stages). Without a display currency or rates source
+// nothing is fetched and amounts are compared as they are.
+async function loadRatesFor(records) {
+  const { currency, ratesUrl } = getMoneySettings();
+  if (!currency && !ratesUrl) return;
+  const codes = new Set(records.filter((r) => r.price != null).map(currencyOf));
+  if (currency) codes.add(currency);
+  if (codes.size < 2) return;
+  try {
+    await loadRates(ratesUrl || DEFAULT_RATES_URL, { network: getNetworkSettings() });
+  } catch (e) {
+    console.error(theme.warning(`⚠ ${t("rates.failed", { error: e.message })}`));
+    console.error(chalk.dim(`  💡 ${t("rates.failedHint")}`));
+  }
+}
+
+// Wrap a pipe stage: reads the records piped into stdin
+function pipeAction(stage) {
+  return async (...args) => {
+    if (process.stdin.isTTY) {
+      console.error(theme.error(`✗ ${t("pipe.noInput")}`));
+      console.error(chalk.dim(`  💡 ${t("pipe.noInputHint")}`));
+      process.exitCode = EXIT_CODES.usage;
+      return;
+    }
+    try {
+      await stage(await readRecords(), ...args);
+    } catch (e) {
+      handleError(e);
+    }
+  };
+}
+
+const collect = (value, previous) => [...previous, value];
+
+program
+  .command("sort <field>")
+  .description("Sort piped records by a field (prefix with - or use -r for descending)")
+  .option("-r, --reverse", "Descending order")
+  // `tm sort -price` names a field, not an option
+  .allowUnknownOption()
+  .action(pipeAction(async (records, field, opts) => {
+    await loadRatesFor(records);
+    printRecords(sortRecords(records, field, { reverse: opts.reverse }));
+  }));
+
+program
+  .command("filter")
+  .description("Keep piped records that match all conditions")
+  .option("--min-price <n>", "Minimum price (in the display currency, if set)")
+  .option("--max-price <n>", "Maximum price (in the display currency, if set)")
+  .option("-c, --category <category>", "Category")
+  .option("--type <type>", "Service type: global, national, local")
+  .option("--city <city>", "City")
+  .option("--country <country>", "Country code")
+  .option("-m, --match <text>", "Text in name, description, tags…")
+  .option("-w, --where <expr>", "Field condition, e.g. price<=10, category=coffee, name~bean (repeatable)", collect, [])
+  .action(pipeAction(async (records, opts) => {
+    await loadRatesFor(records);
+    printRecords(filterRecords(records, opts));
+  }));
+
+program
+  .command("head [n]")
+  .description("Keep the first N piped records (default 10)")
+  .action(pipeAction((records, n) => {
+    printRecords(records.slice(0, Math.max(0, Number.parseInt(n ?? "10", 10) || 0)));
+  }));
+
+program
+  .command("count")
+  .description("Count piped records")
+  .action(pipeAction((records) => {
+    if (isStructuredOutput()) return printData({ count: records.length });
+    console.log(t("results.count", { count: records.length }));
+  }));
+
+program
+  .command("uniq [field]")
+  .description("Drop piped records with a repeated field value (default: id)")
+  .action(pipeAction((records, field) => {
+    printRecords(uniqueRecords(records, field || "id"));
+  }));
+
+program
+  .command("pick <fields...>")
+  .description("Keep only the given fields of piped records (dotted paths allowed)")
+  .action(pipeAction((records, fields) => {
+    printRecords(pickFields(records, fields), fields);
+  }));
+
 // -----------------
 // info commands
 // -----------------
@@ -2565,31 +3559,31 @@ program
     const pad = (s, w) => s + ' '.repeat(Math.max(0, w - s.length));
     
     console.log();
-    console.log(chalk.green.bold('  ╔' + line + '╗'));
-    console.log(chalk.green.bold('  ║') + chalk.white.bold(pad('       TERMINAL MARKET', W)) + chalk.green.bold('║'));
-    console.log(chalk.green.bold('  ║') + chalk.dim(pad('   The marketplace for developers', W)) + chalk.green.bold('║'));
-    console.log(chalk.green.bold('  ╚' + line + '╝'));
+    console.log(theme.primary.bold('  ╔' + line + '╗'));
+    console.log(theme.primary.bold('  ║') + theme.text.bold(pad('       TERMINAL MARKET', W)) + theme.primary.bold('║'));
+    console.log(theme.primary.bold('  ║') + chalk.dim(pad('   The marketplace for developers', W)) + theme.primary.bold('║'));
+    console.log(theme.primary.bold('  ╚' + line + '╝'));
     console.log();
-    console.log(chalk.white('  We connect developers with premium services:'));
+    console.log(theme.text('  We connect developers with premium services:'));
     console.log();
-    console.log(chalk.cyan('    ☕') + chalk.white(' Coffee subscriptions'));
-    console.log(chalk.cyan('    🥗') + chalk.white(' Healthy snacks & lunch'));
-    console.log(chalk.cyan('    💆') + chalk.white(' Health & wellness services'));
-    console.log(chalk.cyan('    🏢') + chalk.white(' Coworking spaces'));
-    console.log(chalk.cyan('    🤖') + chalk.white(' AI services & tools'));
-    console.log(chalk.cyan('    ⚡') + chalk.white(' Productivity tools'));
+    console.log(theme.secondary('    ☕') + theme.text(' Coffee subscriptions'));
+    console.log(theme.secondary('    🥗') + theme.text(' Healthy snacks & lunch'));
+    console.log(theme.secondary('    💆') + theme.text(' Health & wellness services'));
+    console.log(theme.secondary('    🏢') + theme.text(' Coworking spaces'));
+    console.log(theme.secondary('    🤖') + theme.text(' AI services & tools'));
+    console.log(theme.secondary('    ⚡') + theme.text(' Productivity tools'));
     console.log();
     console.log(chalk.dim('  ─────────────────────────────────────────────'));
     console.log();
-    console.log(chalk.white('  Install:'));
+    console.log(theme.text('  Install:'));
     console.log();
-    console.log(`    ${chalk.dim('npm:')}    ${chalk.green('npm i -g terminalmarket')}`);
-    console.log(`    ${chalk.dim('curl:')}   ${chalk.cyan('curl -fsSL https://terminalmarket.app/install.sh | sh')}`);
+    console.log(`    ${chalk.dim('npm:')}    ${theme.primary('npm i -g terminalmarket')}`);
+    console.log(`    ${chalk.dim('curl:')}   ${theme.secondary('curl -fsSL https://terminalmarket.app/install.sh | sh')}`);
     console.log();
     console.log(chalk.dim('  ─────────────────────────────────────────────'));
     console.log();
-    console.log(`  ${chalk.dim('Website:')}  ${chalk.cyan('https://terminalmarket.app')}`);
-    console.log(`  ${chalk.dim('Version:')}  ${chalk.white('0.7.2')}`);
+    console.log(`  ${chalk.dim('Website:')}  ${theme.secondary('https://terminalmarket.app')}`);
+    console.log(`  ${chalk.dim('Version:')}  ${theme.text('0.7.2')}`);
     console.log();
   });
 
@@ -2598,20 +3592,20 @@ program
   .description("Market statistics")
   .action(async () => {
     try {
-      const stats = await apiGet("/stats");
+      const stats = await client.stats.get();
+      if (isStructuredOutput()) return printData(stats);
       
       console.log();
-      console.log(chalk.green.bold('  📊 Market Statistics'));
+      console.log(theme.primary.bold('  📊 Market Statistics'));
       console.log(chalk.dim('  ─────────────────────────────────────────'));
       console.log();
-      console.log(`  ${chalk.dim('Total Sellers:')}  ${chalk.white(stats.totalSellers || 0)}`);
-      console.log(`  ${chalk.dim('Total Products:')} ${chalk.white(stats.totalProducts || 0)}`);
-      console.log(`  ${chalk.dim('Countries:')}      ${chalk.white(stats.countries || 0)}`);
-      console.log(`  ${chalk.dim('Categories:')}     ${chalk.white(stats.categories || 0)}`);
+      console.log(`  ${chalk.dim('Total Sellers:')}  ${theme.text(stats.totalSellers || 0)}`);
+      console.log(`  ${chalk.dim('Total Products:')} ${theme.text(stats.totalProducts || 0)}`);
+      console.log(`  ${chalk.dim('Countries:')}      ${theme.text(stats.countries || 0)}`);
+      console.log(`  ${chalk.dim('Categories:')}     ${theme.text(stats.categories || 0)}`);
       console.log();
     } catch (e) {
-      console.error(chalk.red(e?.message || String(e)));
-      process.exitCode = 1;
+      handleError(e);
     }
   });
 
@@ -2621,20 +3615,20 @@ program
   .description("Terms of service")
   .action(() => {
     console.log();
-    console.log(chalk.green.bold('  📜 Terms of Service'));
+    console.log(theme.primary.bold('  📜 Terms of Service'));
     console.log(chalk.dim('  ─────────────────────────────────────────'));
     console.log();
-    console.log(chalk.white('  Platform Role:'));
+    console.log(theme.text('  Platform Role:'));
     console.log(chalk.dim('    TerminalMarket connects buyers with independent sellers.'));
     console.log(chalk.dim('    We facilitate the connection but don\'t sell directly.'));
     console.log();
-    console.log(chalk.white('  Seller Responsibility:'));
+    console.log(theme.text('  Seller Responsibility:'));
     console.log(chalk.dim('    • Product quality and accuracy'));
     console.log(chalk.dim('    • Order fulfillment and shipping'));
     console.log(chalk.dim('    • Customer service and support'));
     console.log(chalk.dim('    • Refunds (per their own policies)'));
     console.log();
-    console.log(chalk.white('  Buyer Rights:'));
+    console.log(theme.text('  Buyer Rights:'));
     console.log(chalk.dim('    • Contact sellers directly for issues'));
     console.log(chalk.dim('    • Report problematic sellers'));
     console.log(chalk.dim('    • Leave honest reviews'));
@@ -2646,20 +3640,20 @@ program
   .description("Privacy policy")
   .action(() => {
     console.log();
-    console.log(chalk.green.bold('  🔒 Privacy Policy'));
+    console.log(theme.primary.bold('  🔒 Privacy Policy'));
     console.log(chalk.dim('  ─────────────────────────────────────────'));
     console.log();
-    console.log(chalk.white('  Data We Collect:'));
+    console.log(theme.text('  Data We Collect:'));
     console.log(chalk.dim('    • Account information (email, username)'));
     console.log(chalk.dim('    • Order history and preferences'));
     console.log(chalk.dim('    • Usage data for platform improvement'));
     console.log();
-    console.log(chalk.white('  Data We Share:'));
+    console.log(theme.text('  Data We Share:'));
     console.log(chalk.dim('    • Order details with sellers for fulfillment'));
     console.log(chalk.dim('    • Payment info with Stripe'));
     console.log(chalk.dim('    • We never sell your data'));
     console.log();
-    console.log(chalk.white('  Your Rights:'));
+    console.log(theme.text('  Your Rights:'));
     console.log(chalk.dim('    • Request a copy of your data'));
     console.log(chalk.dim('    • Delete your account'));
     console.log(chalk.dim('    • Opt out of marketing'));
@@ -2671,22 +3665,22 @@ program
   .description("Frequently asked questions")
   .action(() => {
     console.log();
-    console.log(chalk.green.bold('  ❓ FAQ'));
+    console.log(theme.primary.bold('  ❓ FAQ'));
     console.log(chalk.dim('  ─────────────────────────────────────────'));
     console.log();
-    console.log(chalk.cyan('  Q: Is TerminalMarket free to use?'));
+    console.log(theme.secondary('  Q: Is TerminalMarket free to use?'));
     console.log(chalk.dim('  A: Yes! Browsing and buying is free. We charge sellers a commission.'));
     console.log();
-    console.log(chalk.cyan('  Q: Who do I contact if my order has issues?'));
+    console.log(theme.secondary('  Q: Who do I contact if my order has issues?'));
     console.log(chalk.dim('  A: Contact the seller first. If unresponsive, email support@terminalmarket.app'));
     console.log();
-    console.log(chalk.cyan('  Q: How are sellers verified?'));
+    console.log(theme.secondary('  Q: How are sellers verified?'));
     console.log(chalk.dim('  A: We verify identity and payment info. Look for the verified badge.'));
     console.log();
-    console.log(chalk.cyan('  Q: Can I get a refund?'));
+    console.log(theme.secondary('  Q: Can I get a refund?'));
     console.log(chalk.dim('  A: Refund policies are set by sellers. Check product listing before buying.'));
     console.log();
-    console.log(chalk.cyan('  Q: How do I become a seller?'));
+    console.log(theme.secondary('  Q: How do I become a seller?'));
     console.log(chalk.dim('  A: Visit the merchant portal. We offer Free, Basic, and Premium tiers.'));
     console.log();
   });
@@ -2697,16 +3691,16 @@ program
   .description("Contact & support")
   .action(() => {
     console.log();
-    console.log(chalk.green.bold('  📞 Contact & Support'));
+    console.log(theme.primary.bold('  📞 Contact & Support'));
     console.log(chalk.dim('  ─────────────────────────────────────────'));
     console.log();
-    console.log(chalk.white('  For Order Issues:'));
+    console.log(theme.text('  For Order Issues:'));
     console.log(chalk.dim('    Contact the seller directly first.'));
     console.log();
-    console.log(chalk.white('  For Platform Issues:'));
+    console.log(theme.text('  For Platform Issues:'));
     console.log(chalk.dim('    Email: support@terminalmarket.app'));
     console.log();
-    console.log(chalk.white('  For Sellers:'));
+    console.log(theme.text('  For Sellers:'));
     console.log(chalk.dim('    Email: merchants@terminalmarket.app'));
     console.log();
     console.log(chalk.dim('  Response time: 24-48 hours on business days'));
@@ -2719,8 +3713,9 @@ program
 
 // Command groups for organized help
 const commandGroups = {
-  'Authentication': ['login', 'logout', 'register', 'auth', 'whoami', 'profile'],
+  'Authentication': ['login', 'logout', 'register', 'auth', 'whoami', 'profile', 'token'],
   'Shopping': ['featured', 'deals', 'products', 'search', 'view', 'buy', 'book', 'open', 'categories'],
+  'Pipes': ['sort', 'filter', 'head', 'count', 'uniq', 'pick'],
   'Cart & Orders': ['cart', 'add', 'checkout', 'orders'],
   'Reverse Marketplace': ['request'],
   'Automation': ['watch', 'telegram'],
@@ -2730,7 +3725,7 @@ const commandGroups = {
   'On-Demand Tasks': ['tasks', 'task'],
   'Personalization': ['alias', 'reward'],
   'Info': ['about', 'stats', 'policy', 'privacy', 'faq', 'contact'],
-  'System': ['start', 'doctor', 'config', 'help']
+  'System': ['start', 'doctor', 'config', 'context', 'cache', 'help']
 };
 
 // Command groups by level
@@ -2754,31 +3749,31 @@ function showHelp(commandName = null, mode = 'basic') {
     // Show detailed help for specific command
     const cmd = program.commands.find(c => c.name() === commandName);
     if (!cmd) {
-      console.log(chalk.red(`✗ Unknown command: ${commandName}`));
-      console.log(chalk.dim(`Run 'tm help' to see all commands.`));
+      console.log(theme.error(`✗ ${t("help.unknownCommand", { command: commandName })}`));
+      console.log(chalk.dim(t("help.unknownCommandHint")));
       return;
     }
     
     console.log();
-    console.log(chalk.cyan('━'.repeat(50)));
-    console.log(chalk.green.bold(`  tm ${cmd.name()}`));
-    console.log(chalk.white(`  ${cmd.description()}`));
-    console.log(chalk.cyan('━'.repeat(50)));
+    console.log(theme.secondary('━'.repeat(50)));
+    console.log(theme.primary.bold(`  tm ${cmd.name()}`));
+    console.log(theme.text(`  ${cmd.description()}`));
+    console.log(theme.secondary('━'.repeat(50)));
     console.log();
     
     // Show usage
     const args = cmd.registeredArguments || [];
-    const argsStr = args.map(a => a.required ? chalk.yellow(`<${a.name()}>`) : chalk.dim(`[${a.name()}]`)).join(' ');
-    console.log(chalk.magenta.bold('Usage:'));
-    console.log(`  ${chalk.green('tm')} ${chalk.cyan(cmd.name())}${argsStr ? ' ' + argsStr : ''} ${chalk.dim('[options]')}`);
+    const argsStr = args.map(a => a.required ? theme.warning(`<${a.name()}>`) : chalk.dim(`[${a.name()}]`)).join(' ');
+    console.log(theme.accent.bold(`${t("help.usage")}:`));
+    console.log(`  ${theme.primary('tm')} ${theme.secondary(cmd.name())}${argsStr ? ' ' + argsStr : ''} ${chalk.dim('[options]')}`);
     console.log();
     
     // Show arguments
     if (args.length > 0) {
-      console.log(chalk.magenta.bold('Arguments:'));
+      console.log(theme.accent.bold('Arguments:'));
       args.forEach(a => {
-        const req = a.required ? chalk.yellow('(required)') : chalk.dim('(optional)');
-        console.log(`  ${chalk.cyan(a.name().padEnd(15))} ${req}`);
+        const req = a.required ? theme.warning('(required)') : chalk.dim('(optional)');
+        console.log(`  ${theme.secondary(a.name().padEnd(15))} ${req}`);
       });
       console.log();
     }
@@ -2786,24 +3781,24 @@ function showHelp(commandName = null, mode = 'basic') {
     // Show options
     const opts = cmd.options;
     if (opts.length > 0) {
-      console.log(chalk.magenta.bold('Options:'));
+      console.log(theme.accent.bold('Options:'));
       opts.forEach(o => {
-        const flags = chalk.yellow(o.flags.padEnd(28));
-        console.log(`  ${flags} ${chalk.white(o.description)}`);
+        const flags = theme.warning(o.flags.padEnd(28));
+        console.log(`  ${flags} ${theme.text(o.description)}`);
       });
       console.log();
     }
     
     // Show subcommands if any
     if (cmd.commands && cmd.commands.length > 0) {
-      console.log(chalk.magenta.bold('Subcommands:'));
+      console.log(theme.accent.bold('Subcommands:'));
       cmd.commands.sort((a, b) => a.name().localeCompare(b.name())).forEach(sub => {
-        const subArgs = (sub.registeredArguments || []).map(a => a.required ? chalk.yellow(`<${a.name()}>`) : chalk.dim(`[${a.name()}]`)).join(' ');
-        const cmdPart = chalk.cyan(sub.name()) + (subArgs ? ' ' + subArgs : '');
-        console.log(`  ${cmdPart.padEnd(40)} ${chalk.white(sub.description())}`);
+        const subArgs = (sub.registeredArguments || []).map(a => a.required ? theme.warning(`<${a.name()}>`) : chalk.dim(`[${a.name()}]`)).join(' ');
+        const cmdPart = theme.secondary(sub.name()) + (subArgs ? ' ' + subArgs : '');
+        console.log(`  ${cmdPart.padEnd(40)} ${theme.text(sub.description())}`);
       });
       console.log();
-      console.log(chalk.dim(`  💡 Run 'tm ${cmd.name()} <subcommand> help' for more details.`));
+      console.log(chalk.dim(`  💡 ${t("help.subcommandHint", { command: cmd.name() })}`));
     }
     console.log();
     return;
@@ -2832,7 +3827,7 @@ function showHelp(commandName = null, mode = 'basic') {
     console.log(color.bold(`${icon} ${groupName}`));
     groupCmds.forEach(c => {
       const rawCmd = c.name + (c.args ? ' ' + c.args : '');
-      console.log('  ' + chalk.cyan(c.name) + (c.args ? chalk.yellow(' ' + c.args) : '') + 
+      console.log('  ' + theme.secondary(c.name) + (c.args ? theme.warning(' ' + c.args) : '') + 
                   ' '.repeat(Math.max(1, COL_WIDTH - rawCmd.length)) + 
                   chalk.dim(c.desc));
     });
@@ -2840,22 +3835,22 @@ function showHelp(commandName = null, mode = 'basic') {
   };
   
   console.log();
-  console.log(chalk.green.bold('  TerminalMarket') + chalk.dim(` v${VERSION}`));
+  console.log(theme.primary.bold('  TerminalMarket') + chalk.dim(` v${VERSION}`));
   console.log(chalk.dim('  The marketplace for developers'));
   console.log();
   
   if (mode === 'basic') {
     // Simple, selling help
-    console.log(chalk.yellow.bold('Quick Start:'));
-    console.log(`  ${chalk.green('tm start')}            ${chalk.dim('interactive onboarding')}`);
-    console.log(`  ${chalk.green('tm where <city>')}     ${chalk.dim('set your location')}`);
-    console.log(`  ${chalk.green('tm featured')}         ${chalk.dim('top picks this week')}`);
-    console.log(`  ${chalk.green('tm buy <id>')}         ${chalk.dim('purchase a product')}`);
+    console.log(theme.warning.bold('Quick Start:'));
+    console.log(`  ${theme.primary('tm start')}            ${chalk.dim('interactive onboarding')}`);
+    console.log(`  ${theme.primary('tm where <city>')}     ${chalk.dim('set your location')}`);
+    console.log(`  ${theme.primary('tm featured')}         ${chalk.dim('top picks this week')}`);
+    console.log(`  ${theme.primary('tm buy <id>')}         ${chalk.dim('purchase a product')}`);
     console.log();
     
-    printGroup('Shop', ['featured', 'deals', 'search', 'products'], '🛒', chalk.green);
-    printGroup('Account', ['login', 'register', 'profile'], '👤', chalk.blue);
-    printGroup('Help', ['doctor', 'help'], '💡', chalk.gray);
+    printGroup('Shop', ['featured', 'deals', 'search', 'products'], '🛒', theme.primary);
+    printGroup('Account', ['login', 'register', 'profile'], '👤', theme.secondary);
+    printGroup('Help', ['doctor', 'help'], '💡', theme.muted);
     
     console.log(chalk.dim('─'.repeat(45)));
     console.log(chalk.dim('  tm help --advanced') + chalk.dim('  cart, AI, rewards'));
@@ -2864,14 +3859,15 @@ function showHelp(commandName = null, mode = 'basic') {
     
   } else if (mode === 'advanced') {
     // Advanced features
-    console.log(chalk.yellow.bold('Advanced Features:'));
+    console.log(theme.warning.bold('Advanced Features:'));
     console.log();
     
-    printGroup('Cart & Orders', ['cart', 'add', 'checkout', 'orders'], '📦', chalk.yellow);
-    printGroup('Reverse Marketplace', ['request'], '📋', chalk.magenta);
-    printGroup('AI Services', ['ai', 'credits', 'topup'], '🤖', chalk.cyan);
-    printGroup('Stores', ['sellers', 'store', 'reviews'], '🏪', chalk.magenta);
-    printGroup('Automation', ['watch', 'telegram', 'alias', 'reward', 'subscribe', 'wishlist'], '👁', chalk.cyan);
+    printGroup('Cart & Orders', ['cart', 'add', 'checkout', 'orders'], '📦', theme.warning);
+    printGroup('Pipes', ['sort', 'filter', 'head', 'count', 'uniq', 'pick'], '🔗', theme.primary);
+    printGroup('Reverse Marketplace', ['request'], '📋', theme.accent);
+    printGroup('AI Services', ['ai', 'credits', 'topup'], '🤖', theme.secondary);
+    printGroup('Stores', ['sellers', 'store', 'reviews'], '🏪', theme.accent);
+    printGroup('Automation', ['watch', 'telegram', 'alias', 'reward', 'subscribe', 'wishlist'], '👁', theme.secondary);
     
     console.log(chalk.dim('─'.repeat(45)));
     console.log(chalk.dim('  tm help') + chalk.dim('            basic commands'));
@@ -2880,27 +3876,29 @@ function showHelp(commandName = null, mode = 'basic') {
     
   } else {
     // Full list (--all)
-    console.log(chalk.magenta.bold('Usage:'), chalk.green('tm'), chalk.cyan('<command>'), chalk.dim('[options]'));
+    console.log(theme.accent.bold(`${t("help.usage")}:`), theme.primary('tm'), theme.secondary('<command>'), chalk.dim('[options]'));
     console.log();
     
     const groupColors = {
-      'Authentication': chalk.blue,
-      'Shopping': chalk.green,
-      'Cart & Orders': chalk.yellow,
-      'Reverse Marketplace': chalk.magenta,
-      'Automation': chalk.cyan,
-      'Developer Jobs': chalk.magenta,
-      'Stores': chalk.cyan,
-      'AI Services': chalk.cyan,
-      'On-Demand Tasks': chalk.yellow,
-      'Personalization': chalk.white,
+      'Authentication': theme.secondary,
+      'Shopping': theme.primary,
+      'Pipes': theme.primary,
+      'Cart & Orders': theme.warning,
+      'Reverse Marketplace': theme.accent,
+      'Automation': theme.secondary,
+      'Developer Jobs': theme.accent,
+      'Stores': theme.secondary,
+      'AI Services': theme.secondary,
+      'On-Demand Tasks': theme.warning,
+      'Personalization': theme.text,
       'Info': chalk.dim,
-      'System': chalk.gray
+      'System': theme.muted
     };
     
     const groupIcons = {
       'Authentication': '🔐',
       'Shopping': '🛒',
+      'Pipes': '🔗',
       'Cart & Orders': '📦',
       'Reverse Marketplace': '📋',
       'Automation': '👁',
@@ -2914,7 +3912,7 @@ function showHelp(commandName = null, mode = 'basic') {
     };
     
     for (const [group, cmdNames] of Object.entries(commandGroups)) {
-      printGroup(group, cmdNames, groupIcons[group] || '•', groupColors[group] || chalk.white);
+      printGroup(group, cmdNames, groupIcons[group] || '•', groupColors[group] || theme.text);
     }
     
     console.log(chalk.dim('─'.repeat(45)));
@@ -2929,26 +3927,26 @@ program
   .action(async (city) => {
     if (city) {
       setLocation(city);
-      showSuccess(`Location set to ${city}`);
+      showSuccess(t("location.set", { city }));
       showNextSteps([
-        { cmd: "tm products", desc: "browse products in " + city },
-        { cmd: "tm search lunch", desc: "find lunch options" }
+        { cmd: "tm products", desc: t("location.browseHint", { city }) },
+        { cmd: "tm search lunch", desc: t("location.lunchHint") }
       ]);
     } else {
       const location = getLocation();
       if (location?.city) {
         console.log();
-        console.log(chalk.green("  📍 Location: ") + chalk.white.bold(location.city));
+        console.log(theme.primary(`  📍 ${t("location.label")}: `) + theme.text.bold(location.city));
         console.log();
-        console.log(chalk.dim("  💡 tm where <city> — change location"));
+        console.log(chalk.dim(`  💡 tm where <city> — ${t("location.changeHint")}`));
         console.log();
       } else {
         console.log();
-        console.log(chalk.dim("  📍 Location not set"));
+        console.log(chalk.dim(`  📍 ${t("location.notSet")}`));
         console.log();
-        console.log(chalk.dim("  💡 Set location for local services:"));
-        console.log(chalk.cyan("     tm where berlin"));
-        console.log(chalk.cyan("     tm where prague"));
+        console.log(chalk.dim(`  💡 ${t("location.setHint")}:`));
+        console.log(theme.secondary("     tm where berlin"));
+        console.log(theme.secondary("     tm where prague"));
         console.log();
       }
     }
@@ -2960,7 +3958,7 @@ program
   .description("Interactive onboarding tour")
   .action(async () => {
     console.log();
-    console.log(chalk.green.bold("  Welcome to TerminalMarket! 🚀"));
+    console.log(theme.primary.bold("  Welcome to TerminalMarket! 🚀"));
     console.log(chalk.dim("  Let's get you started with a quick tour."));
     console.log();
     let city = "Berlin";
@@ -2994,51 +3992,51 @@ program
     }
     
     setLocation(city);
-    console.log(chalk.green(`  ✓ Location set to ${city}`));
+    console.log(theme.primary(`  ✓ ${t("location.set", { city })}`));
     console.log();
     
-    const spinner = createSpinner("Fetching products...");
+    const spinner = createSpinner(t("products.loading"));
     
     try {
       let products;
       if (action === "all") {
-        products = await apiGet("/products");
+        products = await client.products.list();
       } else if (action === "ai") {
-        stopSpinner(true, "AI models");
-        const models = await apiGet("/ai/models");
+        stopSpinner(true, t("ai.models"));
+        const models = await client.ai.models();
         printAIModels(models);
         showNextSteps([
-          { cmd: "tm ai topup 10", desc: "add $10 credits" },
-          { cmd: "tm ai run <model> <prompt>", desc: "run an AI model" }
+          { cmd: "tm ai topup 10", desc: t("ai.topupTenHint") },
+          { cmd: "tm ai run <model> <prompt>", desc: t("ai.runHint") }
         ]);
         return;
       } else {
-        products = await apiGet(`/products/category/${action}`);
+        products = await client.products.list({ category: action });
       }
       
-      stopSpinner(true, `Found ${products.length} products`);
+      stopSpinner(true, t("products.found", { count: products.length }));
       
       if (products.length > 0) {
         const rows = products.slice(0, 5).map(pickProductFields);
         printTable(rows, [
-          { key: "id", title: "ID" },
-          { key: "name", title: "Name" },
-          { key: "price", title: "Price" },
-          { key: "category", title: "Category" }
+          { key: "id", title: t("field.id") },
+          { key: "name", title: t("field.name") },
+          { key: "price", title: t("field.price") },
+          { key: "category", title: t("field.category") }
         ]);
       }
       
       console.log();
-      console.log(chalk.green.bold("  You're all set! 🎉"));
+      console.log(theme.primary.bold(`  ${t("start.ready")} 🎉`));
       console.log();
-      console.log(chalk.dim("  Try:"));
-      console.log(chalk.cyan("    tm products"));
-      console.log(chalk.cyan("    tm buy <id>"));
+      console.log(chalk.dim(`  ${t("start.try")}:`));
+      console.log(theme.secondary("    tm products"));
+      console.log(theme.secondary("    tm buy <id>"));
       console.log();
       
     } catch (e) {
-      stopSpinner(false, "Failed to load");
-      printError(e?.message || String(e));
+      stopSpinner(false, t("products.loadFailed"));
+      handleError(e);
     }
   });
 
@@ -3047,10 +4045,10 @@ program
   .alias("best")
   .description("Top picks this week (by city + global)")
   .action(async () => {
-    const spinner = createSpinner("Loading featured products...");
+    const spinner = createSpinner(t("featured.loading"));
     try {
       const location = getLocation();
-      let products = await apiGet("/products");
+      let products = await client.products.list();
       
       // Featured first, then by city
       const featured = products.filter(p => p.featured);
@@ -3061,33 +4059,34 @@ program
       
       const combined = [...featured, ...local, ...global].slice(0, 10);
       
-      stopSpinner(true, `${combined.length} top picks`);
+      stopSpinner(true, t("featured.found", { count: combined.length }));
+      if (isStructuredOutput()) return printData(combined);
       
       if (combined.length === 0) {
-        printEmpty("No featured products yet");
+        printEmpty(t("featured.none"));
         return;
       }
       
       console.log();
-      console.log(chalk.green.bold("  ⭐ Featured This Week"));
+      console.log(theme.primary.bold(`  ⭐ ${t("featured.title")}`));
       console.log(chalk.dim("  ─".repeat(25)));
       console.log();
       
       combined.forEach((p, i) => {
-        const badge = p.featured ? chalk.yellow(" ★") : "";
+        const badge = p.featured ? theme.warning(" ★") : "";
         const loc = p.city ? chalk.dim(` 📍 ${p.city}`) : "";
-        console.log(`  ${chalk.dim(`${i + 1}.`)} ${chalk.white(p.name)}${badge}${loc}`);
-        console.log(`     ${chalk.green(`$${p.price}`)} ${chalk.dim("—")} ${chalk.dim(p.description?.slice(0, 40) || "")}`);
+        console.log(`  ${chalk.dim(`${i + 1}.`)} ${theme.text(p.name)}${badge}${loc}`);
+        console.log(`     ${theme.primary(formatPrice(p.price, p.currency))} ${chalk.dim("—")} ${chalk.dim(p.description?.slice(0, 40) || "")}`);
         console.log();
       });
       
       showNextSteps([
-        { cmd: "tm buy <id>", desc: "purchase a product" },
-        { cmd: "tm view <id>", desc: "see details" }
+        { cmd: "tm buy <id>", desc: t("featured.buyHint") },
+        { cmd: "tm view <id>", desc: t("featured.viewHint") }
       ]);
     } catch (e) {
-      stopSpinner(false, "Failed");
-      printError(e?.message || String(e));
+      stopSpinner(false, t("spinner.failed"));
+      handleError(e);
     }
   });
 
@@ -3095,35 +4094,37 @@ program
   .command("deals")
   .description("Best deals and curated offers")
   .action(async () => {
-    const spinner = createSpinner("Finding best deals...");
+    const spinner = createSpinner(t("deals.loading"));
     try {
-      const products = await apiGet("/products");
+      const products = await client.products.list();
       
-      // Sort by featured, then by price (lowest first for deals)
+      // Sort by featured, then by price (lowest first for deals), comparing
+      // across currencies when exchange rates are loaded
       const sorted = [...products]
-        .sort((a, b) => (b.featured ? 1 : 0) - (a.featured ? 1 : 0) || a.price - b.price)
+        .sort((a, b) => (b.featured ? 1 : 0) - (a.featured ? 1 : 0) || comparableAmount(a.price, a.currency) - comparableAmount(b.price, b.currency))
         .slice(0, 10);
       
-      stopSpinner(true, `${sorted.length} deals found`);
+      stopSpinner(true, t("deals.found", { count: sorted.length }));
+      if (isStructuredOutput()) return printData(sorted);
       
       console.log();
-      console.log(chalk.green.bold("  🔥 Best Deals"));
+      console.log(theme.primary.bold(`  🔥 ${t("deals.title")}`));
       console.log(chalk.dim("  ─".repeat(25)));
       console.log();
       
       sorted.forEach((p, i) => {
-        const badge = p.featured ? chalk.yellow(" ★ Featured") : "";
-        console.log(`  ${chalk.dim(`${i + 1}.`)} ${chalk.white(p.name)}${badge}`);
-        console.log(`     ${chalk.green.bold(`$${p.price}`)} ${chalk.dim(p.category || "")}`);
+        const badge = p.featured ? theme.warning(` ★ ${t("deals.featured")}`) : "";
+        console.log(`  ${chalk.dim(`${i + 1}.`)} ${theme.text(p.name)}${badge}`);
+        console.log(`     ${theme.primary.bold(formatPrice(p.price, p.currency))} ${chalk.dim(p.category || "")}`);
         console.log();
       });
       
       showNextSteps([
-        { cmd: "tm buy <id>", desc: "purchase now" }
+        { cmd: "tm buy <id>", desc: t("deals.buyHint") }
       ]);
     } catch (e) {
-      stopSpinner(false, "Failed");
-      printError(e?.message || String(e));
+      stopSpinner(false, t("spinner.failed"));
+      handleError(e);
     }
   });
 
@@ -3132,7 +4133,7 @@ program
   .description("Check CLI health and configuration")
   .action(async () => {
     console.log();
-    console.log(chalk.green.bold("  🩺 TerminalMarket Doctor"));
+    console.log(theme.primary.bold("  🩺 TerminalMarket Doctor"));
     console.log(chalk.dim("  ─".repeat(25)));
     console.log();
     
@@ -3140,44 +4141,49 @@ program
     
     // Check API
     const apiBase = getApiBase();
-    console.log(chalk.white("  API Endpoint:"));
+    console.log(theme.text("  API Endpoint:"));
     console.log(`    ${chalk.dim(apiBase)}`);
     
-    const spinner = createSpinner("Testing API connection...");
+    const spinner = createSpinner(t("doctor.testingApi"));
     try {
-      await apiGet("/categories");
-      stopSpinner(true, "API is reachable");
+      await client.categories.list({ cache: false });
+      stopSpinner(true, t("doctor.apiReachable"));
     } catch (e) {
-      stopSpinner(false, "API unreachable");
-      console.log(chalk.red(`    ✗ ${e?.message || "Connection failed"}`));
-      console.log(chalk.dim("    💡 Check your internet or run: tm config set api <url>"));
+      stopSpinner(false, t("doctor.apiUnreachable"));
+      console.log(theme.error(`    ✗ ${e?.message || "Connection failed"}`));
+      console.log(chalk.dim(`    💡 ${t("error.networkHint")}`));
       issues++;
     }
     
     // Check auth
     console.log();
-    console.log(chalk.white("  Authentication:"));
+    console.log(theme.text("  Authentication:"));
     try {
-      const status = await apiGet("/auth/status");
+      const status = await client.auth.status({ cache: false });
       if (status.isAuthenticated && status.user) {
-        console.log(chalk.green(`    ✓ Logged in as ${status.user.email}`));
+        console.log(theme.primary(`    ✓ Logged in as ${status.user.email}`));
+        if (!getApiTokenSource()) {
+          const expiry = getSessionExpiry();
+          const soon = typeof expiry === "number" && expiry - Date.now() < 24 * 60 * 60 * 1000;
+          console.log((soon ? theme.warning : chalk.dim)(`    ${soon ? "⚠" : "○"} Session ${describeSessionExpiry()}`));
+        }
       } else {
-        console.log(chalk.yellow(`    ○ Not logged in`));
-        console.log(chalk.dim("    💡 Run: tm login <email>"));
+        console.log(theme.warning(`    ○ ${t("status.loggedOut")}`));
+        console.log(chalk.dim(`    💡 ${t("error.unauthorizedHint")}`));
       }
     } catch {
-      console.log(chalk.yellow(`    ○ Could not check auth status`));
+      console.log(theme.warning(`    ○ Could not check auth status`));
     }
     
     // Check location
     console.log();
-    console.log(chalk.white("  Location:"));
+    console.log(theme.text("  Location:"));
     const location = getLocation();
     if (location?.city) {
-      console.log(chalk.green(`    ✓ Set to ${location.city}`));
+      console.log(theme.primary(`    ✓ Set to ${location.city}`));
     } else {
-      console.log(chalk.yellow(`    ○ Not set (local services hidden)`));
-      console.log(chalk.dim("    💡 Run: tm where <city>"));
+      console.log(theme.warning(`    ○ ${t("doctor.noLocation")}`));
+      console.log(chalk.dim(`    💡 ${t("doctor.noLocationHint")}`));
       issues++;
     }
     
@@ -3185,13 +4191,43 @@ program
     console.log();
     console.log(chalk.dim("  ─".repeat(25)));
     if (issues === 0) {
-      console.log(chalk.green.bold("  ✓ All checks passed!"));
+      console.log(theme.primary.bold("  ✓ All checks passed!"));
     } else {
-      console.log(chalk.yellow(`  ⚠ ${issues} issue${issues > 1 ? "s" : ""} found`));
+      console.log(theme.warning(`  ⚠ ${issues} issue${issues > 1 ? "s" : ""} found`));
     }
     console.log();
   });
 
+// -----------------
+// response cache
+// -----------------
+const cacheCmd = program
+  .command("cache")
+  .description("Inspect or clear the local response cache");
+
+cacheCmd
+  .command("info")
+  .description("Show cache location and size")
+  .action(() => {
+    const stats = getCacheStats();
+    console.log(`${chalk.dim("dir:")} ${stats.dir}`);
+    console.log(`${chalk.dim("entries:")} ${stats.entries}`);
+    console.log(`${chalk.dim("size:")} ${(stats.bytes / 1024).toFixed(1)} KB`);
+  });
+
+cacheCmd
+  .command("clear")
+  .description("Delete cached responses")
+  .option("--all", "Clear every profile, not just the active one")
+  .action((opts) => {
+    clearCache(opts.all ? null : getActiveProfileName());
+    console.log(theme.primary(opts.all ? "✓ Cache cleared." : `✓ Cache cleared for profile '${getActiveProfileName()}'.`));
+  });
+
+cacheCmd.action(() => {
+  cacheCmd.outputHelp();
+});
+
 // -----------------
 // Library Commands (Digital Products)
 // -----------------
@@ -3205,10 +4241,11 @@ library
   .description("List all your digital purchases")
   .action(async () => {
     try {
-      const data = await apiGet("/library");
+      const data = await client.library.list();
+      if (isStructuredOutput()) return printData(data, { rows: data.purchases || [] });
       
       if (!data.purchases?.length && !data.subscriptions?.length) {
-        showInfoBox("Your library is empty", "Purchase digital products to see them here\n💡 Run: tm list --kind digital");
+        showInfoBox(t("library.empty"), `${t("library.emptyText")}\n💡 ${t("library.emptyHint")}`);
         return;
       }
       
@@ -3218,10 +4255,10 @@ library
         console.log(chalk.dim("  ─".repeat(35)));
         
         for (const p of data.purchases) {
-          const date = new Date(p.createdAt).toLocaleDateString();
-          const status = p.status === 'active' ? chalk.green('active') : chalk.red(p.status);
+          const date = formatDate(p.createdAt);
+          const status = p.status === 'active' ? theme.primary('active') : theme.error(p.status);
           const type = p.licenseKey ? 'key' : p.fileStoragePath ? 'file' : p.accessUrl ? 'link' : 'manual';
-          console.log(`  ${chalk.cyan(String(p.id).padEnd(6))} ${(p.productName || 'Unknown').padEnd(22).substring(0, 22)} ${type.padEnd(9)} ${status.padEnd(9)} ${date}`);
+          console.log(`  ${theme.secondary(String(p.id).padEnd(6))} ${(p.productName || 'Unknown').padEnd(22).substring(0, 22)} ${type.padEnd(9)} ${status.padEnd(9)} ${date}`);
         }
       }
       
@@ -3232,19 +4269,19 @@ library
         console.log(chalk.dim("  ─".repeat(35)));
         
         for (const s of data.subscriptions) {
-          const renewDate = s.currentPeriodEnd ? new Date(s.currentPeriodEnd).toLocaleDateString() : '-';
-          const statusColor = s.status === 'active' ? chalk.green : s.status === 'canceled' ? chalk.red : chalk.yellow;
-          console.log(`  ${chalk.cyan(String(s.id).padEnd(6))} ${(s.productName || 'Unknown').padEnd(22).substring(0, 22)} ${statusColor(s.status.padEnd(11))} ${renewDate}`);
+          const renewDate = formatDate(s.currentPeriodEnd);
+          const statusColor = s.status === 'active' ? theme.primary : s.status === 'canceled' ? theme.error : theme.warning;
+          console.log(`  ${theme.secondary(String(s.id).padEnd(6))} ${(s.productName || 'Unknown').padEnd(22).substring(0, 22)} ${statusColor(s.status.padEnd(11))} ${renewDate}`);
         }
       }
       
       console.log();
       showNextSteps([
-        { cmd: "tm keys", desc: "show your license keys" },
-        { cmd: "tm download <id>", desc: "download file for purchase" }
+        { cmd: "tm keys", desc: t("library.keysHint") },
+        { cmd: "tm download <id>", desc: t("library.downloadHint") }
       ]);
     } catch (error) {
-      showError(error.message || "Failed to fetch library");
+      handleError(error, { fallback: "Failed to fetch library" });
     }
   });
 
@@ -3253,7 +4290,8 @@ program
   .description("Show your license keys")
   .action(async () => {
     try {
-      const data = await apiGet("/library/keys");
+      const data = await client.library.keys();
+      if (isStructuredOutput()) return printData(data);
       
       if (!data?.length) {
         showInfoBox("No license keys", "You haven't purchased any products with license keys yet");
@@ -3265,13 +4303,13 @@ program
       console.log(chalk.dim("  ─".repeat(35)));
       
       for (const p of data) {
-        console.log(`  ${(p.productName || 'Unknown').padEnd(28).substring(0, 28)} ${chalk.green(p.licenseKey)}`);
+        console.log(`  ${(p.productName || 'Unknown').padEnd(28).substring(0, 28)} ${theme.primary(p.licenseKey)}`);
       }
       
       console.log();
       showInfo("Keys are yours forever. Copy and use them with the respective products.");
     } catch (error) {
-      showError(error.message || "Failed to fetch keys");
+      handleError(error, { fallback: "Failed to fetch keys" });
     }
   });
 
@@ -3280,86 +4318,36 @@ program
   .alias("dl")
   .description("Download a digital file purchase")
   .action(async (purchaseId) => {
-    const spinner = createSpinner("Preparing download...");
+    const spinner = createSpinner(t("download.preparing"));
     
     try {
       const fs = await import("fs");
       const path = await import("path");
-      const https = await import("https");
-      const http = await import("http");
-      const { getApiBase } = await import("../src/config.js");
-      const { getCookies } = await import("../src/api.js");
-      
-      const baseUrl = getApiBase();
-      const url = `${baseUrl}/library/download/${purchaseId}`;
-      
-      const parsedUrl = new URL(url);
-      const protocol = parsedUrl.protocol === 'https:' ? https : http;
-      
-      updateSpinner(spinner, "Downloading...");
-      
-      const cookies = getCookies();
-      const options = {
-        hostname: parsedUrl.hostname,
-        port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
-        path: parsedUrl.pathname,
-        method: 'GET',
-        headers: {
-          'Cookie': cookies || '',
-        }
-      };
+      const { pipeline } = await import("stream/promises");
       
-      const req = protocol.request(options, (response) => {
-        if (response.statusCode === 401) {
-          stopSpinner(spinner);
-          showError("Login required. Run: tm login <email>");
-          return;
-        }
-        
-        if (response.statusCode === 404) {
-          stopSpinner(spinner);
-          showError("Purchase not found or no file available");
-          return;
-        }
-        
-        if (response.statusCode !== 200) {
-          stopSpinner(spinner);
-          showError(`Download failed (status ${response.statusCode})`);
-          return;
-        }
-        
-        const contentDisposition = response.headers['content-disposition'];
-        let filename = `download_${purchaseId}`;
-        if (contentDisposition) {
-          const match = contentDisposition.match(/filename="?([^";\n]+)"?/);
-          if (match) filename = match[1];
-        }
-        
-        const filePath = path.join(process.cwd(), filename);
-        const fileStream = fs.createWriteStream(filePath);
-        
-        response.pipe(fileStream);
-        
-        fileStream.on('finish', () => {
-          stopSpinner(spinner);
-          showSuccessBox("Download complete", `Saved to: ${filename}`);
-        });
-        
-        fileStream.on('error', (err) => {
-          stopSpinner(spinner);
-          showError(`Failed to save file: ${err.message}`);
-        });
-      });
+      updateSpinner(t("download.downloading"));
+      const response = await client.library.download(purchaseId);
       
-      req.on('error', (err) => {
-        stopSpinner(spinner);
-        showError(`Download failed: ${err.message}`);
-      });
+      const contentDisposition = response.headers.get('content-disposition');
+      let filename = `download_${purchaseId}`;
+      if (contentDisposition) {
+        const match = contentDisposition.match(/filename="?([^";\n]+)"?/);
+        if (match) filename = match[1];
+      }
       
-      req.end();
+      const filePath = path.join(process.cwd(), filename);
+      try {
+        await pipeline(response.body, fs.createWriteStream(filePath));
+      } catch (err) {
+        stopSpinner(false);
+        showError(`Failed to save file: ${err.message}`);
+        return;
+      }
+      stopSpinner();
+      showSuccessBox(`Download complete — saved to ${filename}`);
     } catch (error) {
-      stopSpinner(spinner);
-      showError(error.message || "Download failed");
+      stopSpinner(false);
+      handleError(error, { fallback: "Download failed", messages: { not_found: "Purchase not found or no file available" } });
     }
   });
 
@@ -3375,12 +4363,13 @@ tasks
   .description("List all your tasks")
   .action(async () => {
     try {
-      const spinner = createSpinner("Fetching tasks...");
-      const data = await apiGet("/jobs");
+      const spinner = createSpinner(t("tasks.loading"));
+      const data = await client.jobs.list();
       stopSpinner(spinner);
+      if (isStructuredOutput()) return printData(data);
       
       if (!data?.length) {
-        showInfoBox("No tasks yet", "Purchase on-demand services to see your tasks here\n💡 On-demand services execute tasks for you (SEO audits, code conversions, etc.)");
+        showInfoBox(t("tasks.empty"), `${t("tasks.emptyText")}\n💡 ${t("tasks.emptyHint")}`);
         return;
       }
       
@@ -3390,33 +4379,33 @@ tasks
       
       for (const task of data) {
         const statusIcon = {
-          'pending_payment': chalk.yellow("⏳"),
-          'queued': chalk.blue("📋"),
-          'dispatching': chalk.blue("🚀"),
-          'dispatched': chalk.cyan("⏳"),
-          'completed': chalk.green("✓"),
-          'failed': chalk.red("✗"),
+          'pending_payment': theme.warning("⏳"),
+          'queued': theme.secondary("📋"),
+          'dispatching': theme.secondary("🚀"),
+          'dispatched': theme.secondary("⏳"),
+          'completed': theme.primary("✓"),
+          'failed': theme.error("✗"),
         }[task.status] || "•";
         
         const statusColor = {
-          'pending_payment': chalk.yellow,
-          'queued': chalk.blue,
-          'dispatching': chalk.blue,
-          'dispatched': chalk.cyan,
-          'completed': chalk.green,
-          'failed': chalk.red,
-        }[task.status] || chalk.gray;
+          'pending_payment': theme.warning,
+          'queued': theme.secondary,
+          'dispatching': theme.secondary,
+          'dispatched': theme.secondary,
+          'completed': theme.primary,
+          'failed': theme.error,
+        }[task.status] || theme.muted;
         
-        const date = new Date(task.createdAt).toLocaleDateString();
-        console.log(`  ${statusIcon} ${chalk.white(task.jobId.padEnd(26))} ${chalk.cyan((task.productName || 'Unknown').substring(0, 20).padEnd(20))} ${statusColor(task.status.padEnd(12))} ${chalk.dim(date)}`);
+        const date = formatDate(task.createdAt);
+        console.log(`  ${statusIcon} ${theme.text(task.jobId.padEnd(26))} ${theme.secondary((task.productName || 'Unknown').substring(0, 20).padEnd(20))} ${statusColor(task.status.padEnd(12))} ${chalk.dim(date)}`);
       }
       
       console.log();
       showNextSteps([
-        { cmd: "tm task <task_id>", desc: "view task details and results" }
+        { cmd: "tm task <task_id>", desc: t("tasks.viewHint") }
       ]);
     } catch (error) {
-      showError(error.message || "Failed to fetch tasks");
+      handleError(error, { fallback: "Failed to fetch tasks" });
     }
   });
 
@@ -3425,9 +4414,10 @@ program
   .description("View task details and results")
   .action(async (taskId) => {
     try {
-      const spinner = createSpinner("Fetching task details...");
-      const task = await apiGet(`/jobs/${taskId}`);
+      const spinner = createSpinner(t("task.loading"));
+      const task = await client.jobs.get(taskId);
       stopSpinner(spinner);
+      if (isStructuredOutput()) return printData(task);
       
       showSection(`Task: ${task.jobId}`);
       console.log();
@@ -3441,37 +4431,37 @@ program
         'failed': '❌ Failed',
       }[task.status] || task.status;
       
-      console.log(`  ${chalk.dim("Service:")} ${chalk.white(task.productName || 'Unknown')}`);
-      console.log(`  ${chalk.dim("Status:")}  ${task.status === 'completed' ? chalk.green(statusIcon) : task.status === 'failed' ? chalk.red(statusIcon) : chalk.yellow(statusIcon)}`);
-      console.log(`  ${chalk.dim("Created:")} ${new Date(task.createdAt).toLocaleString()}`);
+      console.log(`  ${chalk.dim("Service:")} ${theme.text(task.productName || 'Unknown')}`);
+      console.log(`  ${chalk.dim("Status:")}  ${task.status === 'completed' ? theme.primary(statusIcon) : task.status === 'failed' ? theme.error(statusIcon) : theme.warning(statusIcon)}`);
+      console.log(`  ${chalk.dim("Created:")} ${formatDateTime(task.createdAt)}`);
       
       if (task.completedAt) {
-        console.log(`  ${chalk.dim("Completed:")} ${new Date(task.completedAt).toLocaleString()}`);
+        console.log(`  ${chalk.dim("Completed:")} ${formatDateTime(task.completedAt)}`);
       }
       
       if (task.inputData && Object.keys(task.inputData).length > 0) {
         console.log();
         console.log(chalk.dim("  ─ Input Data ─"));
         for (const [key, value] of Object.entries(task.inputData)) {
-          console.log(`  ${chalk.cyan(key)}: ${chalk.white(String(value))}`);
+          console.log(`  ${theme.secondary(key)}: ${theme.text(String(value))}`);
         }
       }
       
       if (task.status === 'completed' && task.resultData) {
         console.log();
-        console.log(chalk.green("  ─ Result ─"));
+        console.log(theme.primary("  ─ Result ─"));
         for (const [key, value] of Object.entries(task.resultData)) {
           if (typeof value === 'string' && value.startsWith('http')) {
-            console.log(`  ${chalk.cyan(key)}: ${chalk.underline.blue(value)}`);
+            console.log(`  ${theme.secondary(key)}: ${theme.secondary.underline(value)}`);
           } else {
-            console.log(`  ${chalk.cyan(key)}: ${chalk.white(String(value))}`);
+            console.log(`  ${theme.secondary(key)}: ${theme.text(String(value))}`);
           }
         }
       }
       
       if (task.status === 'failed' && task.resultData?.error) {
         console.log();
-        console.log(chalk.red(`  Error: ${task.resultData.error}`));
+        console.log(theme.error(`  Error: ${task.resultData.error}`));
       }
       
       if (task.lastDispatchError) {
@@ -3482,7 +4472,7 @@ program
       
       console.log();
     } catch (error) {
-      showError(error.message || "Failed to fetch task");
+      handleError(error, { fallback: "Failed to fetch task" });
     }
   });
 
@@ -3499,22 +4489,21 @@ program
   .option("--limit <n>", "Limit results", "20")
   .action(async (query, opts) => {
     try {
-      const spinner = createSpinner("Fetching vacancies...");
-      
-      const params = new URLSearchParams();
-      if (query?.length) params.set("q", query.join(" "));
-      if (opts.type) params.set("workType", opts.type);
-      if (opts.level) params.set("experienceLevel", opts.level);
-      if (opts.skills) params.set("skills", opts.skills);
-      if (opts.location) params.set("location", opts.location);
-      if (opts.limit) params.set("limit", opts.limit);
-      
-      const url = `/vacancies${params.toString() ? "?" + params.toString() : ""}`;
-      const vacancies = await apiGet(url);
+      const spinner = createSpinner(t("jobs.loading"));
+      
+      const vacancies = await client.vacancies.list({
+        query: query?.join(" "),
+        workType: opts.type,
+        experienceLevel: opts.level,
+        skills: opts.skills,
+        location: opts.location,
+        limit: opts.limit,
+      });
       stopSpinner(spinner);
+      if (isStructuredOutput()) return printData(vacancies || []);
       
       if (!vacancies?.length) {
-        showInfoBox("No vacancies found", "Try different filters or check back later\n💡 tm jobs --type=remote");
+        showInfoBox(t("jobs.none"), `${t("jobs.noneText")}\n💡 tm jobs --type=remote`);
         return;
       }
       
@@ -3524,22 +4513,22 @@ program
       vacancies.forEach((v, i) => {
         const workIcon = { remote: '🌍', contract: '📝', freelance: '💼', hybrid: '🏢' }[v.workType] || '📍';
         const salary = (v.salaryMin || v.salaryMax) 
-          ? chalk.green(` $${v.salaryMin || '?'}k-${v.salaryMax || '?'}k`) 
+          ? theme.primary(` $${v.salaryMin || '?'}k-${v.salaryMax || '?'}k`) 
           : '';
         const skills = v.requiredSkills?.slice(0, 3).join(', ') || '';
         
-        console.log(`  ${chalk.dim(`${i + 1}.`)} ${chalk.white.bold(v.title)}`);
+        console.log(`  ${chalk.dim(`${i + 1}.`)} ${theme.text.bold(v.title)}`);
         console.log(`     ${workIcon} ${v.workType}${salary}${skills ? chalk.dim(` | ${skills}`) : ''}`);
         console.log(`     ${chalk.dim('@ ' + (v.seller?.name || 'Unknown'))} • ${chalk.dim(v.applicationCount || 0)} applicants`);
         console.log();
       });
       
       showNextSteps([
-        { cmd: "tm job <number>", desc: "view vacancy details" },
-        { cmd: "tm apply <number>", desc: "apply for job" }
+        { cmd: "tm job <number>", desc: t("jobs.viewHint") },
+        { cmd: "tm apply <number>", desc: t("jobs.applyHint") }
       ]);
     } catch (error) {
-      showError(error.message || "Failed to fetch vacancies");
+      handleError(error, { fallback: "Failed to fetch vacancies" });
     }
   });
 
@@ -3549,19 +4538,20 @@ program
   .action(async (id) => {
     try {
       const spinner = createSpinner("Fetching vacancy...");
-      const v = await apiGet(`/vacancies/${id}`);
+      const v = await client.vacancies.get(id);
       stopSpinner(spinner);
+      if (isStructuredOutput()) return printData(v);
       
       const workTypes = { remote: '🌍 Remote', contract: '📝 Contract', freelance: '💼 Freelance', hybrid: '🏢 Hybrid', onsite: '📍 On-site' };
       const levels = { junior: '🌱 Junior', middle: '💪 Middle', senior: '⭐ Senior', lead: '👑 Lead', any: 'Any level' };
       
       console.log();
-      console.log(chalk.green.bold('  ╔' + '═'.repeat(50) + '╗'));
-      console.log(chalk.green.bold('  ║') + chalk.white.bold(`  ${v.title}`.padEnd(50)) + chalk.green.bold('║'));
-      console.log(chalk.green.bold('  ╚' + '═'.repeat(50) + '╝'));
+      console.log(theme.primary.bold('  ╔' + '═'.repeat(50) + '╗'));
+      console.log(theme.primary.bold('  ║') + theme.text.bold(`  ${v.title}`.padEnd(50)) + theme.primary.bold('║'));
+      console.log(theme.primary.bold('  ╚' + '═'.repeat(50) + '╝'));
       console.log();
       
-      console.log(`  ${chalk.dim("Company:")}     ${chalk.white(v.seller?.name || 'Unknown')}`);
+      console.log(`  ${chalk.dim("Company:")}     ${theme.text(v.seller?.name || 'Unknown')}`);
       console.log(`  ${chalk.dim("Work Type:")}   ${workTypes[v.workType] || v.workType}`);
       console.log(`  ${chalk.dim("Experience:")}  ${levels[v.experienceLevel] || 'Any'}`);
       console.log(`  ${chalk.dim("Location:")}    ${v.location || 'Anywhere'}`);
@@ -3570,7 +4560,7 @@ program
         const salary = v.salaryMin && v.salaryMax 
           ? `$${v.salaryMin.toLocaleString()} - $${v.salaryMax.toLocaleString()}`
           : v.salaryMin ? `From $${v.salaryMin.toLocaleString()}` : `Up to $${v.salaryMax.toLocaleString()}`;
-        console.log(`  ${chalk.dim("Salary:")}      ${chalk.green(salary)}`);
+        console.log(`  ${chalk.dim("Salary:")}      ${theme.primary(salary)}`);
       }
       
       console.log(`  ${chalk.dim("Views:")}       ${v.viewCount || 0}`);
@@ -3578,24 +4568,24 @@ program
       
       if (v.requiredSkills?.length) {
         console.log();
-        console.log(`  ${chalk.dim("Skills:")} ${v.requiredSkills.map(s => chalk.cyan(s)).join(', ')}`);
+        console.log(`  ${chalk.dim("Skills:")} ${v.requiredSkills.map(s => theme.secondary(s)).join(', ')}`);
       }
       
       if (v.description) {
         console.log();
         console.log(chalk.dim("  ─ Description ─"));
-        console.log(`  ${v.description}`);
+        printMarkdown(v.description, { indent: 2 });
       }
       
       console.log();
       console.log(chalk.dim("  ─".repeat(25)));
-      console.log(`  ${chalk.green('Apply:')} tm apply ${id}`);
+      console.log(`  ${theme.primary('Apply:')} tm apply ${id}`);
       if (v.applyUrl) {
-        console.log(`  ${chalk.dim('External:')} ${chalk.underline.blue(v.applyUrl)}`);
+        console.log(`  ${chalk.dim('External:')} ${theme.secondary.underline(v.applyUrl)}`);
       }
       console.log();
     } catch (error) {
-      showError(error.message || "Vacancy not found");
+      handleError(error, { fallback: "Vacancy not found" });
     }
   });
 
@@ -3607,25 +4597,18 @@ program
     try {
       const spinner = createSpinner("Submitting application...");
       
-      const payload = {};
-      if (opts.cover) payload.coverLetter = opts.cover;
-      
-      const app = await apiPost(`/vacancies/${vacancyId}/apply`, payload);
+      const app = await client.vacancies.apply(vacancyId, { coverLetter: opts.cover });
       stopSpinner(spinner);
       
       showSuccessBox("Application Submitted!", 
         `Application ID: ${app.applicationId}\nStatus: Pending\n\nThe employer will review your profile and contact you.`);
       
       showNextSteps([
-        "tm applications — view your applications",
-        "tm profile      — update your profile"
+        { cmd: "tm applications", desc: t("apply.applicationsHint") },
+        { cmd: "tm profile", desc: t("apply.profileHint") }
       ]);
     } catch (error) {
-      if (error.message?.includes("401")) {
-        showError("Login required. Run: tm login <email>");
-      } else {
-        showError(error.message || "Failed to submit application");
-      }
+      handleError(error, { fallback: "Failed to submit application" });
     }
   });
 
@@ -3636,11 +4619,12 @@ program
   .action(async () => {
     try {
       const spinner = createSpinner("Fetching applications...");
-      const apps = await apiGet("/applications");
+      const apps = await client.applications.list();
       stopSpinner(spinner);
+      if (isStructuredOutput()) return printData(apps);
       
       if (!apps?.length) {
-        showInfoBox("No applications yet", "Apply to jobs to see your applications here\n💡 tm jobs — browse vacancies");
+        showInfoBox(t("applications.empty"), `${t("applications.emptyText")}\n💡 tm jobs — ${t("applications.jobsHint")}`);
         return;
       }
       
@@ -3648,28 +4632,24 @@ program
       console.log();
       
       const statusIcons = {
-        pending: chalk.yellow('⏳'),
-        reviewed: chalk.blue('👀'),
-        shortlisted: chalk.green('⭐'),
-        rejected: chalk.red('❌'),
-        hired: chalk.green('✅')
+        pending: theme.warning('⏳'),
+        reviewed: theme.secondary('👀'),
+        shortlisted: theme.primary('⭐'),
+        rejected: theme.error('❌'),
+        hired: theme.primary('✅')
       };
       
       apps.forEach((a, i) => {
-        const date = new Date(a.createdAt).toLocaleDateString();
+        const date = formatDate(a.createdAt);
         const status = statusIcons[a.status] || a.status;
         
-        console.log(`  ${chalk.dim(`${i + 1}.`)} ${chalk.white(a.vacancy?.title || 'Unknown Position')}`);
+        console.log(`  ${chalk.dim(`${i + 1}.`)} ${theme.text(a.vacancy?.title || 'Unknown Position')}`);
         console.log(`     ${chalk.dim('@ ' + (a.vacancy?.seller?.name || 'Unknown'))} | Applied: ${date}`);
         console.log(`     Status: ${status} ${a.status}`);
         console.log();
       });
     } catch (error) {
-      if (error.message?.includes("401")) {
-        showError("Login required. Run: tm login <email>");
-      } else {
-        showError(error.message || "Failed to fetch applications");
-      }
+      handleError(error);
     }
   });
 
@@ -3712,7 +4692,7 @@ watchCmd
       }
       
       const spinner = createSpinner("Creating watch rule...");
-      const result = await apiPost("/watch-rules", {
+      const result = await client.watchRules.create({
         pipeQuery,
         name,
         notifyVia,
@@ -3722,7 +4702,7 @@ watchCmd
       stopSpinner(spinner);
       
       showSuccess(`Watch rule #${result.id} created`);
-      console.log(`  ${chalk.dim("Query:")}   ${chalk.yellow(result.pipeQuery)}`);
+      console.log(`  ${chalk.dim("Query:")}   ${theme.warning(result.pipeQuery)}`);
       console.log(`  ${chalk.dim("Every:")}   ${result.intervalMinutes} min`);
       console.log(`  ${chalk.dim("Notify:")}  ${result.notifyVia}`);
       console.log(`  ${chalk.dim("Action:")}  ${result.action}`);
@@ -3730,8 +4710,7 @@ watchCmd
       console.log();
       console.log(chalk.dim(`  Manage: tm watch list | tm watch pause ${result.id} | tm watch delete ${result.id}`));
     } catch (e) {
-      showError(e?.message || "Failed to create watch rule");
-      process.exitCode = 1;
+      handleError(e, { fallback: "Failed to create watch rule" });
     }
   });
 
@@ -3741,8 +4720,9 @@ watchCmd
   .action(async () => {
     try {
       const spinner = createSpinner("Fetching watch rules...");
-      const rules = await apiGet("/watch-rules");
+      const rules = await client.watchRules.list();
       stopSpinner(spinner);
+      if (isStructuredOutput()) return printData(rules);
       
       if (!Array.isArray(rules) || rules.length === 0) {
         showInfoBox("No watch rules", "Create one: tm watch create search coffee --notify telegram");
@@ -3753,18 +4733,14 @@ watchCmd
       console.log();
       
       for (const r of rules) {
-        const status = r.status === "active" ? chalk.green("●") : chalk.dim("○");
-        const nameStr = r.name ? chalk.white(r.name) + " — " : "";
-        console.log(`  ${status} ${chalk.yellow(`#${r.id}`)} ${nameStr}${chalk.dim(r.pipeQuery)}`);
+        const status = r.status === "active" ? theme.primary("●") : chalk.dim("○");
+        const nameStr = r.name ? theme.text(r.name) + " — " : "";
+        console.log(`  ${status} ${theme.warning(`#${r.id}`)} ${nameStr}${chalk.dim(r.pipeQuery)}`);
         console.log(`    ${chalk.dim(`every ${r.intervalMinutes}m · ${r.notifyVia} · ${r.totalChecks || 0} checks · ${r.totalMatches || 0} matches`)}`);
       }
       console.log();
     } catch (e) {
-      if (e.message?.includes("401")) {
-        showError("Login required. Run: tm login <email>");
-      } else {
-        showError(e?.message || "Failed to load watch rules");
-      }
+      handleError(e);
     }
   });
 
@@ -3773,11 +4749,10 @@ watchCmd
   .description("Pause a watch rule")
   .action(async (id) => {
     try {
-      await apiPatch(`/watch-rules/${id}`, { status: "paused" });
+      await client.watchRules.pause(id);
       showSuccess(`Watch rule #${id} paused`);
     } catch (e) {
-      showError(e?.message || "Failed to pause rule");
-      process.exitCode = 1;
+      handleError(e, { fallback: "Failed to pause rule" });
     }
   });
 
@@ -3786,11 +4761,10 @@ watchCmd
   .description("Resume a paused watch rule")
   .action(async (id) => {
     try {
-      await apiPatch(`/watch-rules/${id}`, { status: "active" });
+      await client.watchRules.resume(id);
       showSuccess(`Watch rule #${id} resumed`);
     } catch (e) {
-      showError(e?.message || "Failed to resume rule");
-      process.exitCode = 1;
+      handleError(e, { fallback: "Failed to resume rule" });
     }
   });
 
@@ -3800,11 +4774,10 @@ watchCmd
   .description("Delete a watch rule")
   .action(async (id) => {
     try {
-      await apiDelete(`/watch-rules/${id}`);
+      await client.watchRules.remove(id);
       showSuccess(`Watch rule #${id} deleted`);
     } catch (e) {
-      showError(e?.message || "Failed to delete rule");
-      process.exitCode = 1;
+      handleError(e, { fallback: "Failed to delete rule" });
     }
   });
 
@@ -3815,29 +4788,29 @@ watchCmd
   .action(async (id) => {
     try {
       const spinner = createSpinner("Fetching logs...");
-      const logs = await apiGet(`/watch-rules/${id}/logs`);
+      const logs = await client.watchRules.logs(id);
       stopSpinner(spinner);
+      if (isStructuredOutput()) return printData(logs);
       
       if (!Array.isArray(logs) || logs.length === 0) {
-        showInfoBox("No logs yet", `Rule #${id} hasn't been checked yet.`);
+        showInfoBox(t("watch.noLogs"), t("watch.noLogsHint", { id }));
         return;
       }
       
-      showSection(`Logs for watch rule #${id}`);
+      showSection(t("watch.logs", { id }));
       console.log();
       
       for (const log of logs.slice(0, 20)) {
-        const icon = log.isNew ? chalk.yellow("!") : chalk.dim("·");
-        const date = new Date(log.createdAt).toLocaleString();
-        const count = `${log.resultCount} result(s)`;
+        const icon = log.isNew ? theme.warning("!") : chalk.dim("·");
+        const date = formatDateTime(log.createdAt);
+        const count = t("watch.resultCount", { count: log.resultCount });
         const action = log.actionTaken ? ` · ${log.actionTaken}` : "";
         const ms = log.executionMs ? ` · ${log.executionMs}ms` : "";
         console.log(`  ${icon} ${chalk.dim(date)} — ${count}${action}${ms}`);
       }
       console.log();
     } catch (e) {
-      showError(e?.message || "Failed to load logs");
-      process.exitCode = 1;
+      handleError(e, { fallback: "Failed to load logs" });
     }
   });
 
@@ -3858,12 +4831,11 @@ telegramCmd
   .action(async (code) => {
     try {
       const spinner = createSpinner("Linking Telegram...");
-      await apiPost("/user/telegram/link", { code: code.toUpperCase() });
+      await client.telegram.link(code);
       stopSpinner(spinner);
       showSuccess("Telegram linked! You'll receive watch alerts and notifications there.");
     } catch (e) {
-      showError(e?.message || "Failed to link Telegram");
-      process.exitCode = 1;
+      handleError(e, { fallback: "Failed to link Telegram" });
     }
   });
 
@@ -3873,11 +4845,10 @@ telegramCmd
   .description("Disconnect Telegram from your account")
   .action(async () => {
     try {
-      await apiPost("/user/telegram/unlink");
+      await client.telegram.unlink();
       showSuccess("Telegram disconnected.");
     } catch (e) {
-      showError(e?.message || "Failed to unlink Telegram");
-      process.exitCode = 1;
+      handleError(e, { fallback: "Failed to unlink Telegram" });
     }
   });
 
@@ -3886,7 +4857,8 @@ telegramCmd
   .description("Check if Telegram is linked")
   .action(async () => {
     try {
-      const data = await apiGet("/user/telegram/status");
+      const data = await client.telegram.status();
+      if (isStructuredOutput()) return printData(data);
       if (data.linked) {
         showSuccess("Telegram is connected. You'll receive notifications there.");
         console.log(chalk.dim("  To disconnect: tm telegram unlink"));
@@ -3897,11 +4869,7 @@ telegramCmd
         console.log(chalk.dim("  3. Run: tm telegram link <CODE>"));
       }
     } catch (e) {
-      if (e.message?.includes("401")) {
-        showError("Login required. Run: tm login <email>");
-      } else {
-        showError(e?.message || "Failed to check status");
-      }
+      handleError(e);
     }
   });
 
@@ -3924,19 +4892,19 @@ requestCmd
   .action(async (titleParts, opts) => {
     try {
       const title = titleParts.join(" ");
-      const body = { title };
-      if (opts.category) body.category = opts.category;
-      if (opts.budget) body.budgetMax = opts.budget;
-      if (opts.deadline) body.deadline = opts.deadline;
-      
       const spinner = createSpinner("Creating request...");
-      const data = await apiPost("/requests", body);
+      const data = await client.requests.create({
+        title,
+        category: opts.category,
+        budgetMax: opts.budget,
+        deadline: opts.deadline,
+      });
       stopSpinner(spinner);
       
       showSuccess("Request created!");
       console.log(`  ${chalk.dim("ID:")}       #${data.id}`);
       console.log(`  ${chalk.dim("Title:")}    ${data.title}`);
-      if (data.budgetMax) console.log(`  ${chalk.dim("Budget:")}   up to ${data.currency || 'USD'} ${data.budgetMax}`);
+      if (data.budgetMax) console.log(`  ${chalk.dim("Budget:")}   up to ${formatPrice(data.budgetMax, data.currency)}`);
       if (data.category) console.log(`  ${chalk.dim("Category:")} ${data.category}`);
       if (data.expiresAt) {
         const exp = new Date(data.expiresAt);
@@ -3947,10 +4915,9 @@ requestCmd
       }
       console.log();
       console.log(chalk.dim("  Matching sellers have been notified. View offers:"));
-      console.log(chalk.cyan(`  tm request view ${data.id}`));
+      console.log(theme.secondary(`  tm request view ${data.id}`));
     } catch (e) {
-      showError(e?.message || "Failed to create request");
-      process.exitCode = 1;
+      handleError(e, { fallback: "Failed to create request" });
     }
   });
 
@@ -3960,8 +4927,9 @@ requestCmd
   .action(async () => {
     try {
       const spinner = createSpinner("Fetching requests...");
-      const data = await apiGet("/requests/my");
+      const data = await client.requests.mine();
       stopSpinner(spinner);
+      if (isStructuredOutput()) return printData(data.requests || []);
       
       const requests = data.requests || [];
       if (requests.length === 0) {
@@ -3972,22 +4940,18 @@ requestCmd
       showSection(`Your Requests (${requests.length})`);
       console.log();
       
-      const statusIcons = { active: chalk.green("●"), fulfilled: chalk.green("✓"), expired: chalk.dim("○"), cancelled: chalk.red("✗") };
+      const statusIcons = { active: theme.primary("●"), fulfilled: theme.primary("✓"), expired: chalk.dim("○"), cancelled: theme.error("✗") };
       
       for (const r of requests) {
         const icon = statusIcons[r.status] || chalk.dim("?");
-        const budget = r.budgetMax ? ` · up to ${r.currency || 'USD'} ${r.budgetMax}` : "";
-        const proposals = r.proposalCount > 0 ? chalk.green(` · ${r.proposalCount} offer(s)`) : "";
-        console.log(`  ${icon} ${chalk.yellow(`#${r.id}`)} ${r.title}${budget}${proposals} · ${r.status}`);
+        const budget = r.budgetMax ? ` · up to ${formatPrice(r.budgetMax, r.currency)}` : "";
+        const proposals = r.proposalCount > 0 ? theme.primary(` · ${r.proposalCount} offer(s)`) : "";
+        console.log(`  ${icon} ${theme.warning(`#${r.id}`)} ${r.title}${budget}${proposals} · ${r.status}`);
       }
       console.log();
       console.log(chalk.dim("  View proposals: tm request view <id>"));
     } catch (e) {
-      if (e.message?.includes("401")) {
-        showError("Login required. Run: tm login <email>");
-      } else {
-        showError(e?.message || "Failed to fetch requests");
-      }
+      handleError(e);
     }
   });
 
@@ -3997,14 +4961,15 @@ requestCmd
   .action(async (id) => {
     try {
       const spinner = createSpinner("Fetching request...");
-      const data = await apiGet(`/requests/${id}`);
+      const data = await client.requests.get(id);
       stopSpinner(spinner);
+      if (isStructuredOutput()) return printData(data, { rows: data.proposals || [] });
       
       const { request, proposals } = data;
       
       showSection(`Request #${request.id}: ${request.title}`);
       console.log(`  ${chalk.dim("Status:")} ${request.status}`);
-      if (request.budgetMax) console.log(`  ${chalk.dim("Budget:")} up to ${request.currency || 'USD'} ${request.budgetMax}`);
+      if (request.budgetMax) console.log(`  ${chalk.dim("Budget:")} up to ${formatPrice(request.budgetMax, request.currency)}`);
       
       if (!proposals || proposals.length === 0) {
         console.log();
@@ -4013,15 +4978,15 @@ requestCmd
       }
       
       console.log();
-      console.log(chalk.yellow.bold(`  Proposals (${proposals.length}):`));
+      console.log(theme.warning.bold(`  Proposals (${proposals.length}):`));
       console.log();
       
       for (const [i, p] of proposals.entries()) {
-        const statusTag = p.status === "accepted" ? chalk.green(" [ACCEPTED]") : 
+        const statusTag = p.status === "accepted" ? theme.primary(" [ACCEPTED]") : 
                           p.status === "rejected" ? chalk.dim(" [rejected]") :
                           p.status === "withdrawn" ? chalk.dim(" [withdrawn]") : "";
-        console.log(`  ${chalk.dim(`${i + 1}.`)} ${chalk.white(p.sellerName || 'Seller')}: ${p.title} — ${chalk.green(`${p.currency || 'USD'} ${p.price}`)}${statusTag}`);
-        if (p.description) console.log(`     ${chalk.dim(p.description)}`);
+        console.log(`  ${chalk.dim(`${i + 1}.`)} ${theme.text(p.sellerName || 'Seller')}: ${p.title} — ${theme.primary(formatPrice(p.price, p.currency))}${statusTag}`);
+        if (p.description) printMarkdown(p.description, { indent: 5 });
       }
       
       if (request.status === "active") {
@@ -4029,8 +4994,7 @@ requestCmd
         console.log(chalk.dim("  Accept: tm request accept <requestId> <proposalId>"));
       }
     } catch (e) {
-      showError(e?.message || "Failed to load request");
-      process.exitCode = 1;
+      handleError(e, { fallback: "Failed to load request" });
     }
   });
 
@@ -4040,12 +5004,11 @@ requestCmd
   .action(async (requestId, proposalId) => {
     try {
       const spinner = createSpinner("Accepting proposal...");
-      await apiPost(`/requests/${requestId}/accept/${proposalId}`);
+      await client.requests.accept(requestId, proposalId);
       stopSpinner(spinner);
       showSuccess(`Proposal #${proposalId} accepted! The seller has been notified.`);
     } catch (e) {
-      showError(e?.message || "Failed to accept proposal");
-      process.exitCode = 1;
+      handleError(e, { fallback: "Failed to accept proposal" });
     }
   });
 
@@ -4054,11 +5017,10 @@ requestCmd
   .description("Cancel a request")
   .action(async (id) => {
     try {
-      await apiPost(`/requests/${id}/cancel`);
+      await client.requests.cancel(id);
       showSuccess(`Request #${id} cancelled.`);
     } catch (e) {
-      showError(e?.message || "Failed to cancel request");
-      process.exitCode = 1;
+      handleError(e, { fallback: "Failed to cancel request" });
     }
   });
 
@@ -4085,7 +5047,7 @@ program
 if (process.argv.length <= 2) {
   (async () => {
     try {
-      const status = await apiGet("/auth/status");
+      const status = await client.auth.status();
       if (status.isAuthenticated && status.user) {
         const user = status.user;
         const location = { city: user.city };
@@ -4100,5 +5062,5 @@ if (process.argv.length <= 2) {
     process.exit(0);
   })();
 } else {
-  program.parse(process.argv);
+  program.parseAsync(process.argv);
 }
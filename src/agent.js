@@ -0,0 +1,85 @@
+/**
+ * TerminalMarket network agents
+ * One place that decides how outbound connections are made: proxy,
+ * NO_PROXY exclusions, custom CA bundle and TLS verification
+ */
+
+import http from "http";
+import https from "https";
+import tls from "tls";
+import { readFileSync } from "fs";
+import { HttpProxyAgent } from "http-proxy-agent";
+import { HttpsProxyAgent } from "https-proxy-agent";
+
+// One agent per configuration so sockets are pooled within a run
+const agents = new Map();
+
+function envProxy(protocol) {
+  const env = process.env;
+  if (protocol === "https:") {
+    return env.HTTPS_PROXY || env.https_proxy || env.ALL_PROXY || env.all_proxy || null;
+  }
+  return env.HTTP_PROXY || env.http_proxy || env.ALL_PROXY || env.all_proxy || null;
+}
+
+// NO_PROXY entries: "*", "host", ".domain" / "domain" (matches subdomains),
+// optionally with ":port"
+export function isProxyBypassed(url, noProxy) {
+  if (!noProxy) return false;
+  const { hostname, port, protocol } = new URL(url);
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  const effectivePort = port || (protocol === "https:" ? "443" : "80");
+
+  return noProxy.split(/[\s,]+/).filter(Boolean).some((entry) => {
+    if (entry === "*") return true;
+    let [pattern, entryPort] = entry.toLowerCase().split(/:(?=\d+$)/);
+    if (entryPort && entryPort !== effectivePort) return false;
+    pattern = pattern.replace(/^\*?\./, "");
+    return host === pattern || host.endsWith("." + pattern);
+  });
+}
+
+// Proxy URL for a request, or null for a direct connection. `settings` are
+// the stored network settings ({ proxy, noProxy, caFile, insecure }); the
+// environment fills in what they leave out.
+export function resolveProxy(url, settings = {}) {
+  const noProxy = settings.noProxy || process.env.NO_PROXY || process.env.no_proxy;
+  if (isProxyBypassed(url, noProxy)) return null;
+  return settings.proxy || envProxy(new URL(url).protocol);
+}
+
+// A custom bundle replaces Node's defaults when passed as `ca`, so keep the
+// bundled roots and NODE_EXTRA_CA_CERTS alongside it
+function loadCa(caFile) {
+  if (!caFile) return undefined;
+  const extra = process.env.NODE_EXTRA_CA_CERTS;
+  return [
+    ...tls.rootCertificates,
+    ...(extra ? [readFileSync(extra, "utf-8")] : []),
+    readFileSync(caFile, "utf-8"),
+  ];
+}
+
+// The agent to use for a request to `url`. Used by node-fetch in api.js and by
+// raw http(s).request calls alike.
+export function getAgent(url, settings = {}) {
+  const { protocol } = new URL(url);
+  const proxy = resolveProxy(url, settings);
+  const key = JSON.stringify([protocol, proxy, settings.caFile, settings.insecure]);
+  if (agents.has(key)) return agents.get(key);
+
+  const options = {};
+  if (protocol === "https:") {
+    options.ca = loadCa(settings.caFile);
+    options.rejectUnauthorized = !settings.insecure;
+  }
+
+  let agent;
+  if (proxy) {
+    agent = protocol === "https:" ? new HttpsProxyAgent(proxy, options) : new HttpProxyAgent(proxy, options);
+  } else {
+    agent = protocol === "https:" ? new https.Agent(options) : new http.Agent(options);
+  }
+  agents.set(key, agent);
+  return agent;
+}
@@ -1,20 +1,59 @@
 import fetch from "node-fetch";
-import { getApiBase, getSessionCookie, setSessionCookie, getCsrfToken, setCsrfToken } from "./config.js";
+import { randomUUID } from "crypto";
+import { cookieHeader, storeCookies, createMemoryStorage } from "./cookies.js";
+import { ApiError } from "./errors.js";
+import { getAgent } from "./agent.js";
+import { getCacheMode, isOffline, readCacheEntry, writeCacheEntry, isFresh, ttlFor, recordStaleHit } from "./cache.js";
+
+export const DEFAULT_API_BASE = "https://terminalmarket.app/api";
+
+export const DEFAULT_HTTP_SETTINGS = {
+  timeout: 30000,
+  retries: 2,
+  retryDelay: 500,
+  retryMaxDelay: 10000,
+};
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+const IDEMPOTENT_METHODS = [...SAFE_METHODS, "PUT", "DELETE"];
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+// Never sleep longer than this for a Retry-After header; give up instead
+const MAX_RETRY_AFTER_MS = 60000;
 
 function joinUrl(base, path) {
   if (!base) return path;
   return base.replace(/\/$/, "") + "/" + path.replace(/^\//, "");
 }
 
-function getHeaders(method = "GET") {
+// Requests take their connection and session from the options the SDK
+// client passes along: baseUrl, token, http (timeouts and retries), network
+// (proxy and TLS), storage (cookie jar and CSRF token, see
+// createMemoryStorage) and cacheDir (where catalog responses are cached, or
+// nothing for no disk cache). Nothing here reads the CLI's config.
+function resolveOptions(opts = {}) {
+  return {
+    baseUrl: opts.baseUrl || DEFAULT_API_BASE,
+    token: opts.token || null,
+    settings: { ...DEFAULT_HTTP_SETTINGS, ...opts.http },
+    network: opts.network || {},
+    storage: opts.storage || createMemoryStorage(),
+    cacheDir: opts.cacheDir || null,
+  };
+}
+
+// A bearer token replaces the session cookie and needs no CSRF token
+function getHeaders(method, url, { token, storage }) {
   const headers = { "Content-Type": "application/json" };
-  const cookie = getSessionCookie();
+  if (token) {
+    headers["Authorization"] = `Bearer ${token}`;
+    return headers;
+  }
+  const cookie = cookieHeader(storage.getCookies(), url);
   if (cookie) {
     headers["Cookie"] = cookie;
   }
-  const safeMethods = ["GET", "HEAD", "OPTIONS"];
-  if (!safeMethods.includes(method.toUpperCase())) {
-    const csrf = getCsrfToken();
+  if (!SAFE_METHODS.includes(method.toUpperCase())) {
+    const csrf = storage.getCsrfToken();
     if (csrf) {
       headers["x-csrf-token"] = csrf;
     }
@@ -22,120 +61,386 @@ function getHeaders(method = "GET") {
   return headers;
 }
 
-export async function fetchCsrfToken() {
+async function refreshCsrfToken(ctx) {
+  let token = null;
   try {
-    const url = joinUrl(getApiBase(), "/auth/csrf-token");
-    const res = await fetch(url, {
+    const url = joinUrl(ctx.baseUrl, "/auth/csrf-token");
+    const res = await fetchWithTimeout(url, {
       method: "GET",
-      headers: getHeaders("GET"),
-      credentials: "include"
+      headers: getHeaders("GET", url, ctx),
+      credentials: "include",
+      timeout: ctx.settings.timeout,
+      network: ctx.network,
     });
-    saveCookies(res);
+    saveCookies(res, url, ctx.storage);
     if (res.ok) {
-      const data = await res.json();
-      if (data.csrfToken) {
-        setCsrfToken(data.csrfToken);
-        return data.csrfToken;
-      }
+      token = (await res.json()).csrfToken || null;
     }
   } catch {
     // silently ignore — CSRF token will be missing but some endpoints may still work
   }
-  return null;
+  // A storage that can't keep the token (a locked credential vault) fails
+  // the write here, rather than as a CSRF rejection from the server
+  if (token) ctx.storage.setCsrfToken(token);
+  return token;
+}
+
+export async function fetchCsrfToken(opts) {
+  return refreshCsrfToken(resolveOptions(opts));
+}
+
+// Persist every Set-Cookie of a response into the session's jar
+function saveCookies(response, url, storage) {
+  const headers = response.headers.raw()["set-cookie"];
+  if (!headers?.length) return;
+  try {
+    storage.setCookies(storeCookies(storage.getCookies(), headers, url));
+  } catch {
+    // locked credential vault: nothing can be persisted this run
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with full jitter
+function backoffDelay(attempt, { retryDelay, retryMaxDelay }) {
+  const ceiling = Math.min(retryMaxDelay, retryDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+const requestHooks = [];
+
+// Observe every HTTP exchange (one call per attempt, including retries and
+// CSRF refreshes). Hooks get { startedAt, time, request, response, error }
+// and must not consume the response body.
+export function addRequestHook(hook) {
+  requestHooks.push(hook);
 }
 
-function saveCookies(response) {
-  const setCookie = response.headers.get("set-cookie");
-  if (setCookie) {
-    const match = setCookie.match(/(?:tm\.sid|connect\.sid)=[^;]+/);
-    if (match) {
-      setSessionCookie(match[0]);
+function notifyRequestHooks(exchange) {
+  for (const hook of requestHooks) {
+    try {
+      hook(exchange);
+    } catch {
+      // a broken observer must not fail the request
     }
   }
 }
 
-export async function apiGet(path) {
-  const url = joinUrl(getApiBase(), path);
-  const res = await fetch(url, { 
-    method: "GET",
-    headers: getHeaders("GET"),
-    credentials: "include"
+// Every HTTP request goes through here — API calls as well as downloads,
+// images and exchange rates — so proxy and TLS settings (`network`), --debug
+// logging and --trace-file apply everywhere. The agent is chosen per URL so
+// redirects get the right one. Without a timeout, `init.signal` is used as
+// given, for callers that also need to bound reading the body.
+//
+// The timeout covers the whole exchange: it stays armed until the body has
+// been read, so a server that sends headers and then stalls still fails.
+// The timer does not keep the process alive for a body nobody reads.
+export async function fetchWithTimeout(url, { timeout = 0, network = {}, ...init } = {}) {
+  init = { method: "GET", headers: {}, ...init, agent: (parsedUrl) => getAgent(parsedUrl.href, network) };
+  const controller = timeout ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+  timer?.unref();
+  const startedAt = new Date();
+  const exchange = (extra) => ({
+    startedAt,
+    time: Date.now() - startedAt.getTime(),
+    request: { method: init.method, url, headers: init.headers, body: init.body },
+    response: null,
+    error: null,
+    ...extra,
   });
-  saveCookies(res);
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`GET ${url} failed: ${res.status} ${res.statusText}${text ? " — " + text : ""}`);
+  try {
+    const response = await fetch(url, controller ? { ...init, signal: controller.signal } : init);
+    if (timer && response.body) response.body.once("close", () => clearTimeout(timer));
+    else clearTimeout(timer);
+    if (requestHooks.length) notifyRequestHooks(exchange({ response }));
+    return response;
+  } catch (error) {
+    clearTimeout(timer);
+    if (requestHooks.length) notifyRequestHooks(exchange({ error }));
+    throw error;
   }
-  return res.json();
 }
 
-export async function apiPost(path, body) {
-  const url = joinUrl(getApiBase(), path);
-  const res = await fetch(url, {
-    method: "POST",
-    headers: getHeaders("POST"),
-    body: JSON.stringify(body ?? {}),
-    credentials: "include"
+function timeoutError(method, url, settings, err) {
+  return new ApiError(`${method} ${url} timed out after ${settings.timeout}ms`, {
+    method, url, code: "timeout", cause: err
   });
-  saveCookies(res);
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`POST ${url} failed: ${res.status} ${res.statusText}${text ? " — " + text : ""}`);
+}
+
+// Reads a response body; a stalled body runs into the request's timeout
+async function readBody(method, url, settings, read) {
+  try {
+    return await read();
+  } catch (err) {
+    if (err?.name === "AbortError") throw timeoutError(method, url, settings, err);
+    throw err;
   }
-  const ct = res.headers.get("content-type") || "";
-  if (ct.includes("application/json")) return res.json();
-  return { ok: true };
 }
 
-export async function apiDelete(path) {
-  const url = joinUrl(getApiBase(), path);
-  const res = await fetch(url, { 
-    method: "DELETE",
-    headers: getHeaders("DELETE"),
-    credentials: "include"
-  });
-  saveCookies(res);
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`DELETE ${url} failed: ${res.status} ${res.statusText}${text ? " — " + text : ""}`);
+// Send one logical request, retrying transient failures.
+//
+// Idempotent methods are retried on network errors, timeouts and 429/502/503/504.
+// POSTs are only retried when sent with an idempotency key, which stays the
+// same across attempts so the server can deduplicate them.
+async function send(method, url, body, ctx) {
+  const { settings, idempotencyKey, headers: extraHeaders } = ctx;
+  const retryable = IDEMPOTENT_METHODS.includes(method) || Boolean(idempotencyKey);
+
+  for (let attempt = 0; ; attempt++) {
+    const canRetry = attempt < settings.retries;
+    // Rebuilt per attempt so a refreshed session or CSRF token is picked up
+    const headers = getHeaders(method, url, ctx);
+    if (idempotencyKey) {
+      headers["Idempotency-Key"] = idempotencyKey;
+    }
+    Object.assign(headers, extraHeaders);
+    const init = {
+      method,
+      headers,
+      credentials: "include",
+      timeout: settings.timeout,
+      network: ctx.network,
+    };
+    if (body !== undefined) {
+      init.body = JSON.stringify(body ?? {});
+    }
+
+    let res;
+    try {
+      res = await fetchWithTimeout(url, init);
+    } catch (err) {
+      if (retryable && canRetry) {
+        await sleep(backoffDelay(attempt, settings));
+        continue;
+      }
+      if (err?.name === "AbortError") throw timeoutError(method, url, settings, err);
+      throw ApiError.fromNetworkError(method, url, err);
+    }
+    saveCookies(res, url, ctx.storage);
+
+    // 304 only comes back for conditional requests from cachedGet
+    if (res.ok || res.status === 304) return res;
+
+    // 429 means the request was rejected before processing, so any method may retry
+    const shouldRetry = canRetry && RETRYABLE_STATUSES.includes(res.status) && (retryable || res.status === 429);
+    const retryAfter = parseRetryAfter(res.headers.get("retry-after"));
+    if (!shouldRetry || (retryAfter !== null && retryAfter > MAX_RETRY_AFTER_MS)) {
+      throw await ApiError.fromResponse(method, url, res);
+    }
+    await res.arrayBuffer().catch(() => {});
+    await sleep(retryAfter ?? backoffDelay(attempt, settings));
   }
+}
+
+async function parseResponse(method, url, res, settings) {
   const ct = res.headers.get("content-type") || "";
-  if (ct.includes("application/json")) return res.json();
-  return { ok: true };
+  if (method !== "GET" && !ct.includes("application/json")) return { ok: true };
+  return readBody(method, url, settings, () => res.json());
 }
 
-export async function apiPut(path, body) {
-  const url = joinUrl(getApiBase(), path);
-  const res = await fetch(url, {
-    method: "PUT",
-    headers: getHeaders("PUT"),
-    body: JSON.stringify(body ?? {}),
-    credentials: "include"
-  });
-  saveCookies(res);
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`PUT ${url} failed: ${res.status} ${res.statusText}${text ? " — " + text : ""}`);
+// GET of a catalog endpoint through the on-disk cache. Fresh entries are
+// served without a request; older ones are revalidated with If-None-Match /
+// If-Modified-Since. --offline serves whatever is cached, --no-cache always
+// goes to the server.
+async function cachedGet(url, ttl, ctx) {
+  const mode = getCacheMode();
+  const cached = mode === "no-cache" ? null : readCacheEntry(ctx.cacheDir, url);
+
+  if (mode === "offline") {
+    if (!cached) {
+      throw new ApiError(`GET ${url} is not cached and --offline is set`, { method: "GET", url, code: "offline" });
+    }
+    if (!isFresh(cached, ttl)) recordStaleHit(url, cached);
+    return JSON.parse(cached.body);
   }
-  const ct = res.headers.get("content-type") || "";
-  if (ct.includes("application/json")) return res.json();
-  return { ok: true };
+  if (cached && isFresh(cached, ttl)) {
+    return JSON.parse(cached.body);
+  }
+
+  const headers = {};
+  if (cached?.etag) headers["If-None-Match"] = cached.etag;
+  if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+  const res = await send("GET", url, undefined, { ...ctx, headers });
+
+  if (res.status === 304 && cached) {
+    await res.arrayBuffer().catch(() => {});
+    writeCacheEntry(ctx.cacheDir, url, cached);
+    return JSON.parse(cached.body);
+  }
+
+  const text = await readBody("GET", url, ctx.settings, () => res.text());
+  const data = JSON.parse(text);
+  if (!/no-store/i.test(res.headers.get("cache-control") || "")) {
+    writeCacheEntry(ctx.cacheDir, url, {
+      body: text,
+      etag: res.headers.get("etag"),
+      lastModified: res.headers.get("last-modified"),
+    });
+  }
+  return data;
 }
 
-export async function apiPatch(path, body) {
-  const url = joinUrl(getApiBase(), path);
-  const res = await fetch(url, {
-    method: "PATCH",
-    headers: getHeaders("PATCH"),
-    body: JSON.stringify(body ?? {}),
-    credentials: "include"
-  });
-  saveCookies(res);
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`PATCH ${url} failed: ${res.status} ${res.statusText}${text ? " — " + text : ""}`);
+// Shared request path for every api* wrapper and the SDK client. Throws
+// ApiError on transport failures and non-2xx responses. GETs of catalog
+// endpoints go through the cache when there is a `cacheDir`, unless called
+// with { cache: false }.
+//
+// Mutating requests fetch a CSRF token on demand when none is stored, and are
+// replayed once with a fresh token when the server rejects the current one.
+// The replay also gets a new Idempotency-Key: a CSRF rejection means the write
+// never ran, and a server that stored the 403 under the first key would
+// otherwise answer the replay with that stored failure. Token-authenticated
+// requests skip CSRF entirely.
+export async function apiRequest(method, path, body, opts = {}) {
+  const ctx = {
+    ...resolveOptions(opts),
+    idempotencyKey: opts.idempotencyKey === true ? randomUUID() : (opts.idempotencyKey || null),
+  };
+  const url = joinUrl(ctx.baseUrl, path);
+  const ttl = method === "GET" && opts.cache !== false && ctx.cacheDir ? ttlFor(path) : 0;
+  if (ttl) {
+    return cachedGet(url, ttl, ctx);
   }
-  const ct = res.headers.get("content-type") || "";
-  if (ct.includes("application/json")) return res.json();
-  return { ok: true };
+  if (isOffline()) {
+    throw new ApiError(`${method} ${url} needs a connection and --offline is set`, { method, url, code: "offline" });
+  }
+
+  const mutating = !SAFE_METHODS.includes(method) && !ctx.token;
+
+  if (mutating && !ctx.storage.getCsrfToken()) {
+    await refreshCsrfToken(ctx);
+  }
+
+  try {
+    return await parseResponse(method, url, await send(method, url, body, ctx), ctx.settings);
+  } catch (e) {
+    if (!mutating || !e.isCsrfRejection) throw e;
+    const token = await refreshCsrfToken(ctx);
+    if (!token) throw e;
+    const replay = { ...ctx, idempotencyKey: ctx.idempotencyKey && randomUUID() };
+    return parseResponse(method, url, await send(method, url, body, replay), ctx.settings);
+  }
+}
+
+export async function apiGet(path, opts) {
+  return apiRequest("GET", path, undefined, opts);
+}
+
+// GET a file: the raw response, for streaming its body to disk. Neither
+// cached nor retried, and without a timeout since large files take a while.
+export async function apiDownload(path, opts = {}) {
+  const ctx = resolveOptions(opts);
+  const url = joinUrl(ctx.baseUrl, path);
+  if (isOffline()) {
+    throw new ApiError(`GET ${url} needs a connection and --offline is set`, { method: "GET", url, code: "offline" });
+  }
+  const { "Content-Type": _, ...headers } = getHeaders("GET", url, ctx);
+  let res;
+  try {
+    res = await fetchWithTimeout(url, { method: "GET", headers, network: ctx.network });
+  } catch (err) {
+    throw ApiError.fromNetworkError("GET", url, err);
+  }
+  saveCookies(res, url, ctx.storage);
+  if (!res.ok) throw await ApiError.fromResponse("GET", url, res);
+  return res;
+}
+
+// -----------------
+// pagination
+// -----------------
+
+// Keys that hold the items of a paginated (non-array) response
+const ITEM_KEYS = ["items", "data", "results", "products", "orders", "sellers", "offers"];
+
+export function extractItems(body) {
+  if (Array.isArray(body)) return body;
+  for (const key of ITEM_KEYS) {
+    if (Array.isArray(body?.[key])) return body[key];
+  }
+  return [];
+}
+
+function withParams(path, params) {
+  const url = new URL(path, "http://placeholder");
+  for (const [key, value] of Object.entries(params)) {
+    if (value != null) url.searchParams.set(key, String(value));
+  }
+  return url.pathname + url.search;
+}
+
+// Path of the page after `current`, or null on the last page. Understands
+// cursors (nextCursor), page links (links.next / next) and page numbers
+// (page + totalPages / hasMore). Plain arrays are a single page.
+function nextPagePath(body, current, baseUrl) {
+  if (!body || Array.isArray(body)) return null;
+  const meta = body.pagination || body.meta || body;
+
+  const cursor = meta.nextCursor ?? meta.next_cursor ?? body.cursor?.next;
+  if (cursor) return withParams(current, { cursor });
+
+  const link = body.links?.next ?? (typeof body.next === "string" ? body.next : null);
+  if (link) {
+    // Links may be absolute or include the API base path; api* wants a path below it
+    const base = new URL(baseUrl);
+    const url = new URL(link, base);
+    const basePath = base.pathname.replace(/\/$/, "");
+    const path = basePath && url.pathname.startsWith(basePath + "/") ? url.pathname.slice(basePath.length) : url.pathname;
+    return path + url.search;
+  }
+
+  const page = Number(meta.page ?? meta.currentPage);
+  const totalPages = Number(meta.totalPages ?? meta.total_pages);
+  const hasMore = meta.hasMore ?? meta.has_more;
+  if (Number.isFinite(page) && (hasMore === true || (Number.isFinite(totalPages) && page < totalPages))) {
+    return withParams(current, { page: page + 1 });
+  }
+  return null;
+}
+
+// Walk a listing page by page, yielding each page's items as it arrives.
+// `page` fetches that single page; otherwise pages are followed until
+// `limit` items have been yielded (Infinity walks the whole listing).
+export async function* paginate(path, { pageSize = 50, page = null, limit = Infinity, ...opts } = {}) {
+  let next = withParams(path, { limit: pageSize, page });
+  let yielded = 0;
+  while (next) {
+    const body = await apiGet(next, opts);
+    const items = extractItems(body).slice(0, limit - yielded);
+    if (items.length) yield items;
+    yielded += items.length;
+    if (page != null || yielded >= limit || !items.length) return;
+    next = nextPagePath(body, next, opts.baseUrl || DEFAULT_API_BASE);
+  }
+}
+
+// Pass { idempotencyKey: true } for POSTs that must be safe to retry
+export async function apiPost(path, body, opts) {
+  return apiRequest("POST", path, body ?? {}, opts);
+}
+
+export async function apiDelete(path, opts) {
+  return apiRequest("DELETE", path, undefined, opts);
+}
+
+export async function apiPut(path, body, opts) {
+  return apiRequest("PUT", path, body ?? {}, opts);
+}
+
+export async function apiPatch(path, body, opts) {
+  return apiRequest("PATCH", path, body ?? {}, opts);
 }
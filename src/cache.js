@@ -0,0 +1,117 @@
+/**
+ * TerminalMarket HTTP cache
+ * On-disk cache of GET responses with per-endpoint TTLs and ETag /
+ * Last-Modified revalidation, plus the --offline / --no-cache switches
+ */
+
+import { createHash } from "crypto";
+import { homedir } from "os";
+import { join } from "path";
+import { existsSync, mkdirSync, readFileSync, writeFileSync, rmSync, readdirSync, statSync } from "fs";
+
+const MINUTE = 60 * 1000;
+
+// Catalog endpoints and how long a response may be served without asking the
+// server; after that it is revalidated. Nothing else is cached: carts,
+// orders, tokens and other account data never reach the disk.
+const CACHE_TTLS = [
+  [/^\/categories(\/|$|\?)/, 60 * MINUTE],
+  [/^\/ai\/(agents|models)(\/|$|\?)/, 10 * MINUTE],
+  [/^\/(sellers|stores|vacancies)(\/|$|\?)/, 10 * MINUTE],
+  [/^\/(products|offers)(\/|$|\?)/, 5 * MINUTE],
+];
+
+let mode = "default"; // "default" | "no-cache" | "offline"
+const staleHits = [];
+
+export function getCacheDir() {
+  if (process.env.TM_CACHE_DIR) return process.env.TM_CACHE_DIR;
+  const base = process.env.XDG_CACHE_HOME || join(homedir(), ".cache");
+  return join(base, "terminalmarket");
+}
+
+export function setCacheMode(value) {
+  mode = value;
+}
+
+export function getCacheMode() {
+  return mode;
+}
+
+export function isOffline() {
+  return mode === "offline";
+}
+
+// 0 for endpoints that are not cached at all
+export function ttlFor(path) {
+  for (const [pattern, ttl] of CACHE_TTLS) {
+    if (pattern.test(path)) return ttl;
+  }
+  return 0;
+}
+
+// The CLI caches responses per profile so accounts never share data
+export function profileCacheDir(profile) {
+  return join(getCacheDir(), profile);
+}
+
+function entryPath(dir, url) {
+  return join(dir, createHash("sha256").update(url).digest("hex") + ".json");
+}
+
+export function readCacheEntry(dir, url) {
+  const file = entryPath(dir, url);
+  if (!existsSync(file)) return null;
+  try {
+    return JSON.parse(readFileSync(file, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+// Responses may hold personal data, so the cache is owner-only like the config
+export function writeCacheEntry(dir, url, { body, etag = null, lastModified = null }) {
+  try {
+    mkdirSync(dir, { recursive: true, mode: 0o700 });
+    const entry = { url, storedAt: Date.now(), etag, lastModified, body };
+    writeFileSync(entryPath(dir, url), JSON.stringify(entry), { mode: 0o600 });
+  } catch {
+    // a read-only or full disk only costs us the cache
+  }
+}
+
+export function isFresh(entry, ttl) {
+  return ttl > 0 && Date.now() - entry.storedAt < ttl;
+}
+
+// Entries served past their TTL in offline mode, for labelling the output
+export function recordStaleHit(url, entry) {
+  staleHits.push({ url, storedAt: entry.storedAt });
+}
+
+export function getStaleHits() {
+  return staleHits;
+}
+
+// Drop cached responses for one profile, or for all of them
+export function clearCache(profile = null) {
+  const dir = profile ? profileCacheDir(profile) : getCacheDir();
+  rmSync(dir, { recursive: true, force: true });
+}
+
+export function getCacheStats() {
+  const dir = getCacheDir();
+  let entries = 0;
+  let bytes = 0;
+  if (existsSync(dir)) {
+    for (const profile of readdirSync(dir)) {
+      const sub = join(dir, profile);
+      if (!statSync(sub).isDirectory()) continue;
+      for (const file of readdirSync(sub)) {
+        entries++;
+        bytes += statSync(join(sub, file)).size;
+      }
+    }
+  }
+  return { dir, entries, bytes };
+}
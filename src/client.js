@@ -0,0 +1,347 @@
+/**
+ * TerminalMarket API client
+ * Programmatic access to every resource the CLI uses. The CLI commands are
+ * thin wrappers over this class.
+ */
+
+import { apiRequest, apiDownload, paginate, fetchCsrfToken, DEFAULT_API_BASE } from "./api.js";
+import { createMemoryStorage } from "./cookies.js";
+import { isApiError } from "./errors.js";
+import { currencyOf, lineTotal, addMoney, toMoney, moneyToNumber } from "./money.js";
+
+// Numeric IDs are sent as numbers, slugs as strings
+function toId(value) {
+  return /^\d+$/.test(String(value)) ? Number.parseInt(value, 10) : value;
+}
+
+function withQuery(path, params = {}) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== "") query.set(key, String(value));
+  }
+  const qs = query.toString();
+  return qs ? `${path}?${qs}` : path;
+}
+
+// The cart API nests prices under item.product; flatten them and add totals.
+// Amounts in different currencies are not added up: `totals` has one entry
+// per currency, and `total`/`currency` are only set for single-currency carts.
+// Sums are exact in minor units (see money.js), so 3 × 0.10 is 0.3.
+export function normalizeCart(cart) {
+  const sums = {};
+  const items = (cart?.items || []).map((item) => {
+    const currency = currencyOf(item);
+    const subtotal = lineTotal(item);
+    sums[currency] = sums[currency] ? addMoney(sums[currency], subtotal) : subtotal;
+    return {
+      ...item,
+      name: item.name || item.product?.name || `Product #${item.productId}`,
+      price: item.price ?? item.product?.price ?? 0,
+      currency,
+      subtotal: moneyToNumber(subtotal),
+    };
+  });
+  const totals = Object.fromEntries(Object.entries(sums).map(([code, sum]) => [code, moneyToNumber(sum)]));
+  const currencies = Object.keys(totals);
+  return {
+    ...cart,
+    items,
+    totals,
+    currency: currencies.length === 1 ? currencies[0] : null,
+    total: currencies.length > 1 ? null : totals[currencies[0]] ?? 0,
+  };
+}
+
+// The cart split by seller (and currency, should one seller mix them) for
+// checkout. Shipping and tax come from a checkout quote and are null until
+// the server has estimated them; `total` adds whatever is known.
+export function summarizeCheckout(cart, quote = null) {
+  const groups = new Map();
+  for (const item of cart?.items || []) {
+    const sellerId = item.sellerId ?? item.storeId ?? item.product?.sellerId ?? item.product?.storeId ?? null;
+    const currency = currencyOf(item);
+    const key = `${sellerId}:${currency}`;
+    if (!groups.has(key)) {
+      const sellerName = item.sellerName ?? item.storeName ?? item.product?.storeName ?? null;
+      groups.set(key, { sellerId, sellerName, currency, items: [], subtotal: toMoney(0, currency) });
+    }
+    const group = groups.get(key);
+    group.items.push(item);
+    group.subtotal = addMoney(group.subtotal, lineTotal(item));
+  }
+
+  const sums = {};
+  const sellers = [...groups.values()].map((group) => {
+    const { currency } = group;
+    const estimate = (quote?.sellers || []).find((s) =>
+      String(s.sellerId ?? null) === String(group.sellerId) && (!s.currency || s.currency.toUpperCase() === currency));
+    const amount = (value) => (value == null ? null : toMoney(value, currency));
+    const shipping = amount(estimate?.shipping);
+    const tax = amount(estimate?.tax);
+    const total = [shipping, tax].filter(Boolean).reduce(addMoney, group.subtotal);
+    sums[currency] = sums[currency] ? addMoney(sums[currency], total) : total;
+    return {
+      ...group,
+      sellerName: group.sellerName ?? estimate?.sellerName ?? null,
+      subtotal: moneyToNumber(group.subtotal),
+      shipping: shipping && moneyToNumber(shipping),
+      tax: tax && moneyToNumber(tax),
+      total: moneyToNumber(total),
+    };
+  });
+  const totals = Object.fromEntries(Object.entries(sums).map(([code, sum]) => [code, moneyToNumber(sum)]));
+  return { sellers, totals };
+}
+
+async function collect(pages) {
+  const items = [];
+  for await (const page of pages) items.push(...page);
+  return items;
+}
+
+export class TerminalMarketClient {
+  /**
+   * Creating a client has no side effects: the session lives in memory and
+   * nothing is cached on disk unless `storage` or `cache` say otherwise.
+   *
+   * @param {object} [options]
+   * @param {string} [options.baseUrl] API base URL (default: https://terminalmarket.app/api)
+   * @param {string} [options.token] Personal API token, sent instead of the session cookie
+   * @param {object} [options.http] Timeout/retry overrides, see HttpSettings
+   * @param {object} [options.network] Proxy and TLS settings, see NetworkSettings
+   * @param {object} [options.storage] Where the cookie jar and CSRF token are kept, see ClientStorage
+   * @param {false|{dir: string}} [options.cache] Directory for caching catalog responses
+   */
+  constructor({ baseUrl = DEFAULT_API_BASE, token, http, network, storage = createMemoryStorage(), cache = false } = {}) {
+    const defaults = { baseUrl, token, http, network, storage, cacheDir: cache ? cache.dir : null };
+    const request = (method, path, body, opts = {}) => apiRequest(method, path, body, { ...defaults, ...opts });
+    const get = (path, opts) => request("GET", path, undefined, opts);
+    const post = (path, body = {}, opts) => request("POST", path, body, opts);
+    const patch = (path, body = {}, opts) => request("PATCH", path, body, opts);
+    const del = (path, opts) => request("DELETE", path, undefined, opts);
+    const pages = (path, paging = {}) => paginate(path, { ...defaults, ...paging });
+
+    this.request = request;
+
+    this.auth = {
+      register: ({ email, password, username, name }) =>
+        post("/auth/register", { email, password, username, name }),
+      login: (email, password) => post("/auth/login", { email, password }),
+      logout: () => post("/auth/logout"),
+      status: (opts) => get("/auth/status", opts),
+      // Fetched on demand before writes; call after logging in to have it ready
+      csrfToken: () => fetchCsrfToken(defaults),
+    };
+
+    this.tokens = {
+      create: ({ name, scopes, expiresInDays }) => post("/tokens", { name, scopes, expiresInDays }),
+      list: () => get("/tokens"),
+      revoke: (id) => del(`/tokens/${encodeURIComponent(id)}`),
+    };
+
+    this.invites = {
+      link: () => get("/invite/link"),
+      send: (email) => post("/invite", { email }),
+    };
+
+    this.profile = {
+      update: (fields) => patch("/profile", fields),
+    };
+
+    this.categories = {
+      list: (opts) => get("/categories", opts),
+    };
+
+    const productPath = ({ category, city, country, storeId } = {}) =>
+      withQuery(category ? `/products/category/${encodeURIComponent(category)}` : "/products", { city, country, storeId });
+    const searchPath = (query, { category, city, country, priceMin, priceMax } = {}) =>
+      withQuery("/products/search", { q: query, category, city, country, price_min: priceMin, price_max: priceMax });
+
+    this.products = {
+      pages: (filters, paging) => pages(productPath(filters), paging),
+      list: (filters, paging) => collect(pages(productPath(filters), paging)),
+      searchPages: (query, filters, paging) => pages(searchPath(query, filters), paging),
+      search: (query, filters, paging) => collect(pages(searchPath(query, filters), paging)),
+      get: (id) => get(`/products/${encodeURIComponent(id)}`),
+      getBySlug: (slug) => get(`/products/slug/${encodeURIComponent(slug)}`),
+      offers: (id) => get(`/products/${encodeURIComponent(id)}/offers`),
+      // Look up by ID, then by slug. Only a 404 falls through to the slug
+      // lookup; auth, network and server errors still reach the caller.
+      find: async (idOrSlug) => {
+        for (const lookup of [this.products.get, this.products.getBySlug]) {
+          try {
+            const p = await lookup(idOrSlug);
+            if (p) return p;
+          } catch (e) {
+            if (!isApiError(e) || !e.isNotFound) throw e;
+          }
+        }
+        return null;
+      },
+    };
+
+    const offerPath = ({ productId, sellerId } = {}) => withQuery("/offers", { product_id: productId, seller_id: sellerId });
+    this.offers = {
+      pages: (filters, paging) => pages(offerPath(filters), paging),
+      list: (filters, paging) => collect(pages(offerPath(filters), paging)),
+      get: (id) => get(`/offers/${encodeURIComponent(id)}`),
+    };
+
+    // `all` includes unverified sellers
+    const sellerPath = ({ all = false } = {}) => (all ? "/sellers" : "/sellers/verified");
+    this.sellers = {
+      pages: (filters, paging) => pages(sellerPath(filters), paging),
+      list: (filters, paging) => collect(pages(sellerPath(filters), paging)),
+      get: (slug) => get(`/sellers/${encodeURIComponent(slug)}`),
+    };
+
+    this.stores = {
+      get: (id) => get(`/stores/${encodeURIComponent(id)}`),
+      rating: (id) => get(`/stores/${encodeURIComponent(id)}/rating`),
+      reviews: (id) => get(`/stores/${encodeURIComponent(id)}/reviews`),
+      review: (id, { rating, comment }) => post(`/stores/${encodeURIComponent(id)}/reviews`, { rating, comment }),
+    };
+
+    this.cart = {
+      get: async () => normalizeCart(await get("/cart")),
+      // Safe to retry: sent with an idempotency key
+      add: (productId, quantity = 1) =>
+        post("/cart/add", { productId: toId(productId), quantity }, { idempotencyKey: true }),
+      remove: (productId) => post("/cart/remove", { productId: toId(productId) }),
+      clear: () => post("/cart/clear"),
+    };
+
+    this.orders = {
+      pages: (paging) => pages("/orders", paging),
+      list: (paging) => collect(pages("/orders", paging)),
+      get: (id) => get(`/orders/${encodeURIComponent(id)}`),
+    };
+
+    // Checks the cart and estimates shipping and tax per seller (`quote`),
+    // then places the order and opens a payment session (`create`). `status`
+    // is polled until the payment is settled, so it skips the cache.
+    this.checkout = {
+      quote: ({ addressId, address } = {}) => post("/checkout/quote", { addressId, address }),
+      // Safe to retry: sent with an idempotency key
+      create: ({ addressId, address } = {}) =>
+        post("/checkout", { source: "cli", addressId, address }, { idempotencyKey: true }),
+      status: (id) => get(`/checkout/${encodeURIComponent(id)}`, { cache: false }),
+    };
+
+    this.intents = {
+      create: (intent) => post("/intents", { source: "cli", ...intent }, { idempotencyKey: true }),
+    };
+
+    this.clicks = {
+      track: (click) => post("/clicks", { source: "cli", ...click }),
+    };
+
+    this.ai = {
+      models: () => get("/ai/models"),
+      agent: (id) => get(`/ai/agents/${encodeURIComponent(id)}`),
+      chat: (id, message, { previousResponseId } = {}) =>
+        post(`/ai/chat/${encodeURIComponent(id)}`, { message, ...(previousResponseId ? { previousResponseId } : {}) }),
+      run: (id, input) => post(`/ai/run/${encodeURIComponent(id)}`, { input }),
+      history: () => get("/ai/history"),
+    };
+
+    this.credits = {
+      balance: () => get("/credits"),
+      topup: (amount) => post("/credits/topup", { amount }),
+    };
+
+    this.aliases = {
+      list: () => get("/aliases"),
+      create: (name, command) => post("/aliases", { name, command }),
+      remove: (name) => del(`/aliases/${encodeURIComponent(name)}`),
+    };
+
+    this.rewards = {
+      list: () => get("/rewards"),
+      create: (productId, pushCount) => post("/rewards", { productId: toId(productId), pushCount }),
+      remove: (productId) => del(`/rewards/${encodeURIComponent(productId)}`),
+    };
+
+    this.subscriptions = {
+      list: () => get("/subscriptions"),
+      create: (subscription) => post("/subscriptions", subscription),
+      pause: (id) => patch(`/subscriptions/${encodeURIComponent(id)}`, { status: "paused" }),
+      resume: (id) => patch(`/subscriptions/${encodeURIComponent(id)}`, { status: "active" }),
+      cancel: (id) => del(`/subscriptions/${encodeURIComponent(id)}`),
+    };
+
+    this.wishlist = {
+      list: () => get("/wishlist"),
+      add: (productId, { note } = {}) => post("/wishlist", { productId: toId(productId), note }),
+      remove: (productId) => del(`/wishlist/${encodeURIComponent(productId)}`),
+      update: (productId, fields) => patch(`/wishlist/${encodeURIComponent(productId)}`, fields),
+    };
+
+    this.webhooks = {
+      list: () => get("/user/webhooks"),
+      create: ({ name, url, events }) => post("/user/webhooks", { name, url, events }),
+      test: (id) => post(`/user/webhooks/${encodeURIComponent(id)}/test`),
+      update: (id, fields) => patch(`/user/webhooks/${encodeURIComponent(id)}`, fields),
+      remove: (id) => del(`/user/webhooks/${encodeURIComponent(id)}`),
+      deliveries: (id, { limit = 10 } = {}) => get(withQuery(`/user/webhooks/${encodeURIComponent(id)}/deliveries`, { limit })),
+    };
+
+    this.merchant = {
+      init: ({ storeName, description } = {}) => post("/merchant/init", { storeName, description }),
+      createProduct: (product) => post("/store/products", product),
+      addKeys: (productId, keys) => post(`/merchant/products/${encodeURIComponent(productId)}/keys`, { keys }),
+    };
+
+    this.stats = {
+      get: () => get("/stats"),
+    };
+
+    this.library = {
+      list: () => get("/library"),
+      keys: () => get("/library/keys"),
+      // The raw response; its body is the file
+      download: (purchaseId) => apiDownload(`/library/download/${encodeURIComponent(purchaseId)}`, defaults),
+    };
+
+    this.jobs = {
+      list: () => get("/jobs"),
+      get: (id) => get(`/jobs/${encodeURIComponent(id)}`),
+    };
+
+    this.vacancies = {
+      list: ({ query, workType, experienceLevel, skills, location, limit } = {}) =>
+        get(withQuery("/vacancies", { q: query, workType, experienceLevel, skills, location, limit })),
+      get: (id) => get(`/vacancies/${encodeURIComponent(id)}`),
+      apply: (id, { coverLetter } = {}) => post(`/vacancies/${encodeURIComponent(id)}/apply`, { coverLetter }),
+    };
+
+    this.applications = {
+      list: () => get("/applications"),
+    };
+
+    this.watchRules = {
+      create: ({ pipeQuery, name, notifyVia, action, intervalMinutes }) =>
+        post("/watch-rules", { pipeQuery, name, notifyVia, action, intervalMinutes }),
+      list: () => get("/watch-rules"),
+      pause: (id) => patch(`/watch-rules/${encodeURIComponent(id)}`, { status: "paused" }),
+      resume: (id) => patch(`/watch-rules/${encodeURIComponent(id)}`, { status: "active" }),
+      remove: (id) => del(`/watch-rules/${encodeURIComponent(id)}`),
+      logs: (id) => get(`/watch-rules/${encodeURIComponent(id)}/logs`),
+    };
+
+    this.telegram = {
+      link: (code) => post("/user/telegram/link", { code: String(code).toUpperCase() }),
+      unlink: () => post("/user/telegram/unlink"),
+      status: () => get("/user/telegram/status"),
+    };
+
+    this.requests = {
+      create: ({ title, category, budgetMax, deadline }) => post("/requests", { title, category, budgetMax, deadline }),
+      mine: () => get("/requests/my"),
+      get: (id) => get(`/requests/${encodeURIComponent(id)}`),
+      accept: (requestId, proposalId) =>
+        post(`/requests/${encodeURIComponent(requestId)}/accept/${encodeURIComponent(proposalId)}`),
+      cancel: (id) => post(`/requests/${encodeURIComponent(id)}/cancel`),
+    };
+  }
+}
@@ -1,40 +1,408 @@
 import Conf from "conf";
+import {
+  deriveKeyFromPassphrase, newSalt, readKeyFile, encryptJson, decryptJson, hardenFile
+} from "./vault.js";
+import { LANGUAGES, supportedLanguage } from "./i18n.js";
+import { DEFAULT_API_BASE, DEFAULT_HTTP_SETTINGS } from "./api.js";
+import { findSessionCookie } from "./cookies.js";
 
-const conf = new Conf({ projectName: "terminalmarket" });
+const conf = new Conf({ projectName: "terminalmarket", configFileMode: 0o600 });
+
+// Configs created by older versions may still be world-readable
+hardenFile(conf.path);
+
+export const DEFAULT_PROFILE = "default";
+
+// Settings stored per profile. Everything else (first-run flag, current
+// profile) is global to the install.
+const PROFILE_KEYS = ["apiBase", "cookies", "sessionCookie", "csrfToken", "apiToken", "user", "location", "http", "network"];
+
+// Configs written before profiles existed keep these keys at the top level;
+// move them into the default profile once.
+function migrateLegacyConfig() {
+  const legacy = PROFILE_KEYS.filter((key) => conf.has(key));
+  if (!legacy.length) return;
+  for (const key of legacy) {
+    if (!conf.has(`profiles.${DEFAULT_PROFILE}.${key}`)) {
+      conf.set(`profiles.${DEFAULT_PROFILE}.${key}`, conf.get(key));
+    }
+    conf.delete(key);
+  }
+}
+
+migrateLegacyConfig();
+
+// -----------------
+// credential vault
+// -----------------
+
+// Per-profile values that are encrypted when the vault is enabled
+const SECRET_KEYS = ["cookies", "sessionCookie", "csrfToken", "apiToken", "user"];
+
+let vaultKey = null;
+// Decrypted secrets, keyed by profile name
+let vaultSecrets = null;
+
+export function isVaultEnabled() {
+  return conf.has("vault");
+}
+
+export function isVaultUnlocked() {
+  return vaultSecrets !== null;
+}
+
+export function getVaultStatus() {
+  const vault = conf.get("vault", null);
+  return {
+    enabled: Boolean(vault),
+    mode: vault?.mode ?? null,
+    keyFile: vault?.keyFile ?? null,
+    unlocked: isVaultUnlocked(),
+    path: conf.path,
+  };
+}
+
+function vaultKeyFor(vault, { passphrase, keyFile }) {
+  if (vault.mode === "keyfile") {
+    return readKeyFile(keyFile || vault.keyFile);
+  }
+  if (passphrase == null) {
+    throw new Error("A passphrase is required to unlock credentials.");
+  }
+  return deriveKeyFromPassphrase(passphrase, vault.salt);
+}
+
+function persistVault() {
+  const vault = conf.get("vault");
+  conf.set("vault", { ...vault, ...encryptJson(vaultSecrets, vaultKey) });
+}
+
+// Decrypt secrets into memory for this process
+export function unlockVault({ passphrase, keyFile } = {}) {
+  const vault = conf.get("vault", null);
+  if (!vault) return;
+  const key = vaultKeyFor(vault, { passphrase, keyFile });
+  vaultSecrets = decryptJson(vault, key);
+  vaultKey = key;
+}
+
+// Encrypt every profile's secrets and remove the plain-text copies.
+// This is also the migration path for existing plain-text configs.
+export function enableVault({ passphrase, keyFile } = {}) {
+  if (isVaultEnabled()) {
+    throw new Error("Credentials are already encrypted.");
+  }
+  const vault = keyFile ? { version: 1, mode: "keyfile", keyFile } : { version: 1, mode: "passphrase", salt: newSalt() };
+  const key = vaultKeyFor(vault, { passphrase, keyFile });
+
+  const secrets = {};
+  for (const [name, profile] of Object.entries(conf.get("profiles", {}))) {
+    for (const secret of SECRET_KEYS) {
+      if (profile?.[secret] == null) continue;
+      secrets[name] = { ...secrets[name], [secret]: profile[secret] };
+      conf.delete(`profiles.${name}.${secret}`);
+    }
+  }
+
+  vaultKey = key;
+  vaultSecrets = secrets;
+  conf.set("vault", vault);
+  persistVault();
+}
+
+// Write secrets back in plain text and drop the vault. Requires an unlocked vault.
+export function disableVault() {
+  if (!isVaultEnabled()) return;
+  requireUnlockedVault();
+  for (const [name, secrets] of Object.entries(vaultSecrets)) {
+    for (const [secret, value] of Object.entries(secrets)) {
+      conf.set(`profiles.${name}.${secret}`, value);
+    }
+  }
+  conf.delete("vault");
+  vaultKey = null;
+  vaultSecrets = null;
+}
+
+export function requireUnlockedVault() {
+  if (isVaultEnabled() && !isVaultUnlocked()) {
+    throw new Error("Credentials are encrypted and locked. Set TM_PASSPHRASE or run in a terminal to enter your passphrase.");
+  }
+}
+
+function isSecretWritable() {
+  return !isVaultEnabled() || isVaultUnlocked();
+}
+
+function getSecret(key, fallback) {
+  if (!isVaultEnabled()) return getProfileValue(key, fallback);
+  return vaultSecrets?.[getActiveProfileName()]?.[key] ?? fallback;
+}
+
+function setSecret(key, value) {
+  if (!isVaultEnabled()) return setProfileValue(key, value);
+  requireUnlockedVault();
+  const name = getActiveProfileName();
+  vaultSecrets[name] = { ...vaultSecrets[name], [key]: value };
+  persistVault();
+}
+
+function deleteSecret(key) {
+  if (!isVaultEnabled()) return deleteProfileValue(key);
+  // All profiles share one encrypted blob, so removing a secret rewrites it
+  requireUnlockedVault();
+  const name = getActiveProfileName();
+  if (!vaultSecrets[name]) return;
+  delete vaultSecrets[name][key];
+  persistVault();
+}
+
+// -----------------
+// profiles
+// -----------------
+
+let profileOverride = null;
+
+export function isValidProfileName(name) {
+  return typeof name === "string" && /^[A-Za-z0-9_-]{1,40}$/.test(name);
+}
+
+// --profile flag, applied before each command runs
+export function setProfileOverride(name) {
+  profileOverride = name || null;
+}
+
+// --profile > TM_PROFILE > `tm context use` > "default"
+export function getActiveProfileName() {
+  return profileOverride || process.env.TM_PROFILE || conf.get("currentProfile", DEFAULT_PROFILE);
+}
+
+export function getCurrentProfile() {
+  return conf.get("currentProfile", DEFAULT_PROFILE);
+}
+
+export function setCurrentProfile(name) {
+  conf.set("currentProfile", name);
+  return name;
+}
+
+export function listProfiles() {
+  const profiles = conf.get("profiles", {});
+  const names = new Set([DEFAULT_PROFILE, ...Object.keys(profiles)]);
+  return [...names].map((name) => ({
+    name,
+    apiBase: profiles[name]?.apiBase || DEFAULT_API_BASE,
+    user: (isVaultEnabled() ? vaultSecrets?.[name]?.user : profiles[name]?.user) || null,
+    location: profiles[name]?.location || null,
+  }));
+}
+
+export function profileExists(name) {
+  return name === DEFAULT_PROFILE || conf.has(`profiles.${name}`);
+}
+
+export function createProfile(name, { apiBase } = {}) {
+  conf.set(`profiles.${name}`, apiBase ? { apiBase } : {});
+}
+
+export function deleteProfile(name) {
+  requireUnlockedVault();
+  conf.delete(`profiles.${name}`);
+  if (isVaultUnlocked() && vaultSecrets[name]) {
+    delete vaultSecrets[name];
+    persistVault();
+  }
+  if (getCurrentProfile() === name) {
+    setCurrentProfile(DEFAULT_PROFILE);
+  }
+}
+
+function profileKey(key) {
+  return `profiles.${getActiveProfileName()}.${key}`;
+}
+
+function getProfileValue(key, fallback) {
+  return conf.get(profileKey(key), fallback);
+}
+
+function setProfileValue(key, value) {
+  conf.set(profileKey(key), value);
+}
+
+function deleteProfileValue(key) {
+  conf.delete(profileKey(key));
+}
+
+// -----------------
+// per-profile settings
+// -----------------
 
 export function getApiBase() {
-  return conf.get("apiBase", "https://terminalmarket.app/api");
+  return getProfileValue("apiBase", DEFAULT_API_BASE);
 }
 
 export function setApiBase(value) {
-  conf.set("apiBase", value);
+  setProfileValue("apiBase", value);
   return value;
 }
 
-export function getSessionCookie() {
-  return conf.get("sessionCookie", null);
+// HTTP client tuning. Environment variables win over stored config so CI
+// jobs can override without touching the user's settings.
+const HTTP_ENV = {
+  timeout: "TM_TIMEOUT",
+  retries: "TM_RETRIES",
+  retryDelay: "TM_RETRY_DELAY",
+  retryMaxDelay: "TM_RETRY_MAX_DELAY",
+};
+
+export const HTTP_SETTING_KEYS = Object.keys(DEFAULT_HTTP_SETTINGS);
+
+export function getHttpSettings() {
+  const stored = getProfileValue("http", {});
+  const settings = {};
+  for (const key of HTTP_SETTING_KEYS) {
+    const envValue = Number.parseInt(process.env[HTTP_ENV[key]] ?? "", 10);
+    if (Number.isFinite(envValue) && envValue >= 0) {
+      settings[key] = envValue;
+    } else if (Number.isFinite(stored[key])) {
+      settings[key] = stored[key];
+    } else {
+      settings[key] = DEFAULT_HTTP_SETTINGS[key];
+    }
+  }
+  return settings;
 }
 
-export function setSessionCookie(value) {
-  conf.set("sessionCookie", value);
+export function setHttpSetting(key, value) {
+  if (!HTTP_SETTING_KEYS.includes(key)) {
+    throw new Error(`Unknown HTTP setting: ${key}`);
+  }
+  const num = Number.parseInt(value, 10);
+  if (!Number.isFinite(num) || num < 0) {
+    throw new Error(`${key} must be a non-negative integer`);
+  }
+  setProfileValue(`http.${key}`, num);
+  return num;
+}
+
+// Proxy, CA bundle and TLS verification for outbound requests. The ambient
+// HTTPS_PROXY/NO_PROXY variables are applied in agent.js when nothing is
+// stored; TM_CA_FILE and TM_INSECURE win over stored values like the other
+// TM_* overrides.
+export const NETWORK_SETTING_KEYS = ["proxy", "noProxy", "caFile", "insecure"];
+
+export function getNetworkSettings() {
+  const stored = getProfileValue("network", {});
+  const env = process.env;
+  return {
+    proxy: stored.proxy || null,
+    noProxy: stored.noProxy || null,
+    caFile: env.TM_CA_FILE || stored.caFile || null,
+    insecure: env.TM_INSECURE ? env.TM_INSECURE === "1" : Boolean(stored.insecure),
+  };
+}
+
+export function setNetworkSetting(key, value) {
+  if (!NETWORK_SETTING_KEYS.includes(key)) {
+    throw new Error(`Unknown network setting: ${key}`);
+  }
+  if (key === "insecure") {
+    if (!["true", "false"].includes(String(value))) {
+      throw new Error("insecure must be true or false");
+    }
+    value = String(value) === "true";
+  }
+  if (key === "proxy") {
+    try {
+      new URL(value);
+    } catch {
+      throw new Error(`proxy must be a URL, e.g. http://proxy.local:3128`);
+    }
+  }
+  setProfileValue(`network.${key}`, value);
   return value;
 }
 
+export function clearNetworkSetting(key) {
+  if (!NETWORK_SETTING_KEYS.includes(key)) {
+    throw new Error(`Unknown network setting: ${key}`);
+  }
+  deleteProfileValue(`network.${key}`);
+}
+
+// Cookie jar (see cookies.js). Older versions stored only the session
+// cookie as a "name=value" string; turn that into a jar entry for the API
+// host on first use. This happens lazily because the vault may be locked
+// at load time.
+export function getCookies() {
+  const jar = getSecret("cookies", null);
+  if (jar) return jar;
+  const legacy = getSecret("sessionCookie", null);
+  if (!legacy || !isSecretWritable()) return [];
+  const eq = legacy.indexOf("=");
+  const migrated = [{
+    name: legacy.slice(0, eq),
+    value: legacy.slice(eq + 1),
+    domain: new URL(getApiBase()).hostname.toLowerCase(),
+    hostOnly: true,
+    path: "/",
+    expires: null,
+    secure: false,
+    httpOnly: true,
+  }];
+  setSecret("cookies", migrated);
+  deleteSecret("sessionCookie");
+  return migrated;
+}
+
+export function setCookies(jar) {
+  setSecret("cookies", jar);
+  return jar;
+}
+
+// Expiry of the login session cookie: a timestamp, null for a cookie
+// without expiry, or undefined when there is no session cookie at all
+export function getSessionExpiry() {
+  const session = findSessionCookie(getCookies(), getApiBase());
+  return session ? session.expires : undefined;
+}
+
 export function clearSession() {
-  conf.delete("sessionCookie");
+  deleteSecret("cookies");
+  deleteSecret("sessionCookie");
+}
+
+// Personal API token. TM_TOKEN wins so CI can authenticate without a
+// stored session.
+export function getApiToken() {
+  return process.env.TM_TOKEN || getSecret("apiToken", null);
+}
+
+export function getApiTokenSource() {
+  if (process.env.TM_TOKEN) return "env";
+  return getSecret("apiToken", null) ? "config" : null;
+}
+
+export function setApiToken(value) {
+  setSecret("apiToken", value);
+  return value;
+}
+
+export function clearApiToken() {
+  deleteSecret("apiToken");
 }
 
 export function getUser() {
-  return conf.get("user", null);
+  return getSecret("user", null);
 }
 
 export function setUser(user) {
-  conf.set("user", user);
+  setSecret("user", user);
   return user;
 }
 
 export function clearUser() {
-  conf.delete("user");
+  deleteSecret("user");
 }
 
 export function isFirstRun() {
@@ -46,22 +414,186 @@ export function markFirstRunComplete() {
 }
 
 export function getCsrfToken() {
-  return conf.get("csrfToken", null);
+  return getSecret("csrfToken", null);
 }
 
 export function setCsrfToken(value) {
-  conf.set("csrfToken", value);
+  setSecret("csrfToken", value);
   return value;
 }
 
 export function clearCsrfToken() {
-  conf.delete("csrfToken");
+  deleteSecret("csrfToken");
 }
 
 export function getLocation() {
-  return conf.get("location", null);
+  return getProfileValue("location", null);
 }
 
 export function setLocation(city, country = null) {
-  conf.set("location", { city, country });
+  setProfileValue("location", { city, country });
+}
+
+// Default --columns per listing command, shared by all profiles. Keyed by the
+// command path, e.g. "search" or "watch list".
+export function getDefaultColumns(command) {
+  const columns = conf.get("columns", {})[command];
+  return Array.isArray(columns) && columns.length ? columns : null;
+}
+
+export function setDefaultColumns(command, columns) {
+  conf.set("columns", { ...conf.get("columns", {}), [command]: columns });
+}
+
+export function clearDefaultColumns(command) {
+  const { [command]: _removed, ...rest } = conf.get("columns", {});
+  conf.set("columns", rest);
+}
+
+// Color theme ("dark", "light", "high-contrast" or a custom one) and the
+// custom themes, shared by all profiles
+export function getThemeName() {
+  return conf.get("theme", "dark");
+}
+
+export function setThemeName(name) {
+  conf.set("theme", name);
+}
+
+export function clearThemeName() {
+  conf.delete("theme");
+}
+
+export function getCustomThemes() {
+  return conf.get("themes", {});
+}
+
+export function setCustomThemeColor(name, role, value) {
+  const themes = getCustomThemes();
+  conf.set("themes", { ...themes, [name]: { ...themes[name], [role]: value } });
+}
+
+// Without a role the whole custom theme is removed
+export function clearCustomThemeColor(name, role = null) {
+  const { [name]: current = {}, ...rest } = getCustomThemes();
+  if (role) {
+    const { [role]: _removed, ...colors } = current;
+    if (Object.keys(colors).length) rest[name] = colors;
+  }
+  conf.set("themes", rest);
+}
+
+// Locale, display currency and exchange-rate source (see money.js). These
+// are user preferences rather than per-profile; TM_LOCALE and TM_CURRENCY win
+// over stored values.
+export const MONEY_SETTING_KEYS = ["locale", "currency", "ratesUrl"];
+
+export function getMoneySettings() {
+  const stored = conf.get("money", {});
+  const env = process.env;
+  return {
+    locale: env.TM_LOCALE || stored.locale || null,
+    currency: env.TM_CURRENCY || stored.currency || null,
+    ratesUrl: stored.ratesUrl || null,
+  };
+}
+
+export function setMoneySetting(key, value) {
+  if (!MONEY_SETTING_KEYS.includes(key)) {
+    throw new Error(`Unknown money setting: ${key}`);
+  }
+  if (key === "locale") {
+    try {
+      [value] = Intl.getCanonicalLocales(value);
+    } catch {
+      throw new Error(`Invalid locale: ${value}. Use a BCP 47 tag such as en-US or de-DE`);
+    }
+  }
+  if (key === "currency") {
+    value = String(value).toUpperCase();
+    if (!Intl.supportedValuesOf("currency").includes(value)) {
+      throw new Error(`Unknown currency: ${value}. Use an ISO 4217 code such as USD or EUR`);
+    }
+  }
+  conf.set(`money.${key}`, value);
+  return value;
+}
+
+export function clearMoneySetting(key) {
+  if (!MONEY_SETTING_KEYS.includes(key)) {
+    throw new Error(`Unknown money setting: ${key}`);
+  }
+  conf.delete(`money.${key}`);
+}
+
+// Inline image previews (see image.js): the graphics protocol, "auto" to
+// detect it, and whether product cards show a thumbnail. TM_IMAGE_PROTOCOL
+// wins over the stored protocol.
+export const IMAGE_SETTING_KEYS = ["protocol", "thumbnails"];
+
+const IMAGE_PROTOCOL_NAMES = ["auto", "kitty", "iterm", "sixel", "blocks", "ascii"];
+
+export function getImageSettings() {
+  const stored = conf.get("images", {});
+  return {
+    protocol: process.env.TM_IMAGE_PROTOCOL || stored.protocol || "auto",
+    thumbnails: Boolean(stored.thumbnails),
+  };
+}
+
+export function setImageSetting(key, value) {
+  if (!IMAGE_SETTING_KEYS.includes(key)) {
+    throw new Error(`Unknown image setting: ${key}`);
+  }
+  if (key === "protocol" && !IMAGE_PROTOCOL_NAMES.includes(value)) {
+    throw new Error(`image-protocol must be one of: ${IMAGE_PROTOCOL_NAMES.join(", ")}`);
+  }
+  if (key === "thumbnails") {
+    if (!["true", "false"].includes(String(value))) {
+      throw new Error("thumbnails must be true or false");
+    }
+    value = String(value) === "true";
+  }
+  conf.set(`images.${key}`, value);
+  return value;
+}
+
+export function clearImageSetting(key) {
+  if (!IMAGE_SETTING_KEYS.includes(key)) {
+    throw new Error(`Unknown image setting: ${key}`);
+  }
+  conf.delete(`images.${key}`);
+}
+
+// Command long output is piped through (see pager.js); "false" turns paging
+// off. Unset, PAGER or less is used.
+export function getPager() {
+  return conf.get("pager", null);
+}
+
+export function setPager(command) {
+  conf.set("pager", command);
+}
+
+export function clearPager() {
+  conf.delete("pager");
+}
+
+// Language of messages and dates ("de", "cs-CZ"); see i18n.js. Unset, it
+// follows LANG.
+export function getLang() {
+  return conf.get("lang", null);
+}
+
+export function setLang(value) {
+  const tag = supportedLanguage(value);
+  if (!tag) {
+    throw new Error(`Unsupported language: ${value}. Available: ${LANGUAGES.join(", ")}`);
+  }
+  conf.set("lang", tag);
+  return tag;
+}
+
+export function clearLang() {
+  conf.delete("lang");
 }
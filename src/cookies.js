@@ -0,0 +1,130 @@
+/**
+ * TerminalMarket cookie jar
+ * RFC 6265 cookie parsing and matching for the persisted per-profile jar,
+ * and the in-memory session storage SDK clients start with
+ */
+
+// Names the API uses for its login session
+export const SESSION_COOKIE_NAMES = ["tm.sid", "connect.sid"];
+
+// Default-path algorithm: the request path up to its last "/"
+function defaultPath(pathname) {
+  if (!pathname.startsWith("/") || pathname.lastIndexOf("/") === 0) return "/";
+  return pathname.slice(0, pathname.lastIndexOf("/"));
+}
+
+function domainMatches(host, domain) {
+  return host === domain || (host.endsWith("." + domain) && !/^\d+\.\d+\.\d+\.\d+$/.test(host));
+}
+
+function pathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith("/") || requestPath[cookiePath.length] === "/";
+}
+
+// Parse one Set-Cookie header received from `url`. Returns null for headers
+// that are malformed or not allowed to set a cookie for this host.
+export function parseSetCookie(header, url, now = Date.now()) {
+  const { hostname, pathname } = new URL(url);
+  const host = hostname.toLowerCase();
+  const [pair, ...attrs] = header.split(";");
+  const eq = pair.indexOf("=");
+  if (eq < 1) return null;
+
+  const cookie = {
+    name: pair.slice(0, eq).trim(),
+    value: pair.slice(eq + 1).trim(),
+    domain: host,
+    hostOnly: true,
+    path: defaultPath(pathname),
+    expires: null,
+    secure: false,
+    httpOnly: false,
+  };
+
+  let maxAge = null;
+  for (const attr of attrs) {
+    const i = attr.indexOf("=");
+    const key = (i === -1 ? attr : attr.slice(0, i)).trim().toLowerCase();
+    const value = i === -1 ? "" : attr.slice(i + 1).trim();
+    if (key === "expires") {
+      const date = Date.parse(value);
+      if (!Number.isNaN(date)) cookie.expires = date;
+    } else if (key === "max-age") {
+      if (/^-?\d+$/.test(value)) maxAge = Number(value);
+    } else if (key === "domain" && value) {
+      const domain = value.replace(/^\./, "").toLowerCase();
+      if (!domainMatches(host, domain)) return null;
+      cookie.domain = domain;
+      cookie.hostOnly = false;
+    } else if (key === "path" && value.startsWith("/")) {
+      cookie.path = value;
+    } else if (key === "secure") {
+      cookie.secure = true;
+    } else if (key === "httponly") {
+      cookie.httpOnly = true;
+    }
+  }
+  // Max-Age wins over Expires
+  if (maxAge !== null) {
+    cookie.expires = now + maxAge * 1000;
+  }
+  return cookie;
+}
+
+export function isExpired(cookie, now = Date.now()) {
+  return cookie.expires !== null && cookie.expires <= now;
+}
+
+// Apply Set-Cookie headers to a jar. A cookie replaces the one with the same
+// name, domain and path; an already-expired cookie deletes it.
+export function storeCookies(jar, setCookieHeaders, url, now = Date.now()) {
+  let next = jar.filter((c) => !isExpired(c, now));
+  for (const header of setCookieHeaders) {
+    const cookie = parseSetCookie(header, url, now);
+    if (!cookie) continue;
+    next = next.filter((c) => !(c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path));
+    if (!isExpired(cookie, now)) next.push(cookie);
+  }
+  return next;
+}
+
+// Cookies to send to `url`, most specific path first
+export function cookiesFor(jar, url, now = Date.now()) {
+  const { hostname, pathname, protocol } = new URL(url);
+  const host = hostname.toLowerCase();
+  return jar
+    .filter((c) => !isExpired(c, now))
+    .filter((c) => (c.hostOnly ? host === c.domain : domainMatches(host, c.domain)))
+    .filter((c) => pathMatches(pathname || "/", c.path))
+    .filter((c) => !c.secure || protocol === "https:" || host === "localhost" || host === "127.0.0.1")
+    .sort((a, b) => b.path.length - a.path.length);
+}
+
+export function cookieHeader(jar, url, now = Date.now()) {
+  return cookiesFor(jar, url, now).map((c) => `${c.name}=${c.value}`).join("; ");
+}
+
+// The login session cookie that would be sent to `url`, if any
+export function findSessionCookie(jar, url, now = Date.now()) {
+  return cookiesFor(jar, url, now).find((c) => SESSION_COOKIE_NAMES.includes(c.name)) || null;
+}
+
+// Session storage for a client that keeps nothing on disk: the cookie jar
+// and CSRF token live as long as the object. The CLI passes a Conf-backed
+// object with the same four methods instead.
+export function createMemoryStorage() {
+  let jar = [];
+  let csrfToken = null;
+  return {
+    getCookies: () => jar,
+    setCookies: (next) => {
+      jar = next;
+    },
+    getCsrfToken: () => csrfToken,
+    setCsrfToken: (value) => {
+      csrfToken = value;
+    },
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * TerminalMarket error types
+ * Structured API errors and the shared command error handler
+ */
+
+import chalk from "chalk";
+import { isDebugEnabled } from "./trace.js";
+import { t } from "./i18n.js";
+
+// Process exit codes, stable so scripts can branch on them
+export const EXIT_CODES = {
+  general: 1,
+  usage: 2,
+  unauthorized: 3,
+  forbidden: 3,
+  not_found: 4,
+  payment_required: 5,
+  rate_limited: 6,
+  network_error: 7,
+  timeout: 7,
+  offline: 7,
+  server_error: 8,
+};
+
+// Map an HTTP status to a machine-readable error code
+export function errorCodeForStatus(status) {
+  if (!status) return "network_error";
+  if (status === 400 || status === 422) return "validation_error";
+  if (status === 401) return "unauthorized";
+  if (status === 402) return "payment_required";
+  if (status === 403) return "forbidden";
+  if (status === 404) return "not_found";
+  if (status === 409) return "conflict";
+  if (status === 429) return "rate_limited";
+  if (status >= 500) return "server_error";
+  return "http_error";
+}
+
+export class ApiError extends Error {
+  constructor(message, { status = null, statusText = "", method = "GET", url = "", body = null, code = null, serverCode = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "ApiError";
+    this.status = status;
+    this.statusText = statusText;
+    this.method = method;
+    this.url = url;
+    this.body = body;
+    this.code = code || errorCodeForStatus(status);
+    // Application-level code from the error body (e.g. "EBADCSRFTOKEN")
+    this.serverCode = serverCode;
+  }
+
+  // Human-readable message sent by the server, if any
+  get serverMessage() {
+    if (!this.body) return null;
+    if (typeof this.body === "string") return this.body || null;
+    return this.body.message || this.body.error || null;
+  }
+
+  get isUnauthorized() {
+    return this.code === "unauthorized";
+  }
+
+  get isNotFound() {
+    return this.code === "not_found";
+  }
+
+  // 403 caused by a missing or stale CSRF token
+  get isCsrfRejection() {
+    if (this.status !== 403) return false;
+    if (this.serverCode && /csrf/i.test(this.serverCode)) return true;
+    return /csrf/i.test(this.serverMessage || "");
+  }
+
+  get isNetworkError() {
+    return this.code === "network_error" || this.code === "timeout";
+  }
+
+  // Build an ApiError from a non-2xx fetch response
+  static async fromResponse(method, url, res) {
+    const text = await res.text().catch(() => "");
+    let body = text || null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch {}
+    const serverCode = body && typeof body === "object" && typeof body.code === "string" ? body.code : null;
+    return new ApiError(
+      `${method} ${url} failed: ${res.status} ${res.statusText}${text ? " — " + text : ""}`,
+      { status: res.status, statusText: res.statusText, method, url, body, serverCode }
+    );
+  }
+
+  // Wrap a transport failure (DNS, refused connection, reset socket)
+  static fromNetworkError(method, url, err) {
+    return new ApiError(`${method} ${url} failed: ${err?.message || String(err)}`, {
+      method, url, code: "network_error", cause: err
+    });
+  }
+}
+
+export function isApiError(e) {
+  return e instanceof ApiError;
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+}
+
+// Certificate failures usually mean a corporate proxy or private CA
+const TLS_ERROR_CODES = [
+  "SELF_SIGNED_CERT_IN_CHAIN",
+  "DEPTH_ZERO_SELF_SIGNED_CERT",
+  "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+  "UNABLE_TO_GET_ISSUER_CERT_LOCALLY",
+  "CERT_HAS_EXPIRED",
+  "ERR_TLS_CERT_ALTNAME_INVALID",
+];
+
+// Default message + hint for each error code
+function describe(e) {
+  switch (e.code) {
+    case "unauthorized":
+      return { message: t("error.unauthorized"), hint: t("error.unauthorizedHint") };
+    case "forbidden":
+      return { message: e.serverMessage || t("error.forbidden") };
+    case "payment_required":
+      return { message: e.serverMessage || t("error.paymentRequired"), hint: t("error.paymentRequiredHint") };
+    case "not_found":
+      return { message: e.serverMessage || t("error.notFound") };
+    case "rate_limited":
+      return { message: t("error.rateLimited"), hint: t("error.rateLimitedHint") };
+    case "network_error":
+      if (TLS_ERROR_CODES.includes(e.cause?.code)) {
+        return { message: t("error.tls", { host: hostOf(e.url) }), hint: t("error.tlsHint") };
+      }
+      return { message: t("error.network", { host: hostOf(e.url) }), hint: t("error.networkHint") };
+    case "timeout":
+      return { message: t("error.timeout", { host: hostOf(e.url) }), hint: t("error.timeoutHint") };
+    case "offline":
+      return e.method === "GET"
+        ? { message: t("error.offlineRead"), hint: t("error.offlineReadHint") }
+        : { message: t("error.offlineWrite"), hint: t("error.offlineWriteHint") };
+    case "server_error":
+      return { message: t("error.server", { status: e.status }) };
+    default:
+      return { message: e.serverMessage || e.message };
+  }
+}
+
+// Shared catch handler for command actions: prints a consistent message to
+// stderr and sets the exit code. `messages` overrides the text per error code.
+export function handleError(e, { fallback = null, messages = {} } = {}) {
+  let message;
+  let hint = null;
+  let exitCode = EXIT_CODES.general;
+
+  if (isApiError(e)) {
+    ({ message, hint = null } = describe(e));
+    if (messages[e.code]) {
+      message = messages[e.code];
+      hint = null;
+    }
+    exitCode = EXIT_CODES[e.code] ?? EXIT_CODES.general;
+  } else {
+    message = e?.message || fallback || String(e);
+  }
+
+  console.error(chalk.red("✗ ") + message);
+  if (hint) {
+    console.error(chalk.dim("  💡 " + hint));
+  }
+  // --debug shows what actually failed behind the friendly message
+  if (isDebugEnabled() && e?.stack) {
+    console.error(chalk.dim(e.stack));
+  }
+  process.exitCode = exitCode;
+}
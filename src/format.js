@@ -1,4 +1,9 @@
 import chalk from "chalk";
+import stringWidth from "string-width";
+import { theme, isPlainMode, toPlainText } from "./theme.js";
+import { formatPrice, formatTotals, lineTotal } from "./money.js";
+import { renderMarkdown } from "./markdown.js";
+import { t, formatDate } from "./i18n.js";
 
 // Box drawing characters
 const BOX = {
@@ -15,23 +20,30 @@ const BOX = {
   cross: '┼',
 };
 
+// "🌍 Global", "🏳️ National" or "📍 Local"
+function serviceTypeLabel(serviceType) {
+  if (serviceType === 'global') return `🌍 ${t("serviceType.global")}`;
+  if (serviceType === 'national') return `🏳️ ${t("serviceType.national")}`;
+  return `📍 ${t("serviceType.local")}`;
+}
+
 // Print a beautiful box header
 export function printHeader(title, subtitle = null) {
   const width = 50;
   const line = BOX.horizontal.repeat(width - 2);
   
   console.log();
-  console.log(chalk.green(`${BOX.topLeft}${line}${BOX.topRight}`));
+  console.log(theme.primary(`${BOX.topLeft}${line}${BOX.topRight}`));
   
   const titlePadded = title.padStart(Math.floor((width - 2 + title.length) / 2)).padEnd(width - 2);
-  console.log(chalk.green(BOX.vertical) + chalk.white.bold(titlePadded) + chalk.green(BOX.vertical));
+  console.log(theme.primary(BOX.vertical) + theme.text.bold(titlePadded) + theme.primary(BOX.vertical));
   
   if (subtitle) {
     const subPadded = subtitle.padStart(Math.floor((width - 2 + subtitle.length) / 2)).padEnd(width - 2);
-    console.log(chalk.green(BOX.vertical) + chalk.dim(subPadded) + chalk.green(BOX.vertical));
+    console.log(theme.primary(BOX.vertical) + chalk.dim(subPadded) + theme.primary(BOX.vertical));
   }
   
-  console.log(chalk.green(`${BOX.bottomLeft}${line}${BOX.bottomRight}`));
+  console.log(theme.primary(`${BOX.bottomLeft}${line}${BOX.bottomRight}`));
   console.log();
 }
 
@@ -42,27 +54,27 @@ export function printDivider(char = '─', color = chalk.dim) {
 
 // Print success message
 export function printSuccess(message) {
-  console.log(chalk.green('✓ ') + chalk.white(message));
+  console.log(theme.primary('✓ ') + theme.text(message));
 }
 
 // Print error message
 export function printError(message) {
-  console.log(chalk.red('✗ ') + chalk.white(message));
+  console.log(theme.error('✗ ') + theme.text(message));
 }
 
 // Print warning message
 export function printWarning(message) {
-  console.log(chalk.yellow('⚠ ') + chalk.white(message));
+  console.log(theme.warning('⚠ ') + theme.text(message));
 }
 
 // Print info message
 export function printInfo(message) {
-  console.log(chalk.cyan('ℹ ') + chalk.white(message));
+  console.log(theme.secondary('ℹ ') + theme.text(message));
 }
 
 // Print a key-value pair
 export function printField(label, value, labelColor = chalk.dim) {
-  console.log(`  ${labelColor(label + ':')} ${chalk.white(value)}`);
+  console.log(`  ${labelColor(label + ':')} ${theme.text(value)}`);
 }
 
 // Print empty state
@@ -75,104 +87,216 @@ export function printEmpty(message, hint = null) {
   console.log();
 }
 
+// Human-readable length of time: "45 minutes", "5 hours", "3 days"
+export function formatDuration(ms) {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  if (minutes < 60) return t("duration.minutes", { count: minutes });
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return t("duration.hours", { count: hours });
+  const days = Math.round(hours / 24);
+  return t("duration.days", { count: days });
+}
+
 // Beautiful table with borders
 export function printTable(rows, columns, options = {}) {
-  const { title, showIndex = false, compact = false } = options;
-  
   if (!rows?.length) {
-    printEmpty("No results found.", "Try a different search or filter.");
+    printEmpty(t("results.none"), t("results.noneHint"));
     return;
   }
-  
-  // Calculate column widths
-  const widths = {};
-  for (const col of columns) {
-    widths[col.key] = Math.max(
-      col.title.length, 
-      ...rows.map(r => String(r[col.key] ?? "").length)
-    );
-  }
-  
-  if (showIndex) {
-    widths._index = Math.max(1, String(rows.length).length);
-  }
-  
-  // Build header
-  const headerParts = [];
-  if (showIndex) {
-    headerParts.push(chalk.dim('#'.padEnd(widths._index)));
+  const table = createTableStream(columns, options);
+  table.write(rows);
+  table.end();
+}
+
+function colorCell(col, r, value) {
+  // Apply color based on column type
+  if (col.key === 'price' || col.key === 'total') {
+    return theme.primary(value);
+  } else if (col.key === 'status') {
+    const status = r[col.key]?.toLowerCase() || '';
+    if (status === 'delivered' || status === 'active' || status === 'paid') {
+      return theme.primary(value);
+    } else if (status === 'shipped' || status === 'processing') {
+      return theme.secondary(value);
+    } else if (status === 'pending') {
+      return theme.warning(value);
+    } else if (status === 'cancelled' || status === 'suspended') {
+      return theme.error(value);
+    }
+    return theme.text(value);
+  } else if (col.key === 'verified') {
+    return r[col.key] === '✓' ? theme.primary(value) : chalk.dim(value);
+  } else if (col.key === 'name' || col.key === 'title') {
+    return theme.text.bold(value);
+  } else if (col.key === 'id' || col.key === 'slug') {
+    return chalk.dim(value);
+  } else if (col.key === 'category') {
+    return theme.accent(value);
   }
-  for (const col of columns) {
-    headerParts.push(chalk.cyan.bold(col.title.padEnd(widths[col.key])));
+  return theme.text(value);
+}
+
+const GAP = 2;
+const MIN_WIDTH = 6;
+// Plain numbers and money in any locale: "12.5", "$1,200.00", "≈12,50 €",
+// "CZK 120.00", "12 %"
+const NUMERIC = /^≈?(\p{Sc}|[A-Z]{1,3}\p{Sc}?)?\s?[-+]?\d[\d.,\s]*(\s?(\p{Sc}|[A-Z]{3}))?\s?%?$/u;
+const segmenter = new Intl.Segmenter();
+
+let wideTables = false;
+
+// --wide: never cut values to fit the terminal
+export function setWideTables(value) {
+  wideTables = Boolean(value);
+}
+
+// Plain mode is applied before measuring so columns stay aligned
+function cellText(value) {
+  const text = String(value ?? "").replace(/\s*\n\s*/g, " ");
+  return isPlainMode() ? toPlainText(text) : text;
+}
+
+// Leading graphemes of `text` that fit in `width` terminal cells. Emoji
+// and flags count as two cells and are never split.
+function take(text, width) {
+  let out = "";
+  let used = 0;
+  for (const { segment } of segmenter.segment(text)) {
+    const w = stringWidth(segment);
+    if (used + w > width) break;
+    out += segment;
+    used += w;
   }
-  
-  // Print title if provided
-  if (title) {
-    console.log();
-    console.log(chalk.green.bold(`  ${title}`));
-    console.log();
+  return out;
+}
+
+function truncate(text, width) {
+  return stringWidth(text) <= width ? text : take(text, width - 1) + "…";
+}
+
+// Break on spaces; words longer than the column are split
+function wrapText(text, width) {
+  const lines = [""];
+  for (const word of text.split(" ").filter(Boolean)) {
+    const last = lines.length - 1;
+    const joined = lines[last] ? `${lines[last]} ${word}` : word;
+    if (stringWidth(joined) <= width) {
+      lines[last] = joined;
+      continue;
+    }
+    if (lines[last]) lines.push("");
+    let rest = word;
+    while (stringWidth(rest) > width) {
+      const head = take(rest, width) || [...rest][0];
+      lines[lines.length - 1] = head;
+      lines.push("");
+      rest = rest.slice(head.length);
+    }
+    lines[lines.length - 1] = rest;
   }
-  
-  // Print header
-  console.log('  ' + headerParts.join('  '));
-  
-  // Print separator
-  const sepParts = [];
-  if (showIndex) {
-    sepParts.push(chalk.dim('─'.repeat(widths._index)));
+  return lines;
+}
+
+function pad(text, width, align) {
+  const space = " ".repeat(Math.max(0, width - stringWidth(text)));
+  return align === "right" ? space + text : text + space;
+}
+
+// Widest value per column, in terminal cells
+function measure(columns, rows) {
+  return columns.map((col) => Math.max(stringWidth(col.title), ...rows.map((r) => stringWidth(cellText(r[col.key])))));
+}
+
+// Shrink the widest columns until the table fits the terminal. Output that
+// is not a terminal keeps full widths.
+function fitWidths(widths, columns) {
+  const available = process.stdout.columns;
+  if (wideTables || !available) return widths;
+  const fitted = [...widths];
+  const budget = available - 2 - GAP * (fitted.length - 1);
+  const floor = fitted.map((w, i) => Math.min(w, Math.max(stringWidth(columns[i].title), MIN_WIDTH)));
+  let total = fitted.reduce((sum, w) => sum + w, 0);
+  while (total > budget) {
+    const widest = fitted.reduce((best, w, i) => (w - floor[i] > fitted[best] - floor[best] ? i : best), 0);
+    if (fitted[widest] <= floor[widest]) break;
+    fitted[widest]--;
+    total--;
   }
-  for (const col of columns) {
-    sepParts.push(chalk.dim('─'.repeat(widths[col.key])));
+  return fitted;
+}
+
+// Prices, totals and IDs line up on the right
+function alignment(col, rows) {
+  if (col.align) return col.align;
+  const values = rows.map((r) => cellText(r[col.key])).filter(Boolean);
+  return values.length && values.every((v) => NUMERIC.test(v)) ? "right" : "left";
+}
+
+// Table that prints rows as they arrive (e.g. page by page). Column widths
+// are fixed by the first batch and the terminal width; longer values are cut
+// with "…", or wrapped for columns with `wrap: true` (`options.wrap` for all).
+// With --wide, columns grow to fit later batches instead.
+export function createTableStream(columns, options = {}) {
+  const { title, showIndex = false, wrap = false } = options;
+  const cols = showIndex ? [{ key: "_index", title: "#", align: "right" }, ...columns] : columns;
+  let widths = null;
+  let aligns = null;
+  let count = 0;
+
+  // One table row; wrapped cells make it several lines tall
+  function printRow(r, style) {
+    const cells = cols.map((col, i) => {
+      const text = cellText(r[col.key]);
+      return wideTables ? [text] : (wrap || col.wrap) ? wrapText(text, widths[i]) : [truncate(text, widths[i])];
+    });
+    const height = Math.max(...cells.map((lines) => lines.length));
+    for (let line = 0; line < height; line++) {
+      const parts = cols.map((col, i) => style(col, pad(cells[i][line] ?? "", widths[i], aligns[i])));
+      console.log(("  " + parts.join(" ".repeat(GAP))).trimEnd());
+    }
   }
-  console.log('  ' + sepParts.join('──'));
-  
-  // Print rows
-  rows.forEach((r, index) => {
-    const rowParts = [];
-    if (showIndex) {
-      rowParts.push(chalk.dim(String(index + 1).padEnd(widths._index)));
+
+  function printHead(rows) {
+    widths = fitWidths(measure(cols, rows), cols);
+    aligns = cols.map((col) => alignment(col, rows));
+
+    // Print title if provided
+    if (title) {
+      console.log();
+      console.log(theme.primary.bold(`  ${title}`));
+      console.log();
     }
-    
-    for (const col of columns) {
-      let value = String(r[col.key] ?? "").padEnd(widths[col.key]);
-      
-      // Apply color based on column type
-      if (col.key === 'price' || col.key === 'total') {
-        value = chalk.green(value);
-      } else if (col.key === 'status') {
-        const status = r[col.key]?.toLowerCase() || '';
-        if (status === 'delivered' || status === 'active' || status === 'paid') {
-          value = chalk.green(value);
-        } else if (status === 'shipped' || status === 'processing') {
-          value = chalk.cyan(value);
-        } else if (status === 'pending') {
-          value = chalk.yellow(value);
-        } else if (status === 'cancelled' || status === 'suspended') {
-          value = chalk.red(value);
-        } else {
-          value = chalk.white(value);
-        }
-      } else if (col.key === 'verified') {
-        value = r[col.key] === '✓' ? chalk.green(value) : chalk.dim(value);
-      } else if (col.key === 'name' || col.key === 'title') {
-        value = chalk.white.bold(value);
-      } else if (col.key === 'id' || col.key === 'slug') {
-        value = chalk.dim(value);
-      } else if (col.key === 'category') {
-        value = chalk.magenta(value);
-      } else {
-        value = chalk.white(value);
+
+    const titles = Object.fromEntries(cols.map((col) => [col.key, col.title]));
+    printRow(titles, (col, value) => theme.secondary.bold(value));
+    console.log("  " + widths.map((w) => chalk.dim("─".repeat(w))).join("─".repeat(GAP)));
+  }
+
+  return {
+    write(rows) {
+      if (!rows?.length) return;
+      if (showIndex) rows = rows.map((r, i) => ({ ...r, _index: count + i + 1 }));
+      if (!widths) printHead(rows);
+      else if (wideTables) widths = measure(cols, rows).map((w, i) => Math.max(w, widths[i]));
+
+      for (const r of rows) {
+        printRow(r, (col, value) => (col.key === "_index" ? chalk.dim(value) : colorCell(col, r, value)));
       }
-      
-      rowParts.push(value);
-    }
-    
-    console.log('  ' + rowParts.join('  '));
-  });
-  
-  // Print footer with count
-  console.log();
-  console.log(chalk.dim(`  Showing ${rows.length} result${rows.length !== 1 ? 's' : ''}`));
+      count += rows.length;
+    },
+    end() {
+      if (!count) {
+        printEmpty(t("results.none"), t("results.noneHint"));
+        return;
+      }
+      // Print footer with count
+      console.log();
+      console.log(chalk.dim(`  ${t("results.showing", { count })}`));
+    },
+    get count() {
+      return count;
+    },
+  };
 }
 
 // Print product card
@@ -181,11 +305,11 @@ export function printProductCard(p) {
   const line = '─'.repeat(width);
   
   console.log();
-  console.log(chalk.cyan(line));
+  console.log(theme.secondary(line));
   console.log();
   
   // Name
-  console.log(chalk.white.bold('  ' + (p.name || 'Unknown Product')));
+  console.log(theme.text.bold('  ' + (p.name || t("product.unknown"))));
   
   // Short description
   if (p.shortDescription) {
@@ -195,116 +319,208 @@ export function printProductCard(p) {
   
   // Price (big and prominent)
   if (p.price) {
-    console.log(chalk.green.bold(`  $${p.price}`));
+    console.log(theme.primary.bold(`  ${formatPrice(p.price, p.currency, { showOriginal: true })}`));
     console.log();
   }
   
   // Details
   if (p.description) {
-    console.log(chalk.white('  ' + p.description));
+    console.log(renderMarkdown(p.description, { indent: 2 }));
     console.log();
   }
   
   // Meta info
   console.log(chalk.dim('  ─────────────────────────────'));
   
-  printField('ID', p.productId || p.id || '-');
-  if (p.slug) printField('Slug', p.slug);
-  if (p.category) printField('Category', p.category);
+  printField(t("field.id"), p.productId || p.id || '-');
+  if (p.slug) printField(t("field.slug"), p.slug);
+  if (p.category) printField(t("field.category"), p.category);
   
   const serviceType = p.serviceType || 'global';
-  const typeLabel = serviceType === 'global' ? '🌍 Global' : 
-                   serviceType === 'national' ? '🏳️ National' : '📍 Local';
-  printField('Type', typeLabel);
+  printField(t("field.type"), serviceTypeLabel(serviceType));
   
   if (serviceType === 'local' && p.serviceCity) {
-    printField('City', p.serviceCity);
+    printField(t("field.city"), p.serviceCity);
   }
   if ((serviceType === 'local' || serviceType === 'national') && p.serviceCountry) {
-    printField('Country', p.serviceCountry);
+    printField(t("field.country"), p.serviceCountry);
   }
   
   if (p.storeId || p.sellerId) {
-    printField('Store', p.storeId || p.sellerId);
+    printField(t("field.store"), p.storeId || p.sellerId);
   }
   
   console.log();
-  console.log(chalk.cyan(line));
+  console.log(theme.secondary(line));
   
   // Actions hint
   console.log();
-  console.log(chalk.dim('  💡 Quick actions:'));
-  console.log(chalk.dim('     tm add ' + (p.productId || p.id)) + chalk.dim(' — add to cart'));
-  console.log(chalk.dim('     tm buy ' + (p.slug || p.productId || p.id)) + chalk.dim(' — buy directly'));
+  console.log(chalk.dim(`  💡 ${t("product.quickActions")}:`));
+  console.log(chalk.dim('     tm add ' + (p.productId || p.id)) + chalk.dim(` — ${t("product.addHint")}`));
+  console.log(chalk.dim('     tm buy ' + (p.slug || p.productId || p.id)) + chalk.dim(` — ${t("product.buyHint")}`));
   console.log();
 }
 
-// Print cart with totals
-export function printCart(items, total) {
+// Print cart with totals; each currency is summed separately
+export function printCart({ items, totals } = {}) {
   if (!items?.length) {
-    printEmpty("Your cart is empty.", "Add items with: tm add <product-id>");
+    printEmpty(t("cart.empty"), t("cart.emptyHint"));
     return;
   }
   
   console.log();
-  console.log(chalk.green.bold('  🛒 Your Cart'));
+  console.log(theme.primary.bold(`  🛒 ${t("cart.title")}`));
   console.log();
   
   items.forEach((item, i) => {
-    const subtotal = (item.price || 0) * (item.quantity || 1);
+    const price = formatPrice(item.price, item.currency);
     
-    console.log(chalk.white.bold(`  ${i + 1}. ${item.name || `Product #${item.productId}`}`));
-    console.log(`     ${chalk.dim('Qty:')} ${chalk.cyan(item.quantity)}  ${chalk.dim('×')}  ${chalk.green('$' + item.price)}  ${chalk.dim('=')}  ${chalk.green.bold('$' + subtotal.toFixed(2))}`);
+    console.log(theme.text.bold(`  ${i + 1}. ${item.name || t("cart.unnamedItem", { id: item.productId })}`));
+    console.log(`     ${chalk.dim(t("cart.qty") + ':')} ${theme.secondary(item.quantity)}  ${chalk.dim('×')}  ${theme.primary(price)}  ${chalk.dim('=')}  ${theme.primary.bold(formatPrice(lineTotal(item)))}`);
     console.log();
   });
   
   console.log(chalk.dim('  ─────────────────────────────────────────'));
   console.log();
-  console.log(`  ${chalk.white('Total:')} ${chalk.green.bold('$' + total.toFixed(2))}`);
+  console.log(`  ${theme.text(t("field.total") + ':')} ${theme.primary.bold(formatTotals(totals))}`);
   console.log();
-  console.log(chalk.dim('  💡 tm checkout — proceed to payment'));
+  console.log(chalk.dim(`  💡 tm checkout — ${t("cart.checkoutHint")}`));
   console.log();
 }
 
-// Print order history
-export function printOrders(orders) {
-  if (!orders?.length) {
-    printEmpty("No orders yet.", "Start shopping with: tm products");
-    return;
+// "Jana Nováková, Vinohradská 12, 120 00 Praha, CZ"; profiles without an
+// address list keep the street in `address`
+export function formatAddress(a) {
+  if (!a) return '';
+  const city = [a.postalCode, a.city].filter(Boolean).join(' ');
+  return [a.name, a.line1 || a.address, a.line2, city, a.country].filter(Boolean).join(', ');
+}
+
+// Label: value lines with the values lined up
+function printRows(rows, indent = '     ') {
+  const width = Math.max(...rows.map(([label]) => stringWidth(label))) + 1;
+  for (const [label, value] of rows) {
+    console.log(`${indent}${chalk.dim(pad(label + ':', width))} ${value}`);
   }
-  
+}
+
+// Checkout review: each seller's items with a subtotal and the shipping and
+// tax estimates, then the grand total per currency
+export function printCheckoutSummary({ address, sellers = [], totals } = {}) {
   console.log();
-  console.log(chalk.green.bold('  📦 Order History'));
+  console.log(theme.primary.bold(`  🧾 ${t("checkout.title")}`));
   console.log();
-  
-  orders.forEach((order) => {
-    const date = new Date(order.createdAt).toLocaleDateString();
-    const status = order.status?.toLowerCase() || 'pending';
-    
-    // Status with color and icon
-    let statusDisplay;
-    if (status === 'delivered') {
-      statusDisplay = chalk.green('✓ Delivered');
-    } else if (status === 'shipped') {
-      statusDisplay = chalk.cyan('📦 Shipped');
-    } else if (status === 'paid') {
-      statusDisplay = chalk.blue('💳 Paid');
-    } else if (status === 'processing') {
-      statusDisplay = chalk.yellow('⏳ Processing');
-    } else if (status === 'cancelled') {
-      statusDisplay = chalk.red('✗ Cancelled');
-    } else {
-      statusDisplay = chalk.dim('○ ' + status);
-    }
-    
-    console.log(chalk.white.bold(`  ${order.orderNumber || '#' + order.id}`));
-    console.log(`     ${chalk.dim('Date:')} ${date}  ${chalk.dim('Total:')} ${chalk.green('$' + (order.total || 0))}`);
-    console.log(`     ${statusDisplay}`);
-    if (order.deliveryMethod === 'digital') {
-      console.log(`     ${chalk.dim('Download or key in library')}`);
+  if (address) {
+    console.log(`  ${chalk.dim(t("checkout.shipTo") + ':')} ${theme.text(formatAddress(address))}`);
+    console.log();
+  }
+
+  const estimate = (amount, currency) => amount == null
+    ? chalk.dim(t("checkout.atPayment"))
+    : theme.text(formatPrice(amount, currency)) + chalk.dim(` (${t("checkout.estimate")})`);
+  for (const seller of sellers) {
+    const name = seller.sellerName || (seller.sellerId != null ? t("checkout.seller", { id: seller.sellerId }) : t("store.unknown"));
+    console.log(theme.text.bold(`  🏪 ${name}`));
+    for (const item of seller.items) {
+      console.log(`     ${theme.text(item.name)} ${chalk.dim(`× ${item.quantity}`)}  ${theme.primary(formatPrice(lineTotal(item)))}`);
     }
+    printRows([
+      [t("checkout.subtotal"), theme.text(formatPrice(seller.subtotal, seller.currency))],
+      [t("checkout.shipping"), estimate(seller.shipping, seller.currency)],
+      [t("checkout.tax"), estimate(seller.tax, seller.currency)],
+    ]);
     console.log();
-  });
+  }
+
+  console.log(chalk.dim('  ─────────────────────────────────────────'));
+  console.log();
+  console.log(`  ${theme.text(t("field.total") + ':')} ${theme.primary.bold(formatTotals(totals))}`);
+  if (sellers.some((seller) => seller.shipping == null || seller.tax == null)) {
+    console.log(chalk.dim(`  ${t("checkout.totalPending")}`));
+  }
+  console.log();
+}
+
+// Receipt after a paid checkout. The order's own fields win over the
+// summary the checkout started from.
+export function printReceipt(order = {}, { address, sellers = [], totals } = {}) {
+  const number = order.orderNumber || (order.id != null ? '#' + order.id : '-');
+  const items = order.items?.length ? order.items : sellers.flatMap((seller) => seller.items);
+  const total = order.total != null ? formatPrice(order.total, order.currency) : formatTotals(totals);
+  const shipTo = order.shippingAddress || address;
+
+  console.log();
+  console.log(theme.primary.bold(`  ✓ ${t("receipt.title")}`));
+  console.log();
+  printRows([
+    [t("receipt.orderNumber"), theme.text.bold(number)],
+    [t("field.date"), theme.text(formatDate(order.createdAt ?? Date.now()))],
+    [t("receipt.status"), formatOrderStatus(order.status || 'paid')],
+    ...(shipTo ? [[t("checkout.shipTo"), theme.text(formatAddress(shipTo))]] : []),
+  ], '  ');
+  console.log();
+  for (const item of items) {
+    const name = item.name || item.product?.name || t("cart.unnamedItem", { id: item.productId });
+    console.log(`  ${theme.text(name)} ${chalk.dim(`× ${item.quantity || 1}`)}  ${theme.primary(formatPrice(lineTotal(item)))}`);
+  }
+  console.log(chalk.dim('  ─────────────────────────────────────────'));
+  console.log(`  ${theme.text(t("receipt.paid") + ':')} ${theme.primary.bold(total)}`);
+  console.log();
+  console.log(chalk.dim(`  💡 tm orders — ${t("receipt.ordersHint")}`));
+  console.log();
+}
+
+// Print order history
+export function printOrders(orders) {
+  const list = createOrdersStream();
+  list.write(orders);
+  list.end();
+}
+
+// Order status with color and icon
+function formatOrderStatus(value) {
+  const status = value?.toLowerCase() || 'pending';
+  if (status === 'delivered') return theme.primary(`✓ ${t("orderStatus.delivered")}`);
+  if (status === 'shipped') return theme.secondary(`📦 ${t("orderStatus.shipped")}`);
+  if (status === 'paid') return theme.secondary(`💳 ${t("orderStatus.paid")}`);
+  if (status === 'processing') return theme.warning(`⏳ ${t("orderStatus.processing")}`);
+  if (status === 'cancelled') return theme.error(`✗ ${t("orderStatus.cancelled")}`);
+  return chalk.dim('○ ' + status);
+}
+
+function printOrder(order) {
+  const date = formatDate(order.createdAt);
+  const statusDisplay = formatOrderStatus(order.status);
+  
+  console.log(theme.text.bold(`  ${order.orderNumber || '#' + order.id}`));
+  console.log(`     ${chalk.dim(t("field.date") + ':')} ${date}  ${chalk.dim(t("field.total") + ':')} ${theme.primary(formatPrice(order.total || 0, order.currency))}`);
+  console.log(`     ${statusDisplay}`);
+  if (order.deliveryMethod === 'digital') {
+    console.log(`     ${chalk.dim(t("order.digital"))}`);
+  }
+  console.log();
+}
+
+// Order history printed page by page
+export function createOrdersStream() {
+  let count = 0;
+  return {
+    write(orders) {
+      if (!orders?.length) return;
+      if (!count) {
+        console.log();
+        console.log(theme.primary.bold(`  📦 ${t("orders.title")}`));
+        console.log();
+      }
+      orders.forEach(printOrder);
+      count += orders.length;
+    },
+    end() {
+      if (!count) {
+        printEmpty(t("orders.empty"), t("orders.emptyHint"));
+      }
+    },
+  };
 }
 
 // Print store/seller card
@@ -313,12 +529,12 @@ export function printStoreCard(s) {
   const line = '─'.repeat(width);
   
   console.log();
-  console.log(chalk.magenta(line));
+  console.log(theme.accent(line));
   console.log();
   
   // Name with verified badge
-  const verified = s.verified ? chalk.green(' ✓') : '';
-  console.log(chalk.white.bold('  🏪 ' + (s.name || s.storeName || 'Unknown Store')) + verified);
+  const verified = s.verified ? theme.primary(' ✓') : '';
+  console.log(theme.text.bold('  🏪 ' + (s.name || s.storeName || t("store.unknown"))) + verified);
   
   if (s.description || s.storeDescription) {
     console.log(chalk.dim('  ' + (s.description || s.storeDescription)));
@@ -329,94 +545,105 @@ export function printStoreCard(s) {
   if (s.rating || s.averageRating) {
     const rating = s.rating || s.averageRating;
     const stars = formatStars(rating);
-    console.log(`  ${chalk.yellow(stars)} ${chalk.dim(`(${rating.toFixed(1)})`)}`);
+    console.log(`  ${theme.warning(stars)} ${chalk.dim(`(${rating.toFixed(1)})`)}`);
     console.log();
   }
   
   // Details
   console.log(chalk.dim('  ─────────────────────────────'));
   
-  if (s.id) printField('ID', s.id);
-  if (s.slug) printField('Slug', s.slug);
+  if (s.id) printField(t("field.id"), s.id);
+  if (s.slug) printField(t("field.slug"), s.slug);
   
   const serviceType = s.serviceType || 'global';
-  const typeLabel = serviceType === 'global' ? '🌍 Global' : 
-                   serviceType === 'national' ? '🏳️ National' : '📍 Local';
-  printField('Type', typeLabel);
+  printField(t("field.type"), serviceTypeLabel(serviceType));
   
-  if (s.baseCity) printField('City', s.baseCity);
-  if (s.baseCountry) printField('Country', s.baseCountry);
+  if (s.baseCity) printField(t("field.city"), s.baseCity);
+  if (s.baseCountry) printField(t("field.country"), s.baseCountry);
   
   if (s.categories?.length) {
-    printField('Categories', s.categories.join(', '));
+    printField(t("field.categories"), s.categories.join(', '));
   }
   
   console.log();
-  console.log(chalk.magenta(line));
+  console.log(theme.accent(line));
   
   // Actions hint
   console.log();
-  console.log(chalk.dim('  💡 tm products --store ' + s.id) + chalk.dim(' — view products'));
-  console.log(chalk.dim('  💡 tm reviews ' + s.id) + chalk.dim(' — see reviews'));
+  console.log(chalk.dim('  💡 tm products --store ' + s.id) + chalk.dim(` — ${t("store.productsHint")}`));
+  console.log(chalk.dim('  💡 tm reviews ' + s.id) + chalk.dim(` — ${t("store.reviewsHint")}`));
   console.log();
 }
 
 // Print sellers list
 export function printSellers(sellers) {
-  if (!sellers?.length) {
-    printEmpty("No stores found.", "Try adjusting your filters.");
-    return;
+  const list = createSellersStream();
+  list.write(sellers);
+  list.end();
+}
+
+function printSeller(s) {
+  const verified = s.verified ? theme.primary(' ✓') : '';
+  console.log(theme.text.bold('  ' + (s.name || s.storeName)) + verified);
+  console.log(`     ${chalk.dim(t("field.slug") + ':')} ${theme.secondary(s.slug)}  ${chalk.dim(t("field.type") + ':')} ${serviceTypeLabel(s.serviceType || 'global')}`);
+  
+  if (s.baseCity || s.baseCountry) {
+    const location = [s.baseCity, s.baseCountry].filter(Boolean).join(', ');
+    console.log(`     ${chalk.dim(t("field.location") + ':')} ${location}`);
   }
-  
-  console.log();
-  console.log(chalk.green.bold('  🏪 Stores'));
-  console.log();
-  
-  sellers.forEach((s) => {
-    const verified = s.verified ? chalk.green(' ✓') : '';
-    const serviceType = s.serviceType || 'global';
-    const typeIcon = serviceType === 'global' ? '🌍' : 
-                    serviceType === 'national' ? '🏳️' : '📍';
-    
-    console.log(chalk.white.bold('  ' + (s.name || s.storeName)) + verified);
-    console.log(`     ${chalk.dim('Slug:')} ${chalk.cyan(s.slug)}  ${chalk.dim('Type:')} ${typeIcon} ${serviceType}`);
-    
-    if (s.baseCity || s.baseCountry) {
-      const location = [s.baseCity, s.baseCountry].filter(Boolean).join(', ');
-      console.log(`     ${chalk.dim('Location:')} ${location}`);
-    }
-    console.log();
-  });
-  
-  console.log(chalk.dim(`  Showing ${sellers.length} store${sellers.length !== 1 ? 's' : ''}`));
   console.log();
 }
 
+// Sellers list printed page by page
+export function createSellersStream() {
+  let count = 0;
+  return {
+    write(sellers) {
+      if (!sellers?.length) return;
+      if (!count) {
+        console.log();
+        console.log(theme.primary.bold(`  🏪 ${t("stores.title")}`));
+        console.log();
+      }
+      sellers.forEach(printSeller);
+      count += sellers.length;
+    },
+    end() {
+      if (!count) {
+        printEmpty(t("stores.none"), t("stores.noneHint"));
+        return;
+      }
+      console.log(chalk.dim(`  ${t("stores.showing", { count })}`));
+      console.log();
+    },
+  };
+}
+
 // Print reviews
 export function printReviews(reviews, averageRating) {
   console.log();
   
   if (averageRating !== undefined) {
-    console.log(chalk.green.bold('  ⭐ Store Rating'));
-    console.log(`  ${chalk.yellow(formatStars(averageRating))} ${chalk.dim(`(${averageRating.toFixed(1)} average)`)}`);
+    console.log(theme.primary.bold(`  ⭐ ${t("reviews.rating")}`));
+    console.log(`  ${theme.warning(formatStars(averageRating))} ${chalk.dim(`(${t("reviews.average", { rating: averageRating.toFixed(1) })})`)}`);
     console.log();
   }
   
   if (!reviews?.length) {
-    printEmpty("No reviews yet.", "Be the first to review: tm review <store-id> <1-5>");
+    printEmpty(t("reviews.none"), t("reviews.noneHint"));
     return;
   }
   
-  console.log(chalk.green.bold('  📝 Reviews'));
+  console.log(theme.primary.bold(`  📝 ${t("reviews.title")}`));
   console.log();
   
   reviews.forEach((r) => {
     const stars = formatStars(r.rating);
-    const date = new Date(r.createdAt).toLocaleDateString();
+    const date = formatDate(r.createdAt);
     
-    console.log(`  ${chalk.yellow(stars)} ${chalk.dim('— ' + date)}`);
+    console.log(`  ${theme.warning(stars)} ${chalk.dim('— ' + date)}`);
     if (r.comment) {
-      console.log(chalk.white('  "' + r.comment + '"'));
+      console.log(theme.text('  "' + r.comment + '"'));
     }
     console.log();
   });
@@ -425,31 +652,31 @@ export function printReviews(reviews, averageRating) {
 // Print AI models list
 export function printAIModels(models, categories = []) {
   if (!models?.length) {
-    printEmpty("No AI models available.", "Check back later for new models.");
+    printEmpty(t("ai.noModels"), t("ai.noModelsHint"));
     return;
   }
   
   console.log();
-  console.log(chalk.cyan.bold('  🤖 AI Models'));
+  console.log(theme.secondary.bold(`  🤖 ${t("ai.models")}`));
   console.log();
   
   // Group by category if categories provided
   const grouped = {};
   models.forEach(m => {
-    const cat = m.categoryName || 'Other';
+    const cat = m.categoryName || t("ai.otherCategory");
     if (!grouped[cat]) grouped[cat] = [];
     grouped[cat].push(m);
   });
   
   for (const [category, catModels] of Object.entries(grouped)) {
-    console.log(chalk.magenta.bold(`  ${category}`));
+    console.log(theme.accent.bold(`  ${category}`));
     console.log();
     
     catModels.forEach(m => {
-      console.log(chalk.white.bold(`    ${m.name}`));
-      console.log(`    ${chalk.dim(m.description || 'No description')}`);
-      console.log(`    ${chalk.dim('Provider:')} ${m.provider}  ${chalk.dim('Cost:')} ${chalk.green(m.creditsPerRun + ' credits')}`);
-      console.log(`    ${chalk.dim('Run:')} ${chalk.cyan('tm ai run ' + m.slug)}`);
+      console.log(theme.text.bold(`    ${m.name}`));
+      console.log(`    ${chalk.dim(m.description || t("ai.noDescription"))}`);
+      console.log(`    ${chalk.dim(t("ai.provider") + ':')} ${m.provider}  ${chalk.dim(t("ai.cost") + ':')} ${theme.primary(t("ai.credits", { count: m.creditsPerRun }))}`);
+      console.log(`    ${chalk.dim(t("ai.run") + ':')} ${theme.secondary('tm ai run ' + m.slug)}`);
       console.log();
     });
   }
@@ -458,37 +685,29 @@ export function printAIModels(models, categories = []) {
 // Print credits balance
 export function printCredits(balance) {
   console.log();
-  console.log(chalk.cyan.bold('  💳 AI Credits'));
+  console.log(theme.secondary.bold(`  💳 ${t("ai.creditsTitle")}`));
   console.log();
-  console.log(`  ${chalk.white('Balance:')} ${chalk.green.bold(balance + ' credits')}`);
+  console.log(`  ${theme.text(t("ai.balance") + ':')} ${theme.primary.bold(t("ai.credits", { count: balance }))}`);
   console.log();
-  console.log(chalk.dim('  💡 tm ai topup <amount> — add more credits'));
+  console.log(chalk.dim(`  💡 tm ai topup <amount> — ${t("ai.topupHint")}`));
   console.log();
 }
 
 export function pickProductFields(p) {
-  const serviceType = p?.serviceType || "global";
-  const typeIcon = serviceType === "global" ? "🌍" : 
-                  serviceType === "national" ? "🏳️" : "📍";
-  
   return {
     id: p?.productId ?? p?.id ?? "",
     slug: p?.slug ?? "",
     name: p?.name ?? p?.title ?? "",
     category: p?.category ?? "",
-    price: p?.price ? `$${p.price}` : (p?.priceDisplay ?? ""),
+    price: p?.price ? formatPrice(p.price, p.currency) : (p?.priceDisplay ?? ""),
     buyUrl: p?.buyUrl ?? "",
-    serviceType: `${typeIcon} ${serviceType}`,
+    serviceType: serviceTypeLabel(p?.serviceType || "global"),
     serviceCity: p?.serviceCity ?? "",
     serviceCountry: p?.serviceCountry ?? "",
   };
 }
 
 export function pickSellerFields(s) {
-  const serviceType = s?.serviceType || "global";
-  const typeIcon = serviceType === "global" ? "🌍" : 
-                  serviceType === "national" ? "🏳️" : "📍";
-  
   return {
     id: s?.id ?? "",
     slug: s?.slug ?? "",
@@ -496,25 +715,21 @@ export function pickSellerFields(s) {
     verified: s?.verified ? "✓" : "",
     badges: Array.isArray(s?.badges) ? s.badges.join(", ") : "",
     status: s?.status ?? "",
-    serviceType: `${typeIcon} ${serviceType}`,
+    serviceType: serviceTypeLabel(s?.serviceType || "global"),
     baseCity: s?.baseCity ?? "",
     baseCountry: s?.baseCountry ?? "",
   };
 }
 
 export function pickOfferFields(o) {
-  const serviceType = o?.serviceType || "global";
-  const typeIcon = serviceType === "global" ? "🌍" : 
-                  serviceType === "national" ? "🏳️" : "📍";
-  
   return {
     id: o?.id ?? "",
     productId: o?.productId ?? "",
     sellerId: o?.sellerId ?? "",
-    price: o?.priceDisplay ?? (o?.price ? `$${o.price}` : ""),
+    price: o?.price ? formatPrice(o.price, o.currency) : (o?.priceDisplay ?? ""),
     availability: o?.availability ?? "",
     buyUrl: o?.buyUrl ?? "",
-    serviceType: `${typeIcon} ${serviceType}`,
+    serviceType: serviceTypeLabel(o?.serviceType || "global"),
     serviceCity: o?.serviceCity ?? "",
     serviceCountry: o?.serviceCountry ?? "",
   };
@@ -0,0 +1,100 @@
+/**
+ * TerminalMarket messages
+ * User-facing text looked up by key in a catalog per language, with plural
+ * forms and dates in the user's locale. English (locales/en.js) is the
+ * source; keys missing from another catalog fall back to it.
+ */
+
+import en from "./locales/en.js";
+import de from "./locales/de.js";
+import cs from "./locales/cs.js";
+
+const CATALOGS = { en, de, cs };
+
+export const LANGUAGES = Object.keys(CATALOGS);
+
+let language = "en";
+let dateLocale = "en";
+let languageTag = null;
+const dateFormats = new Map();
+
+// "de_DE.UTF-8" → "de-DE", like localeFromEnv in money.js. LC_ALL and
+// LC_MESSAGES win over LANG, as in gettext.
+export function languageFromEnv(env = process.env) {
+  const value = env.LC_ALL || env.LC_MESSAGES || env.LANG;
+  if (!value || value === "C" || value === "POSIX") return undefined;
+  return value.split(/[.@]/)[0].replace(/_/g, "-");
+}
+
+// "de", "de-AT", "cs_CZ" → the canonical tag when there is a catalog for
+// its language, otherwise null
+export function supportedLanguage(value) {
+  try {
+    const [tag] = Intl.getCanonicalLocales(String(value).split(/[.@]/)[0].replace(/_/g, "-"));
+    const base = tag.split("-")[0];
+    return CATALOGS[base] ? tag : null;
+  } catch {
+    return null;
+  }
+}
+
+// Unsupported languages get English messages and English dates, so the two
+// never disagree. A region ("de-AT") only changes how dates look.
+export function setLanguage(value) {
+  const tag = value ? supportedLanguage(value) : null;
+  language = tag ? tag.split("-")[0] : "en";
+  dateLocale = tag || "en";
+  languageTag = tag;
+  dateFormats.clear();
+}
+
+export function getLanguage() {
+  return language;
+}
+
+// The selected language with its region ("de-AT"), or null when messages
+// fell back to English
+export function getLanguageTag() {
+  return languageTag;
+}
+
+// { one: "1 result", other: "{count} results" } → the form for `count`;
+// Czech also has "few" (2–4). With type "ordinal" the forms are "1st",
+// "2nd", "3rd", "4th" and so on.
+function pluralForm(forms, count) {
+  const category = new Intl.PluralRules(language, { type: forms.type ?? "cardinal" }).select(count);
+  return forms[category] ?? forms.other;
+}
+
+// t("field.total") or t("results.showing", { count: 3 }). `{name}` is
+// replaced by params.name; entries with plural forms are picked by
+// params.count.
+export function t(key, params = {}) {
+  let message = CATALOGS[language][key] ?? en[key];
+  if (message == null) return key;
+  if (typeof message === "object") message = pluralForm(message, Number(params.count) || 0);
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+}
+
+function dateFormat(options) {
+  const id = JSON.stringify(options);
+  if (!dateFormats.has(id)) dateFormats.set(id, new Intl.DateTimeFormat(dateLocale, options));
+  return dateFormats.get(id);
+}
+
+// "Mar 5, 2026" in English, "05.03.2026" in German; with `time`,
+// "05.03.2026, 14:30". Missing or invalid dates are "-".
+export function formatDate(value, { time = false } = {}) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (value == null || Number.isNaN(date.getTime())) return "-";
+  return dateFormat(time ? { dateStyle: "medium", timeStyle: "short" } : { dateStyle: "medium" }).format(date);
+}
+
+export function formatDateTime(value) {
+  return formatDate(value, { time: true });
+}
+
+// Weekday names for schedules, Sunday first like Date#getDay()
+export function weekdayName(day) {
+  return dateFormat({ weekday: "long", timeZone: "UTC" }).format(new Date(Date.UTC(2023, 0, 1 + day)));
+}
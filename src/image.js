@@ -0,0 +1,282 @@
+/**
+ * TerminalMarket images
+ * Inline image previews: kitty, iTerm2 or sixel graphics where the terminal
+ * supports them, colored half blocks or ASCII art everywhere else.
+ */
+
+import chalk from "chalk";
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+import { deflateSync } from "zlib";
+import { fetchWithTimeout } from "./api.js";
+import { isOffline } from "./cache.js";
+import { isPlainMode } from "./theme.js";
+
+export const IMAGE_PROTOCOLS = ["kitty", "iterm", "sixel", "blocks", "ascii"];
+
+const MAX_BYTES = 10 * 1024 * 1024;
+// A small file can still claim a huge canvas; decoding allocates 4 bytes per
+// pixel, so larger images are refused before decoding
+const MAX_PIXELS = 25 * 1000 * 1000;
+const MAX_WIDTH = 60;
+// Pixels per terminal cell, to size sixel and raw kitty images
+const CELL_WIDTH = 10;
+const ASCII_RAMP = " .:-=+*#%@";
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Terminals that announce themselves get their graphics protocol, others
+// get half blocks (or ASCII art without colors). TM_IMAGE_PROTOCOL and
+// `tm config set image-protocol` override this.
+export function detectImageProtocol(env = process.env) {
+  const term = env.TERM || "";
+  const program = env.TERM_PROGRAM || "";
+  if (env.KITTY_WINDOW_ID || term === "xterm-kitty" || term === "xterm-ghostty" || program === "ghostty") return "kitty";
+  if (program === "iTerm.app" || program === "WezTerm" || env.LC_TERMINAL === "iTerm2") return "iterm";
+  if (/sixel|^foot|^mlterm|^yaft|^contour/.test(term)) return "sixel";
+  return "blocks";
+}
+
+// Escape sequences never go to files or pipes, and plain mode is text only
+function usableProtocol(protocol) {
+  if (isPlainMode() || chalk.level === 0) return "ascii";
+  if (!process.stdout.isTTY && !["blocks", "ascii"].includes(protocol)) return "blocks";
+  return protocol;
+}
+
+export async function fetchImage(url, { timeout = 15000, network } = {}) {
+  if (isOffline()) throw new Error("images are not cached for offline use");
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const res = await fetchWithTimeout(url, { signal: controller.signal, network });
+    if (!res.ok) throw new Error(`${url} returned ${res.status}`);
+    if (Number(res.headers.get("content-length")) > MAX_BYTES) throw new Error("image is larger than 10 MB");
+    const buffer = Buffer.from(await res.arrayBuffer());
+    if (buffer.length > MAX_BYTES) throw new Error("image is larger than 10 MB");
+    return buffer;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function imageType(buffer) {
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return "png";
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return "jpeg";
+  return null;
+}
+
+// Dimensions from the header: the PNG IHDR chunk, or a JPEG start-of-frame
+// marker (SOF0–SOF15 except DHT, JPG and DAC). null when none is found.
+function imageSize(buffer, type) {
+  if (type === "png") {
+    if (buffer.length < 24 || buffer.toString("latin1", 12, 16) !== "IHDR") return null;
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  for (let i = 2; i + 9 <= buffer.length;) {
+    if (buffer[i] !== 0xff) return null;
+    const marker = buffer[i + 1];
+    if (marker === 0xff) {
+      i++;
+      continue;
+    }
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(i + 7), height: buffer.readUInt16BE(i + 5) };
+    }
+    i += 2 + buffer.readUInt16BE(i + 2);
+  }
+  return null;
+}
+
+// { width, height, data } with 4 bytes (RGBA) per pixel
+function decodeImage(buffer) {
+  const type = imageType(buffer);
+  if (type) {
+    const size = imageSize(buffer, type);
+    if (!size) throw new Error(`not a valid ${type.toUpperCase()} image`);
+    if (size.width * size.height > MAX_PIXELS) {
+      throw new Error(`image is ${size.width}×${size.height} pixels; previews are limited to ${MAX_PIXELS / 1e6} megapixels`);
+    }
+  }
+  if (type === "png") {
+    const { width, height, data } = PNG.sync.read(buffer);
+    return { width, height, data };
+  }
+  if (type === "jpeg") {
+    const { width, height, data } = jpeg.decode(buffer, { useTArray: true, maxResolutionInMP: MAX_PIXELS / 1e6, maxMemoryUsageInMB: 256 });
+    return { width, height, data };
+  }
+  throw new Error("only PNG and JPEG images can be previewed here");
+}
+
+// Each target pixel is the average of the source pixels it covers
+function resize(image, width, height) {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor((y * image.height) / height);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * image.height) / height));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor((x * image.width) / width);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * image.width) / width));
+      const sum = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * image.width + sx) * 4;
+          for (let c = 0; c < 4; c++) sum[c] += image.data[i + c];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      for (let c = 0; c < 4; c++) data[(y * width + x) * 4 + c] = Math.round(sum[c] / count);
+    }
+  }
+  return { width, height, data };
+}
+
+function pixel({ width, data }, x, y) {
+  const i = (y * width + x) * 4;
+  return data[i + 3] < 128 ? null : [data[i], data[i + 1], data[i + 2]];
+}
+
+// Terminal cells are about twice as tall as wide
+function rowsFor(image, columns) {
+  return Math.max(1, Math.round((columns * image.height) / image.width / 2));
+}
+
+// Each cell shows two pixels: the upper one as "▀" in the foreground color,
+// the lower one as the background. Transparent pixels stay blank.
+function renderBlocks(image, columns) {
+  const px = resize(image, columns, rowsFor(image, columns) * 2);
+  const lines = [];
+  for (let y = 0; y < px.height; y += 2) {
+    let line = "";
+    for (let x = 0; x < px.width; x++) {
+      const top = pixel(px, x, y);
+      const bottom = y + 1 < px.height ? pixel(px, x, y + 1) : null;
+      if (top && bottom) line += chalk.rgb(...top).bgRgb(...bottom)("▀");
+      else if (top) line += chalk.rgb(...top)("▀");
+      else if (bottom) line += chalk.rgb(...bottom)("▄");
+      else line += " ";
+    }
+    lines.push(line);
+  }
+  return lines.join("\n");
+}
+
+function renderAscii(image, columns) {
+  const px = resize(image, columns, rowsFor(image, columns));
+  const lines = [];
+  for (let y = 0; y < px.height; y++) {
+    let line = "";
+    for (let x = 0; x < px.width; x++) {
+      const i = (y * px.width + x) * 4;
+      const [r, g, b, a] = px.data.subarray(i, i + 4);
+      const light = ((0.2126 * r + 0.7152 * g + 0.0722 * b) * a) / 255 / 256;
+      line += ASCII_RAMP[Math.floor(light * ASCII_RAMP.length)];
+    }
+    lines.push(line.trimEnd());
+  }
+  return lines.join("\n");
+}
+
+// https://sw.kovidgoyal.net/kitty/graphics-protocol/ — PNGs are sent as
+// they are, other formats as compressed RGBA. The terminal keeps the aspect
+// ratio for the given number of columns.
+function renderKitty(buffer, image, columns) {
+  const control = image
+    ? `f=32,s=${image.width},v=${image.height},o=z`
+    : "f=100";
+  const chunks = (image ? deflateSync(image.data) : buffer).toString("base64").match(/.{1,4096}/g);
+  return chunks.map((chunk, i) => {
+    const more = i < chunks.length - 1 ? 1 : 0;
+    return i === 0 ? `\x1b_Ga=T,${control},c=${columns},m=${more};${chunk}\x1b\\` : `\x1b_Gm=${more};${chunk}\x1b\\`;
+  }).join("");
+}
+
+// https://iterm2.com/documentation-images.html — any format iTerm2 reads,
+// fitted into columns × rows
+function renderIterm(buffer, columns, rows) {
+  const size = rows ? `width=${columns};height=${rows}` : `width=${columns}`;
+  return `\x1b]1337;File=inline=1;size=${buffer.length};${size};preserveAspectRatio=1:${buffer.toString("base64")}\x07`;
+}
+
+// Six pixel rows per band; each color in the band is one pass of sixel
+// characters, run-length encoded
+function sixelRuns(bits) {
+  let out = "";
+  for (let x = 0; x < bits.length;) {
+    let n = 1;
+    while (x + n < bits.length && bits[x + n] === bits[x]) n++;
+    const ch = String.fromCharCode(63 + bits[x]);
+    out += n > 3 ? `!${n}${ch}` : ch.repeat(n);
+    x += n;
+  }
+  return out;
+}
+
+// Colors are reduced to a 6×6×6 cube
+function renderSixel(image, columns) {
+  const width = columns * CELL_WIDTH;
+  const height = Math.max(1, Math.round((width * image.height) / image.width));
+  const px = resize(image, width, height);
+  const level = (v) => Math.round((v / 255) * 5);
+  const colors = new Int16Array(width * height);
+  const used = new Set();
+  for (let i = 0; i < width * height; i++) {
+    const [r, g, b, a] = px.data.subarray(i * 4, i * 4 + 4);
+    colors[i] = a < 128 ? -1 : level(r) * 36 + level(g) * 6 + level(b);
+    if (colors[i] >= 0) used.add(colors[i]);
+  }
+
+  let out = `\x1bP0;1;0q"1;1;${width};${height}`;
+  for (const c of used) {
+    out += `#${c};2;${Math.floor(c / 36) * 20};${(Math.floor(c / 6) % 6) * 20};${(c % 6) * 20}`;
+  }
+  for (let top = 0; top < height; top += 6) {
+    const bands = new Map();
+    for (let y = top; y < Math.min(top + 6, height); y++) {
+      for (let x = 0; x < width; x++) {
+        const c = colors[y * width + x];
+        if (c < 0) continue;
+        if (!bands.has(c)) bands.set(c, new Uint8Array(width));
+        bands.get(c)[x] |= 1 << (y - top);
+      }
+    }
+    out += [...bands].map(([c, bits]) => `#${c}${sixelRuns(bits)}`).join("$") + "-";
+  }
+  return out + "\x1b\\";
+}
+
+// Without `width`, previews are at most 60 columns wide and fit the
+// terminal's height
+function previewColumns(image, width) {
+  if (width) return width;
+  const columns = Math.min(MAX_WIDTH, (process.stdout.columns || 80) - 4);
+  const rows = (process.stdout.rows || 24) - 4;
+  return image ? Math.max(1, Math.min(columns, Math.floor((rows * 2 * image.width) / image.height))) : columns;
+}
+
+// The image as a string to print: escape sequences for graphics protocols,
+// lines of text for blocks and ascii
+export function renderImage(buffer, { protocol = detectImageProtocol(), width = null } = {}) {
+  protocol = usableProtocol(protocol);
+  if (protocol === "iterm" && !imageType(buffer)) {
+    return renderIterm(buffer, previewColumns(null, width), width ? null : (process.stdout.rows || 24) - 4);
+  }
+  const image = decodeImage(buffer);
+  const columns = previewColumns(image, width);
+  switch (protocol) {
+    case "kitty": {
+      if (imageType(buffer) === "png") return renderKitty(buffer, null, columns);
+      // Raw pixels are only sent at the size they are shown
+      const width = Math.min(image.width, columns * CELL_WIDTH);
+      return renderKitty(buffer, resize(image, width, Math.max(1, Math.round((width * image.height) / image.width))), columns);
+    }
+    case "iterm":
+      return renderIterm(buffer, columns);
+    case "sixel":
+      return renderSixel(image, columns);
+    case "ascii":
+      return renderAscii(image, columns);
+    default:
+      return renderBlocks(image, columns);
+  }
+}
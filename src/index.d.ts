@@ -0,0 +1,565 @@
+/**
+ * TerminalMarket SDK typings
+ * Response shapes list the fields the CLI relies on; the API may return more.
+ */
+
+export type Id = string | number;
+
+export interface HttpSettings {
+  /** Per-attempt timeout in milliseconds, including reading the body */
+  timeout?: number;
+  /** Retries for idempotent requests */
+  retries?: number;
+  /** Base delay in milliseconds between retries */
+  retryDelay?: number;
+  /** Upper bound in milliseconds for the backoff between retries */
+  retryMaxDelay?: number;
+}
+
+export interface NetworkSettings {
+  /** Proxy URL. Defaults to HTTPS_PROXY / HTTP_PROXY. */
+  proxy?: string | null;
+  /** Hosts that bypass the proxy. Defaults to NO_PROXY. */
+  noProxy?: string | null;
+  /** PEM bundle trusted in addition to the built-in CAs */
+  caFile?: string | null;
+  /** Skip TLS certificate verification */
+  insecure?: boolean;
+}
+
+/** Where a client keeps its login session. Defaults to memory. */
+export interface ClientStorage {
+  getCookies(): Cookie[];
+  setCookies(jar: Cookie[]): void;
+  getCsrfToken(): string | null;
+  setCsrfToken(token: string): void;
+}
+
+export interface Cookie {
+  name: string;
+  value: string;
+  domain: string;
+  hostOnly: boolean;
+  path: string;
+  /** Milliseconds since the epoch, or null for a session cookie */
+  expires: number | null;
+  secure: boolean;
+  httpOnly: boolean;
+}
+
+/**
+ * A new client touches nothing outside the process: the session is kept in
+ * memory and responses are not cached unless `storage` and `cache` are given.
+ */
+export interface ClientOptions {
+  /** API base URL. Defaults to https://terminalmarket.app/api. */
+  baseUrl?: string;
+  /** Personal API token, sent instead of the session cookie */
+  token?: string;
+  http?: HttpSettings;
+  network?: NetworkSettings;
+  storage?: ClientStorage;
+  /** Cache catalog responses (products, sellers, categories) in `dir` */
+  cache?: false | { dir: string };
+}
+
+export interface RequestOptions {
+  /** `false` skips the response cache for GETs */
+  cache?: boolean;
+  /** `true` generates a key so a POST is safe to retry */
+  idempotencyKey?: boolean | string;
+  baseUrl?: string;
+  token?: string;
+  http?: HttpSettings;
+}
+
+export interface PageOptions {
+  /** Items per request (the server caps this at 200) */
+  pageSize?: number;
+  /** Fetch only this page */
+  page?: number | null;
+  /** Stop after this many items. Defaults to every page. */
+  limit?: number;
+}
+
+interface ApiObject {
+  [field: string]: unknown;
+}
+
+export interface User extends ApiObject {
+  id: Id;
+  email: string;
+  name?: string;
+  username?: string;
+}
+
+export interface AuthResult extends ApiObject {
+  user?: User;
+}
+
+export interface AuthStatus extends ApiObject {
+  isAuthenticated: boolean;
+  user?: User;
+}
+
+export interface ApiTokenInfo extends ApiObject {
+  id: Id;
+  name: string;
+  scopes?: string[];
+  token?: string;
+  expiresAt?: string | null;
+  lastUsedAt?: string | null;
+}
+
+export interface Product extends ApiObject {
+  id: Id;
+  productId?: Id;
+  slug?: string;
+  name: string;
+  description?: string;
+  price: string | number;
+  currency?: string;
+  category?: string;
+  productKind?: string;
+  storeId?: Id | null;
+  featured?: boolean;
+  buyUrl?: string | null;
+  checkoutUrl?: string | null;
+  externalUrl?: string | null;
+  imageUrl?: string | null;
+}
+
+export interface ProductFilters {
+  category?: string;
+  city?: string;
+  country?: string;
+  storeId?: Id;
+}
+
+export interface SearchFilters {
+  category?: string;
+  city?: string;
+  country?: string;
+  priceMin?: string | number;
+  priceMax?: string | number;
+}
+
+export interface Offer extends ApiObject {
+  id: Id;
+  productId?: Id;
+  sellerId?: Id;
+  price: string | number;
+  currency?: string;
+  serviceType?: string;
+  availability?: string;
+  buyUrl?: string | null;
+}
+
+export interface OfferFilters {
+  productId?: Id;
+  sellerId?: Id;
+}
+
+export interface Seller extends ApiObject {
+  id: Id;
+  slug: string;
+  name: string;
+  verified?: boolean;
+  serviceType?: "global" | "national" | "local" | string;
+  baseCity?: string | null;
+  baseCountry?: string | null;
+}
+
+export interface SellerFilters {
+  /** Include unverified sellers */
+  all?: boolean;
+}
+
+export interface Category extends ApiObject {
+  slug: string;
+  name: string;
+}
+
+export interface Review extends ApiObject {
+  id: Id;
+  rating: number;
+  comment?: string | null;
+}
+
+export interface CartItem extends ApiObject {
+  productId: Id;
+  quantity: number;
+  name: string;
+  price: string | number;
+  /** ISO 4217 code; USD when the API gives none */
+  currency: string;
+  /** price × quantity, rounded to the currency's minor unit */
+  subtotal: number;
+  product?: Product;
+}
+
+export interface Cart extends ApiObject {
+  items: CartItem[];
+  /** Sum of item subtotals per currency, computed exactly by the client */
+  totals: { [currency: string]: number };
+  /** The cart's currency, or null when it mixes currencies */
+  currency: string | null;
+  /** Sum of price × quantity, or null when the cart mixes currencies */
+  total: number | null;
+}
+
+export interface Order extends ApiObject {
+  id: Id;
+  orderNumber?: string;
+  status: string;
+  total?: string | number;
+  currency?: string;
+  createdAt?: string;
+  items?: CartItem[];
+  shippingAddress?: Address | null;
+}
+
+/** A shipping address saved in the user's profile */
+export interface Address extends ApiObject {
+  id?: Id;
+  label?: string;
+  name?: string;
+  line1?: string;
+  line2?: string;
+  postalCode?: string;
+  city?: string;
+  country?: string;
+  isDefault?: boolean;
+}
+
+export interface CheckoutRequest {
+  /** A saved address; or pass `address` itself */
+  addressId?: Id;
+  address?: Address;
+}
+
+/** Shipping and tax estimates for one seller's part of the cart */
+export interface CheckoutSellerQuote extends ApiObject {
+  sellerId: Id | null;
+  sellerName?: string;
+  currency?: string;
+  shipping?: string | number | null;
+  tax?: string | number | null;
+}
+
+export interface CheckoutQuote extends ApiObject {
+  sellers?: CheckoutSellerQuote[];
+  /** Items that cannot be ordered, e.g. out of stock */
+  problems?: { productId?: Id; message: string }[];
+}
+
+export interface CheckoutSession extends ApiObject {
+  id: Id;
+  /** pending until paid, then paid, failed, expired or canceled */
+  status: string;
+  /** Where to pay; absent when nothing is left to pay */
+  paymentUrl?: string | null;
+  orderId?: Id;
+  orderNumber?: string;
+  order?: Order;
+}
+
+export interface Intent {
+  productId?: Id;
+  sellerId?: Id | null;
+  offerId?: Id | null;
+  checkoutUrl?: string;
+  orderType?: string;
+  bookingDate?: string;
+  bookingTime?: string;
+  bookingNotes?: string;
+  [field: string]: unknown;
+}
+
+export interface IntentResult extends ApiObject {
+  intentId?: Id | null;
+  redirectUrl?: string | null;
+}
+
+export interface AIAgent extends ApiObject {
+  id: Id;
+  name: string;
+  description?: string;
+  pricePerRun: string | number;
+}
+
+export interface AIResult extends ApiObject {
+  text?: string;
+  responseId?: string;
+}
+
+export interface Webhook extends ApiObject {
+  id: Id;
+  name: string;
+  url: string;
+  events: string[];
+  active?: boolean;
+}
+
+export interface WatchRule extends ApiObject {
+  id: Id;
+  name?: string;
+  pipeQuery: string;
+  notifyVia?: string;
+  action?: string;
+  intervalMinutes?: number;
+  status?: "active" | "paused" | string;
+}
+
+export interface BuyerRequest extends ApiObject {
+  id: Id;
+  title: string;
+  category?: string;
+  budgetMax?: string | number;
+  deadline?: string;
+}
+
+export interface DownloadResponse {
+  status: number;
+  headers: { get(name: string): string | null };
+  body: AsyncIterable<Uint8Array>;
+}
+
+export class TerminalMarketClient {
+  constructor(options?: ClientOptions);
+
+  /** Send a request to any API path, e.g. `request("GET", "/products")` */
+  request<T = any>(method: string, path: string, body?: unknown, options?: RequestOptions): Promise<T>;
+
+  auth: {
+    register(account: { email: string; password: string; username?: string; name?: string }): Promise<AuthResult>;
+    login(email: string, password: string): Promise<AuthResult>;
+    logout(): Promise<unknown>;
+    status(options?: RequestOptions): Promise<AuthStatus>;
+    /** Fetch and store a CSRF token for the session; writes fetch one on demand */
+    csrfToken(): Promise<string | null>;
+  };
+  tokens: {
+    create(token: { name: string; scopes?: string[]; expiresInDays?: number }): Promise<ApiTokenInfo>;
+    list(): Promise<ApiTokenInfo[]>;
+    revoke(id: Id): Promise<unknown>;
+  };
+  invites: {
+    link(): Promise<{ url?: string; code?: string; [field: string]: unknown }>;
+    send(email: string): Promise<unknown>;
+  };
+  profile: {
+    update(fields: { [field: string]: unknown }): Promise<User>;
+  };
+  categories: {
+    list(options?: RequestOptions): Promise<Category[]>;
+  };
+  products: {
+    list(filters?: ProductFilters, paging?: PageOptions): Promise<Product[]>;
+    pages(filters?: ProductFilters, paging?: PageOptions): AsyncGenerator<Product[]>;
+    search(query: string, filters?: SearchFilters, paging?: PageOptions): Promise<Product[]>;
+    searchPages(query: string, filters?: SearchFilters, paging?: PageOptions): AsyncGenerator<Product[]>;
+    get(id: Id): Promise<Product>;
+    getBySlug(slug: string): Promise<Product>;
+    /** By ID, then by slug. Resolves null when neither exists. */
+    find(idOrSlug: Id): Promise<Product | null>;
+    offers(id: Id): Promise<Offer[]>;
+  };
+  offers: {
+    list(filters?: OfferFilters, paging?: PageOptions): Promise<Offer[]>;
+    pages(filters?: OfferFilters, paging?: PageOptions): AsyncGenerator<Offer[]>;
+    get(id: Id): Promise<Offer>;
+  };
+  sellers: {
+    list(filters?: SellerFilters, paging?: PageOptions): Promise<Seller[]>;
+    pages(filters?: SellerFilters, paging?: PageOptions): AsyncGenerator<Seller[]>;
+    get(slug: string): Promise<Seller>;
+  };
+  stores: {
+    get(id: Id): Promise<Seller>;
+    rating(id: Id): Promise<{ average: number; count: number; [field: string]: unknown }>;
+    reviews(id: Id): Promise<Review[] | { reviews: Review[]; [field: string]: unknown }>;
+    review(id: Id, review: { rating: number; comment?: string }): Promise<Review>;
+  };
+  cart: {
+    get(): Promise<Cart>;
+    /** Sent with an idempotency key, so retries never add twice */
+    add(productId: Id, quantity?: number): Promise<unknown>;
+    remove(productId: Id): Promise<unknown>;
+    clear(): Promise<unknown>;
+  };
+  orders: {
+    list(paging?: PageOptions): Promise<Order[]>;
+    pages(paging?: PageOptions): AsyncGenerator<Order[]>;
+    get(id: Id): Promise<Order>;
+  };
+  checkout: {
+    quote(request?: CheckoutRequest): Promise<CheckoutQuote>;
+    /** Places the order; sent with an idempotency key, so retries never order twice */
+    create(request?: CheckoutRequest): Promise<CheckoutSession>;
+    status(id: Id): Promise<CheckoutSession>;
+  };
+  intents: {
+    create(intent: Intent): Promise<IntentResult>;
+  };
+  clicks: {
+    track(click: { productId?: Id; storeId?: Id | null; offerId?: Id | null; intentId?: Id | null }): Promise<unknown>;
+  };
+  ai: {
+    models(): Promise<AIAgent[]>;
+    agent(id: Id): Promise<AIAgent>;
+    chat(id: Id, message: string, options?: { previousResponseId?: string | null }): Promise<AIResult>;
+    run(id: Id, input: string): Promise<AIResult>;
+    history(): Promise<ApiObject[]>;
+  };
+  credits: {
+    balance(): Promise<{ balance: string | number; [field: string]: unknown }>;
+    topup(amount: number): Promise<ApiObject>;
+  };
+  aliases: {
+    list(): Promise<{ name: string; command: string }[]>;
+    create(name: string, command: string): Promise<unknown>;
+    remove(name: string): Promise<unknown>;
+  };
+  rewards: {
+    list(): Promise<ApiObject[]>;
+    create(productId: Id, pushCount: number): Promise<ApiObject>;
+    remove(productId: Id): Promise<unknown>;
+  };
+  subscriptions: {
+    list(): Promise<ApiObject[]>;
+    create(subscription: { [field: string]: unknown }): Promise<ApiObject>;
+    pause(id: Id): Promise<ApiObject>;
+    resume(id: Id): Promise<ApiObject>;
+    cancel(id: Id): Promise<unknown>;
+  };
+  wishlist: {
+    list(): Promise<ApiObject[]>;
+    add(productId: Id, options?: { note?: string }): Promise<ApiObject>;
+    remove(productId: Id): Promise<unknown>;
+    update(productId: Id, fields: { note?: string; priceAlert?: boolean; targetPrice?: string | number }): Promise<ApiObject>;
+  };
+  webhooks: {
+    list(): Promise<Webhook[]>;
+    create(webhook: { name: string; url: string; events: string[] }): Promise<Webhook>;
+    test(id: Id): Promise<ApiObject>;
+    update(id: Id, fields: Partial<Webhook>): Promise<Webhook>;
+    remove(id: Id): Promise<unknown>;
+    deliveries(id: Id, options?: { limit?: number }): Promise<ApiObject[]>;
+  };
+  merchant: {
+    init(store?: { storeName?: string; description?: string }): Promise<ApiObject>;
+    createProduct(product: { [field: string]: unknown }): Promise<Product>;
+    addKeys(productId: Id, keys: string[]): Promise<ApiObject>;
+  };
+  stats: {
+    get(): Promise<ApiObject>;
+  };
+  library: {
+    list(): Promise<ApiObject>;
+    keys(): Promise<ApiObject>;
+    /** The file of a purchase, to stream from `body` */
+    download(purchaseId: Id): Promise<DownloadResponse>;
+  };
+  jobs: {
+    list(): Promise<ApiObject[]>;
+    get(id: Id): Promise<ApiObject>;
+  };
+  vacancies: {
+    list(filters?: {
+      query?: string;
+      workType?: string;
+      experienceLevel?: string;
+      skills?: string;
+      location?: string;
+      limit?: string | number;
+    }): Promise<ApiObject[]>;
+    get(id: Id): Promise<ApiObject>;
+    apply(id: Id, application?: { coverLetter?: string }): Promise<ApiObject>;
+  };
+  applications: {
+    list(): Promise<ApiObject[]>;
+  };
+  watchRules: {
+    create(rule: { pipeQuery: string; name?: string; notifyVia?: string; action?: string; intervalMinutes?: number }): Promise<WatchRule>;
+    list(): Promise<WatchRule[]>;
+    pause(id: Id): Promise<WatchRule>;
+    resume(id: Id): Promise<WatchRule>;
+    remove(id: Id): Promise<unknown>;
+    logs(id: Id): Promise<ApiObject[]>;
+  };
+  telegram: {
+    link(code: string): Promise<unknown>;
+    unlink(): Promise<unknown>;
+    status(): Promise<{ linked: boolean; [field: string]: unknown }>;
+  };
+  requests: {
+    create(request: { title: string; category?: string; budgetMax?: string | number; deadline?: string }): Promise<BuyerRequest>;
+    mine(): Promise<BuyerRequest[]>;
+    get(id: Id): Promise<BuyerRequest>;
+    accept(requestId: Id, proposalId: Id): Promise<ApiObject>;
+    cancel(id: Id): Promise<unknown>;
+  };
+}
+
+export function normalizeCart(cart: { items?: Partial<CartItem>[]; [field: string]: unknown }): Cart;
+
+export interface CheckoutSellerSummary {
+  sellerId: Id | null;
+  sellerName: string | null;
+  currency: string;
+  items: CartItem[];
+  subtotal: number;
+  /** null until the server has estimated it */
+  shipping: number | null;
+  tax: number | null;
+  /** subtotal plus the known estimates */
+  total: number;
+}
+
+/** The cart split by seller, with estimates from a checkout quote */
+export function summarizeCheckout(cart: Cart, quote?: CheckoutQuote | null): {
+  sellers: CheckoutSellerSummary[];
+  totals: { [currency: string]: number };
+};
+
+/** Session storage that keeps the cookie jar and CSRF token in memory */
+export function createMemoryStorage(): ClientStorage;
+
+/** Items of a listing response, whichever envelope key the endpoint uses */
+export function extractItems<T = unknown>(body: unknown): T[];
+
+export type ErrorCode =
+  | "validation_error"
+  | "unauthorized"
+  | "payment_required"
+  | "forbidden"
+  | "not_found"
+  | "conflict"
+  | "rate_limited"
+  | "server_error"
+  | "http_error"
+  | "network_error"
+  | "timeout"
+  | "offline";
+
+export class ApiError extends Error {
+  name: "ApiError";
+  status: number | null;
+  statusText: string;
+  method: string;
+  url: string;
+  body: unknown;
+  code: ErrorCode | string;
+  serverCode: string | null;
+  readonly serverMessage: string | null;
+  readonly isUnauthorized: boolean;
+  readonly isNotFound: boolean;
+  readonly isCsrfRejection: boolean;
+  readonly isNetworkError: boolean;
+}
+
+export function isApiError(error: unknown): error is ApiError;
+
+/** Process exit codes the CLI uses for each error code */
+export const EXIT_CODES: { readonly [code: string]: number };
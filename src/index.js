@@ -0,0 +1,9 @@
+/**
+ * TerminalMarket SDK
+ * Public entry point of the package: `import { TerminalMarketClient } from "terminalmarket"`
+ */
+
+export { TerminalMarketClient, normalizeCart, summarizeCheckout } from "./client.js";
+export { ApiError, isApiError, EXIT_CODES } from "./errors.js";
+export { extractItems } from "./api.js";
+export { createMemoryStorage } from "./cookies.js";
@@ -0,0 +1,366 @@
+/**
+ * Czech messages
+ * Same keys as en.js; missing keys are shown in English. Counts have three
+ * forms: one (1), few (2–4) and other (0, 5+).
+ */
+
+export default {
+  "field.id": "ID",
+  "field.slug": "Slug",
+  "field.name": "Název",
+  "field.category": "Kategorie",
+  "field.categories": "Kategorie",
+  "field.type": "Typ",
+  "field.city": "Město",
+  "field.country": "Země",
+  "field.location": "Místo",
+  "field.store": "Obchod",
+  "field.product": "Produkt",
+  "field.date": "Datum",
+  "field.total": "Celkem",
+  "field.price": "Cena",
+  "field.error": "Chyba",
+
+  "serviceType.global": "Celosvětově",
+  "serviceType.national": "Celostátně",
+  "serviceType.local": "Místně",
+
+  "duration.minutes": { one: "{count} minuta", few: "{count} minuty", other: "{count} minut" },
+  "duration.hours": { one: "{count} hodina", few: "{count} hodiny", other: "{count} hodin" },
+  "duration.days": { one: "{count} den", few: "{count} dny", other: "{count} dní" },
+  "session.none": "žádná session cookie",
+  "session.noExpiry": "bez data vypršení",
+  "session.expiresIn": "platnost ještě {duration}",
+  "cache.stale": "Offline: data z mezipaměti (stáří {age}) — mohou být zastaralá.",
+
+  "results.none": "Nic nenalezeno.",
+  "results.noneHint": "Zkuste jiné hledání nebo filtr.",
+  "results.showing": { one: "Zobrazen {count} výsledek", few: "Zobrazeny {count} výsledky", other: "Zobrazeno {count} výsledků" },
+  "results.count": { one: "{count} výsledek", few: "{count} výsledky", other: "{count} výsledků" },
+  "results.partial": "Zobrazeno {shown} z {count}. Další pomocí --limit nebo --all.",
+  "results.more": {
+    one: "Zobrazen {count} výsledek. Další ukáže --limit nebo --all.",
+    few: "Zobrazeny {count} výsledky. Další ukáže --limit nebo --all.",
+    other: "Zobrazeno {count} výsledků. Další ukáže --limit nebo --all.",
+  },
+
+  "product.unknown": "Neznámý produkt",
+  "product.quickActions": "Rychlé akce",
+  "product.addHint": "přidat do košíku",
+  "product.buyHint": "koupit hned",
+
+  "cart.title": "Váš košík",
+  "cart.empty": "Košík je prázdný.",
+  "cart.emptyHint": "Přidejte zboží: tm add <product-id>",
+  "cart.unnamedItem": "Produkt #{id}",
+  "cart.qty": "Množství",
+  "cart.checkoutHint": "přejít k platbě",
+
+  "checkout.title": "Pokladna",
+  "checkout.shipTo": "Doručit na",
+  "checkout.seller": "Prodejce #{id}",
+  "checkout.subtotal": "Mezisoučet",
+  "checkout.shipping": "Doprava",
+  "checkout.tax": "Daň",
+  "checkout.estimate": "odhad",
+  "checkout.atPayment": "spočítá se při platbě",
+  "checkout.totalPending": "Doprava a daň bez odhadu se připočtou při platbě.",
+  "checkout.emptyCart": "Košík je prázdný. Nejdřív přidejte zboží.",
+  "checkout.noAddress": "Ve vašem profilu není doručovací adresa.",
+  "checkout.noAddressHint": "Přidejte ji: tm profile set address <street>, pak city a country",
+  "checkout.unknownAddress": {
+    one: "Adresa \"{choice}\" neexistuje — profil má {count} adresu.",
+    few: "Adresa \"{choice}\" neexistuje — profil má {count} adresy.",
+    other: "Adresa \"{choice}\" neexistuje — profil má {count} adres.",
+  },
+  "checkout.chooseAddress": "Na kterou adresu doručit?",
+  "checkout.badQuantity": "{name}: množství musí být celé číslo alespoň 1",
+  "checkout.unavailable": "{name} už není k dispozici",
+  "checkout.lowStock": {
+    one: "{name}: skladem zbývá jen {count} kus",
+    few: "{name}: skladem zbývají jen {count} kusy",
+    other: "{name}: skladem zbývá jen {count} kusů",
+  },
+  "checkout.problemsHint": "Upravte košík příkazem tm cart remove <product-id> nebo tm add <product-id> -q <n> a zkuste to znovu.",
+  "checkout.confirmHint": "Objednat a zaplatit: tm checkout --confirm",
+  "checkout.payAt": "Objednávka vytvořena. Dokončete platbu zde:",
+  "checkout.noWait": "Objednávku sledujte příkazem: tm orders",
+  "checkout.waiting": "Čekám na platbu… (Ctrl+C čekání ukončí)",
+  "checkout.paymentFailed": "Platba neprošla ({status}).",
+  "checkout.retryHint": "Zkuste to znovu: tm checkout --confirm",
+  "checkout.stoppedWaiting": "Čekání ukončeno. Objednávka zůstává otevřená, dokud nebude zaplacena:",
+  "checkout.waitTimeout": "Platba zatím nedorazila. Objednávka zůstává otevřená, dokud nebude zaplacena:",
+  "checkout.ordersHint": "Stav zjistíte později příkazem: tm orders",
+  "receipt.title": "Objednávka potvrzena",
+  "receipt.orderNumber": "Číslo objednávky",
+  "receipt.status": "Stav",
+  "receipt.paid": "Zaplaceno",
+  "receipt.ordersHint": "historie objednávek",
+
+  "orders.title": "Historie objednávek",
+  "orders.empty": "Zatím žádné objednávky.",
+  "orders.emptyHint": "Začněte nakupovat: tm products",
+  "order.digital": "Ke stažení nebo klíč v knihovně",
+  "orderStatus.delivered": "Doručeno",
+  "orderStatus.shipped": "Odesláno",
+  "orderStatus.paid": "Zaplaceno",
+  "orderStatus.processing": "Zpracovává se",
+  "orderStatus.cancelled": "Zrušeno",
+
+  "stores.title": "Obchody",
+  "stores.none": "Žádné obchody nenalezeny.",
+  "stores.noneHint": "Zkuste upravit filtry.",
+  "stores.showing": { one: "Zobrazen {count} obchod", few: "Zobrazeny {count} obchody", other: "Zobrazeno {count} obchodů" },
+  "store.unknown": "Neznámý obchod",
+  "store.productsHint": "zobrazit produkty",
+  "store.reviewsHint": "zobrazit recenze",
+
+  "reviews.title": "Recenze",
+  "reviews.rating": "Hodnocení obchodu",
+  "reviews.average": "průměr {rating}",
+  "reviews.none": "Zatím žádné recenze.",
+  "reviews.noneHint": "Napište první: tm review <store-id> <1-5>",
+
+  "ai.models": "AI modely",
+  "ai.noModels": "Žádné AI modely nejsou k dispozici.",
+  "ai.noModelsHint": "Zkuste to později.",
+  "ai.otherCategory": "Ostatní",
+  "ai.noDescription": "Bez popisu",
+  "ai.provider": "Poskytovatel",
+  "ai.cost": "Cena",
+  "ai.run": "Spustit",
+  "ai.credits": { one: "{count} kredit", few: "{count} kredity", other: "{count} kreditů" },
+  "ai.creditsTitle": "AI kredity",
+  "ai.balance": "Zůstatek",
+  "ai.topupHint": "dobít kredity",
+  "ai.history": "Historie využití AI",
+  "ai.noHistory": "Zatím žádná historie využití AI.",
+  "ai.noHistoryHint": "Zkuste: tm ai run <model> <input>",
+  "ai.model": "Model #{id}",
+
+  "subscriptions.title": "Vaše předplatné",
+  "subscriptions.unnamed": "Předplatné",
+  "subscriptions.schedule": "Plán",
+  "subscriptions.next": "Další",
+  "subscriptions.nextOrder": "Další objednávka",
+  "subscriptions.orders": "Objednávky",
+  "subscriptions.created": "Předplatné vytvořeno!",
+  "schedule.daily": "Denně v {time}",
+  "schedule.weekly": "{day} v {time}",
+  "schedule.monthly": "{day} den v měsíci v {time}",
+  "schedule.ordinal": "{count}.",
+
+  "webhooks.deliveries": "Historie doručení (posledních {count})",
+  "webhooks.noDeliveries": "Webhook #{id} nemá žádnou historii doručení",
+  "watch.logs": "Záznamy pravidla #{id}",
+  "watch.noLogs": "Zatím žádné záznamy",
+  "watch.noLogsHint": "Pravidlo #{id} ještě nebylo zkontrolováno.",
+  "watch.resultCount": { one: "{count} výsledek", few: "{count} výsledky", other: "{count} výsledků" },
+
+  "welcome.tagline": "Tržiště pro vývojáře",
+  "welcome.earlyAccess": "Předběžný přístup",
+  "welcome.realCheckout": "Skutečné placení",
+  "welcome.quickStart": "Rychlý start",
+  "welcome.products": "Procházet produkty",
+  "welcome.search": "Hledat na tržišti",
+  "welcome.buy": "Koupit produkt",
+  "welcome.ai": "AI služby",
+  "welcome.help": "Všechny příkazy",
+  "welcome.loginBefore": "Spusťte",
+  "welcome.loginAfter": "a odemkněte všechny funkce",
+  "status.loggedOut": "Nepřihlášen",
+  "nextSteps.title": "Další kroky",
+
+  "output.unknownFormat": "Neznámý výstupní formát: {format}",
+  "output.formatsHint": "Použijte jeden z: {formats}",
+  "profile.unknown": "Neznámý profil: {name}",
+  "profile.createHint": "Vytvořte ho: tm context create {name}",
+  "profile.defaultUndeletable": "Výchozí profil nelze smazat.",
+  "profile.setHint": "Změna: tm profile set <field> <value>",
+  "profile.fields": "Pole: {fields}",
+  "vault.continuingLocked": "Přihlašovací údaje jsou zašifrované — pokračuje se bez nich.",
+  "vault.continuingLockedHint": "Nastavte TM_PASSPHRASE nebo spusťte tm v terminálu a odemkněte je.",
+  "vault.locked": "Trezor je zamčený.",
+  "vault.lockedHint": "Nastavte TM_PASSPHRASE nebo spusťte tm v terminálu a zadejte heslo.",
+  "vault.lockHint": "Zašifrujete je příkazem 'tm auth lock'.",
+  "rates.failed": "Kurzy se nepodařilo načíst: {error} — ceny se zobrazí v jejich vlastní měně.",
+  "rates.failedHint": "Jiný zdroj nastavíte: tm config set rates-url <url|file>",
+  "token.useHint": "Použití: TM_TOKEN=<token> tm <command>",
+  "invite.usage": "Použití: tm invite --email kolega@firma.cz",
+  "invite.linkHint": "Nebo sdílejte svůj odkaz: tm invite --link",
+  "ai.inputRequired": "Chybí vstup. Použití: tm ai run <model> <input>",
+  "webhook.usage": "Použití: tm webhook add <name> <url> order.created,price.alert",
+  "wishlist.empty": "Seznam přání je prázdný.",
+  "wishlist.emptyHint": "Přidejte produkty: tm wishlist add <productId>",
+  "image.previewFailed": "Náhled obrázku se nepodařil: {error}",
+  "image.openHint": "Otevřete ho v prohlížeči: tm open {id} --image",
+  "image.previewHint": "Zobrazit přímo zde: tm view {id} --preview",
+  "pipe.noInput": "Na vstupu nic není.",
+  "pipe.noInputHint": "Příklad: tm search coffee | tm sort price | tm head 3",
+  "help.usage": "Použití",
+  "help.subcommandHint": "Podrobnosti: 'tm {command} <subcommand> help'.",
+  "help.unknownCommand": "Neznámý příkaz: {command}",
+  "help.unknownCommandHint": "Všechny příkazy vypíše 'tm help'.",
+  "location.label": "Poloha",
+  "location.changeHint": "změnit polohu",
+  "location.notSet": "Poloha není nastavena",
+  "location.setHint": "Nastavte polohu pro místní služby",
+  "start.try": "Zkuste",
+  "doctor.noLocation": "Nenastaveno (místní služby skryty)",
+  "doctor.noLocationHint": "Spusťte: tm where <city>",
+  "library.empty": "Knihovna je prázdná",
+  "library.emptyText": "Zakoupené digitální produkty se zobrazí zde",
+  "library.emptyHint": "Spusťte: tm list --kind digital",
+  "tasks.empty": "Zatím žádné úkoly",
+  "tasks.emptyText": "Zakoupené služby na vyžádání se zde zobrazí jako úkoly",
+  "tasks.emptyHint": "Služby na vyžádání za vás plní úkoly (SEO audity, převody kódu apod.)",
+  "jobs.none": "Žádná volná místa",
+  "jobs.noneText": "Zkuste jiné filtry nebo se vraťte později",
+  "applications.empty": "Zatím žádné přihlášky",
+  "applications.emptyText": "Vaše přihlášky se zobrazí zde",
+  "applications.jobsHint": "procházet volná místa",
+
+  "profile.notLoggedIn": "nepřihlášen",
+  "profile.switchHint": "Přepnutí: tm context use <name> | Jednorázově: tm --profile <name> <command>",
+  "profile.invalidName": "Název profilu smí obsahovat jen písmena, číslice, '-' a '_'.",
+  "profile.exists": "Profil '{name}' už existuje.",
+  "profile.created": "Profil '{name}' vytvořen",
+  "profile.createdAndSelected": "Profil '{name}' vytvořen a vybrán",
+  "profile.useHint": "Přepnutí: tm context use {name}",
+  "profile.switched": "Přepnuto na profil '{name}'",
+  "profile.envOverride": "Je nastaveno TM_PROFILE={name}, které má v tomto shellu přednost.",
+  "profile.deleted": "Profil '{name}' smazán",
+  "auth.passwordPrompt": "Heslo: ",
+  "auth.welcome": "Vítejte, {name}!",
+  "auth.welcomeBack": "Vítejte zpět, {name}!",
+  "auth.loggedIn": "Nyní jste přihlášeni.",
+  "auth.registered": "Registrace proběhla úspěšně! Přihlaste se prosím.",
+  "auth.loginSuccess": "Přihlášení proběhlo úspěšně!",
+  "auth.logoutSuccess": "Odhlášení proběhlo úspěšně.",
+  "auth.loggedOut": "Odhlášeno.",
+  "auth.openingGithub": "Otevírá se přihlášení přes GitHub...",
+  "auth.completeInBrowser": "Dokončete přihlášení v prohlížeči a ověřte ho příkazem 'tm whoami'.",
+  "auth.browserDisabled": "Otevírání prohlížeče je vypnuté. Otevřete ručně:",
+  "auth.browserFailed": "Prohlížeč se nepodařilo otevřít. Otevřete ručně:",
+  "auth.unknownProvider": "Neznámý poskytovatel: {provider}. Použijte 'github'.",
+  "whoami.email": "e-mail",
+  "whoami.name": "jméno",
+  "whoami.role": "role",
+  "whoami.profile": "profil",
+  "whoami.auth": "přihlášení",
+  "whoami.session": "relace",
+  "whoami.apiToken": "API token ({source})",
+  "whoami.storedToken": "uložený",
+  "whoami.notLoggedIn": "Nejste přihlášeni. Přihlaste se: tm login <email> <password>",
+  "vault.passphrasePrompt": "Heslo trezoru: ",
+  "vault.newPassphrase": "Nové heslo trezoru: ",
+  "vault.repeatPassphrase": "Zopakujte heslo: ",
+  "vault.emptyPassphrase": "Heslo nesmí být prázdné.",
+  "vault.passphraseMismatch": "Hesla se neshodují.",
+  "vault.alreadyEncrypted": "Přihlašovací údaje už jsou zašifrované.",
+  "vault.keyFileCreated": "Vytvořen soubor s klíčem {path} — zálohujte ho, bez něj přihlašovací údaje nelze obnovit.",
+  "vault.encrypted": "Přihlašovací údaje zašifrovány.",
+  "vault.encryptedText": "Relace, CSRF tokeny, API tokeny a uložené údaje o uživateli se nyní ukládají zašifrovaně.",
+  "vault.encryptFailed": "Přihlašovací údaje se nepodařilo zašifrovat",
+  "vault.notEncrypted": "Přihlašovací údaje nejsou zašifrované.",
+  "vault.decrypted": "Přihlašovací údaje dešifrovány a uloženy jako prostý text.",
+  "vault.decryptFailed": "Přihlašovací údaje se nepodařilo dešifrovat",
+  "vault.config": "konfigurace",
+  "vault.credentials": "přihlašovací údaje",
+  "vault.plainText": "prostý text",
+  "vault.encryptedVia": "zašifrované ({via})",
+  "vault.viaKeyFile": "soubor s klíčem {path}",
+  "vault.viaPassphrase": "heslo",
+  "invite.linkUnavailable": "Odkaz na pozvánku není k dispozici",
+  "invite.sent": "Pozvánka odeslána!",
+  "invite.shareHint": "Sdílejte svůj odkaz: tm invite --link",
+  "token.scopeRead": "Jen čtení (produkty, objednávky, knihovna)",
+  "token.scopeCart": "Správa košíku a objednávky",
+  "token.scopeMerchant": "Nástroje prodejce (produkty, klíče, webhooky)",
+  "token.scopesTitle": "Oprávnění tokenů",
+  "token.unknownScope": "Neznámé oprávnění: {scopes}. Platná oprávnění: {valid}",
+  "token.created": "Token vytvořen!",
+  "token.scopes": "Oprávnění",
+  "token.expires": "Platnost do",
+  "token.lastUsed": "Naposledy použit",
+  "token.never": "nikdy",
+  "token.saved": "Uloženo do profilu '{name}'.",
+  "token.showOnce": "TOKEN (uložte si ho — znovu se nezobrazí):",
+  "token.listTitle": "Vaše API tokeny",
+  "token.none": "Žádné API tokeny.",
+  "token.createHint": "Vytvořte si ho: tm token create ci --scopes read,cart",
+  "token.revoked": "Token #{id} zneplatněn.",
+  "token.stored": "Token uložen do profilu '{name}'",
+  "token.cleared": "Uložený token odstraněn.",
+
+  "column.id": "id",
+  "column.slug": "slug",
+  "column.name": "název",
+  "column.description": "popis",
+  "column.price": "cena",
+  "column.category": "kategorie",
+  "column.type": "typ",
+  "column.city": "město",
+  "column.status": "stav",
+  "column.seller": "prodejce",
+  "spinner.failed": "Nezdařilo se",
+  "products.loading": "Načítají se produkty...",
+  "products.loaded": "Produkty načteny",
+  "products.loadFailed": "Produkty se nepodařilo načíst",
+  "products.found": { one: "Nalezen {count} produkt", few: "Nalezeny {count} produkty", other: "Nalezeno {count} produktů" },
+  "products.earlyPartner": "Raný partner",
+  "products.viewHint": "zobrazit detail produktu",
+  "products.buyHint": "koupit produkt",
+  "location.set": "Poloha nastavena na {city}",
+  "location.browseHint": "produkty v místě {city}",
+  "location.lunchHint": "najít možnosti oběda",
+  "start.ready": "Vše je připraveno!",
+  "ai.topupTenHint": "dobít kredity za 10 $",
+  "ai.runHint": "spustit AI model",
+  "featured.loading": "Načítají se doporučené produkty...",
+  "featured.found": { one: "{count} doporučení", few: "{count} doporučení", other: "{count} doporučení" },
+  "featured.none": "Zatím žádné doporučené produkty",
+  "featured.title": "Doporučujeme tento týden",
+  "featured.buyHint": "koupit produkt",
+  "featured.viewHint": "zobrazit detail",
+  "deals.loading": "Hledají se nejlepší nabídky...",
+  "deals.found": { one: "Nalezena {count} nabídka", few: "Nalezeny {count} nabídky", other: "Nalezeno {count} nabídek" },
+  "deals.title": "Nejlepší nabídky",
+  "deals.featured": "Doporučeno",
+  "deals.buyHint": "koupit hned",
+  "doctor.testingApi": "Ověřuje se připojení k API...",
+  "doctor.apiReachable": "API je dostupné",
+  "doctor.apiUnreachable": "API není dostupné",
+  "library.keysHint": "zobrazit licenční klíče",
+  "library.downloadHint": "stáhnout soubor k nákupu",
+  "download.preparing": "Připravuje se stahování...",
+  "download.downloading": "Stahuje se...",
+  "tasks.loading": "Načítají se úlohy...",
+  "tasks.viewHint": "zobrazit detail a výsledky úlohy",
+  "task.loading": "Načítá se detail úlohy...",
+  "jobs.loading": "Načítají se nabídky práce...",
+  "jobs.viewHint": "zobrazit detail nabídky",
+  "jobs.applyHint": "ucházet se o práci",
+  "apply.applicationsHint": "zobrazit vaše přihlášky",
+  "apply.profileHint": "upravit profil",
+
+  "error.unauthorized": "Je potřeba se přihlásit.",
+  "error.unauthorizedHint": "Spusťte: tm login <email>",
+  "error.forbidden": "K tomu nemáte oprávnění.",
+  "error.paymentRequired": "Nedostatek kreditů.",
+  "error.paymentRequiredHint": "Kredity dobijete příkazem 'tm ai topup <amount>'.",
+  "error.notFound": "Nenalezeno.",
+  "error.rateLimited": "Příliš mnoho požadavků.",
+  "error.rateLimitedHint": "Chvíli počkejte a zkuste to znovu.",
+  "error.tls": "TLS certifikát serveru {host} se nepodařilo ověřit.",
+  "error.tlsHint": "Důvěřujte své CA: tm config set ca-file <path>",
+  "error.network": "Server {host} není dostupný.",
+  "error.networkHint": "Zkontrolujte připojení nebo spusťte: tm config set api <url>",
+  "error.timeout": "Požadavek na {host} vypršel.",
+  "error.timeoutHint": "Limit zvýšíte příkazem: tm config set timeout <ms>",
+  "error.offlineRead": "Offline nedostupné — není v mezipaměti.",
+  "error.offlineReadHint": "Katalog se uloží do mezipaměti po prvním načtení bez --offline; data účtu vždy potřebují připojení.",
+  "error.offlineWrite": "Tento příkaz potřebuje připojení.",
+  "error.offlineWriteHint": "Spusťte ho bez --offline.",
+  "error.server": "Chyba serveru ({status}). Zkuste to později.",
+};
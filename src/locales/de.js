@@ -0,0 +1,359 @@
+/**
+ * German messages
+ * Same keys as en.js; missing keys are shown in English.
+ */
+
+export default {
+  "field.id": "ID",
+  "field.slug": "Slug",
+  "field.name": "Name",
+  "field.category": "Kategorie",
+  "field.categories": "Kategorien",
+  "field.type": "Typ",
+  "field.city": "Stadt",
+  "field.country": "Land",
+  "field.location": "Standort",
+  "field.store": "Shop",
+  "field.product": "Produkt",
+  "field.date": "Datum",
+  "field.total": "Summe",
+  "field.price": "Preis",
+  "field.error": "Fehler",
+
+  "serviceType.global": "Weltweit",
+  "serviceType.national": "Landesweit",
+  "serviceType.local": "Lokal",
+
+  "duration.minutes": { one: "{count} Minute", other: "{count} Minuten" },
+  "duration.hours": { one: "{count} Stunde", other: "{count} Stunden" },
+  "duration.days": { one: "{count} Tag", other: "{count} Tage" },
+  "session.none": "kein Session-Cookie",
+  "session.noExpiry": "ohne Ablaufdatum",
+  "session.expiresIn": "noch {duration} gültig",
+  "cache.stale": "Offline: zwischengespeicherte Daten (Alter: {age}) — sie sind womöglich veraltet.",
+
+  "results.none": "Keine Ergebnisse gefunden.",
+  "results.noneHint": "Versuche eine andere Suche oder einen anderen Filter.",
+  "results.showing": { one: "{count} Ergebnis", other: "{count} Ergebnisse" },
+  "results.count": { one: "{count} Ergebnis", other: "{count} Ergebnisse" },
+  "results.partial": "{shown} von {count} angezeigt. Mit --limit oder --all siehst du mehr.",
+  "results.more": {
+    one: "{count} Ergebnis angezeigt. Mit --limit oder --all siehst du mehr.",
+    other: "{count} Ergebnisse angezeigt. Mit --limit oder --all siehst du mehr.",
+  },
+
+  "product.unknown": "Unbekanntes Produkt",
+  "product.quickActions": "Schnellaktionen",
+  "product.addHint": "in den Warenkorb",
+  "product.buyHint": "direkt kaufen",
+
+  "cart.title": "Dein Warenkorb",
+  "cart.empty": "Dein Warenkorb ist leer.",
+  "cart.emptyHint": "Artikel hinzufügen mit: tm add <product-id>",
+  "cart.unnamedItem": "Produkt #{id}",
+  "cart.qty": "Menge",
+  "cart.checkoutHint": "zur Kasse",
+
+  "checkout.title": "Kasse",
+  "checkout.shipTo": "Lieferadresse",
+  "checkout.seller": "Verkäufer #{id}",
+  "checkout.subtotal": "Zwischensumme",
+  "checkout.shipping": "Versand",
+  "checkout.tax": "Steuer",
+  "checkout.estimate": "geschätzt",
+  "checkout.atPayment": "wird bei der Zahlung berechnet",
+  "checkout.totalPending": "Versand und Steuern ohne Schätzung kommen bei der Zahlung hinzu.",
+  "checkout.emptyCart": "Dein Warenkorb ist leer. Füge zuerst Artikel hinzu.",
+  "checkout.noAddress": "Keine Lieferadresse in deinem Profil.",
+  "checkout.noAddressHint": "Füge eine hinzu mit: tm profile set address <street>, dann city und country",
+  "checkout.unknownAddress": {
+    one: "Keine Adresse \"{choice}\" — dein Profil hat {count} Adresse.",
+    other: "Keine Adresse \"{choice}\" — dein Profil hat {count} Adressen.",
+  },
+  "checkout.chooseAddress": "An welche Adresse liefern?",
+  "checkout.badQuantity": "{name}: Die Menge muss eine ganze Zahl ab 1 sein",
+  "checkout.unavailable": "{name} ist nicht mehr verfügbar",
+  "checkout.lowStock": "{name}: nur noch {count} auf Lager",
+  "checkout.problemsHint": "Korrigiere den Warenkorb mit tm cart remove <product-id> oder tm add <product-id> -q <n> und versuche es erneut.",
+  "checkout.confirmHint": "Bestellen und bezahlen mit: tm checkout --confirm",
+  "checkout.payAt": "Bestellung angelegt. Schließe die Zahlung hier ab:",
+  "checkout.noWait": "Verfolge die Bestellung mit: tm orders",
+  "checkout.waiting": "Warte auf die Zahlung… (Strg+C beendet das Warten)",
+  "checkout.paymentFailed": "Die Zahlung ist nicht durchgegangen ({status}).",
+  "checkout.retryHint": "Versuche es erneut mit: tm checkout --confirm",
+  "checkout.stoppedWaiting": "Warten beendet. Die Bestellung bleibt offen, bis sie bezahlt ist:",
+  "checkout.waitTimeout": "Noch keine Zahlung. Die Bestellung bleibt offen, bis sie bezahlt ist:",
+  "checkout.ordersHint": "Sieh später nach mit: tm orders",
+  "receipt.title": "Bestellung bestätigt",
+  "receipt.orderNumber": "Bestellnummer",
+  "receipt.status": "Status",
+  "receipt.paid": "Bezahlt",
+  "receipt.ordersHint": "Bestellverlauf",
+
+  "orders.title": "Bestellverlauf",
+  "orders.empty": "Noch keine Bestellungen.",
+  "orders.emptyHint": "Stöbere los mit: tm products",
+  "order.digital": "Download oder Schlüssel in der Bibliothek",
+  "orderStatus.delivered": "Zugestellt",
+  "orderStatus.shipped": "Versandt",
+  "orderStatus.paid": "Bezahlt",
+  "orderStatus.processing": "In Bearbeitung",
+  "orderStatus.cancelled": "Storniert",
+
+  "stores.title": "Shops",
+  "stores.none": "Keine Shops gefunden.",
+  "stores.noneHint": "Passe deine Filter an.",
+  "stores.showing": { one: "{count} Shop", other: "{count} Shops" },
+  "store.unknown": "Unbekannter Shop",
+  "store.productsHint": "Produkte ansehen",
+  "store.reviewsHint": "Bewertungen lesen",
+
+  "reviews.title": "Bewertungen",
+  "reviews.rating": "Shop-Bewertung",
+  "reviews.average": "Durchschnitt {rating}",
+  "reviews.none": "Noch keine Bewertungen.",
+  "reviews.noneHint": "Schreib die erste: tm review <store-id> <1-5>",
+
+  "ai.models": "KI-Modelle",
+  "ai.noModels": "Keine KI-Modelle verfügbar.",
+  "ai.noModelsHint": "Schau später wieder vorbei.",
+  "ai.otherCategory": "Sonstige",
+  "ai.noDescription": "Keine Beschreibung",
+  "ai.provider": "Anbieter",
+  "ai.cost": "Kosten",
+  "ai.run": "Ausführen",
+  "ai.credits": { one: "{count} Credit", other: "{count} Credits" },
+  "ai.creditsTitle": "KI-Credits",
+  "ai.balance": "Guthaben",
+  "ai.topupHint": "Credits aufladen",
+  "ai.history": "KI-Nutzungsverlauf",
+  "ai.noHistory": "Noch kein KI-Nutzungsverlauf.",
+  "ai.noHistoryHint": "Probier: tm ai run <model> <input>",
+  "ai.model": "Modell #{id}",
+
+  "subscriptions.title": "Deine Abos",
+  "subscriptions.unnamed": "Abo",
+  "subscriptions.schedule": "Zeitplan",
+  "subscriptions.next": "Nächste",
+  "subscriptions.nextOrder": "Nächste Bestellung",
+  "subscriptions.orders": "Bestellungen",
+  "subscriptions.created": "Abo angelegt!",
+  "schedule.daily": "Täglich um {time}",
+  "schedule.weekly": "{day}s um {time}",
+  "schedule.monthly": "Am {day} des Monats um {time}",
+  "schedule.ordinal": "{count}.",
+
+  "webhooks.deliveries": "Zustellverlauf (letzte {count})",
+  "webhooks.noDeliveries": "Kein Zustellverlauf für Webhook #{id}",
+  "watch.logs": "Protokoll für Watch-Regel #{id}",
+  "watch.noLogs": "Noch keine Einträge",
+  "watch.noLogsHint": "Regel #{id} wurde noch nicht geprüft.",
+  "watch.resultCount": { one: "{count} Ergebnis", other: "{count} Ergebnisse" },
+
+  "welcome.tagline": "Der Marktplatz für Entwickler",
+  "welcome.earlyAccess": "Early Access",
+  "welcome.realCheckout": "Echter Checkout",
+  "welcome.quickStart": "Schnellstart",
+  "welcome.products": "Produkte durchstöbern",
+  "welcome.search": "Marktplatz durchsuchen",
+  "welcome.buy": "Produkt kaufen",
+  "welcome.ai": "KI-Dienste",
+  "welcome.help": "Alle Befehle",
+  "welcome.loginBefore": "Mit",
+  "welcome.loginAfter": "schaltest du alle Funktionen frei",
+  "status.loggedOut": "Nicht angemeldet",
+  "nextSteps.title": "Nächste Schritte",
+
+  "output.unknownFormat": "Unbekanntes Ausgabeformat: {format}",
+  "output.formatsHint": "Möglich sind: {formats}",
+  "profile.unknown": "Unbekanntes Profil: {name}",
+  "profile.createHint": "Lege es an mit: tm context create {name}",
+  "profile.defaultUndeletable": "Das Standardprofil kann nicht gelöscht werden.",
+  "profile.setHint": "Ändern mit: tm profile set <field> <value>",
+  "profile.fields": "Felder: {fields}",
+  "vault.continuingLocked": "Zugangsdaten sind verschlüsselt — es geht ohne sie weiter.",
+  "vault.continuingLockedHint": "Setze TM_PASSPHRASE oder starte tm in einem Terminal, um sie zu entsperren.",
+  "vault.locked": "Der Tresor ist gesperrt.",
+  "vault.lockedHint": "Setze TM_PASSPHRASE oder starte tm in einem Terminal, um die Passphrase einzugeben.",
+  "vault.lockHint": "Mit 'tm auth lock' verschlüsselst du sie.",
+  "rates.failed": "Wechselkurse konnten nicht geladen werden: {error} — Preise werden in ihrer eigenen Währung angezeigt.",
+  "rates.failedHint": "Eine andere Quelle wählst du mit: tm config set rates-url <url|file>",
+  "token.useHint": "Verwende ihn mit: TM_TOKEN=<token> tm <command>",
+  "invite.usage": "Aufruf: tm invite --email kollegin@firma.de",
+  "invite.linkHint": "Oder teile deinen Link: tm invite --link",
+  "ai.inputRequired": "Eine Eingabe ist erforderlich. Aufruf: tm ai run <model> <input>",
+  "webhook.usage": "Aufruf: tm webhook add <name> <url> order.created,price.alert",
+  "wishlist.empty": "Deine Wunschliste ist leer.",
+  "wishlist.emptyHint": "Produkte hinzufügen: tm wishlist add <productId>",
+  "image.previewFailed": "Vorschau nicht möglich: {error}",
+  "image.openHint": "Öffne es stattdessen im Browser: tm open {id} --image",
+  "image.previewHint": "Stattdessen hier anzeigen: tm view {id} --preview",
+  "pipe.noInput": "Keine Eingabe über eine Pipe.",
+  "pipe.noInputHint": "Beispiel: tm search coffee | tm sort price | tm head 3",
+  "help.usage": "Aufruf",
+  "help.subcommandHint": "Mehr Details mit 'tm {command} <subcommand> help'.",
+  "help.unknownCommand": "Unbekannter Befehl: {command}",
+  "help.unknownCommandHint": "Alle Befehle zeigt 'tm help'.",
+  "location.label": "Standort",
+  "location.changeHint": "Standort ändern",
+  "location.notSet": "Kein Standort gesetzt",
+  "location.setHint": "Standort für lokale Dienste setzen",
+  "start.try": "Probiere",
+  "doctor.noLocation": "Nicht gesetzt (lokale Dienste ausgeblendet)",
+  "doctor.noLocationHint": "Führe aus: tm where <city>",
+  "library.empty": "Deine Bibliothek ist leer",
+  "library.emptyText": "Gekaufte digitale Produkte erscheinen hier",
+  "library.emptyHint": "Führe aus: tm list --kind digital",
+  "tasks.empty": "Noch keine Aufgaben",
+  "tasks.emptyText": "Gekaufte On-Demand-Dienste erscheinen hier als Aufgaben",
+  "tasks.emptyHint": "On-Demand-Dienste erledigen Aufgaben für dich (SEO-Audits, Code-Konvertierungen usw.)",
+  "jobs.none": "Keine Stellen gefunden",
+  "jobs.noneText": "Versuche andere Filter oder schau später wieder vorbei",
+  "applications.empty": "Noch keine Bewerbungen",
+  "applications.emptyText": "Deine Bewerbungen erscheinen hier",
+  "applications.jobsHint": "Stellen durchsuchen",
+
+  "profile.notLoggedIn": "nicht angemeldet",
+  "profile.switchHint": "Wechseln: tm context use <name> | Einmalig: tm --profile <name> <command>",
+  "profile.invalidName": "Profilnamen dürfen nur Buchstaben, Ziffern, '-' und '_' enthalten.",
+  "profile.exists": "Das Profil '{name}' gibt es schon.",
+  "profile.created": "Profil '{name}' angelegt",
+  "profile.createdAndSelected": "Profil '{name}' angelegt und ausgewählt",
+  "profile.useHint": "Wechseln: tm context use {name}",
+  "profile.switched": "Zum Profil '{name}' gewechselt",
+  "profile.envOverride": "TM_PROFILE={name} ist gesetzt und hat in dieser Shell Vorrang.",
+  "profile.deleted": "Profil '{name}' gelöscht",
+  "auth.passwordPrompt": "Passwort: ",
+  "auth.welcome": "Willkommen, {name}!",
+  "auth.welcomeBack": "Willkommen zurück, {name}!",
+  "auth.loggedIn": "Du bist jetzt angemeldet.",
+  "auth.registered": "Registrierung erfolgreich! Bitte melde dich an.",
+  "auth.loginSuccess": "Anmeldung erfolgreich!",
+  "auth.logoutSuccess": "Erfolgreich abgemeldet.",
+  "auth.loggedOut": "Abgemeldet.",
+  "auth.openingGithub": "GitHub-Anmeldung wird geöffnet...",
+  "auth.completeInBrowser": "Schließ die Anmeldung im Browser ab und prüfe sie dann mit 'tm whoami'.",
+  "auth.browserDisabled": "Browser öffnen ist abgeschaltet. Öffne selbst:",
+  "auth.browserFailed": "Der Browser konnte nicht geöffnet werden. Öffne selbst:",
+  "auth.unknownProvider": "Unbekannter Anbieter: {provider}. Verwende 'github'.",
+  "whoami.email": "E-Mail",
+  "whoami.name": "Name",
+  "whoami.role": "Rolle",
+  "whoami.profile": "Profil",
+  "whoami.auth": "Anmeldung",
+  "whoami.session": "Sitzung",
+  "whoami.apiToken": "API-Token ({source})",
+  "whoami.storedToken": "gespeichert",
+  "whoami.notLoggedIn": "Nicht angemeldet. Melde dich an mit 'tm login <email> <password>'.",
+  "vault.passphrasePrompt": "Tresor-Passphrase: ",
+  "vault.newPassphrase": "Neue Tresor-Passphrase: ",
+  "vault.repeatPassphrase": "Passphrase wiederholen: ",
+  "vault.emptyPassphrase": "Die Passphrase darf nicht leer sein.",
+  "vault.passphraseMismatch": "Die Passphrasen stimmen nicht überein.",
+  "vault.alreadyEncrypted": "Die Zugangsdaten sind schon verschlüsselt.",
+  "vault.keyFileCreated": "Schlüsseldatei {path} angelegt — leg eine Sicherung an, ohne sie lassen sich die Zugangsdaten nicht wiederherstellen.",
+  "vault.encrypted": "Zugangsdaten verschlüsselt.",
+  "vault.encryptedText": "Sitzungen, CSRF-Tokens, API-Tokens und zwischengespeicherte Benutzerdaten werden jetzt verschlüsselt gespeichert.",
+  "vault.encryptFailed": "Die Zugangsdaten konnten nicht verschlüsselt werden",
+  "vault.notEncrypted": "Die Zugangsdaten sind nicht verschlüsselt.",
+  "vault.decrypted": "Zugangsdaten entschlüsselt und als Klartext gespeichert.",
+  "vault.decryptFailed": "Die Zugangsdaten konnten nicht entschlüsselt werden",
+  "vault.config": "Konfiguration",
+  "vault.credentials": "Zugangsdaten",
+  "vault.plainText": "Klartext",
+  "vault.encryptedVia": "verschlüsselt ({via})",
+  "vault.viaKeyFile": "Schlüsseldatei {path}",
+  "vault.viaPassphrase": "Passphrase",
+  "invite.linkUnavailable": "Einladungslink nicht verfügbar",
+  "invite.sent": "Einladung verschickt!",
+  "invite.shareHint": "Teile deinen Link: tm invite --link",
+  "token.scopeRead": "Nur Lesezugriff (Produkte, Bestellungen, Bibliothek)",
+  "token.scopeCart": "Warenkorb verwalten und Bestellungen aufgeben",
+  "token.scopeMerchant": "Verkäufer-Werkzeuge (Produkte, Schlüssel, Webhooks)",
+  "token.scopesTitle": "Token-Berechtigungen",
+  "token.unknownScope": "Unbekannte Berechtigung: {scopes}. Möglich sind: {valid}",
+  "token.created": "Token erstellt!",
+  "token.scopes": "Berechtigungen",
+  "token.expires": "Läuft ab",
+  "token.lastUsed": "Zuletzt verwendet",
+  "token.never": "nie",
+  "token.saved": "Im Profil '{name}' gespeichert.",
+  "token.showOnce": "TOKEN (jetzt sichern — er wird nicht noch einmal angezeigt):",
+  "token.listTitle": "Deine API-Tokens",
+  "token.none": "Keine API-Tokens.",
+  "token.createHint": "Lege einen an: tm token create ci --scopes read,cart",
+  "token.revoked": "Token #{id} widerrufen.",
+  "token.stored": "Token im Profil '{name}' gespeichert",
+  "token.cleared": "Gespeicherter Token entfernt.",
+
+  "column.id": "id",
+  "column.slug": "slug",
+  "column.name": "name",
+  "column.description": "beschreibung",
+  "column.price": "preis",
+  "column.category": "kategorie",
+  "column.type": "typ",
+  "column.city": "stadt",
+  "column.status": "status",
+  "column.seller": "verkäufer",
+  "spinner.failed": "Fehlgeschlagen",
+  "products.loading": "Produkte werden geladen...",
+  "products.loaded": "Produkte geladen",
+  "products.loadFailed": "Produkte konnten nicht geladen werden",
+  "products.found": { one: "{count} Produkt gefunden", other: "{count} Produkte gefunden" },
+  "products.earlyPartner": "Früher Partner",
+  "products.viewHint": "Produktdetails ansehen",
+  "products.buyHint": "Produkt kaufen",
+  "location.set": "Standort auf {city} gesetzt",
+  "location.browseHint": "Produkte in {city} ansehen",
+  "location.lunchHint": "Mittagessen finden",
+  "start.ready": "Alles bereit!",
+  "ai.topupTenHint": "10 $ Credits aufladen",
+  "ai.runHint": "ein AI-Modell ausführen",
+  "featured.loading": "Empfehlungen werden geladen...",
+  "featured.found": { one: "{count} Empfehlung", other: "{count} Empfehlungen" },
+  "featured.none": "Noch keine Empfehlungen",
+  "featured.title": "Empfehlungen der Woche",
+  "featured.buyHint": "ein Produkt kaufen",
+  "featured.viewHint": "Details ansehen",
+  "deals.loading": "Die besten Angebote werden gesucht...",
+  "deals.found": { one: "{count} Angebot gefunden", other: "{count} Angebote gefunden" },
+  "deals.title": "Beste Angebote",
+  "deals.featured": "Empfohlen",
+  "deals.buyHint": "jetzt kaufen",
+  "doctor.testingApi": "API-Verbindung wird geprüft...",
+  "doctor.apiReachable": "API ist erreichbar",
+  "doctor.apiUnreachable": "API nicht erreichbar",
+  "library.keysHint": "deine Lizenzschlüssel anzeigen",
+  "library.downloadHint": "Datei zu einem Kauf herunterladen",
+  "download.preparing": "Download wird vorbereitet...",
+  "download.downloading": "Wird heruntergeladen...",
+  "tasks.loading": "Aufgaben werden geladen...",
+  "tasks.viewHint": "Details und Ergebnisse einer Aufgabe ansehen",
+  "task.loading": "Aufgabendetails werden geladen...",
+  "jobs.loading": "Stellen werden geladen...",
+  "jobs.viewHint": "Stellendetails ansehen",
+  "jobs.applyHint": "dich bewerben",
+  "apply.applicationsHint": "deine Bewerbungen ansehen",
+  "apply.profileHint": "dein Profil aktualisieren",
+
+  "error.unauthorized": "Anmeldung erforderlich.",
+  "error.unauthorizedHint": "Führe aus: tm login <email>",
+  "error.forbidden": "Dafür fehlt dir die Berechtigung.",
+  "error.paymentRequired": "Nicht genug Credits.",
+  "error.paymentRequiredHint": "Mit 'tm ai topup <amount>' lädst du Credits auf.",
+  "error.notFound": "Nicht gefunden.",
+  "error.rateLimited": "Zu viele Anfragen.",
+  "error.rateLimitedHint": "Warte kurz und versuche es erneut.",
+  "error.tls": "Das TLS-Zertifikat von {host} konnte nicht geprüft werden.",
+  "error.tlsHint": "Vertraue deiner CA mit: tm config set ca-file <path>",
+  "error.network": "{host} ist nicht erreichbar.",
+  "error.networkHint": "Prüfe deine Verbindung oder führe aus: tm config set api <url>",
+  "error.timeout": "Zeitüberschreitung bei der Anfrage an {host}.",
+  "error.timeoutHint": "Erhöhe das Limit mit: tm config set timeout <ms>",
+  "error.offlineRead": "Offline nicht verfügbar — das ist nicht zwischengespeichert.",
+  "error.offlineReadHint": "Katalogdaten werden zwischengespeichert, sobald sie einmal ohne --offline geladen wurden; Kontodaten brauchen immer eine Verbindung.",
+  "error.offlineWrite": "Dieser Befehl braucht eine Verbindung.",
+  "error.offlineWriteHint": "Lass --offline weg, um ihn auszuführen.",
+  "error.server": "Serverfehler ({status}). Versuche es später erneut.",
+};
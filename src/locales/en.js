@@ -0,0 +1,370 @@
+/**
+ * English messages, the source catalog
+ * "{name}" is filled in from the caller's params. Values with plural forms
+ * are keyed by Intl.PluralRules category and picked by params.count.
+ */
+
+export default {
+  // Shared field labels
+  "field.id": "ID",
+  "field.slug": "Slug",
+  "field.name": "Name",
+  "field.category": "Category",
+  "field.categories": "Categories",
+  "field.type": "Type",
+  "field.city": "City",
+  "field.country": "Country",
+  "field.location": "Location",
+  "field.store": "Store",
+  "field.product": "Product",
+  "field.date": "Date",
+  "field.total": "Total",
+  "field.price": "Price",
+  "field.error": "Error",
+
+  "serviceType.global": "Global",
+  "serviceType.national": "National",
+  "serviceType.local": "Local",
+
+  "duration.minutes": { one: "{count} minute", other: "{count} minutes" },
+  "duration.hours": { one: "{count} hour", other: "{count} hours" },
+  "duration.days": { one: "{count} day", other: "{count} days" },
+  "session.none": "no session cookie",
+  "session.noExpiry": "has no expiry date",
+  "session.expiresIn": "expires in {duration}",
+  "cache.stale": "Offline: showing cached data from {age} ago — it may be out of date.",
+
+  // Listings
+  "results.none": "No results found.",
+  "results.noneHint": "Try a different search or filter.",
+  "results.showing": { one: "Showing {count} result", other: "Showing {count} results" },
+  "results.count": { one: "{count} result", other: "{count} results" },
+  "results.partial": "Showing {shown} of {count}. Use --limit or --all to show more.",
+  "results.more": {
+    one: "Showing {count} result. Use --limit or --all to show more.",
+    other: "Showing {count} results. Use --limit or --all to show more.",
+  },
+
+  "product.unknown": "Unknown Product",
+  "product.quickActions": "Quick actions",
+  "product.addHint": "add to cart",
+  "product.buyHint": "buy directly",
+
+  "cart.title": "Your Cart",
+  "cart.empty": "Your cart is empty.",
+  "cart.emptyHint": "Add items with: tm add <product-id>",
+  "cart.unnamedItem": "Product #{id}",
+  "cart.qty": "Qty",
+  "cart.checkoutHint": "proceed to payment",
+
+  "checkout.title": "Checkout",
+  "checkout.shipTo": "Ship to",
+  "checkout.seller": "Seller #{id}",
+  "checkout.subtotal": "Subtotal",
+  "checkout.shipping": "Shipping",
+  "checkout.tax": "Tax",
+  "checkout.estimate": "estimate",
+  "checkout.atPayment": "calculated at payment",
+  "checkout.totalPending": "Shipping and tax without an estimate are added at payment.",
+  "checkout.emptyCart": "Your cart is empty. Add items first.",
+  "checkout.noAddress": "No shipping address in your profile.",
+  "checkout.noAddressHint": "Add one with: tm profile set address <street>, then city and country",
+  "checkout.unknownAddress": {
+    one: "No address \"{choice}\" — your profile has {count} address.",
+    other: "No address \"{choice}\" — your profile has {count} addresses.",
+  },
+  "checkout.chooseAddress": "Ship to which address?",
+  "checkout.badQuantity": "{name}: the quantity must be a whole number of at least 1",
+  "checkout.unavailable": "{name} is no longer available",
+  "checkout.lowStock": "{name}: only {count} left in stock",
+  "checkout.problemsHint": "Fix the cart with tm cart remove <product-id> or tm add <product-id> -q <n>, then try again.",
+  "checkout.confirmHint": "Place the order and pay with: tm checkout --confirm",
+  "checkout.payAt": "Order placed. Complete the payment at:",
+  "checkout.noWait": "Follow the order with: tm orders",
+  "checkout.waiting": "Waiting for payment… (Ctrl+C stops waiting)",
+  "checkout.paymentFailed": "The payment did not go through ({status}).",
+  "checkout.retryHint": "Try again with: tm checkout --confirm",
+  "checkout.stoppedWaiting": "Stopped waiting. The order stays open until it is paid:",
+  "checkout.waitTimeout": "No payment yet. The order stays open until it is paid:",
+  "checkout.ordersHint": "Check on it later with: tm orders",
+  "receipt.title": "Order confirmed",
+  "receipt.orderNumber": "Order number",
+  "receipt.status": "Status",
+  "receipt.paid": "Paid",
+  "receipt.ordersHint": "order history",
+
+  "orders.title": "Order History",
+  "orders.empty": "No orders yet.",
+  "orders.emptyHint": "Start shopping with: tm products",
+  "order.digital": "Download or key in library",
+  "orderStatus.delivered": "Delivered",
+  "orderStatus.shipped": "Shipped",
+  "orderStatus.paid": "Paid",
+  "orderStatus.processing": "Processing",
+  "orderStatus.cancelled": "Cancelled",
+
+  "stores.title": "Stores",
+  "stores.none": "No stores found.",
+  "stores.noneHint": "Try adjusting your filters.",
+  "stores.showing": { one: "Showing {count} store", other: "Showing {count} stores" },
+  "store.unknown": "Unknown Store",
+  "store.productsHint": "view products",
+  "store.reviewsHint": "see reviews",
+
+  "reviews.title": "Reviews",
+  "reviews.rating": "Store Rating",
+  "reviews.average": "{rating} average",
+  "reviews.none": "No reviews yet.",
+  "reviews.noneHint": "Be the first to review: tm review <store-id> <1-5>",
+
+  // AI
+  "ai.models": "AI Models",
+  "ai.noModels": "No AI models available.",
+  "ai.noModelsHint": "Check back later for new models.",
+  "ai.otherCategory": "Other",
+  "ai.noDescription": "No description",
+  "ai.provider": "Provider",
+  "ai.cost": "Cost",
+  "ai.run": "Run",
+  "ai.credits": { one: "{count} credit", other: "{count} credits" },
+  "ai.creditsTitle": "AI Credits",
+  "ai.balance": "Balance",
+  "ai.topupHint": "add more credits",
+  "ai.history": "AI Usage History",
+  "ai.noHistory": "No AI usage history yet.",
+  "ai.noHistoryHint": "Try: tm ai run <model> <input>",
+  "ai.model": "Model #{id}",
+
+  // Subscriptions
+  "subscriptions.title": "Your Subscriptions",
+  "subscriptions.unnamed": "Subscription",
+  "subscriptions.schedule": "Schedule",
+  "subscriptions.next": "Next",
+  "subscriptions.nextOrder": "Next order",
+  "subscriptions.orders": "Orders",
+  "subscriptions.created": "Subscription created!",
+  "schedule.daily": "Daily at {time}",
+  "schedule.weekly": "{day} at {time}",
+  "schedule.monthly": "{day} of month at {time}",
+  "schedule.ordinal": { type: "ordinal", one: "{count}st", two: "{count}nd", few: "{count}rd", other: "{count}th" },
+
+  // Logs
+  "webhooks.deliveries": "Delivery History (last {count})",
+  "webhooks.noDeliveries": "No delivery history for webhook #{id}",
+  "watch.logs": "Logs for watch rule #{id}",
+  "watch.noLogs": "No logs yet",
+  "watch.noLogsHint": "Rule #{id} hasn't been checked yet.",
+  "watch.resultCount": { one: "{count} result", other: "{count} results" },
+
+  // Welcome screen and status bar
+  "welcome.tagline": "The Marketplace for Developers",
+  "welcome.earlyAccess": "Early access",
+  "welcome.realCheckout": "Real checkout",
+  "welcome.quickStart": "Quick Start",
+  "welcome.products": "Browse products",
+  "welcome.search": "Search marketplace",
+  "welcome.buy": "Purchase a product",
+  "welcome.ai": "AI services",
+  "welcome.help": "All commands",
+  "welcome.loginBefore": "Run",
+  "welcome.loginAfter": "to unlock all features",
+  "status.loggedOut": "Not logged in",
+  "nextSteps.title": "Next steps",
+
+  // Command messages and hints
+  "output.unknownFormat": "Unknown output format: {format}",
+  "output.formatsHint": "Use one of: {formats}",
+  "profile.unknown": "Unknown profile: {name}",
+  "profile.createHint": "Create it with: tm context create {name}",
+  "profile.defaultUndeletable": "The default profile cannot be deleted.",
+  "profile.setHint": "Use: tm profile set <field> <value>",
+  "profile.fields": "Fields: {fields}",
+  "vault.continuingLocked": "Credentials are encrypted — continuing without them.",
+  "vault.continuingLockedHint": "Set TM_PASSPHRASE or run in a terminal to unlock.",
+  "vault.locked": "Vault is locked.",
+  "vault.lockedHint": "Set TM_PASSPHRASE or run in a terminal to enter your passphrase.",
+  "vault.lockHint": "Run 'tm auth lock' to encrypt them.",
+  "rates.failed": "Could not load exchange rates: {error} — showing prices in their own currency.",
+  "rates.failedHint": "Point tm at another source with: tm config set rates-url <url|file>",
+  "token.useHint": "Use it with: TM_TOKEN=<token> tm <command>",
+  "invite.usage": "Usage: tm invite --email colleague@company.com",
+  "invite.linkHint": "Or share your link: tm invite --link",
+  "ai.inputRequired": "Input is required. Usage: tm ai run <model> <input>",
+  "webhook.usage": "Usage: tm webhook add <name> <url> order.created,price.alert",
+  "wishlist.empty": "Your wishlist is empty.",
+  "wishlist.emptyHint": "Add products: tm wishlist add <productId>",
+  "image.previewFailed": "Could not preview the image: {error}",
+  "image.openHint": "Open it in a browser instead: tm open {id} --image",
+  "image.previewHint": "Show it here instead: tm view {id} --preview",
+  "pipe.noInput": "Nothing piped in.",
+  "pipe.noInputHint": "Example: tm search coffee | tm sort price | tm head 3",
+  "help.usage": "Usage",
+  "help.subcommandHint": "Run 'tm {command} <subcommand> help' for more details.",
+  "help.unknownCommand": "Unknown command: {command}",
+  "help.unknownCommandHint": "Run 'tm help' to see all commands.",
+  "location.label": "Location",
+  "location.changeHint": "change location",
+  "location.notSet": "Location not set",
+  "location.setHint": "Set location for local services",
+  "start.try": "Try",
+  "doctor.noLocation": "Not set (local services hidden)",
+  "doctor.noLocationHint": "Run: tm where <city>",
+  "library.empty": "Your library is empty",
+  "library.emptyText": "Purchase digital products to see them here",
+  "library.emptyHint": "Run: tm list --kind digital",
+  "tasks.empty": "No tasks yet",
+  "tasks.emptyText": "Purchase on-demand services to see your tasks here",
+  "tasks.emptyHint": "On-demand services execute tasks for you (SEO audits, code conversions, etc.)",
+  "jobs.none": "No vacancies found",
+  "jobs.noneText": "Try different filters or check back later",
+  "applications.empty": "No applications yet",
+  "applications.emptyText": "Apply to jobs to see your applications here",
+  "applications.jobsHint": "browse vacancies",
+
+  // Profiles, accounts and tokens
+  "profile.notLoggedIn": "not logged in",
+  "profile.switchHint": "Switch: tm context use <name> | One-off: tm --profile <name> <command>",
+  "profile.invalidName": "Profile names may only contain letters, digits, '-' and '_'.",
+  "profile.exists": "Profile '{name}' already exists.",
+  "profile.created": "Profile '{name}' created",
+  "profile.createdAndSelected": "Profile '{name}' created and selected",
+  "profile.useHint": "Switch: tm context use {name}",
+  "profile.switched": "Switched to profile '{name}'",
+  "profile.envOverride": "TM_PROFILE={name} is set and takes precedence in this shell.",
+  "profile.deleted": "Profile '{name}' deleted",
+  "auth.passwordPrompt": "Password: ",
+  "auth.welcome": "Welcome, {name}!",
+  "auth.welcomeBack": "Welcome back, {name}!",
+  "auth.loggedIn": "You are now logged in.",
+  "auth.registered": "Registration successful! Please login.",
+  "auth.loginSuccess": "Login successful!",
+  "auth.logoutSuccess": "Logged out successfully.",
+  "auth.loggedOut": "Logged out.",
+  "auth.openingGithub": "Opening GitHub authentication...",
+  "auth.completeInBrowser": "Complete login in browser, then run 'tm whoami' to verify.",
+  "auth.browserDisabled": "Browser opening disabled. Visit manually:",
+  "auth.browserFailed": "Could not open browser. Visit manually:",
+  "auth.unknownProvider": "Unknown provider: {provider}. Use 'github'.",
+  "whoami.email": "email",
+  "whoami.name": "name",
+  "whoami.role": "role",
+  "whoami.profile": "profile",
+  "whoami.auth": "auth",
+  "whoami.session": "session",
+  "whoami.apiToken": "API token ({source})",
+  "whoami.storedToken": "stored",
+  "whoami.notLoggedIn": "Not logged in. Use 'tm login <email> <password>' to login.",
+  "vault.passphrasePrompt": "Vault passphrase: ",
+  "vault.newPassphrase": "New vault passphrase: ",
+  "vault.repeatPassphrase": "Repeat passphrase: ",
+  "vault.emptyPassphrase": "Passphrase cannot be empty.",
+  "vault.passphraseMismatch": "Passphrases do not match.",
+  "vault.alreadyEncrypted": "Credentials are already encrypted.",
+  "vault.keyFileCreated": "Created key file {path} — keep a backup, credentials can't be recovered without it.",
+  "vault.encrypted": "Credentials encrypted.",
+  "vault.encryptedText": "Sessions, CSRF tokens, API tokens and cached user info are now stored encrypted.",
+  "vault.encryptFailed": "Failed to encrypt credentials",
+  "vault.notEncrypted": "Credentials are not encrypted.",
+  "vault.decrypted": "Credentials decrypted and stored in plain text.",
+  "vault.decryptFailed": "Failed to decrypt credentials",
+  "vault.config": "config",
+  "vault.credentials": "credentials",
+  "vault.plainText": "plain text",
+  "vault.encryptedVia": "encrypted ({via})",
+  "vault.viaKeyFile": "key file {path}",
+  "vault.viaPassphrase": "passphrase",
+  "invite.linkUnavailable": "Invite link unavailable",
+  "invite.sent": "Invite sent!",
+  "invite.shareHint": "Share your link: tm invite --link",
+  "token.scopeRead": "Read-only access (products, orders, library)",
+  "token.scopeCart": "Manage cart and place orders",
+  "token.scopeMerchant": "Seller tools (products, keys, webhooks)",
+  "token.scopesTitle": "Token Scopes",
+  "token.unknownScope": "Unknown scope: {scopes}. Valid scopes: {valid}",
+  "token.created": "Token created!",
+  "token.scopes": "Scopes",
+  "token.expires": "Expires",
+  "token.lastUsed": "Last used",
+  "token.never": "never",
+  "token.saved": "Saved to profile '{name}'.",
+  "token.showOnce": "TOKEN (save this - won't be shown again):",
+  "token.listTitle": "Your API Tokens",
+  "token.none": "No API tokens.",
+  "token.createHint": "Create one: tm token create ci --scopes read,cart",
+  "token.revoked": "Token #{id} revoked.",
+  "token.stored": "Token stored in profile '{name}'",
+  "token.cleared": "Stored token removed.",
+
+  // Listings, progress and next steps
+  "column.id": "id",
+  "column.slug": "slug",
+  "column.name": "name",
+  "column.description": "description",
+  "column.price": "price",
+  "column.category": "category",
+  "column.type": "type",
+  "column.city": "city",
+  "column.status": "status",
+  "column.seller": "seller",
+  "spinner.failed": "Failed",
+  "products.loading": "Fetching products...",
+  "products.loaded": "Products loaded",
+  "products.loadFailed": "Failed to load products",
+  "products.found": { one: "Found {count} product", other: "Found {count} products" },
+  "products.earlyPartner": "Early partner",
+  "products.viewHint": "view product details",
+  "products.buyHint": "buy product",
+  "location.set": "Location set to {city}",
+  "location.browseHint": "browse products in {city}",
+  "location.lunchHint": "find lunch options",
+  "start.ready": "You're all set!",
+  "ai.topupTenHint": "add $10 credits",
+  "ai.runHint": "run an AI model",
+  "featured.loading": "Loading featured products...",
+  "featured.found": { one: "{count} top pick", other: "{count} top picks" },
+  "featured.none": "No featured products yet",
+  "featured.title": "Featured This Week",
+  "featured.buyHint": "purchase a product",
+  "featured.viewHint": "see details",
+  "deals.loading": "Finding best deals...",
+  "deals.found": { one: "{count} deal found", other: "{count} deals found" },
+  "deals.title": "Best Deals",
+  "deals.featured": "Featured",
+  "deals.buyHint": "purchase now",
+  "doctor.testingApi": "Testing API connection...",
+  "doctor.apiReachable": "API is reachable",
+  "doctor.apiUnreachable": "API unreachable",
+  "library.keysHint": "show your license keys",
+  "library.downloadHint": "download file for purchase",
+  "download.preparing": "Preparing download...",
+  "download.downloading": "Downloading...",
+  "tasks.loading": "Fetching tasks...",
+  "tasks.viewHint": "view task details and results",
+  "task.loading": "Fetching task details...",
+  "jobs.loading": "Fetching vacancies...",
+  "jobs.viewHint": "view vacancy details",
+  "jobs.applyHint": "apply for job",
+  "apply.applicationsHint": "view your applications",
+  "apply.profileHint": "update your profile",
+
+  // Errors (see errors.js)
+  "error.unauthorized": "Login required.",
+  "error.unauthorizedHint": "Run: tm login <email>",
+  "error.forbidden": "You don't have permission to do that.",
+  "error.paymentRequired": "Insufficient credits.",
+  "error.paymentRequiredHint": "Use 'tm ai topup <amount>' to add credits.",
+  "error.notFound": "Not found.",
+  "error.rateLimited": "Too many requests.",
+  "error.rateLimitedHint": "Wait a moment and try again.",
+  "error.tls": "Could not verify the TLS certificate of {host}.",
+  "error.tlsHint": "Trust your CA with: tm config set ca-file <path>",
+  "error.network": "Could not reach {host}.",
+  "error.networkHint": "Check your connection or run: tm config set api <url>",
+  "error.timeout": "Request to {host} timed out.",
+  "error.timeoutHint": "Raise the limit with: tm config set timeout <ms>",
+  "error.offlineRead": "Not available offline — this isn't cached.",
+  "error.offlineReadHint": "Catalog data is cached once loaded without --offline; account data always needs a connection.",
+  "error.offlineWrite": "This command needs a connection.",
+  "error.offlineWriteHint": "Drop --offline to run it.",
+  "error.server": "Server error ({status}). Try again later.",
+};
@@ -0,0 +1,223 @@
+/**
+ * TerminalMarket markdown
+ * Renders AI results and descriptions for the terminal: headings, lists,
+ * highlighted code blocks, tables and links, wrapped to the terminal width.
+ */
+
+import chalk from "chalk";
+import { createRequire } from "module";
+import { marked } from "marked";
+import stringWidth from "string-width";
+import terminalLink from "terminal-link";
+import wrapAnsi from "wrap-ansi";
+import { theme } from "./theme.js";
+
+const require = createRequire(import.meta.url);
+
+const GAP = 2;
+const MIN_CELL = 6;
+
+let raw = false;
+
+// --raw: print text exactly as the API sent it
+export function setRawMarkdown(value) {
+  raw = Boolean(value);
+}
+
+// The lexer leaves inline text HTML-escaped
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'" };
+
+function decode(text = "") {
+  return text.replace(/&(amp|lt|gt|quot|#39);/g, (_, name) => ENTITIES[name]);
+}
+
+function wrap(text, width) {
+  return wrapAnsi(text, width, { hard: true, trim: true }).split("\n");
+}
+
+function link(label, href) {
+  if (!href || label === href) return theme.secondary.underline(label || href);
+  return terminalLink(theme.secondary.underline(label), href, {
+    fallback: (text, url) => `${text} ${chalk.dim(`(${url})`)}`,
+  });
+}
+
+function inline(tokens = []) {
+  return tokens.map((t) => {
+    switch (t.type) {
+      case "strong":
+        return chalk.bold(inline(t.tokens));
+      case "em":
+        return chalk.italic(inline(t.tokens));
+      case "del":
+        return chalk.strikethrough(inline(t.tokens));
+      case "codespan":
+        return theme.accent(decode(t.text));
+      case "link":
+        return link(inline(t.tokens), t.href);
+      case "image":
+        return link(`image: ${t.text || t.href}`, t.href);
+      case "br":
+        return "\n";
+      case "html":
+        return ""; // inline tags such as <b> are dropped
+      default:
+        return t.tokens ? inline(t.tokens) : decode(t.text);
+    }
+  }).join("");
+}
+
+// Code blocks
+
+// highlight.js is loaded on first use; most output has no code blocks
+let hljs = null;
+
+function highlighter() {
+  hljs ??= require("highlight.js/lib/common");
+  return hljs;
+}
+
+// highlight.js scope → theme role
+const CODE_ROLES = {
+  keyword: "secondary",
+  built_in: "secondary",
+  type: "secondary",
+  tag: "secondary",
+  name: "secondary",
+  literal: "accent",
+  attr: "accent",
+  attribute: "accent",
+  property: "accent",
+  number: "warning",
+  title: "warning",
+  section: "warning",
+  string: "primary",
+  regexp: "primary",
+  symbol: "primary",
+  addition: "primary",
+  deletion: "error",
+  comment: "dim",
+  quote: "dim",
+  meta: "muted",
+  doctag: "muted",
+};
+
+// highlight.js returns <span class="hljs-…"> markup; nested spans keep the
+// innermost color that has one
+function highlight(code, lang) {
+  const language = lang?.split(/\s/)[0];
+  if (!language || !highlighter().getLanguage(language)) return theme.text(code);
+  const html = highlighter().highlight(code, { language, ignoreIllegals: true }).value;
+  const roles = [];
+  let out = "";
+  for (const [, scope, close, text] of html.matchAll(/<span class="hljs-([\w-]+)[^"]*">|(<\/span>)|([^<]+)/g)) {
+    if (scope) roles.push(CODE_ROLES[scope] ?? roles.at(-1));
+    else if (close) roles.pop();
+    else out += (theme[roles.at(-1)] ?? theme.text)(decode(text));
+  }
+  return out;
+}
+
+// Tables
+
+// Narrow the widest column until the table fits
+function fitColumns(widths, budget) {
+  const fitted = [...widths];
+  let total = fitted.reduce((sum, w) => sum + w, 0);
+  while (total > budget) {
+    const widest = fitted.indexOf(Math.max(...fitted));
+    if (fitted[widest] <= MIN_CELL) break;
+    fitted[widest]--;
+    total--;
+  }
+  return fitted;
+}
+
+function pad(text, width, align) {
+  const space = Math.max(0, width - stringWidth(text));
+  if (align === "right") return " ".repeat(space) + text;
+  if (align === "center") return " ".repeat(Math.floor(space / 2)) + text + " ".repeat(Math.ceil(space / 2));
+  return text + " ".repeat(space);
+}
+
+function renderTable(token, width) {
+  const header = token.header.map((cell) => inline(cell.tokens));
+  const rows = token.rows.map((row) => row.map((cell) => inline(cell.tokens)));
+  const natural = header.map((_, i) => Math.max(...[header, ...rows].map((r) => stringWidth(r[i] ?? ""))));
+  const widths = fitColumns(natural, width - GAP * (header.length - 1));
+
+  const lines = (cells, style) => {
+    const wrapped = cells.map((cell, i) => wrap(cell ?? "", widths[i]));
+    const height = Math.max(...wrapped.map((cell) => cell.length));
+    return Array.from({ length: height }, (_, line) =>
+      wrapped.map((cell, i) => style(pad(cell[line] ?? "", widths[i], token.align[i]))).join(" ".repeat(GAP)).trimEnd());
+  };
+
+  return [
+    ...lines(header, (text) => theme.secondary.bold(text)),
+    widths.map((w) => chalk.dim("─".repeat(w))).join(" ".repeat(GAP)),
+    ...rows.flatMap((row) => lines(row, (text) => text)),
+  ];
+}
+
+// Blocks
+
+function renderList(token, width) {
+  const start = Number(token.start) || 1;
+  const items = token.items.map((item, i) => {
+    let marker = token.ordered ? `${start + i}.` : "•";
+    if (item.task) marker += item.checked ? " [x]" : " [ ]";
+    const indent = stringWidth(marker) + 1;
+    const body = renderBlocks(item.tokens, width - indent, { loose: item.loose });
+    return body.map((line, n) => (n ? " ".repeat(indent) : theme.muted(marker) + " ") + line);
+  });
+  return items.flatMap((lines, i) => (i && token.loose ? ["", ...lines] : lines));
+}
+
+function renderBlock(token, width) {
+  switch (token.type) {
+    case "space":
+    case "def":
+      return null;
+    case "heading": {
+      // looked up per render: setTheme() replaces the styles after this module loads
+      const style = [theme.primary, theme.secondary][token.depth - 1] ?? theme.text;
+      return wrap(style.bold(inline(token.tokens)), width);
+    }
+    case "code":
+      return highlight(token.text, token.lang).split("\n").map((line) => "  " + line);
+    case "blockquote":
+      return renderBlocks(token.tokens, width - 2).map((line) => theme.muted("│ ") + line);
+    case "list":
+      return renderList(token, width);
+    case "table":
+      return renderTable(token, width);
+    case "hr":
+      return [chalk.dim("─".repeat(Math.min(width, 40)))];
+    case "html": {
+      const text = decode(token.text.replace(/<[^>]*>/g, "")).trim();
+      return text ? wrap(theme.text(text), width) : null;
+    }
+    default:
+      return wrap(theme.text(token.tokens ? inline(token.tokens) : decode(token.text)), width);
+  }
+}
+
+// Blocks are separated by a blank line, except inside tight list items
+function renderBlocks(tokens, width, { loose = true } = {}) {
+  const blocks = tokens.map((token) => renderBlock(token, Math.max(width, MIN_CELL))).filter(Boolean);
+  return blocks.flatMap((lines, i) => (i && loose ? ["", ...lines] : lines));
+}
+
+// `indent` spaces are added to every line and taken off the width
+export function renderMarkdown(text, { indent = 0, width } = {}) {
+  if (text == null) return "";
+  if (raw) return String(text);
+  const columns = width ?? (process.stdout.columns || 80);
+  const lines = renderBlocks(marked.lexer(String(text)), columns - indent);
+  return lines.map((line) => (line ? " ".repeat(indent) + line : line)).join("\n");
+}
+
+export function printMarkdown(text, options) {
+  console.log(renderMarkdown(text, options));
+}
@@ -0,0 +1,287 @@
+/**
+ * TerminalMarket money
+ * Exact amounts in integer minor units, prices in their own currency
+ * formatted for the user's locale, plus an optional display currency
+ * converted at rates from a configurable source.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import { dirname, join } from "path";
+import { fetchWithTimeout } from "./api.js";
+import { getCacheDir, isOffline } from "./cache.js";
+
+// Items without a `currency` field are priced in US dollars
+export const DEFAULT_CURRENCY = "USD";
+
+// Record fields that hold an amount in the record's `currency`
+export const MONEY_FIELDS = ["price", "total", "subtotal"];
+
+// AI credits are US dollars priced to a hundredth of a cent
+export const CREDIT_CURRENCY = "USD";
+export const CREDIT_DIGITS = 4;
+
+// Free, keyless daily rates; any URL or file with the same shape works
+export const DEFAULT_RATES_URL = "https://open.er-api.com/v6/latest/USD";
+
+const RATES_TTL = 12 * 60 * 60 * 1000;
+
+let locale; // undefined: the runtime's default locale
+let displayCurrency = null;
+let rates = null; // { base: "USD", rates: { EUR: 0.92, ... } }
+
+// "de_DE.UTF-8" → "de-DE"
+export function localeFromEnv(env = process.env) {
+  const value = env.LC_ALL || env.LC_MONETARY || env.LANG;
+  if (!value || value === "C" || value === "POSIX") return undefined;
+  try {
+    return Intl.getCanonicalLocales(value.split(/[.@]/)[0].replace(/_/g, "-"))[0];
+  } catch {
+    return undefined;
+  }
+}
+
+export function setLocale(value) {
+  locale = value || undefined;
+}
+
+export function getLocale() {
+  return locale;
+}
+
+export function setDisplayCurrency(code) {
+  displayCurrency = code ? code.toUpperCase() : null;
+}
+
+export function getDisplayCurrency() {
+  return displayCurrency;
+}
+
+function toAmount(value) {
+  if (isMoney(value)) return moneyToNumber(value);
+  const amount = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+// Money values are { minor, currency, digits }: an integer count of the
+// currency's smallest unit, so sums and products are exact. €12.50 is
+// { minor: 1250, currency: "EUR", digits: 2 }.
+
+const digitCache = new Map();
+
+// Decimal places of a currency: 2 for EUR, 0 for JPY, 3 for KWD
+export function minorDigits(currency = DEFAULT_CURRENCY) {
+  if (!digitCache.has(currency)) {
+    let digits = 2;
+    try {
+      digits = new Intl.NumberFormat("en", { style: "currency", currency }).resolvedOptions().maximumFractionDigits;
+    } catch {
+      // codes Intl does not know keep two places
+    }
+    digitCache.set(currency, digits);
+  }
+  return digitCache.get(currency);
+}
+
+export function isMoney(value) {
+  return Number.isInteger(value?.minor) && typeof value.currency === "string";
+}
+
+// "12.345" or 12.345 → 1235 minor units of a 2-digit currency, rounding
+// half away from zero. The decimal string is read digit by digit, so API
+// prices such as "0.10" never pass through a float. null when `value` is not
+// a number.
+export function toMoney(value, currency = DEFAULT_CURRENCY, digits = minorDigits(currency)) {
+  if (isMoney(value)) return rescale(value, digits);
+  let text = typeof value === "number" ? String(value) : String(value ?? "").trim();
+  if (typeof value === "number" && /e/i.test(text)) text = value.toFixed(20);
+  const match = /^([-+]?)(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || !(match[2] || match[3])) return null;
+  const [, sign, whole, fraction = ""] = match;
+  const kept = (fraction + "0".repeat(digits)).slice(0, digits);
+  let minor = Number(whole || 0) * 10 ** digits + Number(kept || 0);
+  if (Number(fraction[digits] || 0) >= 5) minor += 1;
+  return { minor: sign === "-" && minor ? -minor : minor, currency: String(currency).toUpperCase(), digits };
+}
+
+function rescale(money, digits) {
+  if (digits === money.digits) return money;
+  const factor = 10 ** Math.abs(digits - money.digits);
+  const minor = digits > money.digits
+    ? money.minor * factor
+    : Math.sign(money.minor) * Math.round(Math.abs(money.minor) / factor);
+  return { ...money, minor, digits };
+}
+
+function sameCurrency(a, b) {
+  if (a.currency !== b.currency) throw new Error(`Cannot combine ${a.currency} and ${b.currency} amounts`);
+  const digits = Math.max(a.digits, b.digits);
+  return [rescale(a, digits), rescale(b, digits)];
+}
+
+export function addMoney(a, b) {
+  const [x, y] = sameCurrency(a, b);
+  return { ...x, minor: x.minor + y.minor };
+}
+
+export function subtractMoney(a, b) {
+  const [x, y] = sameCurrency(a, b);
+  return { ...x, minor: x.minor - y.minor };
+}
+
+// Quantities are whole numbers in practice; anything else is rounded to the
+// minor unit
+export function multiplyMoney(money, quantity) {
+  return { ...money, minor: Math.round(money.minor * quantity) };
+}
+
+export function sumMoney(values, currency = DEFAULT_CURRENCY) {
+  return values.reduce(addMoney, toMoney(0, currency));
+}
+
+// 1250 minor units → "12.50"
+export function moneyToString({ minor, digits }) {
+  const text = String(Math.abs(minor)).padStart(digits + 1, "0");
+  const whole = digits ? text.slice(0, -digits) : text;
+  return `${minor < 0 ? "-" : ""}${whole}${digits ? `.${text.slice(-digits)}` : ""}`;
+}
+
+export function moneyToNumber(money) {
+  return Number(moneyToString(money));
+}
+
+// price × quantity of a cart or order line, in the item's currency
+export function lineTotal(item) {
+  const currency = currencyOf(item);
+  const price = toMoney(item?.price ?? item?.product?.price ?? 0, currency) ?? toMoney(0, currency);
+  return multiplyMoney(price, item?.quantity || 1);
+}
+
+export function currencyOf(item) {
+  return String(item?.currency || item?.product?.currency || DEFAULT_CURRENCY).toUpperCase();
+}
+
+// 12.5, "EUR" → "€12.50" in en-US, "12,50 €" in de-DE. Money values are
+// shown with their own number of decimals and carry their currency.
+export function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  if (isMoney(amount)) currency = amount.currency;
+  const value = toAmount(amount);
+  if (value === null) return amount == null ? "" : String(amount);
+  const digits = isMoney(amount) ? { minimumFractionDigits: amount.digits, maximumFractionDigits: amount.digits } : {};
+  try {
+    return new Intl.NumberFormat(locale, { style: "currency", currency, ...digits }).format(value);
+  } catch {
+    // Codes Intl does not know
+    return `${value.toFixed(isMoney(amount) ? amount.digits : 2)} ${currency}`;
+  }
+}
+
+// AI credit amounts and balances: "$0.0125"
+export function formatCredits(value, digits = CREDIT_DIGITS) {
+  return formatMoney(toMoney(value ?? 0, CREDIT_CURRENCY, digits) ?? value);
+}
+
+// null when either currency has no rate
+export function convert(amount, from, to) {
+  const value = toAmount(amount);
+  if (value === null || !rates) return null;
+  if (from === to) return value;
+  const rateOf = (code) => (code === rates.base ? 1 : rates.rates[code]);
+  if (!rateOf(from) || !rateOf(to)) return null;
+  return (value / rateOf(from)) * rateOf(to);
+}
+
+// In the display currency when one is set and rates are loaded ("≈€11.50"),
+// otherwise in the item's own currency
+export function formatPrice(amount, currency = DEFAULT_CURRENCY, { showOriginal = false } = {}) {
+  const code = isMoney(amount) ? amount.currency : String(currency || DEFAULT_CURRENCY).toUpperCase();
+  const original = formatMoney(amount, code);
+  if (!displayCurrency || displayCurrency === code) return original;
+  const converted = convert(amount, code, displayCurrency);
+  if (converted === null) return original;
+  const shown = `≈${formatMoney(converted, displayCurrency)}`;
+  return showOriginal ? `${shown} (${original})` : shown;
+}
+
+// Amounts in different currencies are never added up: "€23.50 + CZK 120.00",
+// or one converted total when every currency has a rate
+export function formatTotals(totals) {
+  const entries = Object.entries(totals || {});
+  if (!entries.length) return formatMoney(0, displayCurrency || DEFAULT_CURRENCY);
+  if (displayCurrency && entries.length > 1) {
+    const converted = entries.map(([code, amount]) => convert(amount, code, displayCurrency));
+    if (converted.every((value) => value !== null)) {
+      return `≈${formatMoney(converted.reduce((sum, value) => sum + value, 0), displayCurrency)}`;
+    }
+  }
+  return entries.map(([code, amount]) => formatPrice(amount, code)).join(" + ");
+}
+
+// A number to sort prices in mixed currencies by; the raw amount when no
+// rates are loaded
+export function comparableAmount(amount, currency = DEFAULT_CURRENCY) {
+  const code = String(currency || DEFAULT_CURRENCY).toUpperCase();
+  return convert(amount, code, rates?.base ?? code) ?? toAmount(amount) ?? 0;
+}
+
+// Accepts {base, rates} and open.er-api.com's {base_code, rates} or
+// {base_code, conversion_rates}
+function parseRates(body) {
+  const base = String(body?.base || body?.base_code || DEFAULT_CURRENCY).toUpperCase();
+  const table = body?.rates || body?.conversion_rates;
+  if (!table || typeof table !== "object") throw new Error("no rates in the response");
+  return { base, rates: table };
+}
+
+function ratesCachePath() {
+  return join(getCacheDir(), "rates.json");
+}
+
+function readCachedRates(source) {
+  try {
+    const cached = JSON.parse(readFileSync(ratesCachePath(), "utf-8"));
+    return cached.source === source ? cached : null;
+  } catch {
+    return null;
+  }
+}
+
+async function fetchRates(source, { timeout, network }) {
+  if (!/^https?:\/\//.test(source)) {
+    if (!existsSync(source)) throw new Error(`rates file not found: ${source}`);
+    return parseRates(JSON.parse(readFileSync(source, "utf-8")));
+  }
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const res = await fetchWithTimeout(source, { signal: controller.signal, network });
+    if (!res.ok) throw new Error(`${source} returned ${res.status}`);
+    return parseRates(await res.json());
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Rates are cached for 12 hours. A stale copy is used when the source cannot
+// be reached or in --offline mode. `network` holds proxy and TLS settings.
+export async function loadRates(source = DEFAULT_RATES_URL, { timeout = 10000, network } = {}) {
+  const cached = readCachedRates(source);
+  if (cached && (isOffline() || Date.now() - cached.fetchedAt < RATES_TTL)) {
+    rates = parseRates(cached);
+    return rates;
+  }
+  if (isOffline()) throw new Error("no cached rates (offline mode)");
+  try {
+    rates = await fetchRates(source, { timeout, network });
+  } catch (e) {
+    if (!cached) throw e;
+    rates = parseRates(cached);
+    return rates;
+  }
+  try {
+    mkdirSync(dirname(ratesCachePath()), { recursive: true });
+    writeFileSync(ratesCachePath(), JSON.stringify({ source, fetchedAt: Date.now(), ...rates }));
+  } catch {
+    // an unwritable cache only costs a refetch
+  }
+  return rates;
+}
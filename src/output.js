@@ -0,0 +1,235 @@
+/**
+ * TerminalMarket structured output
+ * --output json|yaml|csv|tsv|ndjson: raw API records with stable keys for
+ * scripts, instead of the colored tables. --columns picks fields from those
+ * records, --format prints one templated line per record and --query
+ * reshapes the result with a JMESPath expression first.
+ */
+
+import { stringify as toYaml } from "yaml";
+import jmespath from "jmespath";
+import { createTableStream } from "./format.js";
+import { getField } from "./pipe.js";
+import { MONEY_FIELDS, currencyOf, formatPrice } from "./money.js";
+
+export const OUTPUT_FORMATS = ["table", "json", "yaml", "csv", "tsv", "ndjson"];
+
+let format = "table";
+let columns = null;
+let template = null;
+let query = null;
+
+export function setOutputFormat(value) {
+  format = value;
+}
+
+export function getOutputFormat() {
+  return format;
+}
+
+// `--columns name,price` applies to every format; saved per-command defaults
+// only replace the built-in tables
+export function setColumns(explicit, defaults = null) {
+  columns = explicit || (format === "table" ? defaults : null);
+}
+
+export function parseColumns(value) {
+  const list = String(value).split(",").map((c) => c.trim()).filter(Boolean);
+  if (!list.length) throw new Error("No columns given. Example: --columns name,price");
+  return list;
+}
+
+// Go-template style: {{.name}}, {{ .product.name }}; \t and \n are expanded
+export function setTemplate(value) {
+  template = value ? value.replace(/\\t/g, "\t").replace(/\\n/g, "\n") : null;
+}
+
+// JMESPath, e.g. "[?status=='paid'].total"; checked here so typos fail
+// before any request is sent
+export function setQuery(value) {
+  if (!value) {
+    query = null;
+    return;
+  }
+  try {
+    jmespath.compile(value);
+  } catch (e) {
+    throw new Error(`Invalid --query expression: ${e.message}`);
+  }
+  query = value;
+}
+
+// True when commands should hand raw records to printData/createListOutput
+// instead of drawing their own tables and cards
+export function isStructuredOutput() {
+  return format !== "table" || Boolean(columns) || Boolean(template) || Boolean(query);
+}
+
+function writeLine(text) {
+  process.stdout.write(text + "\n");
+}
+
+// Nested objects become dotted columns ("product.name"); arrays stay JSON
+function flatten(record, prefix = "", into = {}) {
+  for (const [key, value] of Object.entries(record ?? {})) {
+    const name = prefix + key;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      flatten(value, name + ".", into);
+    } else {
+      into[name] = value;
+    }
+  }
+  return into;
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function csvCell(value) {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function tsvCell(value) {
+  return cellText(value).replace(/\\/g, "\\\\").replace(/\t/g, "\\t").replace(/\r?\n/g, "\\n");
+}
+
+function toRecord(item) {
+  return item && typeof item === "object" ? item : { value: item };
+}
+
+// Tables show money columns with the record's currency ("€12.50"); the
+// structured formats keep the raw amount
+function project(record) {
+  return Object.fromEntries(columns.map((col) => {
+    const value = getField(record, col) ?? null;
+    const money = format === "table" && MONEY_FIELDS.includes(col) && value !== null && typeof value !== "object";
+    return [col, money ? formatPrice(value, currencyOf(record)) : value];
+  }));
+}
+
+function renderTemplate(record) {
+  return template.replace(/\{\{\s*\.([\w.]*)\s*\}\}/g, (_, path) => cellText(path ? getField(record, path) : record));
+}
+
+// Writes records as they arrive. JSON and YAML are written as one document on
+// end(); CSV/TSV and --columns tables take their columns from the first batch.
+export function createRecordStream() {
+  const buffered = [];
+  let header = null;
+  let table = null;
+  let count = 0;
+
+  function writeDelimited(rows) {
+    const [cell, sep] = format === "csv" ? [csvCell, ","] : [tsvCell, "\t"];
+    if (!header) {
+      header = columns || [...new Set(rows.flatMap((row) => Object.keys(row)))];
+      writeLine(header.map(cell).join(sep));
+    }
+    for (const row of rows) {
+      writeLine(header.map((col) => cell(row[col])).join(sep));
+    }
+  }
+
+  // Plain values (e.g. `--query "[].name"`) print one per line
+  function writeTable(rows) {
+    if (!columns && rows.every((row) => row === null || typeof row !== "object")) {
+      rows.forEach((row) => row != null && writeLine(cellText(row)));
+      return;
+    }
+    if (!table) {
+      const keys = columns || [...new Set(rows.flatMap((row) => Object.keys(flatten(toRecord(row)))))];
+      table = createTableStream(keys.map((col) => ({ key: col, title: col })));
+      header = keys;
+    }
+    table.write(rows.map((row) => {
+      const record = columns ? row : flatten(toRecord(row));
+      return Object.fromEntries(header.map((col) => [col, cellText(record[col])]));
+    }));
+  }
+
+  return {
+    write(items) {
+      if (!items.length) return;
+      count += items.length;
+      if (template) {
+        items.forEach((item) => process.stdout.write(renderTemplate(toRecord(item)) + (template.endsWith("\n") ? "" : "\n")));
+        return;
+      }
+      const records = columns ? items.map((item) => project(toRecord(item))) : items;
+      if (format === "table") {
+        writeTable(records);
+      } else if (format === "ndjson") {
+        records.forEach((record) => writeLine(JSON.stringify(record)));
+      } else if (format === "csv" || format === "tsv") {
+        writeDelimited(records.map((record) => (columns ? record : flatten(toRecord(record)))));
+      } else {
+        buffered.push(...records);
+      }
+    },
+    end() {
+      if (template) return;
+      if (format === "table" && (table || !count)) (table ?? createTableStream([])).end();
+      if (format === "json") writeLine(JSON.stringify(buffered, null, 2));
+      if (format === "yaml") process.stdout.write(buffered.length ? toYaml(buffered) : "[]\n");
+    },
+    get count() {
+      return count;
+    },
+  };
+}
+
+// Print a listing (array) or a single record in the selected format. `rows`
+// replaces a record in the row-based formats, e.g. a cart's items for CSV.
+// --query runs on the whole result, so `rows` is ignored then.
+export function printData(data, { rows = null } = {}) {
+  if (query) {
+    renderData(jmespath.search(data ?? null, query));
+    return;
+  }
+  renderData(data, rows);
+}
+
+function renderData(data, rows = null) {
+  const singleDocument = format === "json" || format === "yaml";
+  if (!Array.isArray(data) && singleDocument && !columns && !template) {
+    if (format === "json") writeLine(JSON.stringify(data ?? null, null, 2));
+    else process.stdout.write(toYaml(data ?? null));
+    return;
+  }
+  const records = rows ?? (Array.isArray(data) ? data : [data]);
+  const stream = createRecordStream();
+  stream.write(records);
+  stream.end();
+}
+
+// With --query the expression needs the whole listing, so pages are
+// collected and rendered once at the end
+function createQueryStream() {
+  const items = [];
+  return {
+    write: (page) => items.push(...page),
+    end: () => printData(items),
+    get count() {
+      return items.length;
+    },
+  };
+}
+
+// A listing sink for streamed pages: raw records in structured mode,
+// otherwise `toRow` display rows into the stream from `createHuman`
+export function createListOutput(createHuman, toRow = (item) => item) {
+  if (query) return createQueryStream();
+  if (isStructuredOutput()) return createRecordStream();
+  const human = createHuman();
+  return {
+    write: (items) => human.write(items.map(toRow)),
+    end: () => human.end(),
+    get count() {
+      return human.count;
+    },
+  };
+}
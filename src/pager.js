@@ -0,0 +1,132 @@
+/**
+ * TerminalMarket pager
+ * Output on a terminal is held back until it is taller than the screen; from
+ * then on it streams through $PAGER (less -R by default), like git does.
+ * Shorter output is printed as it is when the command ends.
+ */
+
+import { spawn } from "child_process";
+import { writeSync } from "fs";
+import stringWidth from "string-width";
+import { isPlainMode } from "./theme.js";
+
+// { command, write, chunks, lines, child, sent, sentLength, closed }.
+// `chunks` holds the output until the pager starts; `sent` keeps what went to
+// the pager so it can still be printed if the pager command turns out not to
+// exist, and is dropped once that can no longer happen.
+let pending = null;
+
+// Commands without shell syntax run directly, so a missing one fails to spawn
+// instead of starting a shell that exits with 127
+const SHELL_SYNTAX = /[|&;<>()$`\\"'*?[\]{}~=#!]/;
+
+// A shell reports a missing pager long before this much output is written
+const MAX_RESEND = 1024 * 1024;
+
+// TM_PAGER, then the `pager` config setting, then PAGER, like git's
+// GIT_PAGER / core.pager / PAGER. "false", "off", "cat" or "" turn paging off.
+export function resolvePagerCommand(configured, env = process.env) {
+  const command = String(env.TM_PAGER ?? configured ?? env.PAGER ?? "less").trim();
+  return ["", "false", "off", "cat"].includes(command) ? null : command;
+}
+
+// Lines on screen, counting the ones the terminal wraps
+function screenLines(text, columns) {
+  return text.split("\n").reduce((sum, line) => sum + Math.max(1, Math.ceil(stringWidth(line) / columns)), 0) - 1;
+}
+
+// Never for pipes and files, which get the output directly. Plain mode is
+// left to the screen reader.
+export function startPager(configured) {
+  const command = resolvePagerCommand(configured);
+  if (!command || !process.stdout.isTTY || isPlainMode() || pending) return;
+  const write = process.stdout.write;
+  pending = { command, write, chunks: [], lines: 0, child: null, sent: [], sentLength: 0, closed: null };
+  process.stdout.write = (chunk, encoding, callback) => {
+    const text = typeof chunk === "string" ? chunk : Buffer.from(chunk).toString(typeof encoding === "string" ? encoding : "utf8");
+    collect(text);
+    const done = typeof encoding === "function" ? encoding : callback;
+    if (typeof done === "function") process.nextTick(done);
+    return true;
+  };
+  // process.exit() in a command skips endPager(); print what it held back
+  process.on("exit", flushPending);
+}
+
+function collect(text) {
+  if (pending.child) {
+    sendToPager(text);
+    return;
+  }
+  pending.chunks.push(text);
+  pending.lines += screenLines(text, process.stdout.columns || 80);
+  if (pending.lines >= (process.stdout.rows || 24)) {
+    spawnPager();
+    sendToPager(pending.chunks.join(""));
+    pending.chunks = [];
+  }
+}
+
+function spawnPager() {
+  const state = pending;
+  const shell = SHELL_SYNTAX.test(state.command);
+  const [file, ...args] = shell ? [state.command] : state.command.split(/\s+/);
+  const child = spawn(file, args, {
+    shell,
+    stdio: ["pipe", "inherit", "inherit"],
+    env: { LESS: "FRX", LV: "-c", ...process.env },
+  });
+  // Started directly, the pager is known to exist
+  if (!shell) child.on("spawn", () => { state.sent = null; });
+  // Ctrl+C is for the pager
+  const ignore = () => {};
+  process.on("SIGINT", ignore);
+  state.child = child;
+  // Resolves false when the pager could not be started
+  state.closed = new Promise((resolve) => {
+    const finish = (ok) => {
+      process.off("SIGINT", ignore);
+      resolve(ok);
+    };
+    child.on("error", () => finish(false));
+    child.on("close", (code) => finish(code !== 127));
+  });
+  // Quitting the pager early closes its input; the rest is dropped
+  child.stdin.on("error", () => {});
+}
+
+function sendToPager(text) {
+  if (pending.sent) {
+    pending.sent.push(text);
+    pending.sentLength += text.length;
+    if (pending.sentLength > MAX_RESEND) pending.sent = null;
+  }
+  if (!pending.child.stdin.destroyed) pending.child.stdin.write(text);
+}
+
+function stopCollecting() {
+  const collected = pending;
+  pending = null;
+  process.stdout.write = collected.write;
+  process.off("exit", flushPending);
+  return collected;
+}
+
+function flushPending() {
+  if (!pending) return;
+  const { chunks, child } = stopCollecting();
+  if (child) child.stdin.end();
+  else writeSync(1, chunks.join(""));
+}
+
+export async function endPager() {
+  if (!pending) return;
+  const collected = stopCollecting();
+  if (!collected.child) {
+    process.stdout.write(collected.chunks.join(""));
+    return;
+  }
+  collected.child.stdin.end();
+  // `sent` may be dropped while waiting, once the pager has started
+  if (!(await collected.closed) && collected.sent) process.stdout.write(collected.sent.join(""));
+}
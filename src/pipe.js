@@ -0,0 +1,152 @@
+/**
+ * TerminalMarket pipes
+ * Record streams between commands, e.g.
+ * `tm search coffee | tm sort price | tm head 3`
+ */
+
+import readline from "readline";
+import { fstatSync } from "fs";
+import { containsQuery } from "./format.js";
+import { MONEY_FIELDS, DEFAULT_CURRENCY, comparableAmount, currencyOf, getDisplayCurrency } from "./money.js";
+
+// True when stdout feeds another process; listings then default to NDJSON
+export function isStdoutPiped() {
+  try {
+    return fstatSync(1).isFIFO();
+  } catch {
+    return false;
+  }
+}
+
+// Records piped in as NDJSON, or as one JSON array from `-o json`
+export async function readRecords(input = process.stdin) {
+  const lines = [];
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (line.trim()) lines.push(line);
+  }
+  if (lines[0]?.trimStart().startsWith("[")) {
+    return JSON.parse(lines.join("\n"));
+  }
+  return lines.map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      throw new Error(`Line ${i + 1} of the input is not JSON. Pipe from a tm listing command, e.g. tm search coffee | tm sort price`);
+    }
+  });
+}
+
+// "product.name" reads nested fields
+export function getField(record, path) {
+  return path.split(".").reduce((value, key) => value?.[key], record);
+}
+
+function asNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value))) return Number(value);
+  return null;
+}
+
+// Numbers (and numeric strings such as prices) compare numerically, the rest
+// case-insensitively; missing values sort last
+function compareValues(a, b) {
+  if (a == null || a === "") return b == null || b === "" ? 0 : 1;
+  if (b == null || b === "") return -1;
+  const na = asNumber(a);
+  const nb = asNumber(b);
+  if (na !== null && nb !== null) return na - nb;
+  return String(a).toLowerCase().localeCompare(String(b).toLowerCase());
+}
+
+// Prices in different currencies compare by their value in one currency
+// (see comparableAmount), or by their plain amount when no rates are loaded
+function fieldValue(record, field) {
+  const value = getField(record, field);
+  if (!MONEY_FIELDS.includes(field) || asNumber(value) === null) return value;
+  return comparableAmount(value, currencyOf(record));
+}
+
+// Price limits (--max-price 10, --where price<10) are in the display
+// currency, or in the records' own currency when they all share one
+export function limitCurrency(records) {
+  const display = getDisplayCurrency();
+  if (display) return display;
+  const codes = new Set(records.map(currencyOf));
+  return codes.size === 1 ? [...codes][0] : DEFAULT_CURRENCY;
+}
+
+// `spec` is a field name, "-field" for descending
+export function sortRecords(records, spec, { reverse = false } = {}) {
+  const desc = spec.startsWith("-") !== reverse;
+  const field = spec.replace(/^-/, "");
+  return [...records].sort((a, b) => {
+    const order = compareValues(fieldValue(a, field), fieldValue(b, field));
+    return desc ? -order : order;
+  });
+}
+
+const WHERE_PATTERN = /^([\w.]+)\s*(!=|>=|<=|=|>|<|~)\s*(.*)$/;
+
+// `field=value`, `field!=value`, `field>n` (also >=, <, <=) and `field~text`.
+// Limits on money fields are in `currency`.
+export function parseWhere(expression, { currency = DEFAULT_CURRENCY } = {}) {
+  const match = WHERE_PATTERN.exec(expression);
+  if (!match) {
+    throw new Error(`Invalid --where expression: ${expression} (expected e.g. price<10 or category=coffee)`);
+  }
+  const [, field, op, expected] = match;
+  return (record) => {
+    const value = getField(record, field);
+    if (op === "~") return String(value ?? "").toLowerCase().includes(expected.toLowerCase());
+    if (op === "=" || op === "!=") {
+      const equal = compareValues(value, expected) === 0 && value != null;
+      return op === "=" ? equal : !equal;
+    }
+    if (asNumber(value) === null || asNumber(expected) === null) return false;
+    const order = MONEY_FIELDS.includes(field)
+      ? fieldValue(record, field) - comparableAmount(expected, currency)
+      : asNumber(value) - asNumber(expected);
+    return { ">": order > 0, ">=": order >= 0, "<": order < 0, "<=": order <= 0 }[op];
+  };
+}
+
+function sameText(value, expected) {
+  return value != null && String(value).toLowerCase() === expected.toLowerCase();
+}
+
+// Filters understood by `tm filter`. Products and offers keep their location
+// in serviceCity/serviceCountry, sellers in baseCity/baseCountry.
+export function filterRecords(records, { minPrice, maxPrice, category, type, city, country, match, where = [] } = {}) {
+  const currency = limitCurrency(records);
+  const conditions = where.map((expression) => parseWhere(expression, { currency }));
+  const min = minPrice != null ? comparableAmount(minPrice, currency) : null;
+  const max = maxPrice != null ? comparableAmount(maxPrice, currency) : null;
+  return records.filter((r) => {
+    const price = asNumber(r.price) === null ? null : fieldValue(r, "price");
+    if (min !== null && (price === null || price < min)) return false;
+    if (max !== null && (price === null || price > max)) return false;
+    if (category && !sameText(r.category, category)) return false;
+    if (type && !sameText(r.serviceType || "global", type)) return false;
+    if (city && !sameText(r.serviceCity ?? r.city ?? r.baseCity, city)) return false;
+    if (country && !sameText(r.serviceCountry ?? r.country ?? r.baseCountry, country)) return false;
+    if (match && !containsQuery(r, match)) return false;
+    return conditions.every((test) => test(r));
+  });
+}
+
+// First record for each value of `field`
+export function uniqueRecords(records, field = "id") {
+  const seen = new Set();
+  return records.filter((r) => {
+    const key = JSON.stringify(getField(r, field) ?? null);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Keep only the listed (possibly dotted) fields, in that order
+export function pickFields(records, fields) {
+  return records.map((r) => Object.fromEntries(fields.map((f) => [f, getField(r, f) ?? null])));
+}
@@ -0,0 +1,160 @@
+/**
+ * TerminalMarket themes
+ * Color palettes (dark, light, high-contrast and custom ones from config),
+ * NO_COLOR / --no-color, and --plain text without emoji or box drawing.
+ */
+
+import chalk, { foregroundColorNames } from "chalk";
+import gradient from "gradient-string";
+
+// Colors are "#rrggbb", a chalk color name such as "greenBright", or
+// "default" for the terminal's own foreground
+export const THEMES = {
+  dark: {
+    primary: "#00FF9F",
+    secondary: "#00D9FF",
+    accent: "#FF6B9D",
+    warning: "#FFE66D",
+    error: "#FF6B6B",
+    text: "#E8E8E8",
+    muted: "#6B7280",
+    dim: "#4B5563",
+    highlight: "#BD00FF",
+  },
+  light: {
+    primary: "#047857",
+    secondary: "#0369A1",
+    accent: "#BE185D",
+    warning: "#B45309",
+    error: "#B91C1C",
+    text: "#111827",
+    muted: "#4B5563",
+    dim: "#6B7280",
+    highlight: "#6D28D9",
+  },
+  "high-contrast": {
+    primary: "greenBright",
+    secondary: "cyanBright",
+    accent: "magentaBright",
+    warning: "yellowBright",
+    error: "redBright",
+    text: "default",
+    muted: "default",
+    dim: "default",
+    highlight: "magentaBright",
+  },
+};
+
+export const THEME_ROLES = Object.keys(THEMES.dark);
+
+export const theme = {};
+
+export function isColorSpec(value) {
+  return value === "default" || /^#([0-9a-f]{3}){1,2}$/i.test(value) || foregroundColorNames.includes(value);
+}
+
+function paint(spec) {
+  if (spec === "default") return chalk;
+  return spec.startsWith("#") ? chalk.hex(spec) : chalk[spec];
+}
+
+// gradient-string only understands hex colors
+function gradientOf(stops) {
+  return stops.every((s) => s.startsWith("#")) ? gradient(stops) : paint(stops[0]);
+}
+
+function boxOf(color) {
+  return { borderStyle: "round", borderColor: color === "default" ? undefined : color, padding: 1 };
+}
+
+// `custom` holds the themes from config; each starts from its `base`
+// (dark unless set) and overrides some colors
+export function setTheme(name = "dark", custom = {}) {
+  const palette = custom[name] ? { ...(THEMES[custom[name].base] ?? THEMES.dark), ...custom[name] } : THEMES[name];
+  if (!palette) {
+    throw new Error(`Unknown theme: ${name}. Available: ${[...Object.keys(THEMES), ...Object.keys(custom)].join(", ")}`);
+  }
+  const invalid = THEME_ROLES.find((role) => !isColorSpec(palette[role]));
+  if (invalid) throw new Error(`Invalid color for ${invalid} in theme ${name}: ${palette[invalid]}`);
+
+  Object.assign(theme, {
+    ...Object.fromEntries(THEME_ROLES.map((role) => [role, paint(palette[role])])),
+    palette,
+    gradients: {
+      brand: gradientOf([palette.primary, palette.secondary, palette.highlight]),
+      sunset: gradientOf([palette.accent, palette.warning]),
+      ocean: gradientOf([palette.secondary, palette.primary]),
+      fire: gradientOf([palette.error, palette.warning]),
+      purple: gradientOf([palette.highlight, palette.accent]),
+    },
+    box: {
+      primary: boxOf(palette.primary),
+      secondary: boxOf(palette.secondary),
+      warning: boxOf(palette.warning),
+      error: boxOf(palette.error),
+      dimmed: boxOf(palette.dim),
+    },
+  });
+}
+
+setTheme();
+
+export function disableColor() {
+  chalk.level = 0;
+}
+
+// --plain
+// Status symbols become bracketed words, decorative emoji and box drawing
+// are dropped, so screen readers and log files get clean text.
+
+const BOX_LINE = /^[\s\u2500-\u257F]+$/;
+
+const PLAIN_REPLACEMENTS = [
+  [/[✓✔✅]/gu, "[ok]"],
+  [/[✗✖❌]/gu, "[error]"],
+  [/⚠\uFE0F?/gu, "[warning]"],
+  [/ℹ\uFE0F?/gu, "[info]"],
+  [/[●🟢]/gu, "[on]"],
+  [/[○⚫]/gu, "[off]"],
+  [/⏸\uFE0F?/gu, "[paused]"],
+  [/⏳/gu, "[pending]"],
+  [/💡/gu, "Tip:"],
+  [/[★☆]{5}/gu, (stars) => `${[...stars].filter((s) => s === "★").length}/5`],
+  [/[⭐★]/gu, "*"],
+  [/[→▸]/gu, "->"],
+  [/•/gu, "-"],
+  [/[█▓▒░]+ ?/gu, ""],
+  [/[│║┃]/gu, "|"],
+  [/[┌┐└┘╔╗╚╝├┤┬┴┼]/gu, "+"],
+  [/[─━═]+/gu, "-"],
+  // Remaining emoji, but not © ® ™ and the other Latin-1 and letterlike
+  // symbols that are pictographic too and appear in product names
+  [/(?![\u00A0-\u00FF\u2100-\u214F])\p{Extended_Pictographic}\uFE0F? ?/gu, ""],
+];
+
+let plain = false;
+
+export function isPlainMode() {
+  return plain;
+}
+
+export function toPlainText(text) {
+  return text
+    .split("\n")
+    .filter((line) => !BOX_LINE.test(line) || !line.trim())
+    .map((line) => PLAIN_REPLACEMENTS.reduce((out, [from, to]) => out.replace(from, to), line))
+    .join("\n");
+}
+
+// Also turns colors off. Output for which `keepRaw()` is true (e.g. --output
+// json) is written untouched.
+export function setPlainMode({ keepRaw = () => false } = {}) {
+  if (plain) return;
+  plain = true;
+  disableColor();
+  for (const stream of [process.stdout, process.stderr]) {
+    const write = stream.write.bind(stream);
+    stream.write = (chunk, ...rest) =>
+      write(typeof chunk === "string" && !(stream === process.stdout && keepRaw()) ? toPlainText(chunk) : chunk, ...rest);
+  }
+}
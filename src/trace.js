@@ -0,0 +1,146 @@
+/**
+ * TerminalMarket request tracing
+ * --verbose/--debug logging to stderr and HAR export for --trace-file
+ */
+
+import chalk from "chalk";
+import { writeFileSync } from "fs";
+
+const REDACTED = "[redacted]";
+// Credentials never reach the terminal or a trace file
+const SECRET_HEADERS = ["cookie", "set-cookie", "authorization", "x-csrf-token"];
+const SECRET_FIELDS = /^(password|token|apiToken|csrfToken|sessionCookie|secret)$/i;
+
+let level = null; // null | "verbose" | "debug"
+let harFile = null;
+const harEntries = [];
+
+export function isDebugEnabled() {
+  return level === "debug";
+}
+
+// "verbose" logs one line per request, "debug" adds headers
+export function setTraceLevel(value) {
+  level = value;
+}
+
+// Collect every exchange and write a HAR archive when the process exits
+export function setTraceFile(path, version) {
+  harFile = path;
+  process.once("exit", () => writeHar(version));
+}
+
+function redactHeaders(headers) {
+  return Object.entries(headers).map(([name, value]) => ({
+    name,
+    value: SECRET_HEADERS.includes(name.toLowerCase()) ? REDACTED : String(value),
+  }));
+}
+
+function redactValue(value) {
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, SECRET_FIELDS.test(k) ? REDACTED : redactValue(v)]));
+  }
+  return value;
+}
+
+// Bodies are redacted field by field when they are JSON
+function redactBody(text) {
+  if (!text) return text;
+  try {
+    return JSON.stringify(redactValue(JSON.parse(text)));
+  } catch {
+    return text;
+  }
+}
+
+function logExchange({ request, response, error, time }) {
+  const status = error
+    ? chalk.red(`✗ ${error.name === "AbortError" ? "timeout" : error.code || error.message}`)
+    : (response.ok ? chalk.green : chalk.red)(`${response.status} ${response.statusText}`);
+  console.error(chalk.dim("[http] ") + `${request.method} ${request.url} ` + status + chalk.dim(` ${time}ms`));
+  if (level !== "debug") return;
+  for (const { name, value } of redactHeaders(request.headers)) {
+    console.error(chalk.dim(`  > ${name}: ${value}`));
+  }
+  if (response) {
+    for (const { name, value } of redactHeaders(Object.fromEntries(response.headers))) {
+      console.error(chalk.dim(`  < ${name}: ${value}`));
+    }
+  }
+}
+
+function toHarEntry({ startedAt, time, request, response, error }) {
+  const url = new URL(request.url);
+  const entry = {
+    startedDateTime: startedAt.toISOString(),
+    time,
+    request: {
+      method: request.method,
+      url: request.url,
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: redactHeaders(request.headers),
+      queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: request.body ? Buffer.byteLength(request.body) : 0,
+    },
+    response: {
+      status: response?.status ?? 0,
+      statusText: response?.statusText ?? "",
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: response ? redactHeaders(Object.fromEntries(response.headers)) : [],
+      content: { size: -1, mimeType: response?.headers.get("content-type") || "" },
+      redirectURL: response?.headers.get("location") || "",
+      headersSize: -1,
+      bodySize: -1,
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 },
+  };
+  if (request.body) {
+    entry.request.postData = { mimeType: "application/json", text: redactBody(request.body) };
+  }
+  if (error) {
+    entry._error = error.message;
+  }
+  return entry;
+}
+
+// Only text bodies go into the archive; downloads and images are left out
+function isTextBody(response) {
+  return /json|text|xml/i.test(response?.headers.get("content-type") || "");
+}
+
+// Request hook for api.js. Response bodies are read from a clone in the
+// background so the caller's stream is never held up.
+export function traceExchange(exchange) {
+  if (level) logExchange(exchange);
+  if (!harFile) return;
+  const entry = toHarEntry(exchange);
+  harEntries.push(entry);
+  if (!isTextBody(exchange.response)) return;
+  exchange.response.clone().text().then((text) => {
+    entry.response.content.size = Buffer.byteLength(text);
+    entry.response.content.text = redactBody(text);
+  }, () => {});
+}
+
+function writeHar(version) {
+  const har = {
+    log: {
+      version: "1.2",
+      creator: { name: "terminalmarket", version },
+      pages: [],
+      entries: harEntries,
+    },
+  };
+  try {
+    writeFileSync(harFile, JSON.stringify(har, null, 2), { mode: 0o600 });
+    if (level) console.error(chalk.dim(`[http] Wrote ${harEntries.length} requests to ${harFile}`));
+  } catch (e) {
+    console.error(chalk.red(`✗ Could not write trace file: ${e.message}`));
+  }
+}
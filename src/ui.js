@@ -3,40 +3,16 @@
  * Beautiful, modern terminal interface
  */
 
-import chalk from "chalk";
 import boxen from "boxen";
 import ora from "ora";
-import gradient from "gradient-string";
 import figlet from "figlet";
 import terminalLink from "terminal-link";
+import { isStructuredOutput } from "./output.js";
+import { theme, isPlainMode } from "./theme.js";
+import { formatCredits } from "./money.js";
+import { t } from "./i18n.js";
 
-export const theme = {
-  primary: chalk.hex("#00FF9F"),
-  secondary: chalk.hex("#00D9FF"),
-  accent: chalk.hex("#FF6B9D"),
-  warning: chalk.hex("#FFE66D"),
-  error: chalk.hex("#FF6B6B"),
-  
-  text: chalk.hex("#E8E8E8"),
-  muted: chalk.hex("#6B7280"),
-  dim: chalk.hex("#4B5563"),
-  
-  gradients: {
-    brand: gradient(["#00FF9F", "#00D9FF", "#BD00FF"]),
-    sunset: gradient(["#FF6B9D", "#FFE66D"]),
-    ocean: gradient(["#00D9FF", "#00FF9F"]),
-    fire: gradient(["#FF6B6B", "#FFE66D"]),
-    purple: gradient(["#BD00FF", "#FF6B9D"]),
-  },
-  
-  box: {
-    primary: { borderStyle: "round", borderColor: "#00FF9F", padding: 1 },
-    secondary: { borderStyle: "round", borderColor: "#00D9FF", padding: 1 },
-    warning: { borderStyle: "round", borderColor: "#FFE66D", padding: 1 },
-    error: { borderStyle: "round", borderColor: "#FF6B6B", padding: 1 },
-    dimmed: { borderStyle: "round", borderColor: "#4B5563", padding: 1 },
-  }
-};
+export { theme };
 
 export const icons = {
   success: "✔",
@@ -113,7 +89,9 @@ export function createSpinner(text, style = "default") {
   currentSpinner = ora({
     text: theme.text(text),
     spinner: spinnerConfig,
-    color: "cyan"
+    color: "cyan",
+    // Plain mode prints each step once instead of animating
+    ...(isPlainMode() ? { isEnabled: false } : {})
   }).start();
   return currentSpinner;
 }
@@ -140,10 +118,10 @@ export function showBox(content, options = {}) {
     padding: 1,
     margin: { top: 1, bottom: 1 },
     borderStyle: "round",
-    borderColor: "#00FF9F",
+    borderColor: theme.box.primary.borderColor,
   };
   
-  console.log(boxen(content, { ...defaultOptions, ...options }));
+  console.log(boxen(content, { ...defaultOptions, ...options, ...(isPlainMode() ? { borderStyle: "none" } : {}) }));
 }
 
 export function showInfoBox(title, content) {
@@ -151,7 +129,7 @@ export function showInfoBox(title, content) {
   const body = typeof content === "string" ? content : content.join("\n");
   
   showBox(`${header}\n\n${theme.text(body)}`, {
-    borderColor: "#00D9FF",
+    borderColor: theme.box.secondary.borderColor,
     title: "",
     titleAlignment: "left"
   });
@@ -159,21 +137,21 @@ export function showInfoBox(title, content) {
 
 export function showSuccessBox(message) {
   showBox(theme.primary(`${icons.success} ${message}`), {
-    borderColor: "#00FF9F",
+    borderColor: theme.box.primary.borderColor,
     padding: { top: 0, bottom: 0, left: 2, right: 2 }
   });
 }
 
 export function showErrorBox(message) {
   showBox(theme.error(`${icons.error} ${message}`), {
-    borderColor: "#FF6B6B",
+    borderColor: theme.box.error.borderColor,
     padding: { top: 0, bottom: 0, left: 2, right: 2 }
   });
 }
 
 export function showWarningBox(message) {
   showBox(theme.warning(`${icons.warning} ${message}`), {
-    borderColor: "#FFE66D",
+    borderColor: theme.box.warning.borderColor,
     padding: { top: 0, bottom: 0, left: 2, right: 2 }
   });
 }
@@ -181,22 +159,22 @@ export function showWarningBox(message) {
 export function showWelcome(version) {
   let content = "";
   content += theme.primary.bold("TerminalMarket") + "\n";
-  content += theme.muted("The Marketplace for Developers") + "\n\n";
-  content += `${theme.dim("v")}${theme.secondary(version)} ${theme.dim("│")} ${theme.warning("Early access")} ${theme.dim("│")} ${theme.primary("Real checkout")}\n\n`;
+  content += theme.muted(t("welcome.tagline")) + "\n\n";
+  content += `${theme.dim("v")}${theme.secondary(version)} ${theme.dim("│")} ${theme.warning(t("welcome.earlyAccess"))} ${theme.dim("│")} ${theme.primary(t("welcome.realCheckout"))}\n\n`;
   content += theme.dim("─".repeat(40)) + "\n\n";
-  content += theme.text.bold("Quick Start:") + "\n\n";
-  content += `${theme.muted("🔍")} ${theme.secondary("tm products".padEnd(20))} ${theme.dim("Browse products")}\n`;
-  content += `${theme.muted("🔍")} ${theme.secondary("tm search <query>".padEnd(20))} ${theme.dim("Search marketplace")}\n`;
-  content += `${theme.muted("💳")} ${theme.secondary("tm buy <id>".padEnd(20))} ${theme.dim("Purchase a product")}\n`;
-  content += `${theme.muted("🤖")} ${theme.secondary("tm ai list".padEnd(20))} ${theme.dim("AI services")}\n`;
-  content += `${theme.muted("ℹ")}  ${theme.secondary("tm help".padEnd(20))} ${theme.dim("All commands")}\n\n`;
+  content += theme.text.bold(t("welcome.quickStart") + ":") + "\n\n";
+  content += `${theme.muted("🔍")} ${theme.secondary("tm products".padEnd(20))} ${theme.dim(t("welcome.products"))}\n`;
+  content += `${theme.muted("🔍")} ${theme.secondary("tm search <query>".padEnd(20))} ${theme.dim(t("welcome.search"))}\n`;
+  content += `${theme.muted("💳")} ${theme.secondary("tm buy <id>".padEnd(20))} ${theme.dim(t("welcome.buy"))}\n`;
+  content += `${theme.muted("🤖")} ${theme.secondary("tm ai list".padEnd(20))} ${theme.dim(t("welcome.ai"))}\n`;
+  content += `${theme.muted("ℹ")}  ${theme.secondary("tm help".padEnd(20))} ${theme.dim(t("welcome.help"))}\n\n`;
   content += theme.dim("─".repeat(40)) + "\n\n";
-  content += `${theme.dim("💡")} ${theme.muted("Run")} ${theme.secondary("tm login")} ${theme.muted("to unlock all features")}`;
+  content += `${theme.dim("💡")} ${theme.muted(t("welcome.loginBefore"))} ${theme.secondary("tm login")} ${theme.muted(t("welcome.loginAfter"))}`;
   
   console.log();
   console.log(boxen(content, {
-    borderStyle: "round",
-    borderColor: "#00FF9F",
+    borderStyle: isPlainMode() ? "none" : "round",
+    borderColor: theme.box.primary.borderColor,
     padding: 1,
     margin: { left: 2 }
   }));
@@ -209,7 +187,7 @@ export function showStatusBar(user = null, location = null, credits = null) {
   if (user) {
     parts.push(`${icons.check} ${theme.primary(user.name || user.email)}`);
   } else {
-    parts.push(`${theme.dim("○ Not logged in")}`);
+    parts.push(`${theme.dim(`○ ${t("status.loggedOut")}`)}`);
   }
   
   if (location?.city) {
@@ -217,7 +195,7 @@ export function showStatusBar(user = null, location = null, credits = null) {
   }
   
   if (credits !== null) {
-    parts.push(`${icons.credit} ${theme.warning("$" + parseFloat(credits).toFixed(2))}`);
+    parts.push(`${icons.credit} ${theme.warning(formatCredits(credits, 2))}`);
   }
   
   const statusLine = parts.join(theme.dim(" │ "));
@@ -225,9 +203,11 @@ export function showStatusBar(user = null, location = null, credits = null) {
 }
 
 export function showNextSteps(steps) {
+  // Hints would corrupt --output json/csv/...
+  if (isStructuredOutput()) return;
   console.log();
   console.log(theme.dim("  ─────────────────────────────────────────"));
-  console.log(`  ${theme.muted("💡 Next steps:")}`);
+  console.log(`  ${theme.muted(`💡 ${t("nextSteps.title")}:`)}`);
   console.log();
   
   steps.forEach(({ cmd, desc }) => {
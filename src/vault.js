@@ -0,0 +1,68 @@
+/**
+ * TerminalMarket credential vault
+ * AES-256-GCM encryption for stored secrets, keyed by a passphrase (scrypt)
+ * or a random key file
+ */
+
+import { randomBytes, scryptSync, createCipheriv, createDecipheriv } from "crypto";
+import { existsSync, readFileSync, writeFileSync, chmodSync, mkdirSync } from "fs";
+import { dirname } from "path";
+
+const KEY_LENGTH = 32;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+export function deriveKeyFromPassphrase(passphrase, salt) {
+  return scryptSync(String(passphrase), Buffer.from(salt, "base64"), KEY_LENGTH, SCRYPT_PARAMS);
+}
+
+export function newSalt() {
+  return randomBytes(16).toString("base64");
+}
+
+// Key files hold 32 random bytes, base64-encoded, readable by the owner only
+export function createKeyFile(path) {
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, randomBytes(KEY_LENGTH).toString("base64") + "\n", { mode: 0o600, flag: "wx" });
+  return path;
+}
+
+export function readKeyFile(path) {
+  if (!existsSync(path)) {
+    throw new Error(`Key file not found: ${path}`);
+  }
+  const key = Buffer.from(readFileSync(path, "utf-8").trim(), "base64");
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`Key file ${path} does not contain a ${KEY_LENGTH}-byte base64 key`);
+  }
+  return key;
+}
+
+export function encryptJson(value, key) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), "utf-8"), cipher.final()]);
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+// Throws when the key is wrong or the payload was tampered with
+export function decryptJson({ iv, tag, data }, key) {
+  const decipher = createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  try {
+    const plain = Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]);
+    return JSON.parse(plain.toString("utf-8"));
+  } catch {
+    throw new Error("Could not decrypt credentials — wrong passphrase or key file.");
+  }
+}
+
+// Restrict a file to its owner. No-op where chmod is unsupported (Windows).
+export function hardenFile(path) {
+  try {
+    if (existsSync(path)) chmodSync(path, 0o600);
+  } catch {}
+}
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { apiGet, apiPost } from "../src/api.js";
+import { createMemoryStorage } from "../src/cookies.js";
+import { startServer, json } from "./server.js";
+
+// No real waiting between attempts
+const http = { retries: 2, retryDelay: 1, retryMaxDelay: 5, timeout: 2000 };
+
+test("GETs are retried on 503, honouring Retry-After", async (t) => {
+  const server = await startServer((req, res) => {
+    if (server.requests.length < 3) return json(res, 503, { error: "busy" }, { "Retry-After": "0" });
+    json(res, 200, { ok: 1 });
+  });
+  t.after(server.close);
+  assert.deepEqual(await apiGet("/products", { baseUrl: server.baseUrl, http }), { ok: 1 });
+  assert.equal(server.requests.length, 3);
+});
+
+test("retries stop after the configured number and surface the last error", async (t) => {
+  const server = await startServer((req, res) => json(res, 502, { error: "bad gateway" }));
+  t.after(server.close);
+  await assert.rejects(apiGet("/products", { baseUrl: server.baseUrl, http }), { name: "ApiError", status: 502, code: "server_error" });
+  assert.equal(server.requests.length, 3);
+});
+
+test("a Retry-After beyond a minute fails at once instead of sleeping", async (t) => {
+  const server = await startServer((req, res) => json(res, 429, { error: "slow down" }, { "Retry-After": "3600" }));
+  t.after(server.close);
+  await assert.rejects(apiGet("/products", { baseUrl: server.baseUrl, http }), { code: "rate_limited" });
+  assert.equal(server.requests.length, 1);
+});
+
+test("POSTs are retried only with an idempotency key, which stays the same", async (t) => {
+  const server = await startServer((req, res) => {
+    if (server.requests.length === 1) return json(res, 503, { error: "busy" });
+    json(res, 200, { id: 1 });
+  });
+  t.after(server.close);
+  const opts = { baseUrl: server.baseUrl, http, token: "tm_test" };
+  await assert.rejects(apiPost("/orders", {}, opts), { status: 503 });
+
+  server.requests.length = 0;
+  assert.deepEqual(await apiPost("/orders", {}, { ...opts, idempotencyKey: true }), { id: 1 });
+  const [first, second] = server.requests.map((r) => r.headers["idempotency-key"]);
+  assert.ok(first);
+  assert.equal(first, second);
+});
+
+test("the timeout also covers a body that stalls after the headers", async (t) => {
+  const server = await startServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.write("[");
+  });
+  t.after(server.close);
+  const started = Date.now();
+  await assert.rejects(apiGet("/products", { baseUrl: server.baseUrl, http: { ...http, retries: 0, timeout: 200 } }), { code: "timeout" });
+  assert.ok(Date.now() - started < 2000);
+});
+
+test("a write rejected for its CSRF token is replayed once with a fresh token and key", async (t) => {
+  // Remembers every answer by Idempotency-Key, 403s included
+  const stored = new Map();
+  const server = await startServer((req, res) => {
+    if (req.url === "/api/auth/csrf-token") return json(res, 200, { csrfToken: "fresh" });
+    const key = req.headers["idempotency-key"];
+    if (!stored.has(key)) {
+      stored.set(key, req.headers["x-csrf-token"] === "fresh" ? [200, { id: 7 }] : [403, { error: "invalid csrf token", code: "EBADCSRFTOKEN" }]);
+    }
+    json(res, ...stored.get(key));
+  });
+  t.after(server.close);
+  const storage = createMemoryStorage();
+  storage.setCsrfToken("stale");
+
+  assert.deepEqual(await apiPost("/orders", {}, { baseUrl: server.baseUrl, http, storage, idempotencyKey: true }), { id: 7 });
+  const writes = server.requests.filter((r) => r.url === "/api/orders");
+  assert.deepEqual(writes.map((r) => r.headers["x-csrf-token"]), ["stale", "fresh"]);
+  assert.notEqual(writes[0].headers["idempotency-key"], writes[1].headers["idempotency-key"]);
+  assert.equal(storage.getCsrfToken(), "fresh");
+});
+
+test("a write without a stored CSRF token fetches one first, and is replayed only once", async (t) => {
+  const server = await startServer((req, res) => {
+    if (req.url === "/api/auth/csrf-token") return json(res, 200, { csrfToken: "tok" });
+    json(res, 403, { error: "invalid csrf token" });
+  });
+  t.after(server.close);
+  await assert.rejects(apiPost("/cart/add", {}, { baseUrl: server.baseUrl, http, storage: createMemoryStorage() }), { status: 403 });
+  assert.deepEqual(server.requests.map((r) => r.url), ["/api/auth/csrf-token", "/api/cart/add", "/api/auth/csrf-token", "/api/cart/add"]);
+});
+
+test("a storage that cannot keep the CSRF token fails the write with its own error", async (t) => {
+  const server = await startServer((req, res) => json(res, 200, { csrfToken: "tok" }));
+  t.after(server.close);
+  const storage = {
+    ...createMemoryStorage(),
+    setCsrfToken() {
+      throw new Error("Credentials are encrypted and locked.");
+    },
+  };
+  await assert.rejects(apiPost("/cart/add", {}, { baseUrl: server.baseUrl, http, storage }), /encrypted and locked/);
+  assert.deepEqual(server.requests.map((r) => r.url), ["/api/auth/csrf-token"]);
+});
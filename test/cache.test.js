@@ -0,0 +1,84 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { apiGet } from "../src/api.js";
+import { setCacheMode } from "../src/cache.js";
+import { startServer, json } from "./server.js";
+
+const http = { retries: 0, timeout: 2000 };
+
+afterEach(() => setCacheMode("default"));
+
+async function setup(t, handler) {
+  const server = await startServer(handler);
+  const cacheDir = mkdtempSync(join(tmpdir(), "tm-cache-"));
+  t.after(() => rmSync(cacheDir, { recursive: true, force: true }));
+  t.after(server.close);
+  return { server, cacheDir, opts: { baseUrl: server.baseUrl, http, cacheDir } };
+}
+
+// Push every cache entry past its TTL
+function expire(dir) {
+  for (const file of readdirSync(dir)) {
+    const entry = JSON.parse(readFileSync(join(dir, file), "utf-8"));
+    writeFileSync(join(dir, file), JSON.stringify({ ...entry, storedAt: 0 }));
+  }
+}
+
+test("fresh catalog responses are served from disk, stale ones revalidated with their ETag", async (t) => {
+  let version = 1;
+  const { server, cacheDir, opts } = await setup(t, (req, res) => {
+    if (req.headers["if-none-match"] === `"v${version}"`) {
+      res.writeHead(304);
+      return res.end();
+    }
+    json(res, 200, [{ id: version }], { ETag: `"v${version}"` });
+  });
+
+  assert.deepEqual(await apiGet("/products", opts), [{ id: 1 }]);
+  assert.deepEqual(await apiGet("/products", opts), [{ id: 1 }]);
+  assert.equal(server.requests.length, 1);
+
+  expire(cacheDir);
+  assert.deepEqual(await apiGet("/products", opts), [{ id: 1 }]);
+  assert.equal(server.requests[1].headers["if-none-match"], '"v1"');
+  // The 304 made the entry fresh again
+  assert.deepEqual(await apiGet("/products", opts), [{ id: 1 }]);
+  assert.equal(server.requests.length, 2);
+
+  version = 2;
+  expire(cacheDir);
+  assert.deepEqual(await apiGet("/products", opts), [{ id: 2 }]);
+  assert.equal(server.requests.length, 3);
+});
+
+test("--offline serves stale entries and refuses uncached reads", async (t) => {
+  const { server, cacheDir, opts } = await setup(t, (req, res) => json(res, 200, [{ id: 1 }], { ETag: '"v1"' }));
+  await apiGet("/products", opts);
+  expire(cacheDir);
+  setCacheMode("offline");
+  assert.deepEqual(await apiGet("/products", opts), [{ id: 1 }]);
+  await assert.rejects(apiGet("/categories", opts), { code: "offline" });
+  assert.equal(server.requests.length, 1);
+});
+
+test("account data and no-store responses never reach the disk", async (t) => {
+  const { server, cacheDir, opts } = await setup(t, (req, res) =>
+    json(res, 200, { items: [] }, req.url.startsWith("/api/products") ? { "Cache-Control": "no-store" } : {}));
+  await apiGet("/cart", opts);
+  await apiGet("/products", opts);
+  assert.deepEqual(readdirSync(cacheDir), []);
+  await apiGet("/products", opts);
+  assert.equal(server.requests.length, 3);
+});
+
+test("--no-cache always asks the server", async (t) => {
+  const { server, opts } = await setup(t, (req, res) => json(res, 200, [], { ETag: '"v1"' }));
+  setCacheMode("no-cache");
+  await apiGet("/products", opts);
+  await apiGet("/products", opts);
+  assert.equal(server.requests.length, 2);
+  assert.equal(server.requests[1].headers["if-none-match"], undefined);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSetCookie, storeCookies, cookiesFor, cookieHeader } from "../src/cookies.js";
+
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+const API = "https://terminalmarket.app/api/auth/login";
+
+test("parseSetCookie reads the attributes and defaults the path", () => {
+  assert.deepEqual(parseSetCookie("tm.sid=s%3Aabc; Path=/; HttpOnly; Secure; Max-Age=60", API, NOW), {
+    name: "tm.sid", value: "s%3Aabc", domain: "terminalmarket.app", hostOnly: true, path: "/",
+    expires: NOW + 60000, secure: true, httpOnly: true,
+  });
+  assert.equal(parseSetCookie("lb=2", API, NOW).path, "/api/auth");
+  assert.equal(parseSetCookie("a=1; Max-Age=10; Expires=Wed, 01 Jan 2031 00:00:00 GMT", API, NOW).expires, NOW + 10000);
+  assert.equal(parseSetCookie("a=1; Expires=Wed, 01 Jan 2031 00:00:00 GMT", API, NOW).expires, Date.parse("2031-01-01T00:00:00Z"));
+});
+
+test("parseSetCookie rejects malformed headers and foreign domains", () => {
+  assert.equal(parseSetCookie("=nope", API, NOW), null);
+  assert.equal(parseSetCookie("novalue", API, NOW), null);
+  assert.equal(parseSetCookie("a=1; Domain=example.com", API, NOW), null);
+  const shared = parseSetCookie("a=1; Domain=.terminalmarket.app", "https://api.terminalmarket.app/", NOW);
+  assert.equal(shared.domain, "terminalmarket.app");
+  assert.equal(shared.hostOnly, false);
+});
+
+test("storeCookies replaces by name, domain and path, and expired cookies delete", () => {
+  let jar = storeCookies([], ["tm.sid=one; Path=/", "theme=dark; Path=/"], API, NOW);
+  jar = storeCookies(jar, ["tm.sid=two; Path=/", "theme=; Path=/; Max-Age=0"], API, NOW);
+  assert.deepEqual(jar.map((c) => `${c.name}=${c.value}`), ["tm.sid=two"]);
+});
+
+test("cookiesFor matches host, path, expiry and secure, most specific path first", () => {
+  const jar = storeCookies([], [
+    "root=1; Path=/",
+    "api=2; Path=/api",
+    "other=3; Path=/apix",
+    "short=4; Path=/; Max-Age=5",
+    "secret=5; Path=/; Secure",
+    "wide=6; Path=/; Domain=terminalmarket.app",
+  ], "https://terminalmarket.app/", NOW);
+
+  assert.equal(cookieHeader(jar, "https://terminalmarket.app/api/cart", NOW), "api=2; root=1; short=4; secret=5; wide=6");
+  assert.equal(cookieHeader(jar, "https://terminalmarket.app/api/cart", NOW + 10000), "api=2; root=1; secret=5; wide=6");
+  assert.equal(cookieHeader(jar, "http://terminalmarket.app/", NOW), "root=1; short=4; wide=6");
+  // Host-only cookies stay on their host; Domain cookies reach subdomains
+  assert.deepEqual(cookiesFor(jar, "https://cdn.terminalmarket.app/", NOW).map((c) => c.name), ["wide"]);
+});
@@ -0,0 +1,33 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { t, setLanguage, getLanguageTag } from "../src/i18n.js";
+import en from "../src/locales/en.js";
+import de from "../src/locales/de.js";
+import cs from "../src/locales/cs.js";
+
+after(() => setLanguage("en"));
+
+test("result counts follow each language's plural rules", () => {
+  setLanguage("en");
+  assert.equal(t("results.count", { count: 1 }), "1 result");
+  assert.equal(t("results.count", { count: 3 }), "3 results");
+  setLanguage("cs");
+  assert.deepEqual([1, 3, 7].map((count) => t("results.count", { count })), ["1 výsledek", "3 výsledky", "7 výsledků"]);
+});
+
+test("every translation has the English catalog's keys and placeholders", () => {
+  const placeholders = (value) => [...JSON.stringify(value).matchAll(/\{(\w+)\}/g)].map((m) => m[1]).filter((p) => p !== "count").sort();
+  for (const [language, catalog] of Object.entries({ de, cs })) {
+    for (const [key, message] of Object.entries(en)) {
+      assert.ok(key in catalog, `${language} is missing ${key}`);
+      assert.deepEqual([...new Set(placeholders(catalog[key]))], [...new Set(placeholders(message))], `${language} ${key}`);
+    }
+  }
+});
+
+test("the language tag, which prices default to, keeps the region", () => {
+  setLanguage("de_AT.UTF-8");
+  assert.equal(getLanguageTag(), "de-AT");
+  setLanguage("fr");
+  assert.equal(getLanguageTag(), null);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PNG } from "pngjs";
+import jpeg from "jpeg-js";
+import { renderImage } from "../src/image.js";
+
+function png(width, height) {
+  const image = new PNG({ width, height });
+  image.data.fill(200);
+  return PNG.sync.write(image);
+}
+
+test("small images render", () => {
+  assert.equal(renderImage(png(4, 2), { protocol: "ascii", width: 4 }).split("\n").length, 1);
+});
+
+test("PNGs claiming a huge canvas are refused before decoding", () => {
+  const buffer = png(4, 2);
+  buffer.writeUInt32BE(100000, 16);
+  buffer.writeUInt32BE(100000, 20);
+  assert.throws(() => renderImage(buffer, { protocol: "ascii" }), /100000×100000 pixels; previews are limited to 25 megapixels/);
+});
+
+test("JPEGs claiming a huge canvas are refused before decoding", () => {
+  const buffer = Buffer.from(jpeg.encode({ width: 8, height: 4, data: Buffer.alloc(8 * 4 * 4, 120) }, 50).data);
+  const frame = buffer.indexOf(Buffer.from([0xff, 0xc0]));
+  buffer.writeUInt16BE(60000, frame + 5);
+  buffer.writeUInt16BE(60000, frame + 7);
+  assert.throws(() => renderImage(buffer, { protocol: "ascii" }), /limited to 25 megapixels/);
+});
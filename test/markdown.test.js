@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import chalk from "chalk";
+import { setTheme } from "../src/theme.js";
+import { renderMarkdown } from "../src/markdown.js";
+
+test("headings use the theme set after loading", () => {
+  const level = chalk.level;
+  chalk.level = 3;
+  try {
+    setTheme("light");
+    assert.match(renderMarkdown("# Title"), /\x1b\[38;2;4;120;87m/);
+    assert.match(renderMarkdown("## Section"), /\x1b\[38;2;3;105;161m/);
+  } finally {
+    setTheme("dark");
+    chalk.level = level;
+  }
+});
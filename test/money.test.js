@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  toMoney,
+  lineTotal,
+  subtractMoney,
+  moneyToString,
+  formatCredits,
+  setLocale,
+} from "../src/money.js";
+
+setLocale("en-US");
+
+test("toMoney rounds half away from zero to the currency's minor unit", () => {
+  assert.deepEqual(toMoney("12.345"), { minor: 1235, currency: "USD", digits: 2 });
+  assert.deepEqual(toMoney("-12.345", "EUR"), { minor: -1235, currency: "EUR", digits: 2 });
+  assert.deepEqual(toMoney(0.1), { minor: 10, currency: "USD", digits: 2 });
+  assert.equal(toMoney("abc"), null);
+  assert.equal(toMoney(""), null);
+});
+
+test("toMoney uses zero decimals for JPY", () => {
+  assert.deepEqual(toMoney("1234.5", "JPY"), { minor: 1235, currency: "JPY", digits: 0 });
+  assert.equal(moneyToString(toMoney(980, "JPY")), "980");
+});
+
+test("credits keep four decimals", () => {
+  const credits = toMoney("0.01255", "USD", 4);
+  assert.deepEqual(credits, { minor: 126, currency: "USD", digits: 4 });
+  assert.equal(moneyToString(credits), "0.0126");
+  assert.equal(formatCredits("0.0125"), "$0.0125");
+  assert.equal(formatCredits(null), "$0.0000");
+});
+
+test("lineTotal multiplies the price by the quantity in the item's currency", () => {
+  assert.deepEqual(lineTotal({ price: "0.10", currency: "eur", quantity: 3 }), { minor: 30, currency: "EUR", digits: 2 });
+  assert.deepEqual(lineTotal({ product: { price: "12.50" } }), { minor: 1250, currency: "USD", digits: 2 });
+});
+
+test("subtractMoney is exact and refuses mixed currencies", () => {
+  const diff = subtractMoney(toMoney("0.30"), toMoney("0.10"));
+  assert.equal(moneyToString(diff), "0.20");
+  assert.deepEqual(subtractMoney(toMoney("1", "USD", 4), toMoney("0.25")), { minor: 7500, currency: "USD", digits: 4 });
+  assert.throws(() => subtractMoney(toMoney("1", "EUR"), toMoney("1", "USD")), /Cannot combine EUR and USD/);
+});
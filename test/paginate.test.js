@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { paginate } from "../src/api.js";
+import { startServer, json } from "./server.js";
+
+const http = { retries: 0, timeout: 2000 };
+
+async function walk(t, handler, path, opts = {}) {
+  const server = await startServer((req, res) => json(res, 200, handler(new URL(req.url, "http://x"), server.baseUrl)));
+  t.after(server.close);
+  const pages = [];
+  for await (const items of paginate(path, { baseUrl: server.baseUrl, http, pageSize: 2, ...opts })) pages.push(items);
+  return { pages, urls: server.requests.map((r) => r.url) };
+}
+
+test("cursors are followed until there is none", async (t) => {
+  const { pages, urls } = await walk(t, (url) => {
+    const cursor = url.searchParams.get("cursor");
+    return cursor ? { items: [3], nextCursor: null } : { items: [1, 2], nextCursor: "c2" };
+  }, "/products");
+  assert.deepEqual(pages, [[1, 2], [3]]);
+  assert.deepEqual(urls, ["/api/products?limit=2", "/api/products?limit=2&cursor=c2"]);
+});
+
+test("next links may be absolute and include the API base path", async (t) => {
+  const { pages, urls } = await walk(t, (url, base) => url.searchParams.get("after")
+    ? { data: ["b"], links: { next: null } }
+    : { data: ["a"], links: { next: `${base}/orders?after=a&limit=2` } }, "/orders");
+  assert.deepEqual(pages, [["a"], ["b"]]);
+  assert.equal(urls[1], "/api/orders?after=a&limit=2");
+});
+
+test("page numbers are followed while page < totalPages or hasMore", async (t) => {
+  const { pages: byTotal } = await walk(t, (url) => {
+    const page = Number(url.searchParams.get("page") || 1);
+    return { products: [page], pagination: { page, totalPages: 3 } };
+  }, "/products");
+  assert.deepEqual(byTotal, [[1], [2], [3]]);
+
+  const { pages: byFlag } = await walk(t, (url) => {
+    const page = Number(url.searchParams.get("page") || 1);
+    return { results: [page], page, hasMore: page < 2 };
+  }, "/sellers");
+  assert.deepEqual(byFlag, [[1], [2]]);
+});
+
+test("a plain array is a single page", async (t) => {
+  const { pages, urls } = await walk(t, () => [1, 2], "/categories");
+  assert.deepEqual(pages, [[1, 2]]);
+  assert.equal(urls.length, 1);
+});
+
+test("limit stops the walk mid-page and --page fetches only that page", async (t) => {
+  const endless = (url) => {
+    const page = Number(url.searchParams.get("page") || 1);
+    return { items: [page * 10, page * 10 + 1], page, hasMore: true };
+  };
+  const { pages, urls } = await walk(t, endless, "/products", { limit: 3 });
+  assert.deepEqual(pages, [[10, 11], [20]]);
+  assert.equal(urls.length, 2);
+
+  const single = await walk(t, endless, "/products", { page: 4 });
+  assert.deepEqual(single.pages, [[40, 41]]);
+  assert.deepEqual(single.urls, ["/api/products?limit=2&page=4"]);
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseWhere } from "../src/pipe.js";
+
+const coffee = { name: "Coffee Beans", price: "12.50", category: "coffee", seller: { city: "Prague" } };
+const tea = { name: "Green Tea", price: "4.10", category: "tea" };
+
+test("parseWhere compares numbers numerically", () => {
+  assert.equal(parseWhere("price<10")(tea), true);
+  assert.equal(parseWhere("price<10")(coffee), false);
+  assert.equal(parseWhere("price>=12.5")(coffee), true);
+  assert.equal(parseWhere("price<=4.1")(tea), true);
+  assert.equal(parseWhere("price>4.1")(tea), false);
+});
+
+test("parseWhere matches text case-insensitively", () => {
+  assert.equal(parseWhere("category=COFFEE")(coffee), true);
+  assert.equal(parseWhere("category!=coffee")(tea), true);
+  assert.equal(parseWhere("name~beans")(coffee), true);
+  assert.equal(parseWhere("seller.city=prague")(coffee), true);
+});
+
+test("parseWhere never matches missing fields", () => {
+  assert.equal(parseWhere("rating>3")(coffee), false);
+  assert.equal(parseWhere("category=coffee")({}), false);
+  assert.equal(parseWhere("price<10")({ price: "n/a" }), false);
+});
+
+test("parseWhere rejects malformed expressions", () => {
+  assert.throws(() => parseWhere("price"), /Invalid --where expression: price/);
+  assert.throws(() => parseWhere("<10"), /Invalid --where expression/);
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, statSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  deriveKeyFromPassphrase,
+  newSalt,
+  createKeyFile,
+  readKeyFile,
+  encryptJson,
+  decryptJson,
+} from "../src/vault.js";
+
+const secrets = { default: { token: "tm_abc", cookies: [{ key: "sid", value: "s%3A1" }] } };
+
+test("a passphrase key decrypts what it encrypted", () => {
+  const salt = newSalt();
+  const payload = encryptJson(secrets, deriveKeyFromPassphrase("correct horse", salt));
+  assert.deepEqual(decryptJson(payload, deriveKeyFromPassphrase("correct horse", salt)), secrets);
+  assert.throws(() => decryptJson(payload, deriveKeyFromPassphrase("wrong", salt)), /wrong passphrase or key file/);
+});
+
+test("a key file round-trips and is readable by its owner only", (t) => {
+  const dir = mkdtempSync(join(tmpdir(), "tm-vault-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const path = createKeyFile(join(dir, "keys", "vault.key"));
+  if (process.platform !== "win32") assert.equal(statSync(path).mode & 0o777, 0o600);
+  const payload = encryptJson(secrets, readKeyFile(path));
+  assert.deepEqual(decryptJson(payload, readKeyFile(path)), secrets);
+  assert.throws(() => createKeyFile(path), /EEXIST/);
+  assert.throws(() => readKeyFile(join(dir, "missing.key")), /Key file not found/);
+});
+
+test("tampered payloads are rejected", () => {
+  const key = deriveKeyFromPassphrase("pass", newSalt());
+  const payload = encryptJson(secrets, key);
+  const data = Buffer.from(payload.data, "base64");
+  data[0] ^= 1;
+  assert.throws(() => decryptJson({ ...payload, data: data.toString("base64") }, key), /Could not decrypt/);
+});